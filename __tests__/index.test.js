@@ -3,6 +3,7 @@
  */
 
 import { jest } from '@jest/globals';
+import { relative as getRelativePath } from 'path';
 
 // Mock the @actions/core module
 const mockCore = {
@@ -38,6 +39,9 @@ const mockOctokit = {
       listForOrg: jest.fn(),
       replaceAllTopics: jest.fn(),
       getAllTopics: jest.fn(),
+      getBranch: jest.fn(),
+      renameBranch: jest.fn(),
+      compareCommits: jest.fn(),
       getContent: jest.fn(),
       createOrUpdateFileContents: jest.fn(),
       getRepoRulesets: jest.fn(),
@@ -60,15 +64,24 @@ const mockOctokit = {
       getRef: jest.fn(),
       createRef: jest.fn(),
       updateRef: jest.fn(),
-      deleteRef: jest.fn()
+      deleteRef: jest.fn(),
+      getTree: jest.fn(),
+      getCommit: jest.fn().mockResolvedValue({ data: { sha: 'parent-sha', tree: { sha: 'base-tree-sha' } } }),
+      createTree: jest.fn().mockResolvedValue({ data: { sha: 'new-tree-sha' } }),
+      createCommit: jest.fn().mockResolvedValue({ data: { sha: 'new-commit-sha' } })
     },
     issues: {
-      createComment: jest.fn()
+      createComment: jest.fn(),
+      getLabel: jest.fn(),
+      createLabel: jest.fn(),
+      addLabels: jest.fn(),
+      addAssignees: jest.fn()
     },
     pulls: {
       list: jest.fn(),
       create: jest.fn(),
-      update: jest.fn()
+      update: jest.fn(),
+      requestReviewers: jest.fn()
     },
     users: {
       getAuthenticated: jest.fn(),
@@ -83,17 +96,25 @@ const mockOctokit = {
   },
   request: jest.fn(),
   paginate: jest.fn(),
-  graphql: jest.fn()
+  graphql: jest.fn(),
+  hook: {
+    wrap: jest.fn()
+  }
 };
 
 // Mock fs module - use a real implementation that tracks test content
 const mockFs = {
-  readFileSync: jest.fn()
+  readFileSync: jest.fn(),
+  writeFileSync: jest.fn(),
+  mkdirSync: jest.fn(),
+  readdirSync: jest.fn(),
+  statSync: jest.fn()
 };
 
 // Mock yaml module - use a real implementation that tracks test content
 const mockYaml = {
-  load: jest.fn()
+  load: jest.fn(),
+  dump: jest.fn(value => JSON.stringify(value))
 };
 
 // Action.yml content for mocking - this represents the inputs that should be considered valid
@@ -130,6 +151,20 @@ inputs:
     description: 'Delete branch on merge'
   allow-update-branch:
     description: 'Allow update branch'
+  has-issues:
+    description: 'Has issues'
+  has-wiki:
+    description: 'Has wiki'
+  has-projects:
+    description: 'Has projects'
+  has-discussions:
+    description: 'Has discussions'
+  is-template:
+    description: 'Is template'
+  web-commit-signoff-required:
+    description: 'Web commit signoff required'
+  allow-forking:
+    description: 'Allow forking'
   immutable-releases:
     description: 'Immutable releases'
   code-scanning:
@@ -146,10 +181,44 @@ inputs:
     description: 'Dependabot alerts'
   dependabot-security-updates:
     description: 'Dependabot security updates'
+  description:
+    description: 'Description'
+  description-only-if-empty:
+    description: 'Description only if empty'
+  homepage:
+    description: 'Homepage'
+  homepage-only-if-empty:
+    description: 'Homepage only if empty'
   topics:
     description: 'Topics'
+  topics-add:
+    description: 'Topics add'
+  topics-remove:
+    description: 'Topics remove'
+  default-branch:
+    description: 'Default branch'
+  actions-enabled:
+    description: 'Actions enabled'
+  actions-allowed-actions:
+    description: 'Actions allowed actions'
+  actions-github-owned-allowed:
+    description: 'Actions GitHub owned allowed'
+  actions-verified-allowed:
+    description: 'Actions verified allowed'
+  actions-patterns-allowed:
+    description: 'Actions patterns allowed'
+  actions-workflow-permissions:
+    description: 'Actions workflow permissions'
+  actions-can-approve-prs:
+    description: 'Actions can approve PRs'
+  actions-fork-pr-approval:
+    description: 'Actions fork PR approval'
   dependabot-yml:
     description: 'Dependabot yml'
+  dependabot-yml-strategy:
+    description: 'Dependabot yml strategy'
+  dependabot-yml-auto-detect:
+    description: 'Dependabot yml auto-detect'
   dependabot-pr-title:
     description: 'Dependabot PR title'
   gitignore:
@@ -168,6 +237,8 @@ inputs:
     description: 'Workflow files'
   workflow-files-pr-title:
     description: 'Workflow files PR title'
+  workflow-files-delete-managed:
+    description: 'Delete managed workflow files'
   autolinks-file:
     description: 'Autolinks file'
   environments:
@@ -192,14 +263,72 @@ inputs:
     description: 'Sync scripts'
   package-json-sync-engines:
     description: 'Sync engines'
+  package-json-sync-fields:
+    description: 'Sync fields'
   package-json-pr-title:
     description: 'Package json PR title'
+  files:
+    description: 'Files'
+  remove-files:
+    description: 'Remove files'
+  remove-files-pr-title:
+    description: 'Remove files PR title'
+  render-templates:
+    description: 'Render templates'
+  template-vars:
+    description: 'Template vars'
+  combine-file-prs:
+    description: 'Combine file PRs'
+  combined-pr-title:
+    description: 'Combined PR title'
+  file-sync-strategy:
+    description: 'File sync strategy'
+  file-sync-branch:
+    description: 'File sync branch'
+  pr-labels:
+    description: 'PR labels'
+  pr-assignees:
+    description: 'PR assignees'
+  pr-reviewers:
+    description: 'PR reviewers'
+  pr-team-reviewers:
+    description: 'PR team reviewers'
+  pr-draft:
+    description: 'PR draft'
+  dependabot-auto-merge:
+    description: 'Auto-merge dependabot PRs'
+  gitignore-auto-merge:
+    description: 'Auto-merge gitignore PRs'
+  pull-request-template-auto-merge:
+    description: 'Auto-merge pull-request-template PRs'
+  workflow-files-auto-merge:
+    description: 'Auto-merge workflow-files PRs'
+  copilot-instructions-auto-merge:
+    description: 'Auto-merge copilot-instructions PRs'
+  codeowners-auto-merge:
+    description: 'Auto-merge codeowners PRs'
+  package-json-auto-merge:
+    description: 'Auto-merge package-json PRs'
+  files-auto-merge:
+    description: 'Auto-merge files PRs'
+  remove-files-auto-merge:
+    description: 'Auto-merge remove-files PRs'
+  combined-auto-merge:
+    description: 'Auto-merge combined PRs'
   dry-run:
     description: 'Dry run'
   write-job-summary:
     description: 'Write job summary'
   summary-heading:
     description: 'Custom job summary heading'
+  max-concurrency:
+    description: 'Max concurrency'
+  max-retries:
+    description: 'Max retries'
+  mode:
+    description: 'Mode'
+  export-path:
+    description: 'Export path'
   custom-property-name:
     description: 'Custom property name'
   custom-property-value:
@@ -226,6 +355,13 @@ const mockActionYmlParsed = {
     'allow-auto-merge': { description: 'Allow auto merge' },
     'delete-branch-on-merge': { description: 'Delete branch on merge' },
     'allow-update-branch': { description: 'Allow update branch' },
+    'has-issues': { description: 'Has issues' },
+    'has-wiki': { description: 'Has wiki' },
+    'has-projects': { description: 'Has projects' },
+    'has-discussions': { description: 'Has discussions' },
+    'is-template': { description: 'Is template' },
+    'web-commit-signoff-required': { description: 'Web commit signoff required' },
+    'allow-forking': { description: 'Allow forking' },
     'immutable-releases': { description: 'Immutable releases' },
     'code-scanning': { description: 'Code scanning' },
     'enable-default-code-scanning': { description: 'Enable default code scanning (deprecated)' },
@@ -234,8 +370,25 @@ const mockActionYmlParsed = {
     'private-vulnerability-reporting': { description: 'Private vulnerability reporting' },
     'dependabot-alerts': { description: 'Dependabot alerts' },
     'dependabot-security-updates': { description: 'Dependabot security updates' },
+    description: { description: 'Description' },
+    'description-only-if-empty': { description: 'Description only if empty' },
+    homepage: { description: 'Homepage' },
+    'homepage-only-if-empty': { description: 'Homepage only if empty' },
     topics: { description: 'Topics' },
+    'topics-add': { description: 'Topics add' },
+    'topics-remove': { description: 'Topics remove' },
+    'default-branch': { description: 'Default branch' },
+    'actions-enabled': { description: 'Actions enabled' },
+    'actions-allowed-actions': { description: 'Actions allowed actions' },
+    'actions-github-owned-allowed': { description: 'Actions GitHub owned allowed' },
+    'actions-verified-allowed': { description: 'Actions verified allowed' },
+    'actions-patterns-allowed': { description: 'Actions patterns allowed' },
+    'actions-workflow-permissions': { description: 'Actions workflow permissions' },
+    'actions-can-approve-prs': { description: 'Actions can approve PRs' },
+    'actions-fork-pr-approval': { description: 'Actions fork PR approval' },
     'dependabot-yml': { description: 'Dependabot yml' },
+    'dependabot-yml-strategy': { description: 'Dependabot yml strategy' },
+    'dependabot-yml-auto-detect': { description: 'Dependabot yml auto-detect' },
     'dependabot-pr-title': { description: 'Dependabot PR title' },
     gitignore: { description: 'Gitignore' },
     'gitignore-pr-title': { description: 'Gitignore PR title' },
@@ -245,6 +398,7 @@ const mockActionYmlParsed = {
     'pull-request-template-pr-title': { description: 'Pull request template PR title' },
     'workflow-files': { description: 'Workflow files' },
     'workflow-files-pr-title': { description: 'Workflow files PR title' },
+    'workflow-files-delete-managed': { description: 'Delete managed workflow files' },
     'autolinks-file': { description: 'Autolinks file' },
     environments: { description: 'Comma-separated environment names' },
     'environments-file': { description: 'Environments file' },
@@ -257,10 +411,39 @@ const mockActionYmlParsed = {
     'package-json-file': { description: 'Package json file' },
     'package-json-sync-scripts': { description: 'Sync scripts' },
     'package-json-sync-engines': { description: 'Sync engines' },
+    'package-json-sync-fields': { description: 'Sync fields' },
     'package-json-pr-title': { description: 'Package json PR title' },
+    files: { description: 'Files' },
+    'remove-files': { description: 'Remove files' },
+    'remove-files-pr-title': { description: 'Remove files PR title' },
+    'render-templates': { description: 'Render templates' },
+    'template-vars': { description: 'Template vars' },
+    'combine-file-prs': { description: 'Combine file PRs' },
+    'combined-pr-title': { description: 'Combined PR title' },
+    'file-sync-strategy': { description: 'File sync strategy' },
+    'file-sync-branch': { description: 'File sync branch' },
+    'pr-labels': { description: 'PR labels' },
+    'pr-assignees': { description: 'PR assignees' },
+    'pr-reviewers': { description: 'PR reviewers' },
+    'pr-team-reviewers': { description: 'PR team reviewers' },
+    'pr-draft': { description: 'PR draft' },
+    'dependabot-auto-merge': { description: 'Auto-merge dependabot PRs' },
+    'gitignore-auto-merge': { description: 'Auto-merge gitignore PRs' },
+    'pull-request-template-auto-merge': { description: 'Auto-merge pull-request-template PRs' },
+    'workflow-files-auto-merge': { description: 'Auto-merge workflow-files PRs' },
+    'copilot-instructions-auto-merge': { description: 'Auto-merge copilot-instructions PRs' },
+    'codeowners-auto-merge': { description: 'Auto-merge codeowners PRs' },
+    'package-json-auto-merge': { description: 'Auto-merge package-json PRs' },
+    'files-auto-merge': { description: 'Auto-merge files PRs' },
+    'remove-files-auto-merge': { description: 'Auto-merge remove-files PRs' },
+    'combined-auto-merge': { description: 'Auto-merge combined PRs' },
     'dry-run': { description: 'Dry run' },
     'write-job-summary': { description: 'Write job summary' },
-    'summary-heading': { description: 'Custom job summary heading' }
+    'summary-heading': { description: 'Custom job summary heading' },
+    'max-concurrency': { description: 'Max concurrency' },
+    'max-retries': { description: 'Max retries' },
+    mode: { description: 'Mode' },
+    'export-path': { description: 'Export path' }
   }
 };
 
@@ -316,6 +499,17 @@ function setMockYamlContent(result, forContent = '__default__') {
   testMockYamlResults[forContent] = result;
 }
 
+// Files committed through the Git Data API (createTree), keyed by path
+function getCommittedFiles() {
+  const files = {};
+  for (const [params] of mockOctokit.rest.git.createTree.mock.calls) {
+    for (const entry of params.tree) {
+      files[entry.path] = entry.content;
+    }
+  }
+  return files;
+}
+
 // Mock the modules before importing the main module
 jest.unstable_mockModule('@actions/core', () => mockCore);
 jest.unstable_mockModule('@octokit/rest', () => ({
@@ -335,6 +529,9 @@ const {
   parseConfigWithRules,
   updateRepositorySettings,
   syncDependabotYml,
+  mergeDependabotConfig,
+  detectDependabotEcosystems,
+  buildDependabotConfig,
   syncGitignore,
   syncRepositoryRuleset,
   syncRepositoryRulesets,
@@ -342,6 +539,8 @@ const {
   stripRulesetReadonlyFields,
   syncPullRequestTemplate,
   syncWorkflowFiles,
+  expandSourcePaths,
+  isManagedFileContent,
   syncAutolinks,
   syncEnvironments,
   parseEnvironmentsConfig,
@@ -351,13 +550,34 @@ const {
   syncCopilotInstructions,
   syncCodeowners,
   syncPackageJson,
+  parsePackageJsonSyncFields,
+  applyPackageJsonFieldSync,
+  formatPackageJsonChanges,
+  detectJsonFormatting,
+  stringifyJson,
+  syncCombinedFiles,
+  parseFileSyncEntries,
+  applyStructuredFragment,
+  syncFiles,
+  syncRemovedFiles,
   closeStaleActionPrs,
   escapeHtmlAttribute,
   formatPrLink,
   resetKnownRepoConfigKeysCache,
   replaceTemplateVariables,
+  resolveTopics,
+  getInvalidTopics,
+  parseTemplateVars,
+  parseRenderTemplates,
+  getRepositoryTemplateVars,
+  getTemplateExistsPaths,
+  getManagedBlockCommentSyntax,
+  createManagedBlockContentProcessor,
   resolveFilePath,
-  applyBasePathToRepoConfig
+  applyBasePathToRepoConfig,
+  createRequestRetryHook,
+  exportRepositoryState,
+  writeExportFiles
 } = await import('../src/index.js');
 
 describe('Bulk GitHub Repository Settings Action', () => {
@@ -403,6 +623,8 @@ describe('Bulk GitHub Repository Settings Action', () => {
     error404.status = 404;
     mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(error404);
     mockOctokit.rest.orgs.get.mockClear();
+    mockOctokit.rest.git.getTree.mockReset();
+    mockOctokit.rest.git.getTree.mockResolvedValue({ data: { truncated: false, tree: [] } });
     mockOctokit.rest.git.getRef.mockClear();
     mockOctokit.rest.git.createRef.mockClear();
     mockOctokit.rest.git.updateRef.mockClear();
@@ -499,6 +721,480 @@ describe('Bulk GitHub Repository Settings Action', () => {
     });
   });
 
+  describe('createRequestRetryHook', () => {
+    const requestOptions = { method: 'GET', url: '/repos/{owner}/{repo}' };
+
+    const makeHttpError = (status, message = 'Request failed', headers = {}) => {
+      const error = new Error(message);
+      error.status = status;
+      error.response = { status, headers };
+      return error;
+    };
+
+    test('should pass through successful responses without waiting', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook, stats } = createRequestRetryHook({ sleep });
+      const request = jest.fn().mockResolvedValue({ status: 200, headers: {}, data: { ok: true } });
+
+      const response = await hook(request, requestOptions);
+
+      expect(response.data).toEqual({ ok: true });
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+      expect(stats).toEqual({ retries: 0, waitMs: 0, rateLimitPauses: 0 });
+    });
+
+    test('should retry server errors with exponential backoff', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook, stats } = createRequestRetryHook({ sleep });
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce(makeHttpError(502))
+        .mockRejectedValueOnce(makeHttpError(503))
+        .mockResolvedValueOnce({ status: 200, headers: {}, data: {} });
+
+      await hook(request, requestOptions);
+
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(sleep.mock.calls).toEqual([[1000], [2000]]);
+      expect(stats).toEqual({ retries: 2, waitMs: 3000, rateLimitPauses: 0 });
+    });
+
+    test('should not retry internal server errors for POST or PATCH requests', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook, stats } = createRequestRetryHook({ sleep });
+
+      for (const method of ['POST', 'PATCH']) {
+        const request = jest.fn().mockRejectedValue(makeHttpError(500, 'Server Error'));
+        await expect(hook(request, { method, url: '/repos/{owner}/{repo}/pulls' })).rejects.toThrow('Server Error');
+        expect(request).toHaveBeenCalledTimes(1);
+      }
+
+      expect(sleep).not.toHaveBeenCalled();
+      expect(stats.retries).toBe(0);
+    });
+
+    test('should retry gateway errors for POST requests and server errors for GraphQL requests', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook, stats } = createRequestRetryHook({ sleep });
+      const gatewayRequest = jest
+        .fn()
+        .mockRejectedValueOnce(makeHttpError(502, 'Bad Gateway'))
+        .mockResolvedValueOnce({ status: 201, headers: {}, data: {} });
+      const graphqlRequest = jest
+        .fn()
+        .mockRejectedValueOnce(makeHttpError(500, 'Server Error'))
+        .mockResolvedValueOnce({ status: 200, headers: {}, data: {} });
+
+      await hook(gatewayRequest, { method: 'POST', url: '/repos/{owner}/{repo}/git/trees' });
+      await hook(graphqlRequest, { method: 'POST', url: '/graphql' });
+
+      expect(gatewayRequest).toHaveBeenCalledTimes(2);
+      expect(graphqlRequest).toHaveBeenCalledTimes(2);
+      expect(stats.retries).toBe(2);
+    });
+
+    test('should retry secondary rate limits for POST requests', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook } = createRequestRetryHook({ sleep });
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce(makeHttpError(429, 'Too Many Requests'))
+        .mockResolvedValueOnce({ status: 201, headers: {}, data: {} });
+
+      await hook(request, { method: 'POST', url: '/repos/{owner}/{repo}/pulls' });
+
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    test('should honor retry-after for secondary rate limits', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook, stats } = createRequestRetryHook({ sleep });
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce(
+          makeHttpError(403, 'You have exceeded a secondary rate limit', {
+            'retry-after': '30'
+          })
+        )
+        .mockResolvedValueOnce({ status: 200, headers: {}, data: {} });
+
+      await hook(request, requestOptions);
+
+      expect(sleep).toHaveBeenCalledWith(30000);
+      expect(stats.retries).toBe(1);
+    });
+
+    test('should retry secondary rate limit identified by message only', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook } = createRequestRetryHook({ sleep });
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce(makeHttpError(403, 'You have exceeded a secondary rate limit'))
+        .mockResolvedValueOnce({ status: 200, headers: {}, data: {} });
+
+      await hook(request, requestOptions);
+
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledWith(1000);
+    });
+
+    test('should not retry permission errors or not found responses', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook, stats } = createRequestRetryHook({ sleep });
+
+      await expect(hook(jest.fn().mockRejectedValue(makeHttpError(403, 'Forbidden')), requestOptions)).rejects.toThrow(
+        'Forbidden'
+      );
+      await expect(hook(jest.fn().mockRejectedValue(makeHttpError(404, 'Not Found')), requestOptions)).rejects.toThrow(
+        'Not Found'
+      );
+
+      expect(sleep).not.toHaveBeenCalled();
+      expect(stats.retries).toBe(0);
+    });
+
+    test('should give up after maxRetries and rethrow the last error', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook, stats } = createRequestRetryHook({ maxRetries: 2, sleep });
+      const request = jest.fn().mockRejectedValue(makeHttpError(500, 'Server Error'));
+
+      await expect(hook(request, requestOptions)).rejects.toThrow('Server Error');
+
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(stats.retries).toBe(2);
+    });
+
+    test('should not retry when maxRetries is 0', async () => {
+      const sleep = jest.fn().mockResolvedValue(undefined);
+      const { hook } = createRequestRetryHook({ maxRetries: 0, sleep });
+      const request = jest.fn().mockRejectedValue(makeHttpError(500, 'Server Error'));
+
+      await expect(hook(request, requestOptions)).rejects.toThrow('Server Error');
+
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('should pause subsequent requests until the primary rate limit resets', async () => {
+      let currentTime = 1_000_000;
+      const sleep = jest.fn(async ms => {
+        currentTime += ms;
+      });
+      const { hook, stats } = createRequestRetryHook({ sleep, now: () => currentTime });
+      const request = jest
+        .fn()
+        .mockResolvedValueOnce({
+          status: 200,
+          headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String((currentTime + 45000) / 1000) },
+          data: {}
+        })
+        .mockResolvedValueOnce({ status: 200, headers: { 'x-ratelimit-remaining': '4999' }, data: {} });
+
+      await hook(request, requestOptions);
+      expect(sleep).not.toHaveBeenCalled();
+
+      await hook(request, requestOptions);
+      expect(sleep).toHaveBeenCalledWith(45000);
+      expect(stats).toEqual({ retries: 0, waitMs: 45000, rateLimitPauses: 1 });
+      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('rate limit exhausted'));
+    });
+
+    test('should wait for reset and retry when a request hits the primary rate limit', async () => {
+      let currentTime = 1_000_000;
+      const sleep = jest.fn(async ms => {
+        currentTime += ms;
+      });
+      const { hook, stats } = createRequestRetryHook({ sleep, now: () => currentTime });
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce(
+          makeHttpError(403, 'API rate limit exceeded', {
+            'x-ratelimit-remaining': '0',
+            'x-ratelimit-reset': String((currentTime + 10000) / 1000)
+          })
+        )
+        .mockResolvedValueOnce({ status: 200, headers: {}, data: {} });
+
+      await hook(request, requestOptions);
+
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledWith(10000);
+      expect(stats).toEqual({ retries: 1, waitMs: 10000, rateLimitPauses: 1 });
+    });
+  });
+
+  describe('exportRepositoryState', () => {
+    const mockExportRequests = overrides => {
+      mockOctokit.request.mockImplementation(async (route, params) => {
+        if (overrides?.[route]) {
+          return overrides[route](params);
+        }
+        switch (route) {
+          case 'GET /repos/{owner}/{repo}/immutable-releases':
+            return { data: { enabled: true } };
+          case 'GET /repos/{owner}/{repo}/private-vulnerability-reporting':
+            return { data: { enabled: false } };
+          case 'GET /repos/{owner}/{repo}/vulnerability-alerts':
+            return { status: 204, data: '' };
+          case 'GET /repos/{owner}/{repo}/automated-security-fixes':
+            return { data: { enabled: true } };
+          case 'GET /repos/{owner}/{repo}/environments':
+            return { data: { environments: [] } };
+          default:
+            throw new Error(`Unexpected request: ${route}`);
+        }
+      });
+    };
+
+    beforeEach(() => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          archived: false,
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          squash_merge_commit_title: 'PR_TITLE',
+          squash_merge_commit_message: 'PR_BODY',
+          allow_merge_commit: false,
+          allow_rebase_merge: false,
+          allow_auto_merge: true,
+          delete_branch_on_merge: true,
+          allow_update_branch: true,
+          topics: ['javascript', 'github-actions'],
+          security_and_analysis: {
+            secret_scanning: { status: 'enabled' },
+            secret_scanning_push_protection: { status: 'disabled' }
+          }
+        }
+      });
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({ data: { state: 'configured' } });
+      mockOctokit.paginate.mockResolvedValue([]);
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
+      mockExportRequests();
+    });
+
+    afterEach(() => {
+      mockOctokit.request.mockReset();
+      mockOctokit.paginate.mockReset();
+    });
+
+    test('should export merge settings, security toggles and topics', async () => {
+      const result = await exportRepositoryState(mockOctokit, 'owner/repo');
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toEqual([]);
+      expect(result.settings).toEqual({
+        'allow-squash-merge': true,
+        'squash-merge-commit-title': 'PR_TITLE',
+        'squash-merge-commit-message': 'PR_BODY',
+        'allow-merge-commit': false,
+        'allow-rebase-merge': false,
+        'allow-auto-merge': true,
+        'delete-branch-on-merge': true,
+        'allow-update-branch': true,
+        'code-scanning': true,
+        'immutable-releases': true,
+        'secret-scanning': true,
+        'secret-scanning-push-protection': false,
+        'private-vulnerability-reporting': false,
+        'dependabot-alerts': true,
+        'dependabot-security-updates': true,
+        topics: ['javascript', 'github-actions']
+      });
+    });
+
+    test('should escape template braces in description so it syncs back unchanged', async () => {
+      const description = 'Renders {{ .Values.name }} charts';
+      const repoData = {
+        name: 'charts',
+        description,
+        allow_squash_merge: true,
+        permissions: { admin: true, push: true, pull: true }
+      };
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: repoData });
+
+      const { settings } = await exportRepositoryState(mockOctokit, 'owner/charts');
+
+      expect(settings.description).toBe('Renders \\{{ .Values.name }} charts');
+
+      const result = await updateRepositorySettings(
+        mockOctokit,
+        'owner/charts',
+        { description: settings.description },
+        null,
+        null,
+        null,
+        null,
+        true
+      );
+
+      expect(result.hasWarnings).toBeFalsy();
+      expect(result.changes).toEqual([]);
+    });
+
+    test('should export rulesets without read-only fields', async () => {
+      mockOctokit.paginate.mockResolvedValue([{ id: 7, name: 'main protection' }]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+        data: {
+          id: 7,
+          node_id: 'RRS_1',
+          source: 'owner/repo',
+          source_type: 'Repository',
+          created_at: '2024-01-01T00:00:00Z',
+          updated_at: '2024-01-01T00:00:00Z',
+          _links: {},
+          current_user_can_bypass: 'never',
+          name: 'main protection',
+          target: 'branch',
+          enforcement: 'active',
+          rules: [{ type: 'deletion' }]
+        }
+      });
+
+      const result = await exportRepositoryState(mockOctokit, 'owner/repo');
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(
+        mockOctokit.rest.repos.getRepoRulesets,
+        expect.objectContaining({ includes_parents: false })
+      );
+      expect(result.rulesets).toEqual([
+        { name: 'main protection', target: 'branch', enforcement: 'active', rules: [{ type: 'deletion' }] }
+      ]);
+    });
+
+    test('should export autolinks and environments with branch patterns and deployment gates', async () => {
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({
+        data: [{ id: 1, key_prefix: 'JIRA-', url_template: 'https://jira.example.com/browse/JIRA-<num>' }]
+      });
+      mockExportRequests({
+        'GET /repos/{owner}/{repo}/environments': () => ({
+          data: {
+            environments: [
+              {
+                name: 'production',
+                protection_rules: [
+                  { type: 'wait_timer', wait_timer: 10 },
+                  {
+                    type: 'required_reviewers',
+                    prevent_self_review: true,
+                    reviewers: [{ type: 'Team', reviewer: { id: 42 } }]
+                  }
+                ],
+                deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
+              }
+            ]
+          }
+        }),
+        'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies': () => ({
+          data: {
+            branch_policies: [
+              { id: 1, name: 'main' },
+              { id: 2, name: 'release/*' }
+            ]
+          }
+        }),
+        'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules': () => ({
+          data: { custom_deployment_protection_rules: [{ id: 3, app: { id: 9, slug: 'deployment-gate' } }] }
+        })
+      });
+
+      const result = await exportRepositoryState(mockOctokit, 'owner/repo');
+
+      expect(result.autolinks).toEqual([
+        { key_prefix: 'JIRA-', url_template: 'https://jira.example.com/browse/JIRA-<num>', is_alphanumeric: true }
+      ]);
+      expect(result.environments).toEqual([
+        {
+          name: 'production',
+          wait_timer: 10,
+          prevent_self_review: true,
+          reviewers: [{ type: 'Team', id: 42 }],
+          deployment_branch_policy: { protected_branches: false, custom_branch_policies: true },
+          branch_name_patterns: ['main', 'release/*'],
+          deployment_protection_rules: [{ app: 'deployment-gate' }]
+        }
+      ]);
+    });
+
+    test('should skip unreadable sections with a warning', async () => {
+      mockExportRequests({
+        'GET /repos/{owner}/{repo}/private-vulnerability-reporting': () => {
+          const error = new Error('Resource not accessible by integration');
+          error.status = 403;
+          throw error;
+        }
+      });
+
+      const result = await exportRepositoryState(mockOctokit, 'owner/repo');
+
+      expect(result.success).toBe(true);
+      expect(result.settings).not.toHaveProperty('private-vulnerability-reporting');
+      expect(result.warnings).toEqual([
+        'Could not read private vulnerability reporting: Resource not accessible by integration'
+      ]);
+    });
+
+    test('should fail when the repository cannot be read', async () => {
+      mockOctokit.rest.repos.get.mockRejectedValueOnce(new Error('Not Found'));
+
+      const result = await exportRepositoryState(mockOctokit, 'owner/repo');
+
+      expect(result).toEqual({
+        repository: 'owner/repo',
+        success: false,
+        error: 'Failed to export repository: Not Found'
+      });
+    });
+  });
+
+  describe('writeExportFiles', () => {
+    test('should write a rules-based config with one rule per repository and supporting files', () => {
+      const { configPath, files } = writeExportFiles('./export', [
+        {
+          repository: 'owner/repo1',
+          success: true,
+          settings: { 'allow-squash-merge': true },
+          rulesets: [{ name: 'Main Protection' }, { name: 'main protection' }],
+          autolinks: [{ key_prefix: 'JIRA-', url_template: 'https://jira/<num>', is_alphanumeric: true }],
+          environments: [{ name: 'production', wait_timer: 0 }],
+          warnings: []
+        },
+        { repository: 'owner/repo2', success: false, error: 'Failed' }
+      ]);
+
+      expect(configPath).toBe('export/settings-config.yml');
+      expect(files).toEqual([
+        'export/rulesets/repo1/main-protection.json',
+        'export/rulesets/repo1/main-protection-2.json',
+        'export/autolinks/repo1.json',
+        'export/environments/repo1.yml',
+        'export/settings-config.yml'
+      ]);
+      expect(mockFs.mkdirSync).toHaveBeenCalledWith('export/rulesets/repo1', { recursive: true });
+      expect(mockFs.writeFileSync).toHaveBeenCalledWith(
+        'export/rulesets/repo1/main-protection.json',
+        '{\n  "name": "Main Protection"\n}\n',
+        'utf8'
+      );
+
+      const config = mockYaml.dump.mock.calls.find(([value]) => value.rules)[0];
+      expect(config).toEqual({
+        owner: 'owner',
+        rules: [
+          {
+            selector: { repos: ['owner/repo1'] },
+            settings: {
+              'allow-squash-merge': true,
+              'rulesets-file': ['rulesets/repo1/main-protection.json', 'rulesets/repo1/main-protection-2.json'],
+              'autolinks-file': 'autolinks/repo1.json',
+              'environments-file': 'environments/repo1.yml'
+            }
+          }
+        ]
+      });
+    });
+  });
+
   describe('parseRepositories', () => {
     test('should parse comma-separated repository list', async () => {
       const result = await parseRepositories('owner/repo1,owner/repo2', '', '', mockOctokit);
@@ -971,6 +1667,15 @@ describe('Bulk GitHub Repository Settings Action', () => {
       const result = applyBasePathToRepoConfig(config, './base/');
       expect(result['rulesets-file']).toEqual(['base/a.json', 'base/b.json']);
     });
+
+    test('should resolve the source of each files entry', () => {
+      const config = {
+        repo: 'owner/repo1',
+        files: [{ source: 'SECURITY.md', target: 'SECURITY.md' }, 'not-an-entry']
+      };
+      const result = applyBasePathToRepoConfig(config, './base/');
+      expect(result.files).toEqual([{ source: 'base/SECURITY.md', target: 'SECURITY.md' }, 'not-an-entry']);
+    });
   });
 
   describe('filterRepositoriesByCustomProperty', () => {
@@ -1742,6 +2447,49 @@ describe('Bulk GitHub Repository Settings Action', () => {
     });
   });
 
+  describe('resolveTopics', () => {
+    test('should drop topics that render empty and skip topics that cannot be rendered', () => {
+      expect(
+        resolveTopics(
+          ['existing'],
+          {
+            replace: null,
+            add: ['{{#if repo.visibility}}{{repo.visibility}}{{/if}}', 'team-{{repo.custom_properties.team}}'],
+            remove: []
+          },
+          { 'repo.visibility': '' }
+        )
+      ).toEqual({
+        topics: ['existing'],
+        skipped: [
+          `Skipped topic 'team-{{repo.custom_properties.team}}': Undefined template variable 'repo.custom_properties.team' on line 1`
+        ]
+      });
+    });
+
+    test('should apply additions and removals on top of a replacement list', () => {
+      expect(resolveTopics(['old'], { replace: ['base', 'extra'], add: ['added'], remove: ['extra'] }, {})).toEqual({
+        topics: ['base', 'added'],
+        skipped: []
+      });
+    });
+
+    test('should reject more than 20 topics', () => {
+      const topics = Array.from({ length: 21 }, (_, index) => `topic-${index}`);
+      expect(() => resolveTopics([], { replace: topics, add: [], remove: [] }, {})).toThrow(
+        `21 topics exceed GitHub's limit of 20 topics per repository`
+      );
+    });
+  });
+
+  describe('getInvalidTopics', () => {
+    test('should flag topics that break GitHub naming rules', () => {
+      expect(
+        getInvalidTopics(['valid-topic', 'node22', 'Uppercase', '-leading-hyphen', 'under_score', 'a'.repeat(51)])
+      ).toEqual(['Uppercase', '-leading-hyphen', 'under_score', 'a'.repeat(51)]);
+    });
+  });
+
   describe('updateRepositorySettings', () => {
     test('should update repository settings successfully', async () => {
       mockOctokit.rest.repos.get.mockResolvedValue({
@@ -1792,78 +2540,280 @@ describe('Bulk GitHub Repository Settings Action', () => {
       });
     });
 
-    test('should enable CodeQL scanning when requested', async () => {
+    test('should track and preview repository feature toggles in dry-run mode', async () => {
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          allow_squash_merge: false,
+          allow_squash_merge: true,
+          has_issues: true,
+          has_wiki: true,
+          has_projects: true,
+          has_discussions: false,
+          is_template: false,
+          web_commit_signoff_required: false,
           permissions: { admin: true, push: true, pull: true }
         }
       });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
-        Object.assign(new Error('Not found'), { status: 404 })
-      );
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
 
-      const settings = { allow_squash_merge: true };
+      const settings = {
+        has_issues: true,
+        has_wiki: false,
+        has_projects: false,
+        has_discussions: true,
+        is_template: false,
+        web_commit_signoff_required: true
+      };
 
-      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', settings, true, null, null, null, false);
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', settings, null, null, null, null, true);
 
       expect(result.success).toBe(true);
-      expect(result.codeScanningEnabled).toBe(true);
-      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        state: 'configured',
-        query_suite: 'default'
-      });
+      expect(result.changes).toEqual([
+        { setting: 'has_wiki', from: true, to: false },
+        { setting: 'has_projects', from: true, to: false },
+        { setting: 'has_discussions', from: false, to: true },
+        { setting: 'web_commit_signoff_required', from: false, to: true }
+      ]);
+      expect(result.currentSettings).toEqual({
+        has_issues: true,
+        has_wiki: true,
+        has_projects: true,
+        has_discussions: false,
+        is_template: false,
+        web_commit_signoff_required: false
+      });
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({
+          message: 'Would update settings: has-wiki, has-projects, has-discussions, web-commit-signoff-required'
+        })
+      );
+      expect(mockOctokit.rest.repos.update).not.toHaveBeenCalled();
     });
 
-    test('should disable CodeQL scanning when requested and currently configured', async () => {
+    test('should only sync allow-forking on private and internal repositories', async () => {
+      mockOctokit.rest.repos.update.mockResolvedValue({});
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          allow_squash_merge: false,
+          allow_squash_merge: true,
+          visibility: 'public',
+          allow_forking: true,
           permissions: { admin: true, push: true, pull: true }
         }
       });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
-        data: { state: 'configured' }
-      });
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
 
-      const settings = { allow_squash_merge: true };
-
-      const result = await updateRepositorySettings(
+      const publicResult = await updateRepositorySettings(
         mockOctokit,
-        'owner/repo',
-        settings,
-        false,
+        'owner/public-repo',
+        { allow_forking: false },
+        null,
         null,
         null,
         null,
         false
       );
 
-      expect(result.success).toBe(true);
-      expect(result.codeScanningDisabled).toBe(true);
-      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        state: 'not-configured',
-        query_suite: 'default'
-      });
-    });
+      expect(publicResult.changes).toEqual([]);
+      expect(mockOctokit.rest.repos.update).not.toHaveBeenCalled();
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        '  ⚠️  Skipping allow-forking for owner/public-repo: forking is always allowed for public repositories'
+      );
 
-    test('should not disable CodeQL scanning when already not configured', async () => {
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          allow_squash_merge: false,
+          allow_squash_merge: true,
+          visibility: 'internal',
+          allow_forking: true,
           permissions: { admin: true, push: true, pull: true }
         }
       });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
+
+      const internalResult = await updateRepositorySettings(
+        mockOctokit,
+        'owner/internal-repo',
+        { allow_forking: false },
+        null,
+        null,
+        null,
+        null,
+        false
+      );
+
+      expect(internalResult.changes).toEqual([{ setting: 'allow_forking', from: true, to: false }]);
+      expect(mockOctokit.rest.repos.update).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'internal-repo',
+        allow_forking: false
+      });
+    });
+
+    test('should render description and homepage templates with repository variables', async () => {
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          name: 'billing-api',
+          allow_squash_merge: true,
+          description: null,
+          homepage: '',
+          custom_properties: { team: 'payments' },
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+
+      const result = await updateRepositorySettings(
+        mockOctokit,
+        'owner/billing-api',
+        {
+          description: '{{repo.name}} service owned by {{repo.custom_properties.team}}',
+          homepage: '{{catalog}}/{{repo.name}}'
+        },
+        null,
+        null,
+        null,
+        null,
+        false,
+        { templateVars: { catalog: 'https://catalog.example.com' } }
+      );
+
+      expect(result.changes).toEqual([
+        { setting: 'description', from: null, to: 'billing-api service owned by payments' },
+        { setting: 'homepage', from: '', to: 'https://catalog.example.com/billing-api' }
+      ]);
+      expect(mockOctokit.rest.repos.update).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'billing-api',
+        description: 'billing-api service owned by payments',
+        homepage: 'https://catalog.example.com/billing-api'
+      });
+    });
+
+    test('should only fill in empty values for only-if-empty settings', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          name: 'repo',
+          allow_squash_merge: true,
+          description: 'Hand-written description',
+          homepage: null,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+
+      const result = await updateRepositorySettings(
+        mockOctokit,
+        'owner/repo',
+        { description: 'The {{repo.name}} repository', homepage: 'https://catalog.example.com/{{repo.name}}' },
+        null,
+        null,
+        null,
+        null,
+        true,
+        { onlyIfEmpty: ['description', 'homepage'] }
+      );
+
+      expect(result.changes).toEqual([{ setting: 'homepage', from: null, to: 'https://catalog.example.com/repo' }]);
+    });
+
+    test('should skip a templated setting with an undefined variable and report a warning', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          name: 'repo',
+          allow_squash_merge: true,
+          description: 'Old',
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+
+      const result = await updateRepositorySettings(
+        mockOctokit,
+        'owner/repo',
+        { description: '{{repo.custom_properties.team}} service' },
+        null,
+        null,
+        null,
+        null,
+        true
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.changes).toEqual([]);
+      expect(result.hasWarnings).toBe(true);
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({
+          status: 'warning',
+          message: `Skipping description for owner/repo: Undefined template variable 'repo.custom_properties.team' on line 1`
+        })
+      );
+    });
+
+    test('should enable CodeQL scanning when requested', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: false,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
+        Object.assign(new Error('Not found'), { status: 404 })
+      );
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+
+      const settings = { allow_squash_merge: true };
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', settings, true, null, null, null, false);
+
+      expect(result.success).toBe(true);
+      expect(result.codeScanningEnabled).toBe(true);
+      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        state: 'configured',
+        query_suite: 'default'
+      });
+    });
+
+    test('should disable CodeQL scanning when requested and currently configured', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: false,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
+        data: { state: 'configured' }
+      });
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+
+      const settings = { allow_squash_merge: true };
+
+      const result = await updateRepositorySettings(
+        mockOctokit,
+        'owner/repo',
+        settings,
+        false,
+        null,
+        null,
+        null,
+        false
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.codeScanningDisabled).toBe(true);
+      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        state: 'not-configured',
+        query_suite: 'default'
+      });
+    });
+
+    test('should not disable CodeQL scanning when already not configured', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: false,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
         Object.assign(new Error('Not found'), { status: 404 })
       );
 
@@ -2081,110 +3031,420 @@ describe('Bulk GitHub Repository Settings Action', () => {
       expect(mockOctokit.rest.repos.replaceAllTopics).not.toHaveBeenCalled();
     });
 
-    test('should enable immutable releases when requested', async () => {
+    test('should add and remove topics while keeping the other repository topics', async () => {
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          allow_squash_merge: false,
+          name: 'repo',
+          allow_squash_merge: true,
+          custom_properties: { team: 'payments' },
           permissions: { admin: true, push: true, pull: true }
         }
       });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      // Mock GET to return 404 (not enabled)
-      mockOctokit.request.mockRejectedValueOnce({ status: 404 });
-      // Mock PUT to enable
-      mockOctokit.request.mockResolvedValueOnce({});
-
-      const settings = { allow_squash_merge: true };
+      mockOctokit.rest.repos.getAllTopics.mockResolvedValue({
+        data: { names: ['team-owned', 'deprecated', 'team-payments'] }
+      });
+      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
 
-      const result = await updateRepositorySettings(
-        mockOctokit,
-        'owner/repo',
-        settings,
-        false,
-        true,
-        null,
-        null,
-        false
-      );
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        topicsAdd: ['managed', 'team-{{repo.custom_properties.team}}'],
+        topicsRemove: ['deprecated']
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.immutableReleasesUpdated).toBe(true);
-      expect(result.immutableReleasesChange).toBeDefined();
-      expect(result.immutableReleasesChange.from).toBe(false);
-      expect(result.immutableReleasesChange.to).toBe(true);
-      expect(mockOctokit.request).toHaveBeenCalledWith('GET /repos/{owner}/{repo}/immutable-releases', {
-        owner: 'owner',
-        repo: 'repo',
-        headers: {
-          'X-GitHub-Api-Version': '2022-11-28'
-        }
+      expect(result.topicsChange).toEqual({
+        from: ['team-owned', 'deprecated', 'team-payments'],
+        to: ['team-owned', 'team-payments', 'managed'],
+        added: ['managed'],
+        removed: ['deprecated']
       });
-      expect(mockOctokit.request).toHaveBeenCalledWith('PUT /repos/{owner}/{repo}/immutable-releases', {
+      expect(mockOctokit.rest.repos.replaceAllTopics).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        headers: {
-          'X-GitHub-Api-Version': '2022-11-28'
-        }
+        names: ['team-owned', 'team-payments', 'managed']
       });
     });
 
-    test('should disable immutable releases when requested', async () => {
+    test('should not call the topics API with topics that break GitHub naming rules', async () => {
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          allow_squash_merge: false,
+          name: 'repo',
+          allow_squash_merge: true,
+          custom_properties: { team: 'Payments Team' },
           permissions: { admin: true, push: true, pull: true }
         }
       });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      // Mock GET to return success with enabled: true
-      mockOctokit.request.mockResolvedValueOnce({ data: { enabled: true, enforced_by_owner: false } });
-      // Mock DELETE to disable
-      mockOctokit.request.mockResolvedValueOnce({});
+      mockOctokit.rest.repos.getAllTopics.mockResolvedValue({ data: { names: [] } });
 
-      const settings = { allow_squash_merge: true };
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        topicsAdd: ['team-{{repo.custom_properties.team}}']
+      });
 
-      const result = await updateRepositorySettings(
-        mockOctokit,
-        'owner/repo',
-        settings,
-        false,
-        false,
-        null,
-        null,
-        false
+      expect(result.hasWarnings).toBe(true);
+      expect(result.topicsWarning).toBe(
+        'Could not process topics: Invalid topic(s): team-Payments Team. Topics must start with a lowercase letter or number, contain only lowercase letters, numbers and hyphens, and be at most 50 characters'
       );
+      expect(mockOctokit.rest.repos.replaceAllTopics).not.toHaveBeenCalled();
+    });
 
-      expect(result.success).toBe(true);
-      expect(result.immutableReleasesUpdated).toBe(true);
-      expect(result.immutableReleasesChange).toBeDefined();
-      expect(result.immutableReleasesChange.from).toBe(true);
-      expect(result.immutableReleasesChange.to).toBe(false);
-      expect(mockOctokit.request).toHaveBeenCalledWith('DELETE /repos/{owner}/{repo}/immutable-releases', {
+    test('should rename the default branch when the target branch does not exist', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'master',
+          allow_squash_merge: true,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.getBranch.mockRejectedValue({ status: 404, message: 'Branch not found' });
+      mockOctokit.rest.repos.renameBranch.mockResolvedValue({});
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        defaultBranch: 'main'
+      });
+
+      expect(result.defaultBranchChange).toEqual({ from: 'master', to: 'main', action: 'rename' });
+      expect(mockOctokit.rest.repos.renameBranch).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        headers: {
-          'X-GitHub-Api-Version': '2022-11-28'
-        }
+        branch: 'master',
+        new_name: 'main'
       });
+      expect(mockOctokit.rest.repos.update).not.toHaveBeenCalled();
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({
+          kind: 'default-branch',
+          status: 'changed',
+          message: 'Renamed default branch: master → main'
+        })
+      );
     });
 
-    test('should handle immutable releases already in desired state', async () => {
+    test('should switch to an existing branch that contains the current default branch', async () => {
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          allow_squash_merge: false,
+          default_branch: 'master',
+          allow_squash_merge: true,
           permissions: { admin: true, push: true, pull: true }
         }
       });
+      mockOctokit.rest.repos.getBranch.mockResolvedValue({ data: { name: 'main' } });
+      mockOctokit.rest.repos.compareCommits.mockResolvedValue({
+        data: { status: 'ahead', ahead_by: 2, behind_by: 0 }
+      });
       mockOctokit.rest.repos.update.mockResolvedValue({});
-      // Mock GET to return success with enabled: true (already enabled)
-      mockOctokit.request.mockResolvedValueOnce({ data: { enabled: true, enforced_by_owner: false } });
 
-      const settings = { allow_squash_merge: true };
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        defaultBranch: 'main'
+      });
 
-      const result = await updateRepositorySettings(
-        mockOctokit,
-        'owner/repo',
-        settings,
+      expect(result.defaultBranchChange).toEqual({ from: 'master', to: 'main', action: 'switch' });
+      expect(mockOctokit.rest.repos.compareCommits).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        base: 'master',
+        head: 'main'
+      });
+      expect(mockOctokit.rest.repos.update).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        default_branch: 'main'
+      });
+      expect(mockOctokit.rest.repos.renameBranch).not.toHaveBeenCalled();
+    });
+
+    test('should skip the default branch change when the existing target branch has diverged', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'master',
+          allow_squash_merge: true,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.getBranch.mockResolvedValue({ data: { name: 'main' } });
+      mockOctokit.rest.repos.compareCommits.mockResolvedValue({
+        data: { status: 'diverged', ahead_by: 1, behind_by: 3 }
+      });
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        defaultBranch: 'main'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.hasWarnings).toBe(true);
+      expect(result.defaultBranchChange).toBeUndefined();
+      expect(result.defaultBranchWarning).toBe(
+        `Branch 'main' already exists with different history than 'master' (1 commit(s) ahead, 3 commit(s) behind); skipping default branch change`
+      );
+      expect(mockOctokit.rest.repos.update).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.renameBranch).not.toHaveBeenCalled();
+    });
+
+    test('should preview a default branch rename in dry-run mode', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'master',
+          allow_squash_merge: true,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.getBranch.mockRejectedValue({ status: 404, message: 'Branch not found' });
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, true, {
+        defaultBranch: 'main'
+      });
+
+      expect(result.defaultBranchWouldUpdate).toBe(true);
+      expect(mockOctokit.rest.repos.renameBranch).not.toHaveBeenCalled();
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({
+          kind: 'default-branch',
+          status: 'changed',
+          message: 'Would rename default branch: master → main'
+        })
+      );
+    });
+
+    test('should leave the default branch alone when it already matches', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          allow_squash_merge: true,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        defaultBranch: 'main'
+      });
+
+      expect(result.defaultBranchUnchanged).toBe(true);
+      expect(mockOctokit.rest.repos.getBranch).not.toHaveBeenCalled();
+      expect(result.subResults).toEqual([]);
+    });
+
+    test('should update GitHub Actions permissions and keep unmanaged fields', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: true,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.request
+        .mockResolvedValueOnce({ data: { enabled: true, allowed_actions: 'all', selected_actions_url: 'https://x' } })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({
+          data: { default_workflow_permissions: 'write', can_approve_pull_request_reviews: true }
+        })
+        .mockResolvedValueOnce({});
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        actionsPermissions: { allowed_actions: 'local_only', default_workflow_permissions: 'read' }
+      });
+
+      expect(mockOctokit.request).toHaveBeenCalledWith('PUT /repos/{owner}/{repo}/actions/permissions', {
+        owner: 'owner',
+        repo: 'repo',
+        enabled: true,
+        allowed_actions: 'local_only'
+      });
+      expect(mockOctokit.request).toHaveBeenCalledWith('PUT /repos/{owner}/{repo}/actions/permissions/workflow', {
+        owner: 'owner',
+        repo: 'repo',
+        default_workflow_permissions: 'read',
+        can_approve_pull_request_reviews: true
+      });
+      expect(result.actionsPermissionsChanges).toEqual([{ setting: 'allowed_actions', from: 'all', to: 'local_only' }]);
+      expect(result.subResults).toEqual([
+        { kind: 'actions-permissions', status: 'changed', message: 'Updated Actions permissions: allowed-actions' },
+        {
+          kind: 'actions-workflow-permissions',
+          status: 'changed',
+          message: 'Updated workflow permissions: default-workflow-permissions'
+        }
+      ]);
+    });
+
+    test('should compare an allow list regardless of order and leave it unchanged', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: true,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.request
+        .mockResolvedValueOnce({ data: { enabled: true, allowed_actions: 'selected' } })
+        .mockResolvedValueOnce({
+          data: { github_owned_allowed: true, verified_allowed: false, patterns_allowed: ['docker/*', 'my-org/*'] }
+        });
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        actionsPermissions: { patterns_allowed: ['my-org/*', 'docker/*'] }
+      });
+
+      expect(result.actionsSelectedActionsUnchanged).toBe(true);
+      expect(mockOctokit.request).toHaveBeenCalledTimes(2);
+      expect(result.subResults).toEqual([]);
+    });
+
+    test('should warn instead of managing the allow list when selected actions are not in use', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: true,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.request.mockResolvedValueOnce({ data: { enabled: true, allowed_actions: 'all' } });
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, false, {
+        actionsPermissions: { verified_allowed: true }
+      });
+
+      expect(result.hasWarnings).toBe(true);
+      expect(result.actionsSelectedActionsWarning).toBe(
+        `Could not process allowed actions: allowed actions is 'all'; set actions-allowed-actions to 'selected' to manage the allow list`
+      );
+      expect(result.subResults).toContainEqual({
+        kind: 'actions-selected-actions',
+        status: 'warning',
+        message: 'Allowed actions produced a warning'
+      });
+      expect(mockOctokit.request).not.toHaveBeenCalledWith(expect.stringMatching(/^PUT /), expect.anything());
+    });
+
+    test('should preview switching to selected actions with an allow list in dry-run mode', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: true,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.request.mockResolvedValueOnce({ data: { enabled: true, allowed_actions: 'all' } });
+
+      const result = await updateRepositorySettings(mockOctokit, 'owner/repo', {}, null, null, null, null, true, {
+        actionsPermissions: { allowed_actions: 'selected', github_owned_allowed: true, patterns_allowed: ['my-org/*'] }
+      });
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(1);
+      expect(result.actionsSelectedActionsChanges).toEqual([
+        { setting: 'github_owned_allowed', from: undefined, to: true },
+        { setting: 'patterns_allowed', from: undefined, to: ['my-org/*'] }
+      ]);
+      expect(result.subResults).toEqual([
+        {
+          kind: 'actions-permissions',
+          status: 'changed',
+          message: 'Would update Actions permissions: allowed-actions'
+        },
+        {
+          kind: 'actions-selected-actions',
+          status: 'changed',
+          message: 'Would update allowed actions: github-owned-allowed, patterns-allowed'
+        }
+      ]);
+    });
+
+    test('should enable immutable releases when requested', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: false,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      // Mock GET to return 404 (not enabled)
+      mockOctokit.request.mockRejectedValueOnce({ status: 404 });
+      // Mock PUT to enable
+      mockOctokit.request.mockResolvedValueOnce({});
+
+      const settings = { allow_squash_merge: true };
+
+      const result = await updateRepositorySettings(
+        mockOctokit,
+        'owner/repo',
+        settings,
+        false,
+        true,
+        null,
+        null,
+        false
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.immutableReleasesUpdated).toBe(true);
+      expect(result.immutableReleasesChange).toBeDefined();
+      expect(result.immutableReleasesChange.from).toBe(false);
+      expect(result.immutableReleasesChange.to).toBe(true);
+      expect(mockOctokit.request).toHaveBeenCalledWith('GET /repos/{owner}/{repo}/immutable-releases', {
+        owner: 'owner',
+        repo: 'repo',
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28'
+        }
+      });
+      expect(mockOctokit.request).toHaveBeenCalledWith('PUT /repos/{owner}/{repo}/immutable-releases', {
+        owner: 'owner',
+        repo: 'repo',
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28'
+        }
+      });
+    });
+
+    test('should disable immutable releases when requested', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: false,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      // Mock GET to return success with enabled: true
+      mockOctokit.request.mockResolvedValueOnce({ data: { enabled: true, enforced_by_owner: false } });
+      // Mock DELETE to disable
+      mockOctokit.request.mockResolvedValueOnce({});
+
+      const settings = { allow_squash_merge: true };
+
+      const result = await updateRepositorySettings(
+        mockOctokit,
+        'owner/repo',
+        settings,
+        false,
+        false,
+        null,
+        null,
+        false
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.immutableReleasesUpdated).toBe(true);
+      expect(result.immutableReleasesChange).toBeDefined();
+      expect(result.immutableReleasesChange.from).toBe(true);
+      expect(result.immutableReleasesChange.to).toBe(false);
+      expect(mockOctokit.request).toHaveBeenCalledWith('DELETE /repos/{owner}/{repo}/immutable-releases', {
+        owner: 'owner',
+        repo: 'repo',
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28'
+        }
+      });
+    });
+
+    test('should handle immutable releases already in desired state', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          allow_squash_merge: false,
+          permissions: { admin: true, push: true, pull: true }
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      // Mock GET to return success with enabled: true (already enabled)
+      mockOctokit.request.mockResolvedValueOnce({ data: { enabled: true, enforced_by_owner: false } });
+
+      const settings = { allow_squash_merge: true };
+
+      const result = await updateRepositorySettings(
+        mockOctokit,
+        'owner/repo',
+        settings,
         false,
         true,
         null,
@@ -3548,929 +4808,2653 @@ describe('Bulk GitHub Repository Settings Action', () => {
       expect(mockCore.setFailed).toHaveBeenCalledWith('1 repository failed to update');
     });
 
-    test('should fail when no token provided', async () => {
+    test('should process repositories concurrently and keep results in input order', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
-          'github-token': '',
-          repositories: 'owner/repo1'
+          'github-token': 'test-token',
+          repositories: 'owner/repo1,owner/repo2',
+          'allow-squash-merge': 'true',
+          'max-concurrency': '2'
         };
         return inputs[name] || '';
       });
 
+      let releaseRepo1;
+      const repo1Gate = new Promise(resolve => {
+        releaseRepo1 = resolve;
+      });
+      mockOctokit.rest.repos.get.mockImplementation(async ({ repo }) => {
+        if (repo === 'repo1') {
+          await repo1Gate;
+        } else {
+          releaseRepo1();
+        }
+        return { data: makeReadableRepoData() };
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
       await run();
 
-      expect(mockCore.setFailed).toHaveBeenCalledWith('Action failed with error: github-token is required');
+      expect(mockCore.info).toHaveBeenCalledWith('Processing up to 2 repositories concurrently');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+
+      const results = getResultsOutput();
+      expect(results.map(r => r.repository)).toEqual(['owner/repo1', 'owner/repo2']);
+
+      // repo2 finishes first, so its log block is flushed before repo1's
+      const infoMessages = mockCore.info.mock.calls.map(([message]) => message);
+      const repo1Start = infoMessages.indexOf('Updating owner/repo1...');
+      const repo2Start = infoMessages.indexOf('Updating owner/repo2...');
+      expect(repo2Start).toBeLessThan(repo1Start);
+      const repo2Done = infoMessages.indexOf('✅ Successfully updated owner/repo2');
+      expect(repo2Done).toBeGreaterThan(repo2Start);
+      expect(repo2Done).toBeLessThan(repo1Start);
     });
 
-    test('should fail when invalid enum value is provided for squash-merge-commit-title', async () => {
+    test('should not buffer log output when max-concurrency is 1', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true',
-          'squash-merge-commit-title': 'INVALID_VALUE'
+          repositories: 'owner/repo1,owner/repo2',
+          'allow-squash-merge': 'true'
         };
         return inputs[name] || '';
       });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
 
       await run();
 
-      expect(mockCore.setFailed).toHaveBeenCalledWith(
-        expect.stringContaining(
-          `Invalid value for 'squash-merge-commit-title': 'INVALID_VALUE'. Allowed values: PR_TITLE, COMMIT_OR_PR_TITLE`
-        )
+      expect(mockCore.info).not.toHaveBeenCalledWith(expect.stringContaining('concurrently'));
+      const infoMessages = mockCore.info.mock.calls.map(([message]) => message);
+      expect(infoMessages.indexOf('Updating owner/repo1...')).toBeLessThan(
+        infoMessages.indexOf('Updating owner/repo2...')
       );
     });
 
-    test('should fail when no settings specified', async () => {
+    test('should install the request retry hook and report retries in the job summary', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1'
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true'
         };
         return inputs[name] || '';
       });
 
-      await run();
-
-      expect(mockCore.setFailed).toHaveBeenCalledWith(
-        'Action failed with error: At least one repository setting must be specified (or code-scanning must be true, or immutable-releases must be specified, or security settings must be specified, or topics must be provided, or dependabot-yml must be specified, or gitignore must be specified, or rulesets-file must be specified, or pull-request-template must be specified, or workflow-files must be specified, or autolinks-file must be specified, or environments must be specified, or copilot-instructions-md must be specified, or codeowners must be specified, or package-json-file with package-json-sync-scripts or package-json-sync-engines must be specified)'
-      );
-    });
-
-    test('should allow topics as the only setting', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          topics: 'javascript,github-actions,automation'
-        };
-        return inputs[name] || '';
+      let requestHook;
+      mockOctokit.hook.wrap.mockImplementationOnce((name, hook) => {
+        requestHook = hook;
       });
-
+      const serviceUnavailable = new Error('Service Unavailable');
+      serviceUnavailable.status = 503;
+      serviceUnavailable.response = { status: 503, headers: { 'retry-after': '0.001' } };
+      const flakyRequest = jest
+        .fn()
+        .mockRejectedValueOnce(serviceUnavailable)
+        .mockResolvedValueOnce({ data: makeReadableRepoData() });
+      mockOctokit.rest.repos.get.mockImplementationOnce(() =>
+        requestHook(flakyRequest, { method: 'GET', url: '/repos/{owner}/{repo}' })
+      );
       mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
 
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(mockOctokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
+      expect(flakyRequest).toHaveBeenCalledTimes(2);
       expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      expect(mockOctokit.rest.repos.replaceAllTopics).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo1',
-        names: ['javascript', 'github-actions', 'automation']
-      });
+      expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('🔁 GitHub API: 1 retry'));
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(expect.stringContaining('**GitHub API:** 1 retry'));
     });
 
-    test('should allow CodeQL scanning as the only setting', async () => {
+    test('should fail on invalid max-retries', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'code-scanning': 'true'
+          'allow-squash-merge': 'true',
+          'max-retries': '-1'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
-
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo1',
-        state: 'configured',
-        query_suite: 'default'
-      });
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Action failed with error: Invalid value for 'max-retries': '-1'. Must be a non-negative integer`
+      );
     });
 
-    test('should count warning-only repositories separately from failures', async () => {
+    test('should report drift and fail in check mode without applying changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'code-scanning': 'true'
+          repositories: 'owner/repo1,owner/repo2',
+          'allow-squash-merge': 'true',
+          mode: 'check'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(new Error('Advanced Security required'));
+      mockOctokit.rest.repos.get
+        .mockResolvedValueOnce({ data: makeReadableRepoData() })
+        .mockResolvedValueOnce({ data: makeReadableRepoData({ allow_squash_merge: true }) });
 
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
-      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Could not process CodeQL'));
-    });
+      expect(mockOctokit.rest.repos.update).not.toHaveBeenCalled();
+      expect(mockCore.info).toHaveBeenCalledWith('🔎 CHECK MODE: Reporting drift without applying changes');
 
-    test('should count nested sync helper failures as warnings', async () => {
-      setMockFileContent('{invalid json', './ruleset.json');
+      const driftCall = mockCore.setOutput.mock.calls.find(([name]) => name === 'drift-report');
+      const driftReport = JSON.parse(driftCall[1]);
+      expect(driftReport).toEqual([
+        {
+          repository: 'owner/repo1',
+          drift: [{ kind: 'settings', status: 'changed', message: 'Would update settings: allow-squash-merge' }]
+        }
+      ]);
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('**Drifted:** 1\n\n');
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Drift detected in 1 repository');
+    });
 
+    test('should succeed in check mode when no repository has drifted', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
           'allow-squash-merge': 'true',
-          'rulesets-file': './ruleset.json'
+          mode: 'check'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ allow_squash_merge: true }) });
 
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
-      expect(mockCore.warning).toHaveBeenCalledWith(
-        expect.stringContaining('Failed to read or parse ruleset file at ./ruleset.json')
-      );
+      expect(mockCore.setOutput).toHaveBeenCalledWith('drift-report', '[]');
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
     });
 
-    test('should honor repo-specific delete-unmanaged-rulesets override', async () => {
-      setMockFileContent(
-        JSON.stringify({
-          repos: [
-            {
-              repo: 'owner/repo1',
-              'rulesets-file': './ruleset.json',
-              'delete-unmanaged-rulesets': true
-            }
-          ]
-        }),
-        'repos.yml'
-      );
-      setMockYamlContent(
-        {
-          repos: [
-            {
-              repo: 'owner/repo1',
-              'rulesets-file': './ruleset.json',
-              'delete-unmanaged-rulesets': true
-            }
-          ]
-        },
-        JSON.stringify({
-          repos: [
-            {
-              repo: 'owner/repo1',
-              'rulesets-file': './ruleset.json',
-              'delete-unmanaged-rulesets': true
-            }
-          ]
-        })
-      );
-      setMockFileContent(
-        JSON.stringify({
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'active',
-          rules: [{ type: 'deletion' }]
-        }),
-        './ruleset.json'
-      );
-
+    test('should report an unmerged sync PR as drift in check mode', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          'repositories-file': 'repos.yml',
-          'delete-unmanaged-rulesets': 'false'
+          repositories: 'owner/repo1',
+          'dependabot-yml': './dependabot.yml',
+          mode: 'check'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: makeReadableRepoData()
-      });
-      mockOctokit.paginate.mockResolvedValue([
-        { id: 123, name: 'ci' },
-        { id: 456, name: 'obsolete' }
-      ]);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'main' }) });
+      setMockFileContent('version: 2\nupdates: []');
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => ({
         data: {
-          id: 123,
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'active',
-          rules: [{ type: 'deletion' }]
+          content: Buffer.from(
+            ref === 'dependabot-yml-sync' ? 'version: 2\nupdates: []' : 'version: 2\nupdates: [old]'
+          ).toString('base64')
         }
+      }));
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{ number: 77, html_url: 'https://github.com/owner/repo1/pull/77' }]
       });
 
       await run();
 
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo1',
-        ruleset_id: 456
-      });
+      const driftReport = JSON.parse(mockCore.setOutput.mock.calls.find(([name]) => name === 'drift-report')[1]);
+      expect(driftReport).toEqual([
+        {
+          repository: 'owner/repo1',
+          drift: [
+            expect.objectContaining({
+              kind: 'dependabot-sync',
+              status: 'pending',
+              syncStatus: 'pr-up-to-date',
+              prNumber: 77
+            })
+          ]
+        }
+      ]);
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Drift detected in 1 repository');
+      mockOctokit.rest.repos.getContent.mockReset();
     });
 
-    test('should separate clean, warning-only, and failed repositories in mixed runs', async () => {
+    test('should report warnings as drift in check mode', async () => {
+      setMockFileContent('{invalid json', './ruleset.json');
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1,owner/repo2,owner/repo3',
-          'allow-squash-merge': 'true',
-          'code-scanning': 'true'
+          repositories: 'owner/repo1',
+          'rulesets-file': './ruleset.json',
+          mode: 'check'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update
-        .mockResolvedValueOnce({})
-        .mockResolvedValueOnce({})
-        .mockRejectedValueOnce(new Error('API Error'));
-      mockOctokit.rest.codeScanning.updateDefaultSetup
-        .mockResolvedValueOnce({})
-        .mockRejectedValueOnce(new Error('Advanced Security required'));
-
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '2');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+      const driftReport = JSON.parse(mockCore.setOutput.mock.calls.find(([name]) => name === 'drift-report')[1]);
+      expect(driftReport).toEqual([
+        {
+          repository: 'owner/repo1',
+          drift: [expect.objectContaining({ kind: 'ruleset-sync', status: 'warning' })]
+        }
+      ]);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Drift detected in 1 repository');
     });
 
-    test('should count a repository with multiple warnings only once', async () => {
+    test('should force dry-run in check mode even when dry-run is false', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
           'allow-squash-merge': 'true',
-          'code-scanning': 'true',
-          'secret-scanning': 'true'
+          'dry-run': 'false',
+          mode: 'CHECK'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update
-        .mockResolvedValueOnce({})
-        .mockRejectedValueOnce(new Error('Secret scanning not available'));
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(new Error('Advanced Security required'));
-
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
-      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Could not process CodeQL'));
-      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Could not process secret scanning'));
+      expect(mockOctokit.rest.repos.update).not.toHaveBeenCalled();
+      expect(getResultsOutput()[0].dryRun).toBe(true);
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Drift detected in 1 repository');
     });
 
-    test('should count multiple warning-only repositories', async () => {
+    test('should not emit drift-report in sync mode', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1,owner/repo2',
-          'code-scanning': 'true'
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true'
         };
         return inputs[name] || '';
       });
-
-      mockOctokit.rest.codeScanning.updateDefaultSetup
-        .mockRejectedValueOnce(new Error('Advanced Security required'))
-        .mockRejectedValueOnce(new Error('Advanced Security required'));
+      mockOctokit.rest.repos.update.mockResolvedValue({});
 
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '2');
+      expect(mockCore.setOutput).not.toHaveBeenCalledWith('drift-report', expect.anything());
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
     });
 
-    test('should handle archived and warning-only repositories in the same run', async () => {
+    test('should fail on invalid mode', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1,owner/repo2',
-          'code-scanning': 'true'
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true',
+          mode: 'audit'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.get
-        .mockResolvedValueOnce({
-          data: {
-            archived: true,
-            permissions: { admin: true, push: true, pull: true }
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            archived: false,
-            permissions: { admin: true, push: true, pull: true },
-            allow_squash_merge: false,
-            allow_merge_commit: true,
-            allow_rebase_merge: true,
-            delete_branch_on_merge: false,
-            allow_auto_merge: false,
-            allow_update_branch: false
-          }
-        });
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValueOnce(new Error('Advanced Security required'));
-
       await run();
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '2');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Action failed with error: Invalid value for 'mode': 'audit'. Allowed values: SYNC, CHECK, EXPORT`
+      );
     });
 
-    test('should include hasWarnings in results output for warning-only and clean repositories', async () => {
+    test('should export repository state without applying changes in export mode', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1,owner/repo2',
-          'code-scanning': 'true'
+          repositories: 'owner/repo1',
+          mode: 'export',
+          'export-path': './export'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.codeScanning.updateDefaultSetup
-        .mockResolvedValueOnce({})
-        .mockRejectedValueOnce(new Error('Advanced Security required'));
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: makeReadableRepoData({ allow_squash_merge: true, topics: ['javascript'] })
+      });
+      mockOctokit.paginate.mockResolvedValue([]);
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
+      mockOctokit.request.mockImplementation(async route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return { data: { environments: [] } };
+        }
+        return { data: { enabled: false } };
+      });
 
       await run();
 
-      const resultsCall = mockCore.setOutput.mock.calls.find(([name]) => name === 'results');
-      const results = JSON.parse(resultsCall[1]);
+      expect(mockCore.info).toHaveBeenCalledWith(
+        '📤 EXPORT MODE: Writing current repository state to configuration files'
+      );
+      expect(mockOctokit.rest.repos.update).not.toHaveBeenCalled();
+      expect(mockCore.setOutput).toHaveBeenCalledWith('export-file', 'export/settings-config.yml');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockFs.writeFileSync).toHaveBeenCalledWith(
+        'export/settings-config.yml',
+        expect.stringContaining('"repos":["owner/repo1"]'),
+        'utf8'
+      );
+      expect(mockCore.setFailed).not.toHaveBeenCalled();
 
-      expect(results).toHaveLength(2);
-      expect(results[0].repository).toBe('owner/repo1');
-      expect(results[0].hasWarnings).toBe(false);
-      expect(results[1].repository).toBe('owner/repo2');
-      expect(results[1].hasWarnings).toBe(true);
-      expect(results[1].codeScanningWarning).toContain('Could not process CodeQL');
+      mockOctokit.request.mockReset();
+      mockOctokit.paginate.mockReset();
     });
 
-    test('should include subResults with correct shape and preserve legacy properties', async () => {
+    test('should sync all files through one combined PR when combine-file-prs is enabled', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'allow-squash-merge': 'true',
-          'code-scanning': 'true'
+          'dependabot-yml': './config/dependabot.yml',
+          gitignore: './config/.gitignore',
+          'combine-file-prs': 'true',
+          'dry-run': 'true'
         };
         return inputs[name] || '';
       });
-
-      // Settings change succeeds, CodeQL fails with warning
+      setMockFileContent('version: 2\n', './config/dependabot.yml');
+      setMockFileContent('node_modules/\n', './config/.gitignore');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'main' }) });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+
+      await run();
+
+      const [result] = getResultsOutput();
+      expect(result.combinedFileSync.combinedFiles).toBe('would-create');
+      expect(result.combinedFileSync.filesWouldCreate).toEqual(['.github/dependabot.yml', '.gitignore']);
+      expect(result.dependabotSync).toBeUndefined();
+      expect(result.gitignoreSync).toBeUndefined();
+      expect(result.subResults).toEqual([
+        expect.objectContaining({ kind: 'combined-file-sync', status: 'changed', syncStatus: 'would-create' })
+      ]);
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith(
+        expect.objectContaining({ head: 'owner:repo-files-sync' })
+      );
+    });
+
+    test('should fail only the repository whose configuration cannot be processed', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'allow-squash-merge': 'true',
+          'max-concurrency': '2'
+        };
+        return inputs[name] || '';
+      });
+      setMockFileContent('repos-content', 'repos.yml');
+      setMockYamlContent(
+        { repos: [{ repo: 'owner/repo1', 'rulesets-file': [123] }, { repo: 'owner/repo2' }] },
+        'repos-content'
+      );
       mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
-        data: { state: 'not-configured' }
+
+      await run();
+
+      const [failed, succeeded] = getResultsOutput();
+      expect(failed).toEqual(expect.objectContaining({ repository: 'owner/repo1', success: false }));
+      expect(failed.error).toContain('rulesets-file');
+      expect(succeeded).toEqual(expect.objectContaining({ repository: 'owner/repo2', success: true }));
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '1');
+      expect(mockCore.setFailed).toHaveBeenCalledWith('1 repository failed to update');
+    });
+
+    test('should apply repo-specific sync PR options over global inputs', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'dependabot-yml': './config/dependabot.yml',
+          'pr-labels': 'automated',
+          'pr-draft': 'true'
+        };
+        return inputs[name] || '';
       });
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(new Error('Advanced Security required'));
+      setMockFileContent('repos-content', 'repos.yml');
+      setMockFileContent('version: 2\n', './config/dependabot.yml');
+      setMockYamlContent(
+        { repos: [{ repo: 'owner/repo1', 'pr-labels': ['team-a'], 'pr-draft': false }] },
+        'repos-content'
+      );
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'main' }) });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, html_url: 'https://github.com/owner/repo1/pull/42' }
+      });
+      mockOctokit.rest.issues.getLabel.mockResolvedValue({ data: {} });
+      mockOctokit.rest.issues.addLabels.mockResolvedValue({});
 
       await run();
 
-      const resultsCall = mockCore.setOutput.mock.calls.find(([name]) => name === 'results');
-      const results = JSON.parse(resultsCall[1]);
-      const result = results[0];
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(expect.not.objectContaining({ draft: true }));
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith(
+        expect.objectContaining({ repo: 'repo1', labels: ['team-a'] })
+      );
+    });
 
-      // Verify subResults array exists with correct entries
-      expect(result.subResults).toBeDefined();
-      expect(Array.isArray(result.subResults)).toBe(true);
+    test('should apply a repo-specific default-branch over the global input', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'default-branch': 'main'
+        };
+        return inputs[name] || '';
+      });
+      setMockFileContent('repos-content', 'repos.yml');
+      setMockYamlContent({ repos: [{ repo: 'owner/repo1', 'default-branch': 'trunk' }] }, 'repos-content');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'master' }) });
+      mockOctokit.rest.repos.getBranch.mockRejectedValue({ status: 404, message: 'Branch not found' });
+      mockOctokit.rest.repos.renameBranch.mockResolvedValue({});
 
-      // Should have a CHANGED sub-result for settings
-      const settingsSubResult = result.subResults.find(s => s.kind === 'settings');
-      expect(settingsSubResult).toBeDefined();
-      expect(settingsSubResult.status).toBe('changed');
-      expect(settingsSubResult.message).toContain('settings');
+      await run();
 
-      // Should have a WARNING sub-result for code-scanning
-      const codeScanningSubResult = result.subResults.find(s => s.kind === 'code-scanning');
-      expect(codeScanningSubResult).toBeDefined();
-      expect(codeScanningSubResult.status).toBe('warning');
-      expect(codeScanningSubResult.message).toContain('CodeQL');
+      expect(mockOctokit.rest.repos.renameBranch).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo1',
+        branch: 'master',
+        new_name: 'trunk'
+      });
+      expect(mockCore.info).toHaveBeenCalledWith('  🌿 Default branch renamed: master → trunk');
+    });
 
-      // Verify legacy properties are still present for backward compat
-      expect(result.changes).toBeDefined();
-      expect(result.changes.length).toBeGreaterThan(0);
-      expect(result.codeScanningWarning).toContain('Could not process CodeQL');
-      expect(result.hasWarnings).toBe(true);
+    test('should apply repo-specific GitHub Actions permissions over global inputs', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'actions-workflow-permissions': 'read',
+          'actions-fork-pr-approval': 'all_external_contributors'
+        };
+        return inputs[name] || '';
+      });
+      setMockFileContent('repos-content', 'repos.yml');
+      setMockYamlContent(
+        { repos: [{ repo: 'owner/repo1', 'actions-workflow-permissions': 'write' }] },
+        'repos-content'
+      );
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'main' }) });
+      mockOctokit.request
+        .mockResolvedValueOnce({
+          data: { default_workflow_permissions: 'read', can_approve_pull_request_reviews: false }
+        })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ data: { approval_policy: 'all_external_contributors' } });
+
+      await run();
+
+      expect(mockOctokit.request).toHaveBeenCalledWith('PUT /repos/{owner}/{repo}/actions/permissions/workflow', {
+        owner: 'owner',
+        repo: 'repo1',
+        default_workflow_permissions: 'write',
+        can_approve_pull_request_reviews: false
+      });
+      expect(mockCore.info).toHaveBeenCalledWith('     default-workflow-permissions: read → write');
+      expect(mockCore.info).toHaveBeenCalledWith('  ⚙️ Fork pull request approval unchanged');
     });
 
-    for (const warningCase of [
-      {
-        name: 'topics',
-        inputs: {
-          topics: 'topic1,topic2'
-        },
-        setupMocks: () => {
-          mockOctokit.rest.repos.getAllTopics.mockRejectedValue(new Error('Topics unavailable'));
-        },
-        warningText: 'Could not process topics'
-      },
-      {
-        name: 'immutable releases',
-        inputs: {
-          'immutable-releases': 'true'
-        },
-        setupMocks: () => {
-          mockOctokit.request.mockRejectedValue(new Error('Immutable releases unavailable'));
-        },
-        warningText: 'Could not process immutable releases'
-      },
-      {
-        name: 'secret scanning',
-        inputs: {
-          'secret-scanning': 'true'
-        },
-        setupMocks: () => {
-          mockOctokit.rest.repos.update.mockRejectedValue(new Error('Secret scanning not available'));
-        },
-        warningText: 'Could not process secret scanning'
-      },
-      {
-        name: 'secret scanning push protection',
-        inputs: {
-          'secret-scanning-push-protection': 'true'
-        },
-        setupMocks: () => {
-          mockOctokit.rest.repos.update.mockRejectedValue(new Error('Push protection not available'));
-        },
-        warningText: 'Could not process secret scanning push protection'
-      },
-      {
-        name: 'Dependabot alerts',
-        inputs: {
-          'dependabot-alerts': 'true'
-        },
-        setupMocks: () => {
-          mockOctokit.request.mockRejectedValue(new Error('Dependabot alerts unavailable'));
-        },
-        warningText: 'Could not process Dependabot alerts'
-      },
-      {
-        name: 'Dependabot security updates',
-        inputs: {
-          'dependabot-security-updates': 'true'
-        },
-        setupMocks: () => {
-          mockOctokit.request.mockRejectedValue(new Error('Dependabot security updates unavailable'));
-        },
-        warningText: 'Could not process Dependabot security updates'
-      }
-    ]) {
-      test(`should mark hasWarnings for ${warningCase.name} warnings`, async () => {
-        mockCore.getInput.mockImplementation(name => {
-          const inputs = {
-            'github-token': 'test-token',
-            repositories: 'owner/repo1',
-            ...warningCase.inputs
-          };
-          return inputs[name] || '';
-        });
+    test('should fail when an invalid value is provided for actions-allowed-actions', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'actions-allowed-actions': 'some'
+        };
+        return inputs[name] || '';
+      });
 
-        mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData() });
-        mockOctokit.rest.repos.update.mockResolvedValue({});
-        mockOctokit.rest.repos.getAllTopics.mockResolvedValue({ data: { names: [] } });
-        mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
-        mockOctokit.request.mockResolvedValue({});
-        warningCase.setupMocks();
+      await run();
 
-        await run();
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Action failed with error: Invalid value for 'actions-allowed-actions': 'some'. Allowed values: ALL, LOCAL_ONLY, SELECTED`
+      );
+    });
 
-        expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-        expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-        expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
-        expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining(warningCase.warningText));
+    test('should report a warning sub-result when auto-merge is not allowed for the repo', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          gitignore: './config/.gitignore',
+          'gitignore-auto-merge': 'squash'
+        };
+        return inputs[name] || '';
+      });
+      setMockFileContent('node_modules/\n', './config/.gitignore');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: makeReadableRepoData({ default_branch: 'main', allow_auto_merge: false })
+      });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, node_id: 'PR_node42', html_url: 'https://github.com/owner/repo1/pull/42' }
+      });
 
-        const results = getResultsOutput();
-        expect(results[0].hasWarnings).toBe(true);
+      await run();
+
+      const [result] = getResultsOutput();
+      expect(mockOctokit.graphql).not.toHaveBeenCalledWith(
+        expect.stringContaining('enablePullRequestAutoMerge'),
+        expect.anything()
+      );
+      expect(result.gitignoreSync.autoMergeWarning).toBe(
+        'Auto-merge could not be enabled on PR #42: allow_auto_merge is off for this repository'
+      );
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({
+          kind: 'gitignore-sync',
+          status: 'warning',
+          message: 'Auto-merge could not be enabled on PR #42: allow_auto_merge is off for this repository',
+          prNumber: 42
+        })
+      );
+    });
+
+    test('should commit directly for repos with the direct file sync strategy', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          gitignore: './config/.gitignore'
+        };
+        return inputs[name] || '';
       });
-    }
+      setMockFileContent('repos-content', 'repos.yml');
+      setMockFileContent('node_modules/\n', './config/.gitignore');
+      setMockYamlContent({ repos: [{ repo: 'owner/repo1', 'file-sync-strategy': 'direct' }] }, 'repos-content');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'main' }) });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'main-sha' } } });
+      mockOctokit.rest.git.updateRef.mockResolvedValue({});
 
-    for (const warningCase of [
-      {
-        name: 'dependabot.yml sync',
-        inputs: {
-          'allow-squash-merge': 'true',
-          'dependabot-yml': './dependabot.yml'
-        },
-        setupMocks: () => {
-          setMockFileContent('version: 2\nupdates: []', './dependabot.yml');
-          mockOctokit.rest.repos.get
-            .mockResolvedValueOnce({ data: makeReadableRepoData() })
-            .mockRejectedValueOnce(new Error('Repo fetch failed'));
-        },
-        warningText: 'Failed to sync dependabot.yml: Repo fetch failed'
-      },
-      {
-        name: '.gitignore sync',
-        inputs: {
-          'allow-squash-merge': 'true',
-          gitignore: './source.gitignore'
-        },
-        setupMocks: () => {
-          setMockFileContent('node_modules/\n', './source.gitignore');
-          mockOctokit.rest.repos.get
-            .mockResolvedValueOnce({ data: makeReadableRepoData() })
+      await run();
+
+      const [result] = getResultsOutput();
+      expect(result.gitignoreSync.gitignore).toBe('committed');
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith(
+        expect.objectContaining({ repo: 'repo1', ref: 'heads/main', sha: 'new-commit-sha' })
+      );
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({ kind: 'gitignore-sync', status: 'changed', syncStatus: 'committed' })
+      );
+    });
+
+    test('should report package.json direct commit fallback and auto-merge warnings', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'package-json-file': './config/package.json',
+          'package-json-auto-merge': 'squash'
+        };
+        return inputs[name] || '';
+      });
+      setMockFileContent('repos-content', 'repos.yml');
+      setMockFileContent(JSON.stringify({ scripts: { test: 'jest' } }), './config/package.json');
+      setMockYamlContent(
+        { repos: [{ repo: 'owner/repo1', 'file-sync-strategy': 'direct', 'package-json-sync-scripts': true }] },
+        'repos-content'
+      );
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'main' }) });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'file-sha', content: Buffer.from(JSON.stringify({ name: 'repo1' })).toString('base64') }
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.git.getRef.mockImplementation(async ({ ref }) => {
+        if (ref === 'heads/package-json-sync') {
+          throw Object.assign(new Error('Not Found'), { status: 404 });
+        }
+        return { data: { object: { sha: 'main-sha' } } };
+      });
+      mockOctokit.rest.git.updateRef.mockReset();
+      mockOctokit.rest.git.updateRef.mockRejectedValueOnce(
+        Object.assign(new Error('Repository rule violations found'), { status: 422 })
+      );
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, node_id: 'PR_node42', html_url: 'https://github.com/owner/repo1/pull/42' }
+      });
+
+      await run();
+
+      const [result] = getResultsOutput();
+      expect(result.packageJsonSync.packageJson).toBe('updated');
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({
+          kind: 'package-json-sync',
+          status: 'warning',
+          message:
+            'Direct commit to main was blocked (Repository rule violations found); opened a pull request instead',
+          prNumber: 42
+        })
+      );
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({
+          kind: 'package-json-sync',
+          status: 'warning',
+          message: 'Auto-merge could not be enabled on PR #42: allow_auto_merge is off for this repository',
+          prNumber: 42
+        })
+      );
+      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+    });
+
+    test('should sync the repo-specific files list instead of the global one', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          files: `- source: './config/LICENSE'\n  target: LICENSE\n`
+        };
+        return inputs[name] || '';
+      });
+      setMockFileContent('repos-content', 'repos.yml');
+      setMockFileContent('root = true\n', './config/.editorconfig');
+      setMockYamlContent(
+        [{ source: './config/LICENSE', target: 'LICENSE' }],
+        `- source: './config/LICENSE'\n  target: LICENSE\n`
+      );
+      setMockYamlContent(
+        { repos: [{ repo: 'owner/repo1', files: [{ source: './config/.editorconfig', target: '.editorconfig' }] }] },
+        'repos-content'
+      );
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'main' }) });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, html_url: 'https://github.com/owner/repo1/pull/42' }
+      });
+
+      await run();
+
+      const [result] = getResultsOutput();
+      expect(result.fileSync).toEqual([
+        expect.objectContaining({ success: true, files: 'created', branchName: 'editorconfig-sync' })
+      ]);
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledTimes(1);
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({ kind: 'file-sync', status: 'changed', syncStatus: 'created', prNumber: 42 })
+      );
+    });
+
+    test('should apply template-vars to synced files', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'pull-request-template': './config/pull_request_template.md',
+          'render-templates': 'pull-request-template',
+          'template-vars': 'team: "@owner/platform"',
+          'dry-run': 'true'
+        };
+        return inputs[name] || '';
+      });
+      setMockYamlContent({ team: '@owner/platform' }, 'team: "@owner/platform"');
+      setMockFileContent('Reviewed by {{team}} for {{repo.name}}\n', './config/pull_request_template.md');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: makeReadableRepoData({ name: 'repo1', default_branch: 'main' })
+      });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'template-sha',
+          content: Buffer.from('Reviewed by @owner/platform for repo1\n').toString('base64')
+        }
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+
+      await run();
+
+      const [result] = getResultsOutput();
+      expect(result.pullRequestTemplateSync.pullRequestTemplate).toBe('unchanged');
+      mockOctokit.rest.repos.getContent.mockReset();
+    });
+
+    test('should report retired files that would be removed in dry-run mode', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'remove-files': '.github/workflows/old-ci.yml, CODEOWNERS',
+          'dry-run': 'true'
+        };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData({ default_branch: 'main' }) });
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path: filePath }) =>
+        filePath === 'CODEOWNERS'
+          ? Promise.resolve({ data: { type: 'file', sha: 'codeowners-sha', content: '' } })
+          : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      );
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+
+      await run();
+
+      const [result] = getResultsOutput();
+      expect(result.removeFilesSync.filesWouldDelete).toEqual(['CODEOWNERS']);
+      expect(result.subResults).toContainEqual(
+        expect.objectContaining({ kind: 'remove-files-sync', status: 'changed', syncStatus: 'would-remove' })
+      );
+      mockOctokit.rest.repos.getContent.mockReset();
+    });
+
+    test('should fail on invalid max-concurrency', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true',
+          'max-concurrency': '0'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Action failed with error: Invalid value for 'max-concurrency': '0'. Must be a positive integer`
+      );
+      expect(mockOctokit.rest.repos.update).not.toHaveBeenCalled();
+    });
+
+    test('should fail when no token provided', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': '',
+          repositories: 'owner/repo1'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith('Action failed with error: github-token is required');
+    });
+
+    test('should fail when invalid enum value is provided for squash-merge-commit-title', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true',
+          'squash-merge-commit-title': 'INVALID_VALUE'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `Invalid value for 'squash-merge-commit-title': 'INVALID_VALUE'. Allowed values: PR_TITLE, COMMIT_OR_PR_TITLE`
+        )
+      );
+    });
+
+    test('should fail before any API call when a topics input is invalid', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'topics-add': 'valid, Not_Valid, team-{{repo.custom_properties.team}}'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        `Action failed with error: Invalid topic(s): Not_Valid. Topics must start with a lowercase letter or number, contain only lowercase letters, numbers and hyphens, and be at most 50 characters (input 'topics-add')`
+      );
+      expect(mockOctokit.rest.repos.get).not.toHaveBeenCalled();
+    });
+
+    test('should fail when no settings specified', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1'
+        };
+        return inputs[name] || '';
+      });
+
+      await run();
+
+      expect(mockCore.setFailed).toHaveBeenCalledWith(
+        'Action failed with error: At least one repository setting must be specified (or code-scanning must be true, or immutable-releases must be specified, or security settings must be specified, or topics (or topics-add or topics-remove) must be provided, or dependabot-yml (or dependabot-yml-auto-detect) must be specified, or gitignore must be specified, or rulesets-file must be specified, or pull-request-template must be specified, or workflow-files must be specified, or autolinks-file must be specified, or environments must be specified, or copilot-instructions-md must be specified, or codeowners must be specified, or files must be specified, or remove-files must be specified, or package-json-file with package-json-sync-scripts, package-json-sync-engines or package-json-sync-fields must be specified)'
+      );
+    });
+
+    test('should allow topics as the only setting', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          topics: 'javascript,github-actions,automation'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockOctokit.rest.repos.replaceAllTopics).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo1',
+        names: ['javascript', 'github-actions', 'automation']
+      });
+    });
+
+    test('should allow CodeQL scanning as the only setting', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo1',
+        state: 'configured',
+        query_suite: 'default'
+      });
+    });
+
+    test('should count warning-only repositories separately from failures', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(new Error('Advanced Security required'));
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Could not process CodeQL'));
+    });
+
+    test('should count nested sync helper failures as warnings', async () => {
+      setMockFileContent('{invalid json', './ruleset.json');
+
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true',
+          'rulesets-file': './ruleset.json'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to read or parse ruleset file at ./ruleset.json')
+      );
+    });
+
+    test('should honor repo-specific delete-unmanaged-rulesets override', async () => {
+      setMockFileContent(
+        JSON.stringify({
+          repos: [
+            {
+              repo: 'owner/repo1',
+              'rulesets-file': './ruleset.json',
+              'delete-unmanaged-rulesets': true
+            }
+          ]
+        }),
+        'repos.yml'
+      );
+      setMockYamlContent(
+        {
+          repos: [
+            {
+              repo: 'owner/repo1',
+              'rulesets-file': './ruleset.json',
+              'delete-unmanaged-rulesets': true
+            }
+          ]
+        },
+        JSON.stringify({
+          repos: [
+            {
+              repo: 'owner/repo1',
+              'rulesets-file': './ruleset.json',
+              'delete-unmanaged-rulesets': true
+            }
+          ]
+        })
+      );
+      setMockFileContent(
+        JSON.stringify({
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'active',
+          rules: [{ type: 'deletion' }]
+        }),
+        './ruleset.json'
+      );
+
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'delete-unmanaged-rulesets': 'false'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: makeReadableRepoData()
+      });
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 123, name: 'ci' },
+        { id: 456, name: 'obsolete' }
+      ]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+        data: {
+          id: 123,
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'active',
+          rules: [{ type: 'deletion' }]
+        }
+      });
+
+      await run();
+
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo1',
+        ruleset_id: 456
+      });
+    });
+
+    test('should separate clean, warning-only, and failed repositories in mixed runs', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1,owner/repo2,owner/repo3',
+          'allow-squash-merge': 'true',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('API Error'));
+      mockOctokit.rest.codeScanning.updateDefaultSetup
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Advanced Security required'));
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '2');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+    });
+
+    test('should count a repository with multiple warnings only once', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true',
+          'code-scanning': 'true',
+          'secret-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Secret scanning not available'));
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(new Error('Advanced Security required'));
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Could not process CodeQL'));
+      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Could not process secret scanning'));
+    });
+
+    test('should count multiple warning-only repositories', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1,owner/repo2',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.codeScanning.updateDefaultSetup
+        .mockRejectedValueOnce(new Error('Advanced Security required'))
+        .mockRejectedValueOnce(new Error('Advanced Security required'));
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '2');
+    });
+
+    test('should handle archived and warning-only repositories in the same run', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1,owner/repo2',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get
+        .mockResolvedValueOnce({
+          data: {
+            archived: true,
+            permissions: { admin: true, push: true, pull: true }
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            archived: false,
+            permissions: { admin: true, push: true, pull: true },
+            allow_squash_merge: false,
+            allow_merge_commit: true,
+            allow_rebase_merge: true,
+            delete_branch_on_merge: false,
+            allow_auto_merge: false,
+            allow_update_branch: false
+          }
+        });
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValueOnce(new Error('Advanced Security required'));
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '2');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+    });
+
+    test('should include hasWarnings in results output for warning-only and clean repositories', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1,owner/repo2',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.codeScanning.updateDefaultSetup
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Advanced Security required'));
+
+      await run();
+
+      const resultsCall = mockCore.setOutput.mock.calls.find(([name]) => name === 'results');
+      const results = JSON.parse(resultsCall[1]);
+
+      expect(results).toHaveLength(2);
+      expect(results[0].repository).toBe('owner/repo1');
+      expect(results[0].hasWarnings).toBe(false);
+      expect(results[1].repository).toBe('owner/repo2');
+      expect(results[1].hasWarnings).toBe(true);
+      expect(results[1].codeScanningWarning).toContain('Could not process CodeQL');
+    });
+
+    test('should include subResults with correct shape and preserve legacy properties', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      // Settings change succeeds, CodeQL fails with warning
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
+        data: { state: 'not-configured' }
+      });
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(new Error('Advanced Security required'));
+
+      await run();
+
+      const resultsCall = mockCore.setOutput.mock.calls.find(([name]) => name === 'results');
+      const results = JSON.parse(resultsCall[1]);
+      const result = results[0];
+
+      // Verify subResults array exists with correct entries
+      expect(result.subResults).toBeDefined();
+      expect(Array.isArray(result.subResults)).toBe(true);
+
+      // Should have a CHANGED sub-result for settings
+      const settingsSubResult = result.subResults.find(s => s.kind === 'settings');
+      expect(settingsSubResult).toBeDefined();
+      expect(settingsSubResult.status).toBe('changed');
+      expect(settingsSubResult.message).toContain('settings');
+
+      // Should have a WARNING sub-result for code-scanning
+      const codeScanningSubResult = result.subResults.find(s => s.kind === 'code-scanning');
+      expect(codeScanningSubResult).toBeDefined();
+      expect(codeScanningSubResult.status).toBe('warning');
+      expect(codeScanningSubResult.message).toContain('CodeQL');
+
+      // Verify legacy properties are still present for backward compat
+      expect(result.changes).toBeDefined();
+      expect(result.changes.length).toBeGreaterThan(0);
+      expect(result.codeScanningWarning).toContain('Could not process CodeQL');
+      expect(result.hasWarnings).toBe(true);
+    });
+
+    for (const warningCase of [
+      {
+        name: 'topics',
+        inputs: {
+          topics: 'topic1,topic2'
+        },
+        setupMocks: () => {
+          mockOctokit.rest.repos.getAllTopics.mockRejectedValue(new Error('Topics unavailable'));
+        },
+        warningText: 'Could not process topics'
+      },
+      {
+        name: 'immutable releases',
+        inputs: {
+          'immutable-releases': 'true'
+        },
+        setupMocks: () => {
+          mockOctokit.request.mockRejectedValue(new Error('Immutable releases unavailable'));
+        },
+        warningText: 'Could not process immutable releases'
+      },
+      {
+        name: 'secret scanning',
+        inputs: {
+          'secret-scanning': 'true'
+        },
+        setupMocks: () => {
+          mockOctokit.rest.repos.update.mockRejectedValue(new Error('Secret scanning not available'));
+        },
+        warningText: 'Could not process secret scanning'
+      },
+      {
+        name: 'secret scanning push protection',
+        inputs: {
+          'secret-scanning-push-protection': 'true'
+        },
+        setupMocks: () => {
+          mockOctokit.rest.repos.update.mockRejectedValue(new Error('Push protection not available'));
+        },
+        warningText: 'Could not process secret scanning push protection'
+      },
+      {
+        name: 'Dependabot alerts',
+        inputs: {
+          'dependabot-alerts': 'true'
+        },
+        setupMocks: () => {
+          mockOctokit.request.mockRejectedValue(new Error('Dependabot alerts unavailable'));
+        },
+        warningText: 'Could not process Dependabot alerts'
+      },
+      {
+        name: 'Dependabot security updates',
+        inputs: {
+          'dependabot-security-updates': 'true'
+        },
+        setupMocks: () => {
+          mockOctokit.request.mockRejectedValue(new Error('Dependabot security updates unavailable'));
+        },
+        warningText: 'Could not process Dependabot security updates'
+      }
+    ]) {
+      test(`should mark hasWarnings for ${warningCase.name} warnings`, async () => {
+        mockCore.getInput.mockImplementation(name => {
+          const inputs = {
+            'github-token': 'test-token',
+            repositories: 'owner/repo1',
+            ...warningCase.inputs
+          };
+          return inputs[name] || '';
+        });
+
+        mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData() });
+        mockOctokit.rest.repos.update.mockResolvedValue({});
+        mockOctokit.rest.repos.getAllTopics.mockResolvedValue({ data: { names: [] } });
+        mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+        mockOctokit.request.mockResolvedValue({});
+        warningCase.setupMocks();
+
+        await run();
+
+        expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+        expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+        expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+        expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining(warningCase.warningText));
+
+        const results = getResultsOutput();
+        expect(results[0].hasWarnings).toBe(true);
+      });
+    }
+
+    for (const warningCase of [
+      {
+        name: 'dependabot.yml sync',
+        inputs: {
+          'allow-squash-merge': 'true',
+          'dependabot-yml': './dependabot.yml'
+        },
+        setupMocks: () => {
+          setMockFileContent('version: 2\nupdates: []', './dependabot.yml');
+          mockOctokit.rest.repos.get
+            .mockResolvedValueOnce({ data: makeReadableRepoData() })
+            .mockRejectedValueOnce(new Error('Repo fetch failed'));
+        },
+        warningText: 'Failed to sync dependabot.yml: Repo fetch failed'
+      },
+      {
+        name: '.gitignore sync',
+        inputs: {
+          'allow-squash-merge': 'true',
+          gitignore: './source.gitignore'
+        },
+        setupMocks: () => {
+          setMockFileContent('node_modules/\n', './source.gitignore');
+          mockOctokit.rest.repos.get
+            .mockResolvedValueOnce({ data: makeReadableRepoData() })
+            .mockRejectedValueOnce(new Error('Repo fetch failed'));
+        },
+        warningText: 'Failed to sync .gitignore: Repo fetch failed'
+      },
+      {
+        name: 'pull request template sync',
+        inputs: {
+          'allow-squash-merge': 'true',
+          'pull-request-template': './pull_request_template.md'
+        },
+        setupMocks: () => {
+          setMockFileContent('## Description', './pull_request_template.md');
+          mockOctokit.rest.repos.get
+            .mockResolvedValueOnce({ data: makeReadableRepoData() })
             .mockRejectedValueOnce(new Error('Repo fetch failed'));
         },
-        warningText: 'Failed to sync .gitignore: Repo fetch failed'
+        warningText: 'Failed to sync pull request template: Repo fetch failed'
       },
       {
-        name: 'pull request template sync',
+        name: 'workflow files sync',
+        inputs: {
+          'allow-squash-merge': 'true',
+          'workflow-files': './ci.yml'
+        },
+        setupMocks: () => {
+          setMockFileContent('name: CI\non: push', './ci.yml');
+          mockOctokit.rest.repos.get
+            .mockResolvedValueOnce({ data: makeReadableRepoData() })
+            .mockRejectedValueOnce(new Error('Repo fetch failed'));
+        },
+        warningText: 'Failed to sync workflow files: Repo fetch failed'
+      },
+      {
+        name: 'autolinks sync',
+        inputs: {
+          'allow-squash-merge': 'true',
+          'autolinks-file': './autolinks.json'
+        },
+        setupMocks: () => {
+          setMockFileContent('{invalid json', './autolinks.json');
+        },
+        warningText: 'Failed to read or parse autolinks file at ./autolinks.json'
+      },
+      {
+        name: 'copilot instructions sync',
+        inputs: {
+          'allow-squash-merge': 'true',
+          'copilot-instructions-md': './copilot-instructions.md'
+        },
+        setupMocks: () => {
+          setMockFileContent('# Instructions', './copilot-instructions.md');
+          mockOctokit.rest.repos.get
+            .mockResolvedValueOnce({ data: makeReadableRepoData() })
+            .mockRejectedValueOnce(new Error('Repo fetch failed'));
+        },
+        warningText: 'Failed to sync copilot-instructions.md: Repo fetch failed'
+      },
+      {
+        name: 'CODEOWNERS sync',
+        inputs: {
+          'allow-squash-merge': 'true',
+          codeowners: './CODEOWNERS',
+          'codeowners-target-path': 'invalid/path'
+        },
+        setupMocks: () => {},
+        warningText: 'Invalid CODEOWNERS target path: invalid/path'
+      },
+      {
+        name: 'package.json sync',
         inputs: {
           'allow-squash-merge': 'true',
-          'pull-request-template': './pull_request_template.md'
-        },
-        setupMocks: () => {
-          setMockFileContent('## Description', './pull_request_template.md');
-          mockOctokit.rest.repos.get
-            .mockResolvedValueOnce({ data: makeReadableRepoData() })
-            .mockRejectedValueOnce(new Error('Repo fetch failed'));
-        },
-        warningText: 'Failed to sync pull request template: Repo fetch failed'
-      },
-      {
-        name: 'workflow files sync',
-        inputs: {
+          'package-json-file': './package-source.json',
+          'package-json-sync-scripts': 'true'
+        },
+        setupMocks: () => {
+          setMockFileContent('{invalid json', './package-source.json');
+        },
+        warningText: 'Failed to read or parse package.json file at ./package-source.json'
+      }
+    ]) {
+      test(`should mark hasWarnings for ${warningCase.name} warnings`, async () => {
+        mockCore.getInput.mockImplementation(name => {
+          const inputs = {
+            'github-token': 'test-token',
+            repositories: 'owner/repo1',
+            ...warningCase.inputs
+          };
+          return inputs[name] || '';
+        });
+
+        mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData() });
+        mockOctokit.rest.repos.update.mockResolvedValue({});
+        mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+        mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+        mockOctokit.request.mockResolvedValue({});
+        warningCase.setupMocks();
+
+        await run();
+
+        expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+        expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+        expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
+        expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining(warningCase.warningText));
+
+        const results = getResultsOutput();
+        expect(results[0].hasWarnings).toBe(true);
+      });
+    }
+
+    test('should allow code-scanning false as a valid setting (no change when already not configured)', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'false'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      // getDefaultSetup throws = not-configured, desired = not-configured, so no change
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
+        Object.assign(new Error('Not found'), { status: 404 })
+      );
+
+      await run();
+
+      // code-scanning: false is a valid setting (doesn't fail with "no settings specified")
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      // Already not configured, so no update API call needed
+      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).not.toHaveBeenCalled();
+    });
+
+    test('should disable CodeQL scanning when code-scanning is false and currently configured', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'false'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
+        data: { state: 'configured' }
+      });
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+
+      await run();
+
+      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo1',
+        state: 'not-configured',
+        query_suite: 'default'
+      });
+    });
+
+    test('should detect code-scanning change in dry-run when changing from true to false', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'false',
+          'dry-run': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
+        data: { state: 'configured' }
+      });
+
+      await run();
+
+      // Should detect the change in dry-run mode
+      expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('Would disable CodeQL scanning'));
+      // Should NOT actually call the update API in dry-run
+      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).not.toHaveBeenCalled();
+    });
+
+    test('should show deprecation warning when using old enable-default-code-scanning input', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'enable-default-code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
+        Object.assign(new Error('Not found'), { status: 404 })
+      );
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'The "enable-default-code-scanning" input is deprecated. Please use "code-scanning" instead.'
+      );
+      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo1',
+        state: 'configured',
+        query_suite: 'default'
+      });
+    });
+
+    test('should show deprecation warning when both old and new code-scanning inputs are provided', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'false',
+          'enable-default-code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      // New input takes precedence (false), and repo is not configured, so no change
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
+        Object.assign(new Error('Not found'), { status: 404 })
+      );
+
+      await run();
+
+      // Should warn about deprecated input
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'The "enable-default-code-scanning" input is deprecated. Please use "code-scanning" instead.'
+      );
+      // New input takes precedence (false means disable), but repo is already not-configured so no update needed
+      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).not.toHaveBeenCalled();
+    });
+
+    test('should not show deprecation warning when only new code-scanning input is used', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+
+      await run();
+
+      // Should not warn about deprecated input
+      expect(mockCore.warning).not.toHaveBeenCalledWith(
+        'The "enable-default-code-scanning" input is deprecated. Please use "code-scanning" instead.'
+      );
+    });
+
+    test('should allow immutable releases as the only setting', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'immutable-releases': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.request.mockRejectedValueOnce({ status: 404 }); // GET returns 404 (not enabled)
+      mockOctokit.request.mockResolvedValueOnce({}); // PUT to enable
+
+      await run();
+
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+      expect(mockOctokit.request).toHaveBeenCalledWith('PUT /repos/{owner}/{repo}/immutable-releases', {
+        owner: 'owner',
+        repo: 'repo1',
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28'
+        }
+      });
+    });
+
+    test('should create summary table', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true',
+          'summary-heading': 'Bulk Repository Settings Update Results'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Bulk Repository Settings Update Results');
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      expect(mockCore.summary.write).toHaveBeenCalled();
+    });
+
+    test('should use custom summary heading when provided', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
           'allow-squash-merge': 'true',
-          'workflow-files': './ci.yml'
-        },
-        setupMocks: () => {
-          setMockFileContent('name: CI\non: push', './ci.yml');
-          mockOctokit.rest.repos.get
-            .mockResolvedValueOnce({ data: makeReadableRepoData() })
-            .mockRejectedValueOnce(new Error('Repo fetch failed'));
-        },
-        warningText: 'Failed to sync workflow files: Repo fetch failed'
-      },
-      {
-        name: 'autolinks sync',
-        inputs: {
+          'summary-heading': 'Private custom property selection results'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Private custom property selection results');
+    });
+
+    test('should skip job summary when write-job-summary is false', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
           'allow-squash-merge': 'true',
-          'autolinks-file': './autolinks.json'
-        },
-        setupMocks: () => {
-          setMockFileContent('{invalid json', './autolinks.json');
-        },
-        warningText: 'Failed to read or parse autolinks file at ./autolinks.json'
-      },
-      {
-        name: 'copilot instructions sync',
-        inputs: {
+          'write-job-summary': 'false'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.summary.addHeading).not.toHaveBeenCalled();
+      expect(mockCore.summary.addTable).not.toHaveBeenCalled();
+      expect(mockCore.summary.write).not.toHaveBeenCalled();
+      expect(mockCore.info).toHaveBeenCalledWith('Job summary writing is disabled (write-job-summary: false)');
+    });
+
+    test('should include specific changes in summary table when settings change', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
           'allow-squash-merge': 'true',
-          'copilot-instructions-md': './copilot-instructions.md'
-        },
-        setupMocks: () => {
-          setMockFileContent('# Instructions', './copilot-instructions.md');
-          mockOctokit.rest.repos.get
-            .mockResolvedValueOnce({ data: makeReadableRepoData() })
-            .mockRejectedValueOnce(new Error('Repo fetch failed'));
-        },
-        warningText: 'Failed to sync copilot-instructions.md: Repo fetch failed'
-      },
-      {
-        name: 'CODEOWNERS sync',
-        inputs: {
+          'delete-branch-on-merge': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      // Mock repo with different current settings to trigger changes
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: false, // Different from input
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false, // Different from input
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      // Verify the summary table was called with changes details
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      // Find the row for repo1 and check it has change details
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('settings:');
+    });
+
+    test('should include topics changes in summary table', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          topics: 'new-topic,another-topic'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getAllTopics.mockResolvedValue({
+        data: { names: ['old-topic'] }
+      });
+      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('topics:');
+    });
+
+    test('should include CodeQL scanning changes in summary table', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
+        data: { state: 'not-configured' }
+      });
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+
+      await run();
+
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('CodeQL');
+    });
+
+    test('should show Warning status in summary table', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
+        data: { state: 'not-configured' }
+      });
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(
+        new Error('Advanced Security must be enabled')
+      );
+
+      await run();
+
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+
+      expect(repoRow).toBeDefined();
+      expect(repoRow[1]).toBe('\u26A0\uFE0F Warning');
+      expect(repoRow[2]).toContain('CodeQL scanning produced a warning');
+    });
+
+    test('should show warning details with dedup filtering in summary table', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'code-scanning': 'true',
+          'secret-scanning': 'true',
+          'secret-scanning-push-protection': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false,
+          security_and_analysis: {
+            secret_scanning: { status: 'disabled' },
+            secret_scanning_push_protection: { status: 'disabled' }
+          }
+        }
+      });
+      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
+        data: { state: 'not-configured' }
+      });
+      // CodeQL fails
+      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(
+        new Error('Advanced Security must be enabled')
+      );
+      // Secret scanning succeeds
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+
+      expect(repoRow[1]).toBe('\u26A0\uFE0F Warning');
+      // CodeQL should show as warning
+      expect(repoRow[2]).toContain('CodeQL scanning produced a warning');
+      // Secret scanning succeeded — should show as a change, not duplicated
+      expect(repoRow[2]).toContain('secret scanning');
+      expect(repoRow[2]).not.toContain('Secret scanning produced a warning');
+    });
+
+    test('should cascade secret scanning unavailable warning to push protection', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'secret-scanning': 'true',
+          'secret-scanning-push-protection': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false,
+          security_and_analysis: {
+            secret_scanning: { status: 'disabled' },
+            secret_scanning_push_protection: { status: 'disabled' }
+          }
+        }
+      });
+      // Secret scanning fails with "not available" (403)
+      const secretScanningError = new Error('Secret scanning is not available for this repository.');
+      secretScanningError.status = 403;
+      mockOctokit.rest.repos.update.mockRejectedValue(secretScanningError);
+
+      await run();
+
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+
+      expect(repoRow[1]).toBe('\u26A0\uFE0F Warning');
+      expect(repoRow[2]).toContain('Secret scanning produced a warning');
+      expect(repoRow[2]).toContain('Secret scanning push protection produced a warning');
+    });
+
+    test('should include immutable releases changes in summary table', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'immutable-releases': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      // Mock immutable releases as not enabled
+      mockOctokit.request.mockRejectedValue({ status: 404 });
+      mockOctokit.request.mockResolvedValueOnce({ data: { enabled: false } });
+      mockOctokit.request.mockResolvedValueOnce({});
+
+      await run();
+
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('immutable releases');
+    });
+
+    test('should show dry-run specific messages in summary table', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
           'allow-squash-merge': 'true',
-          codeowners: './CODEOWNERS',
-          'codeowners-target-path': 'invalid/path'
-        },
-        setupMocks: () => {},
-        warningText: 'Invalid CODEOWNERS target path: invalid/path'
-      },
-      {
-        name: 'package.json sync',
-        inputs: {
+          'dry-run': 'true',
+          'summary-heading': 'Bulk Repository Settings Update Results'
+        };
+        return inputs[name] || '';
+      });
+
+      // Mock repo with different current settings to trigger changes
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: false, // Different from input
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+
+      await run();
+
+      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Bulk Repository Settings Update Results (DRY-RUN)');
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('Would update');
+    });
+
+    test('should append dry-run suffix to custom summary heading', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
           'allow-squash-merge': 'true',
-          'package-json-file': './package-source.json',
-          'package-json-sync-scripts': 'true'
-        },
-        setupMocks: () => {
-          setMockFileContent('{invalid json', './package-source.json');
-        },
-        warningText: 'Failed to read or parse package.json file at ./package-source.json'
-      }
-    ]) {
-      test(`should mark hasWarnings for ${warningCase.name} warnings`, async () => {
-        mockCore.getInput.mockImplementation(name => {
-          const inputs = {
-            'github-token': 'test-token',
-            repositories: 'owner/repo1',
-            ...warningCase.inputs
-          };
-          return inputs[name] || '';
+          'dry-run': 'true',
+          'summary-heading': 'Private custom property selection results'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          name: 'repo1',
+          full_name: 'owner/repo1',
+          archived: false,
+          permissions: { admin: true },
+          allow_squash_merge: false,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+
+      await run();
+
+      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Private custom property selection results (DRY-RUN)');
+    });
+
+    test('should process repo-specific settings overrides from YAML', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'allow-squash-merge': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      setMockFileContent('repos:\n  - repo: owner/repo1\n    allow-squash-merge: false');
+      setMockYamlContent({
+        repos: [{ repo: 'owner/repo1', 'allow-squash-merge': false }, { repo: 'owner/repo2' }]
+      });
+
+      // repo1: current allow_squash_merge=true, want false -> update
+      // repo2: current allow_squash_merge=false, want true (global) -> update
+      mockOctokit.rest.repos.get
+        .mockResolvedValueOnce({
+          data: {
+            default_branch: 'main',
+            permissions: { admin: true },
+            allow_squash_merge: true, // different from override (false)
+            allow_merge_commit: true,
+            allow_rebase_merge: true,
+            delete_branch_on_merge: false,
+            allow_auto_merge: false,
+            allow_update_branch: false
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            default_branch: 'main',
+            permissions: { admin: true },
+            allow_squash_merge: false, // different from global (true)
+            allow_merge_commit: true,
+            allow_rebase_merge: true,
+            delete_branch_on_merge: false,
+            allow_auto_merge: false,
+            allow_update_branch: false
+          }
         });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
 
-        mockOctokit.rest.repos.get.mockResolvedValue({ data: makeReadableRepoData() });
-        mockOctokit.rest.repos.update.mockResolvedValue({});
-        mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-        mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-        mockOctokit.request.mockResolvedValue({});
-        warningCase.setupMocks();
+      await run();
 
-        await run();
+      // repo1 should use override (false), repo2 should use global (true)
+      expect(mockOctokit.rest.repos.update).toHaveBeenCalledTimes(2);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
+    });
 
-        expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-        expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-        expect(mockCore.setOutput).toHaveBeenCalledWith('warning-repositories', '1');
-        expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining(warningCase.warningText));
+    test('should warn and use global default for invalid enum config in YAML', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'allow-squash-merge': 'true',
+          'squash-merge-commit-title': 'PR_TITLE'
+        };
+        return inputs[name] || '';
+      });
 
-        const results = getResultsOutput();
-        expect(results[0].hasWarnings).toBe(true);
+      setMockFileContent('repos:\n  - repo: owner/repo1\n    squash-merge-commit-title: INVALID_VALUE');
+      setMockYamlContent({
+        repos: [{ repo: 'owner/repo1', 'squash-merge-commit-title': 'INVALID_VALUE' }]
       });
-    }
 
-    test('should allow code-scanning false as a valid setting (no change when already not configured)', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValueOnce({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: false,
+          squash_merge_commit_title: 'COMMIT_OR_PR_TITLE',
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      // Should warn about invalid enum value
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining(`Invalid value for 'squash-merge-commit-title'`)
+      );
+      // Should still process the repo using global default (PR_TITLE)
+      expect(mockOctokit.rest.repos.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          squash_merge_commit_title: 'PR_TITLE'
+        })
+      );
+    });
+
+    test('should process repo-specific topics as string', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'code-scanning': 'false'
+          'repositories-file': 'repos.yml',
+          topics: 'global-topic'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      // getDefaultSetup throws = not-configured, desired = not-configured, so no change
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
-        Object.assign(new Error('Not found'), { status: 404 })
-      );
+      setMockFileContent('repos:\n  - repo: owner/repo1\n    topics: repo-topic1,repo-topic2');
+      setMockYamlContent({
+        repos: [{ repo: 'owner/repo1', topics: 'repo-topic1,repo-topic2' }]
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getAllTopics.mockResolvedValue({ data: { names: [] } });
+      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
+
+      await run();
+
+      expect(mockOctokit.rest.repos.replaceAllTopics).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo1',
+        names: ['repo-topic1', 'repo-topic2']
+      });
+    });
+
+    test('should process repo-specific topics as array', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          topics: 'global-topic'
+        };
+        return inputs[name] || '';
+      });
+
+      setMockFileContent('repos:\n  - repo: owner/repo1\n    topics:\n      - topic1\n      - topic2');
+      setMockYamlContent({
+        repos: [{ repo: 'owner/repo1', topics: ['topic1', 'topic2'] }]
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getAllTopics.mockResolvedValue({ data: { names: [] } });
+      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
+
+      await run();
+
+      expect(mockOctokit.rest.repos.replaceAllTopics).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo1',
+        names: ['topic1', 'topic2']
+      });
+    });
+
+    test('should process repo-specific workflow-files as string', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'repositories-file': 'repos.yml',
+          'workflow-files': 'global.yml'
+        };
+        return inputs[name] || '';
+      });
+
+      mockFs.readFileSync.mockImplementation((filePath, _encoding) => {
+        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) {
+          return mockActionYmlContent;
+        }
+        if (filePath === 'repos.yml') {
+          return 'repos:\n  - repo: owner/repo1\n    workflow-files: repo-workflow.yml';
+        }
+        return 'name: Test Workflow';
+      });
+      setMockYamlContent({
+        repos: [{ repo: 'owner/repo1', 'workflow-files': 'repo-workflow.yml' }]
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 1, html_url: 'https://github.com/owner/repo1/pull/1' }
+      });
 
       await run();
 
-      // code-scanning: false is a valid setting (doesn't fail with "no settings specified")
       expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      // Already not configured, so no update API call needed
-      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).not.toHaveBeenCalled();
     });
 
-    test('should disable CodeQL scanning when code-scanning is false and currently configured', async () => {
+    test('should process repo-specific workflow-files as array', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'code-scanning': 'false'
+          'repositories-file': 'repos.yml',
+          'workflow-files': 'global.yml'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
-        data: { state: 'configured' }
+      mockFs.readFileSync.mockImplementation((filePath, _encoding) => {
+        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) {
+          return mockActionYmlContent;
+        }
+        if (filePath === 'repos.yml') {
+          return 'repos:\n  - repo: owner/repo1\n    workflow-files:\n      - file1.yml\n      - file2.yml';
+        }
+        return 'name: Test Workflow';
+      });
+      setMockYamlContent({
+        repos: [{ repo: 'owner/repo1', 'workflow-files': ['file1.yml', 'file2.yml'] }]
+      });
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 1, html_url: 'https://github.com/owner/repo1/pull/1' }
       });
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
 
       await run();
 
-      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo1',
-        state: 'not-configured',
-        query_suite: 'default'
-      });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
     });
 
-    test('should detect code-scanning change in dry-run when changing from true to false', async () => {
+    test('should handle summary table with dependabot sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'code-scanning': 'false',
-          'dry-run': 'true'
+          'dependabot-yml': 'dependabot.yml'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
-        data: { state: 'configured' }
+      setMockFileContent('version: 2\nupdates: []');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      // First call checks for existing branch (404), second call gets default branch SHA
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, html_url: 'https://github.com/owner/repo1/pull/42' }
       });
 
       await run();
 
-      // Should detect the change in dry-run mode
-      expect(mockCore.info).toHaveBeenCalledWith(expect.stringContaining('Would disable CodeQL scanning'));
-      // Should NOT actually call the update API in dry-run
-      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).not.toHaveBeenCalled();
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('dependabot.yml');
     });
 
-    test('should show deprecation warning when using old enable-default-code-scanning input', async () => {
+    test('should handle summary table with gitignore sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'enable-default-code-scanning': 'true'
+          gitignore: '.gitignore'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
-        Object.assign(new Error('Not found'), { status: 404 })
-      );
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+      setMockFileContent('node_modules/\n.env');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 43, html_url: 'https://github.com/owner/repo1/pull/43' }
+      });
 
       await run();
 
-      expect(mockCore.warning).toHaveBeenCalledWith(
-        'The "enable-default-code-scanning" input is deprecated. Please use "code-scanning" instead.'
-      );
-      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo1',
-        state: 'configured',
-        query_suite: 'default'
-      });
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('.gitignore');
     });
 
-    test('should show deprecation warning when both old and new code-scanning inputs are provided', async () => {
+    test('should handle summary table with ruleset sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'code-scanning': 'false',
-          'enable-default-code-scanning': 'true'
+          'rulesets-file': 'ruleset.json'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      // New input takes precedence (false), and repo is not configured, so no change
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockRejectedValue(
-        Object.assign(new Error('Not found'), { status: 404 })
+      mockFs.readFileSync.mockReturnValue(
+        JSON.stringify({ name: 'test-ruleset', target: 'branch', enforcement: 'active', rules: [] })
       );
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.paginate.mockResolvedValue([]);
+      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({ data: { id: 1 } });
 
       await run();
 
-      // Should warn about deprecated input
-      expect(mockCore.warning).toHaveBeenCalledWith(
-        'The "enable-default-code-scanning" input is deprecated. Please use "code-scanning" instead.'
-      );
-      // New input takes precedence (false means disable), but repo is already not-configured so no update needed
-      expect(mockOctokit.rest.codeScanning.updateDefaultSetup).not.toHaveBeenCalled();
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('rulesets:');
     });
 
-    test('should not show deprecation warning when only new code-scanning input is used', async () => {
+    test('should handle summary table with workflow files sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'code-scanning': 'true'
+          'workflow-files': 'ci.yml'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+      setMockFileContent('name: CI\non: push');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 44, html_url: 'https://github.com/owner/repo1/pull/44' }
+      });
 
       await run();
 
-      // Should not warn about deprecated input
-      expect(mockCore.warning).not.toHaveBeenCalledWith(
-        'The "enable-default-code-scanning" input is deprecated. Please use "code-scanning" instead.'
-      );
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('workflow');
     });
 
-    test('should allow immutable releases as the only setting', async () => {
+    test('should handle summary table with autolinks sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'immutable-releases': 'true'
+          'autolinks-file': 'autolinks.json'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-      mockOctokit.request.mockRejectedValueOnce({ status: 404 }); // GET returns 404 (not enabled)
-      mockOctokit.request.mockResolvedValueOnce({}); // PUT to enable
-
-      await run();
-
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
-      expect(mockOctokit.request).toHaveBeenCalledWith('PUT /repos/{owner}/{repo}/immutable-releases', {
-        owner: 'owner',
-        repo: 'repo1',
-        headers: {
-          'X-GitHub-Api-Version': '2022-11-28'
+      mockFs.readFileSync.mockReturnValue(
+        JSON.stringify({ autolinks: [{ key_prefix: 'JIRA-', url_template: 'https://jira.example.com/browse/<num>' }] })
+      );
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
         }
       });
-    });
-
-    test('should create summary table', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true',
-          'summary-heading': 'Bulk Repository Settings Update Results'
-        };
-        return inputs[name] || '';
-      });
-
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
+      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
 
       await run();
 
-      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Bulk Repository Settings Update Results');
       expect(mockCore.summary.addTable).toHaveBeenCalled();
-      expect(mockCore.summary.write).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('autolink');
     });
 
-    test('should use custom summary heading when provided', async () => {
+    test('should handle summary table with copilot instructions sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'allow-squash-merge': 'true',
-          'summary-heading': 'Private custom property selection results'
+          'copilot-instructions-md': 'copilot-instructions.md'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      setMockFileContent('# Copilot Instructions\n\nBe helpful.');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 45, html_url: 'https://github.com/owner/repo1/pull/45' }
+      });
 
       await run();
 
-      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Private custom property selection results');
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('copilot-instructions');
     });
 
-    test('should skip job summary when write-job-summary is false', async () => {
+    test('should handle summary table with codeowners sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'allow-squash-merge': 'true',
-          'write-job-summary': 'false'
+          codeowners: 'CODEOWNERS'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      setMockFileContent('# CODEOWNERS\n* @owner/team');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 46, html_url: 'https://github.com/owner/repo1/pull/46' }
+      });
 
       await run();
 
-      expect(mockCore.summary.addHeading).not.toHaveBeenCalled();
-      expect(mockCore.summary.addTable).not.toHaveBeenCalled();
-      expect(mockCore.summary.write).not.toHaveBeenCalled();
-      expect(mockCore.info).toHaveBeenCalledWith('Job summary writing is disabled (write-job-summary: false)');
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('CODEOWNERS');
+      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/46">PR #46</a>');
     });
 
-    test('should include specific changes in summary table when settings change', async () => {
+    test('should handle summary table with package.json sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          'allow-squash-merge': 'true',
-          'delete-branch-on-merge': 'true'
+          'package-json-sync-scripts': 'true',
+          'package-json-file': 'package.json'
         };
         return inputs[name] || '';
       });
 
-      // Mock repo with different current settings to trigger changes
+      mockFs.readFileSync.mockReturnValue(
+        JSON.stringify({
+          name: 'source-repo',
+          scripts: { test: 'jest', build: 'tsc' }
+        })
+      );
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
           default_branch: 'main',
           permissions: { admin: true },
-          allow_squash_merge: false, // Different from input
+          allow_squash_merge: true,
           allow_merge_commit: true,
           allow_rebase_merge: true,
-          delete_branch_on_merge: false, // Different from input
+          delete_branch_on_merge: false,
           allow_auto_merge: false,
           allow_update_branch: false
         }
       });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          content: Buffer.from(
+            JSON.stringify({
+              name: 'target-repo',
+              scripts: { test: 'mocha' }
+            })
+          ).toString('base64'),
+          sha: 'target123'
+        }
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 47, html_url: 'https://github.com/owner/repo1/pull/47' }
+      });
 
       await run();
 
-      // Verify the summary table was called with changes details
       expect(mockCore.summary.addTable).toHaveBeenCalled();
       const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      // Find the row for repo1 and check it has change details
       const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
       expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('settings:');
+      expect(repoRow[2]).toContain('package.json');
     });
 
-    test('should include topics changes in summary table', async () => {
+    test('should handle summary table with PR template sync changes', async () => {
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
           repositories: 'owner/repo1',
-          topics: 'new-topic,another-topic'
+          'pull-request-template': 'pr-template.md'
         };
         return inputs[name] || '';
       });
 
+      setMockFileContent('## Description\n\nPlease describe your changes.');
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
           default_branch: 'main',
@@ -4483,10 +7467,16 @@ describe('Bulk GitHub Repository Settings Action', () => {
           allow_update_branch: false
         }
       });
-      mockOctokit.rest.repos.getAllTopics.mockResolvedValue({
-        data: { names: ['old-topic'] }
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 46, html_url: 'https://github.com/owner/repo1/pull/46' }
       });
-      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
 
       await run();
 
@@ -4494,5122 +7484,5884 @@ describe('Bulk GitHub Repository Settings Action', () => {
       const tableCall = mockCore.summary.addTable.mock.calls[0][0];
       const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
       expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('topics:');
+      expect(repoRow[2]).toContain('PR template');
+      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/46">PR #46</a>');
     });
 
-    test('should include CodeQL scanning changes in summary table', async () => {
+    test('should use custom GitHub API URL when provided', async () => {
+      const customApiUrl = 'https://ghes.example.com/api/v3';
+
+      // Import Octokit mock to verify constructor was called with correct params
+      const { Octokit } = await import('@octokit/rest');
+
       mockCore.getInput.mockImplementation(name => {
         const inputs = {
           'github-token': 'test-token',
+          'github-api-url': customApiUrl,
           repositories: 'owner/repo1',
-          'code-scanning': 'true'
+          'allow-squash-merge': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      expect(Octokit).toHaveBeenCalledWith({
+        auth: 'test-token',
+        baseUrl: customApiUrl
+      });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+    });
+
+    test('should default to https://api.github.com when no API URL provided', async () => {
+      const { Octokit } = await import('@octokit/rest');
+
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'github-api-url': '',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true'
+        };
+        return inputs[name] || '';
+      });
+
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      expect(Octokit).toHaveBeenCalledWith({
+        auth: 'test-token',
+        baseUrl: 'https://api.github.com'
+      });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+    });
+
+    test('should work with GHEC-DR (GHE) URL', async () => {
+      const gheUrl = 'https://api.octocorp.ghe.com';
+      const { Octokit } = await import('@octokit/rest');
+
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          'github-api-url': gheUrl,
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true'
         };
         return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      mockOctokit.rest.repos.update.mockResolvedValue({});
+
+      await run();
+
+      expect(Octokit).toHaveBeenCalledWith({
+        auth: 'test-token',
+        baseUrl: gheUrl
+      });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+    });
+  });
+
+  describe('mergeDependabotConfig', () => {
+    test('should keep the existing file when the baseline entries are already enforced', () => {
+      const existing = {
+        version: 2,
+        updates: [
+          {
+            'package-ecosystem': 'npm',
+            directory: '/',
+            schedule: { interval: 'weekly' },
+            'open-pull-requests-limit': 5
+          },
+          { 'package-ecosystem': 'pip', directories: ['/api', '/worker'], schedule: { interval: 'weekly' } }
+        ]
+      };
+      const source = {
+        version: 2,
+        updates: [{ 'package-ecosystem': 'npm', directory: '/', schedule: { interval: 'weekly' } }]
+      };
+
+      const { config, report } = mergeDependabotConfig(source, existing);
+
+      expect(config).toEqual(existing);
+      expect(report).toEqual({ added: [], changed: [], preserved: ['pip (/api, /worker)'] });
+    });
+
+    test('should match entries on directory as well as ecosystem', () => {
+      const { config, report } = mergeDependabotConfig(
+        { version: 2, updates: [{ 'package-ecosystem': 'npm', directory: '/web' }] },
+        { version: 2, updates: [{ 'package-ecosystem': 'npm', directory: '/' }] }
+      );
+
+      expect(config.updates).toHaveLength(2);
+      expect(report).toEqual({ added: ['npm (/web)'], changed: [], preserved: ['npm (/)'] });
+    });
+  });
+
+  describe('detectDependabotEcosystems', () => {
+    test('should detect ecosystems and the directories of their manifests', () => {
+      const tree = [
+        { path: '.github/workflows/ci.yml', type: 'blob' },
+        { path: 'package.json', type: 'blob' },
+        { path: 'web/package.json', type: 'blob' },
+        { path: 'node_modules/left-pad/package.json', type: 'blob' },
+        { path: 'services/api/go.mod', type: 'blob' },
+        { path: 'services/api/Dockerfile', type: 'blob' },
+        { path: 'infra/main.tf', type: 'blob' },
+        { path: 'infra/variables.tf', type: 'blob' },
+        { path: 'docs', type: 'tree' }
+      ];
+
+      expect(detectDependabotEcosystems(tree)).toEqual([
+        { ecosystem: 'github-actions', directory: '/' },
+        { ecosystem: 'npm', directory: '/' },
+        { ecosystem: 'npm', directory: '/web' },
+        { ecosystem: 'gomod', directory: '/services/api' },
+        { ecosystem: 'docker', directory: '/services/api' },
+        { ecosystem: 'terraform', directory: '/infra' }
+      ]);
+    });
+
+    test('should return nothing for a repository without manifests', () => {
+      expect(detectDependabotEcosystems([{ path: 'README.md', type: 'blob' }])).toEqual([]);
+    });
+  });
+
+  describe('buildDependabotConfig', () => {
+    test('should apply shared and per-ecosystem baseline options', () => {
+      const baseline = {
+        version: 2,
+        registries: { npm: { type: 'npm-registry', url: 'https://npm.example.com' } },
+        updates: [
+          { 'package-ecosystem': '*', schedule: { interval: 'daily' }, labels: ['dependencies'] },
+          { 'package-ecosystem': 'npm', directory: '/ignored', registries: ['npm'] },
+          { 'package-ecosystem': 'maven', schedule: { interval: 'monthly' } }
+        ]
+      };
+
+      const config = buildDependabotConfig(
+        [
+          { ecosystem: 'github-actions', directory: '/' },
+          { ecosystem: 'npm', directory: '/web' }
+        ],
+        baseline
+      );
+
+      expect(config).toEqual({
+        version: 2,
+        registries: baseline.registries,
+        updates: [
+          {
+            'package-ecosystem': 'github-actions',
+            directory: '/',
+            schedule: { interval: 'daily' },
+            labels: ['dependencies']
+          },
+          {
+            'package-ecosystem': 'npm',
+            directory: '/web',
+            schedule: { interval: 'daily' },
+            labels: ['dependencies'],
+            registries: ['npm']
+          }
+        ]
+      });
+    });
+
+    test('should check weekly without a baseline', () => {
+      expect(buildDependabotConfig([{ ecosystem: 'gomod', directory: '/' }])).toEqual({
+        version: 2,
+        updates: [{ 'package-ecosystem': 'gomod', directory: '/', schedule: { interval: 'weekly' } }]
+      });
+    });
+  });
+
+  describe('syncDependabotYml', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockClear();
+      mockOctokit.rest.repos.getContent.mockClear();
+      mockOctokit.rest.git.createTree.mockClear();
+      mockOctokit.rest.git.getRef.mockClear();
+      mockOctokit.rest.git.createRef.mockClear();
+      mockOctokit.rest.git.updateRef.mockClear();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.create.mockClear();
+      mockOctokit.rest.pulls.update.mockClear();
+    });
+
+    test('should merge into the existing dependabot.yml and report entry changes', async () => {
+      const sourceContent = 'baseline dependabot.yml';
+      const existingContent = 'repository dependabot.yml';
+      setMockFileContent(sourceContent);
+      setMockYamlContent(
+        {
+          version: 2,
+          updates: [
+            { 'package-ecosystem': 'npm', directory: '/', schedule: { interval: 'weekly' }, labels: ['deps'] },
+            { 'package-ecosystem': 'github-actions', directory: '/', schedule: { interval: 'weekly' } }
+          ]
+        },
+        sourceContent
+      );
+      setMockYamlContent(
+        {
+          version: 2,
+          registries: { npm: { type: 'npm-registry', url: 'https://npm.example.com' } },
+          updates: [
+            {
+              'package-ecosystem': 'npm',
+              directory: '/',
+              schedule: { interval: 'daily' },
+              ignore: [{ 'dependency-name': 'left-pad' }]
+            },
+            { 'package-ecosystem': 'docker', directory: '/', schedule: { interval: 'monthly' } }
+          ]
+        },
+        existingContent
+      );
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'dependabot-sha', content: Buffer.from(existingContent).toString('base64') }
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 9, html_url: 'https://github.com/owner/repo/pull/9' }
+      });
+
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false,
+        undefined,
+        undefined,
+        true
+      );
+
+      expect(result.dependabotYml).toBe('updated');
+      expect(result.mergeReports).toEqual({
+        '.github/dependabot.yml': { added: ['github-actions (/)'], changed: ['npm (/)'], preserved: ['docker (/)'] }
+      });
+      expect(JSON.parse(getCommittedFiles()['.github/dependabot.yml'])).toEqual({
+        version: 2,
+        registries: { npm: { type: 'npm-registry', url: 'https://npm.example.com' } },
+        updates: [
+          {
+            'package-ecosystem': 'npm',
+            directory: '/',
+            schedule: { interval: 'weekly' },
+            labels: ['deps'],
+            ignore: [{ 'dependency-name': 'left-pad' }]
+          },
+          { 'package-ecosystem': 'docker', directory: '/', schedule: { interval: 'monthly' } },
+          { 'package-ecosystem': 'github-actions', directory: '/', schedule: { interval: 'weekly' } }
+        ]
+      });
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: expect.stringContaining(
+            '**Merged `.github/dependabot.yml`:**\n- Added: github-actions (/)\n- Changed: npm (/)\n- Preserved: docker (/)'
+          )
+        })
+      );
+      mockOctokit.rest.repos.getContent.mockReset();
+    });
+
+    test('should generate dependabot.yml from detected ecosystems', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.git.getTree.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          truncated: false,
+          tree: [
+            { path: 'package.json', type: 'blob' },
+            { path: '.github/workflows/ci.yml', type: 'blob' }
+          ]
         }
       });
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
-        data: { state: 'not-configured' }
-      });
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockResolvedValue({});
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        '',
+        'chore: add dependabot.yml',
+        true,
+        undefined,
+        undefined,
+        false,
+        true
+      );
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('CodeQL');
+      expect(mockOctokit.rest.git.getTree).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: 'owner', repo: 'repo', tree_sha: 'main', recursive: 'true' })
+      );
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('would-create');
+      expect(result.detectedEcosystems).toEqual(['github-actions', 'npm']);
+      expect(mockYaml.dump).toHaveBeenCalledWith(
+        {
+          version: 2,
+          updates: [
+            { 'package-ecosystem': 'github-actions', directory: '/', schedule: { interval: 'weekly' } },
+            { 'package-ecosystem': 'npm', directory: '/', schedule: { interval: 'weekly' } }
+          ]
+        },
+        expect.anything()
+      );
     });
 
-    test('should show Warning status in summary table', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'code-scanning': 'true'
-        };
-        return inputs[name] || '';
+    test('should skip generation when no ecosystems are detected', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.git.getTree.mockResolvedValue({
+        data: { truncated: false, tree: [{ path: 'README.md', type: 'blob' }] }
       });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
-        data: { state: 'not-configured' }
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        '',
+        'chore',
+        true,
+        undefined,
+        undefined,
+        false,
+        true
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: true,
+          dependabotYml: 'unchanged',
+          message: 'No Dependabot ecosystems detected, dependabot.yml not synced'
+        })
+      );
+      expect(mockOctokit.rest.pulls.list).not.toHaveBeenCalled();
+    });
+
+    test('should render conditional blocks against files in the repository', async () => {
+      setMockFileContent(
+        'version: 2\nupdates:\n{{#if exists "package.json"}}\n  - package-ecosystem: npm\n{{/if}}\n{{#if exists "go.mod"}}\n  - package-ecosystem: gomod\n{{/if}}\n'
+      );
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { name: 'repo', default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path: filePath }) =>
+        filePath === 'package.json'
+          ? Promise.resolve({ data: { sha: 'package-sha', content: '' } })
+          : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      );
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+
+      const result = await syncDependabotYml(mockOctokit, 'owner/repo', './dependabot.yml', 'chore', true, undefined, {
+        renderTemplates: ['dependabot-yml']
       });
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(
-        new Error('Advanced Security must be enabled')
+
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('would-create');
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(
+        expect.objectContaining({ path: 'go.mod', ref: 'main' })
       );
+      mockOctokit.rest.repos.getContent.mockReset();
+    });
 
-      await run();
+    test('should fail when a template uses an undefined variable', async () => {
+      setMockFileContent('version: 2\nupdates:\n  - package-ecosystem: {{ecosystem}}\n');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { name: 'repo', default_branch: 'main' } });
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      const result = await syncDependabotYml(mockOctokit, 'owner/repo', './dependabot.yml', 'chore', true, undefined, {
+        renderTemplates: ['dependabot-yml']
+      });
 
-      expect(repoRow).toBeDefined();
-      expect(repoRow[1]).toBe('\u26A0\uFE0F Warning');
-      expect(repoRow[2]).toContain('CodeQL scanning produced a warning');
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(
+        `Failed to render template ./dependabot.yml for dependabot.yml: Undefined template variable 'ecosystem' on line 3`
+      );
     });
 
-    test('should show warning details with dedup filtering in summary table', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'code-scanning': 'true',
-          'secret-scanning': 'true',
-          'secret-scanning-push-protection': 'true'
-        };
-        return inputs[name] || '';
+    test('should sync dependabot.yml as-is when it does not opt into templates', async () => {
+      const content =
+        'version: 2\nupdates:\n  - package-ecosystem: "{{ecosystem}}"\n    target-branch: "{{repo.name}}"\n';
+      setMockFileContent(content);
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { name: 'repo', default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'dependabot-sha', content: Buffer.from(content).toString('base64') }
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+
+      const result = await syncDependabotYml(mockOctokit, 'owner/repo', './dependabot.yml', 'chore', true, undefined, {
+        templateVars: { ecosystem: 'npm' }
       });
 
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('unchanged');
+      mockOctokit.rest.repos.getContent.mockReset();
+    });
+
+    test('should replace template variables and built-in repository variables', async () => {
+      setMockFileContent(
+        'version: 2\nupdates:\n  - package-ecosystem: "{{ecosystem}}"\n    target-branch: "{{repo.default_branch}}"\n    reviewers: ["{{repo.custom_properties.team}}"]\n'
+      );
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false,
-          security_and_analysis: {
-            secret_scanning: { status: 'disabled' },
-            secret_scanning_push_protection: { status: 'disabled' }
-          }
-        }
+        data: { name: 'repo', default_branch: 'develop', custom_properties: { team: 'owner/platform' } }
       });
-      mockOctokit.rest.codeScanning.getDefaultSetup.mockResolvedValue({
-        data: { state: 'not-configured' }
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
       });
-      // CodeQL fails
-      mockOctokit.rest.codeScanning.updateDefaultSetup.mockRejectedValue(
-        new Error('Advanced Security must be enabled')
-      );
-      // Secret scanning succeeds
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-
-      await run();
 
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        undefined,
+        { renderTemplates: ['dependabot-yml'], templateVars: { ecosystem: 'npm' } }
+      );
 
-      expect(repoRow[1]).toBe('\u26A0\uFE0F Warning');
-      // CodeQL should show as warning
-      expect(repoRow[2]).toContain('CodeQL scanning produced a warning');
-      // Secret scanning succeeded — should show as a change, not duplicated
-      expect(repoRow[2]).toContain('secret scanning');
-      expect(repoRow[2]).not.toContain('Secret scanning produced a warning');
+      expect(result.success).toBe(true);
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tree: [
+            expect.objectContaining({
+              path: '.github/dependabot.yml',
+              content:
+                'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    target-branch: "develop"\n    reviewers: ["owner/platform"]\n'
+            })
+          ]
+        })
+      );
     });
 
-    test('should cascade secret scanning unavailable warning to push protection', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'secret-scanning': 'true',
-          'secret-scanning-push-protection': 'true'
-        };
-        return inputs[name] || '';
-      });
+    test('should create dependabot.yml when it does not exist', async () => {
+      const testDependabotContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
+
+      setMockFileContent(testDependabotContent);
 
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false,
-          security_and_analysis: {
-            secret_scanning: { status: 'disabled' },
-            secret_scanning_push_protection: { status: 'disabled' }
-          }
+          default_branch: 'main'
         }
       });
-      // Secret scanning fails with "not available" (403)
-      const secretScanningError = new Error('Secret scanning is not available for this repository.');
-      secretScanningError.status = 403;
-      mockOctokit.rest.repos.update.mockRejectedValue(secretScanningError);
-
-      await run();
-
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
 
-      expect(repoRow[1]).toBe('\u26A0\uFE0F Warning');
-      expect(repoRow[2]).toContain('Secret scanning produced a warning');
-      expect(repoRow[2]).toContain('Secret scanning push protection produced a warning');
-    });
+      // File does not exist
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
+      });
 
-    test('should include immutable releases changes in summary table', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'immutable-releases': 'true'
-        };
-        return inputs[name] || '';
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
       });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 }) // Branch check
+        .mockResolvedValueOnce({
+          // Default branch ref
+          data: { object: { sha: 'abc123' } }
+        });
+
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          number: 42,
+          html_url: 'https://github.com/owner/repo/pull/42'
         }
       });
-      // Mock immutable releases as not enabled
-      mockOctokit.request.mockRejectedValue({ status: 404 });
-      mockOctokit.request.mockResolvedValueOnce({ data: { enabled: false } });
-      mockOctokit.request.mockResolvedValueOnce({});
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false
+      );
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('immutable releases');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('created');
+      expect(result.prNumber).toBe(42);
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          owner: 'owner',
+          repo: 'repo',
+          base_tree: 'base-tree-sha',
+          tree: [expect.objectContaining({ path: '.github/dependabot.yml', mode: '100644', type: 'blob' })]
+        })
+      );
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/dependabot-yml-sync', sha: 'new-commit-sha' })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
     });
 
-    test('should show dry-run specific messages in summary table', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true',
-          'dry-run': 'true',
-          'summary-heading': 'Bulk Repository Settings Update Results'
-        };
-        return inputs[name] || '';
-      });
+    test('should update dependabot.yml when content differs', async () => {
+      const newContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "daily"';
+      const oldContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
+
+      setMockFileContent(newContent);
 
-      // Mock repo with different current settings to trigger changes
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: false, // Different from input
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          default_branch: 'main'
         }
       });
 
-      await run();
+      // File exists with different content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-456',
+          content: Buffer.from(oldContent).toString('base64')
+        }
+      });
 
-      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Bulk Repository Settings Update Results (DRY-RUN)');
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('Would update');
-    });
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-    test('should append dry-run suffix to custom summary heading', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true',
-          'dry-run': 'true',
-          'summary-heading': 'Private custom property selection results'
-        };
-        return inputs[name] || '';
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
+        data: { object: { sha: 'abc123' } }
       });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
         data: {
-          name: 'repo1',
-          full_name: 'owner/repo1',
-          archived: false,
-          permissions: { admin: true },
-          allow_squash_merge: false,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          number: 43,
+          html_url: 'https://github.com/owner/repo/pull/43'
         }
       });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false
+      );
 
-      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Private custom property selection results (DRY-RUN)');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('updated');
+      expect(result.prNumber).toBe(43);
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ tree: 'new-tree-sha', parents: ['abc123'] })
+      );
     });
 
-    test('should process repo-specific settings overrides from YAML', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'repositories-file': 'repos.yml',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
-      });
+    test('should not create PR when content is unchanged', async () => {
+      const content =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
 
-      setMockFileContent('repos:\n  - repo: owner/repo1\n    allow-squash-merge: false');
-      setMockYamlContent({
-        repos: [{ repo: 'owner/repo1', 'allow-squash-merge': false }, { repo: 'owner/repo2' }]
+      setMockFileContent(content);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
+        }
       });
 
-      // repo1: current allow_squash_merge=true, want false -> update
-      // repo2: current allow_squash_merge=false, want true (global) -> update
-      mockOctokit.rest.repos.get
-        .mockResolvedValueOnce({
-          data: {
-            default_branch: 'main',
-            permissions: { admin: true },
-            allow_squash_merge: true, // different from override (false)
-            allow_merge_commit: true,
-            allow_rebase_merge: true,
-            delete_branch_on_merge: false,
-            allow_auto_merge: false,
-            allow_update_branch: false
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            default_branch: 'main',
-            permissions: { admin: true },
-            allow_squash_merge: false, // different from global (true)
-            allow_merge_commit: true,
-            allow_rebase_merge: true,
-            delete_branch_on_merge: false,
-            allow_auto_merge: false,
-            allow_update_branch: false
-          }
-        });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      // File exists with same content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-789',
+          content: Buffer.from(content).toString('base64')
+        }
+      });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false
+      );
 
-      // repo1 should use override (false), repo2 should use global (true)
-      expect(mockOctokit.rest.repos.update).toHaveBeenCalledTimes(2);
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('unchanged');
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
     });
 
-    test('should warn and use global default for invalid enum config in YAML', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'repositories-file': 'repos.yml',
-          'allow-squash-merge': 'true',
-          'squash-merge-commit-title': 'PR_TITLE'
-        };
-        return inputs[name] || '';
-      });
+    test('should update existing branch when branch already exists', async () => {
+      const newContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "daily"';
+      const oldContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
 
-      setMockFileContent('repos:\n  - repo: owner/repo1\n    squash-merge-commit-title: INVALID_VALUE');
-      setMockYamlContent({
-        repos: [{ repo: 'owner/repo1', 'squash-merge-commit-title': 'INVALID_VALUE' }]
-      });
+      setMockFileContent(newContent);
 
-      mockOctokit.rest.repos.get.mockResolvedValueOnce({
+      mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: false,
-          squash_merge_commit_title: 'COMMIT_OR_PR_TITLE',
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          default_branch: 'main'
         }
       });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-
-      await run();
 
-      // Should warn about invalid enum value
-      expect(mockCore.warning).toHaveBeenCalledWith(
-        expect.stringContaining(`Invalid value for 'squash-merge-commit-title'`)
-      );
-      // Should still process the repo using global default (PR_TITLE)
-      expect(mockOctokit.rest.repos.update).toHaveBeenCalledWith(
-        expect.objectContaining({
-          squash_merge_commit_title: 'PR_TITLE'
-        })
-      );
-    });
-
-    test('should process repo-specific topics as string', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'repositories-file': 'repos.yml',
-          topics: 'global-topic'
-        };
-        return inputs[name] || '';
+      // File exists with different content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-777',
+          content: Buffer.from(oldContent).toString('base64')
+        }
       });
 
-      setMockFileContent('repos:\n  - repo: owner/repo1\n    topics: repo-topic1,repo-topic2');
-      setMockYamlContent({
-        repos: [{ repo: 'owner/repo1', topics: 'repo-topic1,repo-topic2' }]
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
       });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      // Branch already exists
+      mockOctokit.rest.git.getRef
+        .mockResolvedValueOnce({
+          // Branch exists
+          data: { object: { sha: 'branch-sha-123' } }
+        })
+        .mockResolvedValueOnce({
+          // Default branch ref
+          data: { object: { sha: 'main-sha-456' } }
+        });
+
+      mockOctokit.rest.git.updateRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          number: 44,
+          html_url: 'https://github.com/owner/repo/pull/44'
         }
       });
-      mockOctokit.rest.repos.getAllTopics.mockResolvedValue({ data: { names: [] } });
-      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false
+      );
 
-      expect(mockOctokit.rest.repos.replaceAllTopics).toHaveBeenCalledWith({
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('updated');
+      expect(result.prNumber).toBe(44);
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
         owner: 'owner',
-        repo: 'repo1',
-        names: ['repo-topic1', 'repo-topic2']
+        repo: 'repo',
+        ref: 'heads/dependabot-yml-sync',
+        sha: 'new-commit-sha',
+        force: true
       });
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['main-sha-456'] })
+      );
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
     });
 
-    test('should process repo-specific topics as array', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'repositories-file': 'repos.yml',
-          topics: 'global-topic'
-        };
-        return inputs[name] || '';
-      });
+    test('should update existing PR when content differs', async () => {
+      const newContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "daily"';
+      const oldContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
 
-      setMockFileContent('repos:\n  - repo: owner/repo1\n    topics:\n      - topic1\n      - topic2');
-      setMockYamlContent({
-        repos: [{ repo: 'owner/repo1', topics: ['topic1', 'topic2'] }]
-      });
+      setMockFileContent(newContent);
 
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          default_branch: 'main'
         }
       });
-      mockOctokit.rest.repos.getAllTopics.mockResolvedValue({ data: { names: [] } });
-      mockOctokit.rest.repos.replaceAllTopics.mockResolvedValue({});
 
-      await run();
+      // First call: check default branch (for initial comparison)
+      // Second call: check PR branch (for PR update comparison)
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        });
 
-      expect(mockOctokit.rest.repos.replaceAllTopics).toHaveBeenCalledWith({
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
+      });
+
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('pr-updated');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(result.message).toContain('Updated');
+      expect(result.message).toContain('PR #50');
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['pr-head-sha'] })
+      );
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
         owner: 'owner',
-        repo: 'repo1',
-        names: ['topic1', 'topic2']
+        repo: 'repo',
+        ref: 'heads/dependabot-yml-sync',
+        sha: 'new-commit-sha'
       });
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should process repo-specific workflow-files as string', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'repositories-file': 'repos.yml',
-          'workflow-files': 'global.yml'
-        };
-        return inputs[name] || '';
-      });
+    test('should report pr-up-to-date when PR exists with same content', async () => {
+      const newContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "daily"';
+      const oldContent =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
 
-      mockFs.readFileSync.mockImplementation((filePath, _encoding) => {
-        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) {
-          return mockActionYmlContent;
-        }
-        if (filePath === 'repos.yml') {
-          return 'repos:\n  - repo: owner/repo1\n    workflow-files: repo-workflow.yml';
-        }
-        return 'name: Test Workflow';
-      });
-      setMockYamlContent({
-        repos: [{ repo: 'owner/repo1', 'workflow-files': 'repo-workflow.yml' }]
-      });
+      setMockFileContent(newContent);
 
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          default_branch: 'main'
         }
       });
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 1, html_url: 'https://github.com/owner/repo1/pull/1' }
+
+      // Default branch has old content, but PR branch already has the new content
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(newContent).toString('base64')
+          }
+        });
+
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
       });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false
+      );
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('pr-up-to-date');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(result.message).toContain('already has the latest');
+      expect(result.message).toContain('PR #50');
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should process repo-specific workflow-files as array', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'repositories-file': 'repos.yml',
-          'workflow-files': 'global.yml'
-        };
-        return inputs[name] || '';
-      });
+    test('should create file in PR branch when file does not exist in PR branch', async () => {
+      const newContent = 'version: 2\nupdates:\n  - package-ecosystem: "npm"';
 
-      mockFs.readFileSync.mockImplementation((filePath, _encoding) => {
-        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) {
-          return mockActionYmlContent;
-        }
-        if (filePath === 'repos.yml') {
-          return 'repos:\n  - repo: owner/repo1\n    workflow-files:\n      - file1.yml\n      - file2.yml';
-        }
-        return 'name: Test Workflow';
-      });
-      setMockYamlContent({
-        repos: [{ repo: 'owner/repo1', 'workflow-files': ['file1.yml', 'file2.yml'] }]
-      });
+      setMockFileContent(newContent);
 
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          default_branch: 'main'
         }
       });
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 1, html_url: 'https://github.com/owner/repo1/pull/1' }
+
+      // First call: file doesn't exist in default branch
+      // Second call: file doesn't exist in PR branch either
+      mockOctokit.rest.repos.getContent.mockRejectedValueOnce({ status: 404 }).mockRejectedValueOnce({ status: 404 });
+
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
       });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false
+      );
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('pr-updated-created');
+      expect(result.prNumber).toBe(50);
+      expect(result.message).toContain('Created');
+      expect(result.message).toContain('PR #50');
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['pr-head-sha'] })
+      );
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/dependabot-yml-sync',
+        sha: 'new-commit-sha'
+      });
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle summary table with dependabot sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'dependabot-yml': 'dependabot.yml'
-        };
-        return inputs[name] || '';
-      });
+    test('should handle dry-run mode with existing PR needing update', async () => {
+      const newContent = 'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    schedule:\n      interval: "daily"';
+      const oldContent = 'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    schedule:\n      interval: "weekly"';
+
+      setMockFileContent(newContent);
 
-      setMockFileContent('version: 2\nupdates: []');
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          default_branch: 'main'
         }
       });
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      // First call checks for existing branch (404), second call gets default branch SHA
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 42, html_url: 'https://github.com/owner/repo1/pull/42' }
+
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        });
+
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
       });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        true // dry-run
+      );
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('dependabot.yml');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('would-update-pr');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(result.dryRun).toBe(true);
+      expect(result.message).toContain('Would update');
+      expect(result.message).toContain('PR #50');
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle summary table with gitignore sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          gitignore: '.gitignore'
-        };
-        return inputs[name] || '';
-      });
+    test('should handle dry-run mode', async () => {
+      const newContent = 'version: 2\nupdates:\n  - package-ecosystem: "npm"';
+
+      setMockFileContent(newContent);
 
-      setMockFileContent('node_modules/\n.env');
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          default_branch: 'main'
         }
       });
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 43, html_url: 'https://github.com/owner/repo1/pull/43' }
+
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
       });
 
-      await run();
+      // No existing PR
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('.gitignore');
-    });
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        true // dry-run
+      );
 
-    test('should handle summary table with ruleset sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'rulesets-file': 'ruleset.json'
-        };
-        return inputs[name] || '';
-      });
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('would-create');
+      expect(result.dryRun).toBe(true);
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
 
-      mockFs.readFileSync.mockReturnValue(
-        JSON.stringify({ name: 'test-ruleset', target: 'branch', enforcement: 'active', rules: [] })
+    test('should handle invalid repository format', async () => {
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'invalid-repo-format',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false
       );
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid repository format');
+    });
+
+    test('should handle missing dependabot.yml file', async () => {
+      mockFs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
       });
-      mockOctokit.paginate.mockResolvedValue([]);
-      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({ data: { id: 1 } });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './nonexistent.yml',
+        'chore: update dependabot.yml',
+        false
+      );
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('rulesets:');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read file at');
     });
 
-    test('should handle summary table with workflow files sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'workflow-files': 'ci.yml'
-        };
-        return inputs[name] || '';
-      });
+    test('should handle API errors', async () => {
+      setMockFileContent('version: 2');
 
-      setMockFileContent('name: CI\non: push');
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 44, html_url: 'https://github.com/owner/repo1/pull/44' }
-      });
+      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false
+      );
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('workflow');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync dependabot.yml');
     });
+  });
 
-    test('should handle summary table with autolinks sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'autolinks-file': 'autolinks.json'
-        };
-        return inputs[name] || '';
-      });
+  describe('syncRepositoryRuleset', () => {
+    test('should create ruleset when it does not exist', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      mockFs.readFileSync.mockReturnValue(
-        JSON.stringify({ autolinks: [{ key_prefix: 'JIRA-', url_template: 'https://jira.example.com/browse/<num>' }] })
-      );
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue([]);
+      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
+        data: { id: 123, name: 'ci' }
       });
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
-      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
 
-      await run();
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false);
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('autolink');
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('created');
+      expect(result.rulesetId).toBe(123);
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.getRepoRulesets, {
+        owner: 'owner',
+        repo: 'repo',
+        per_page: 100,
+        includes_parents: false
+      });
+      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ...rulesetConfig
+      });
     });
 
-    test('should handle summary table with copilot instructions sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'copilot-instructions-md': 'copilot-instructions.md'
-        };
-        return inputs[name] || '';
-      });
+    test('should update existing ruleset when content differs', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      setMockFileContent('# Copilot Instructions\n\nBe helpful.');
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
+      const existingRuleset = {
+        id: 456,
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'disabled', // Different from config
+        rules: [{ type: 'deletion' }]
+      };
+
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue([{ id: 456, name: 'ci', enforcement: 'disabled' }]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+        data: existingRuleset
       });
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 45, html_url: 'https://github.com/owner/repo1/pull/45' }
+      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({
+        data: { id: 456, name: 'ci' }
       });
 
-      await run();
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('copilot-instructions');
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('updated');
+      expect(result.rulesetId).toBe(456);
+      expect(mockOctokit.rest.repos.getRepoRuleset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ruleset_id: 456
+      });
+      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ruleset_id: 456,
+        ...rulesetConfig
+      });
     });
 
-    test('should handle summary table with codeowners sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          codeowners: 'CODEOWNERS'
-        };
-        return inputs[name] || '';
+    test('should not update ruleset when content is unchanged', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
+
+      const existingRuleset = {
+        id: 789,
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }],
+        // These fields are returned by API but should be ignored in comparison
+        source_type: 'Repository',
+        source: 'owner/repo',
+        created_at: '2024-01-01T00:00:00Z',
+        updated_at: '2024-01-01T00:00:00Z'
+      };
+
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue([{ id: 789, name: 'ci' }]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+        data: existingRuleset
       });
 
-      setMockFileContent('# CODEOWNERS\n* @owner/team');
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('unchanged');
+      expect(result.rulesetId).toBe(789);
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.repos.getRepoRuleset).toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
+    });
+
+    test('should not update ruleset when source config contains API-only fields', async () => {
+      // Source config that looks like a raw API response export (has API-only fields)
+      const rulesetConfig = {
+        id: 9620349,
+        name: 'ci',
+        target: 'branch',
+        source_type: 'Repository',
+        source: 'some-owner/some-repo',
+        enforcement: 'active',
+        conditions: {
+          ref_name: {
+            exclude: [],
+            include: ['~DEFAULT_BRANCH']
+          }
+        },
+        rules: [{ type: 'deletion' }, { type: 'non_fast_forward' }],
+        node_id: 'RRS_lACqUmVwb3NpdG9yec4uPAeNzgCTID8',
+        created_at: '2025-11-08T08:49:56.048-06:00',
+        updated_at: '2025-11-08T08:49:56.128-06:00',
+        bypass_actors: [{ actor_id: 5, actor_type: 'RepositoryRole', bypass_mode: 'always' }],
+        current_user_can_bypass: 'always',
+        _links: {
+          self: { href: 'https://api.github.com/repos/some-owner/some-repo/rulesets/9620349' },
+          html: { href: 'https://github.com/some-owner/some-repo/rules/9620349' }
         }
-      });
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 46, html_url: 'https://github.com/owner/repo1/pull/46' }
+      };
+
+      // Existing ruleset from API (matches the relevant fields)
+      const existingRuleset = {
+        id: 456,
+        name: 'ci',
+        target: 'branch',
+        source_type: 'Repository',
+        source: 'owner/repo',
+        enforcement: 'active',
+        conditions: {
+          ref_name: {
+            exclude: [],
+            include: ['~DEFAULT_BRANCH']
+          }
+        },
+        rules: [{ type: 'deletion' }, { type: 'non_fast_forward' }],
+        bypass_actors: [{ actor_id: 5, actor_type: 'RepositoryRole', bypass_mode: 'always' }],
+        current_user_can_bypass: 'always'
+      };
+
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue([{ id: 456, name: 'ci' }]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+        data: existingRuleset
       });
 
-      await run();
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false);
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('CODEOWNERS');
-      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/46">PR #46</a>');
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('unchanged');
+      expect(result.rulesetId).toBe(456);
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.repos.getRepoRuleset).toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
     });
 
-    test('should handle summary table with package.json sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'package-json-sync-scripts': 'true',
-          'package-json-file': 'package.json'
-        };
-        return inputs[name] || '';
-      });
+    test('should detect changes in non-blocklisted fields during comparison', async () => {
+      // Source config has an unknown writable field that differs from API
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }],
+        some_future_field: 'new-value'
+      };
 
-      mockFs.readFileSync.mockReturnValue(
-        JSON.stringify({
-          name: 'source-repo',
-          scripts: { test: 'jest', build: 'tsc' }
-        })
-      );
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          content: Buffer.from(
-            JSON.stringify({
-              name: 'target-repo',
-              scripts: { test: 'mocha' }
-            })
-          ).toString('base64'),
-          sha: 'target123'
-        }
-      });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 47, html_url: 'https://github.com/owner/repo1/pull/47' }
+      const existingRuleset = {
+        id: 789,
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }],
+        source_type: 'Repository',
+        source: 'owner/repo',
+        some_future_field: 'old-value'
+      };
+
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue([{ id: 789, name: 'ci' }]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+        data: existingRuleset
       });
+      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({});
 
-      await run();
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('package.json');
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('updated');
+      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledTimes(1);
     });
 
-    test('should handle summary table with PR template sync changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'pull-request-template': 'pr-template.md'
-        };
-        return inputs[name] || '';
-      });
+    test('should handle dry-run mode for creation', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      setMockFileContent('## Description\n\nPlease describe your changes.');
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 46, html_url: 'https://github.com/owner/repo1/pull/46' }
-      });
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue([]);
 
-      await run();
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, true);
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('PR template');
-      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/46">PR #46</a>');
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('would-create');
+      expect(result.dryRun).toBe(true);
+      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
     });
 
-    test('should use custom GitHub API URL when provided', async () => {
-      const customApiUrl = 'https://ghes.example.com/api/v3';
+    test('should handle dry-run mode for update', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      // Import Octokit mock to verify constructor was called with correct params
-      const { Octokit } = await import('@octokit/rest');
+      const existingRuleset = {
+        id: 456,
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'disabled', // Different from config
+        rules: [{ type: 'deletion' }]
+      };
 
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'github-api-url': customApiUrl,
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue([{ id: 456, name: 'ci', enforcement: 'disabled' }]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+        data: existingRuleset
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-
-      await run();
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, true);
 
-      expect(Octokit).toHaveBeenCalledWith({
-        auth: 'test-token',
-        baseUrl: customApiUrl
-      });
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('would-update');
+      expect(result.dryRun).toBe(true);
+      expect(mockOctokit.rest.repos.getRepoRuleset).toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
     });
 
-    test('should default to https://api.github.com when no API URL provided', async () => {
-      const { Octokit } = await import('@octokit/rest');
+    test('should handle invalid repository format', async () => {
+      const result = await syncRepositoryRuleset(mockOctokit, 'invalid-repo-format', './ruleset.json', false, false);
 
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'github-api-url': '',
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
-      });
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid repository format');
+    });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+    test('should handle missing ruleset file', async () => {
+      mockFs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
+      });
 
-      await run();
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './nonexistent.json', false, false);
 
-      expect(Octokit).toHaveBeenCalledWith({
-        auth: 'test-token',
-        baseUrl: 'https://api.github.com'
-      });
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read or parse ruleset file');
     });
 
-    test('should work with GHEC-DR (GHE) URL', async () => {
-      const gheUrl = 'https://api.octocorp.ghe.com';
-      const { Octokit } = await import('@octokit/rest');
+    test('should handle invalid JSON in ruleset file', async () => {
+      setMockFileContent('{ invalid json }');
 
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          'github-api-url': gheUrl,
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
-      });
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './invalid.json', false, false);
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read or parse ruleset file');
+    });
 
-      await run();
+    test('should handle ruleset without name', async () => {
+      const rulesetConfig = {
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
+
+      setMockFileContent(JSON.stringify(rulesetConfig));
 
-      expect(Octokit).toHaveBeenCalledWith({
-        auth: 'test-token',
-        baseUrl: gheUrl
-      });
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
-    });
-  });
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
-  describe('syncDependabotYml', () => {
-    beforeEach(() => {
-      jest.clearAllMocks();
-      mockOctokit.rest.repos.get.mockClear();
-      mockOctokit.rest.repos.getContent.mockClear();
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
-      mockOctokit.rest.git.getRef.mockClear();
-      mockOctokit.rest.git.createRef.mockClear();
-      mockOctokit.rest.git.updateRef.mockClear();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.create.mockClear();
-      mockOctokit.rest.pulls.update.mockClear();
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('must include a "name" field');
     });
 
-    test('should create dependabot.yml when it does not exist', async () => {
-      const testDependabotContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
-
-      setMockFileContent(testDependabotContent);
+    test('should handle API errors', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockRejectedValue(new Error('API rate limit exceeded'));
 
-      // File does not exist
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
-      });
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync ruleset');
+    });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 }) // Branch check
-        .mockResolvedValueOnce({
-          // Default branch ref
-          data: { object: { sha: 'abc123' } }
-        });
+    test('should handle 404 errors when rulesets are not enabled', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 42,
-          html_url: 'https://github.com/owner/repo/pull/42'
-        }
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      const error404 = new Error('Not Found');
+      error404.status = 404;
+      mockOctokit.paginate.mockRejectedValue(error404);
+      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
+        data: { id: 123, name: 'ci' }
       });
 
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: add dependabot.yml',
-        false
-      );
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('created');
-      expect(result.prNumber).toBe(42);
-      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          owner: 'owner',
-          repo: 'repo',
-          path: '.github/dependabot.yml',
-          branch: 'dependabot-yml-sync'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
+      expect(result.ruleset).toBe('created');
     });
 
-    test('should update dependabot.yml when content differs', async () => {
-      const newContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "daily"';
-      const oldContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
-
-      setMockFileContent(newContent);
+    test('should paginate when fetching existing rulesets', async () => {
+      const rulesetConfig = {
+        name: 'new-ruleset',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      // Simulate paginated response with many rulesets
+      const existingRulesets = Array.from({ length: 150 }, (_, i) => ({
+        id: i + 1,
+        name: `ruleset-${i + 1}`
+      }));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
+        data: { id: 999, name: 'new-ruleset' }
       });
 
-      // File exists with different content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-456',
-          content: Buffer.from(oldContent).toString('base64')
-        }
-      });
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('created');
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.getRepoRulesets, {
+        owner: 'owner',
+        repo: 'repo',
+        per_page: 100,
+        includes_parents: false
       });
+    });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
-        data: { object: { sha: 'abc123' } }
-      });
+    test('should exclude organization rulesets from delete-unmanaged', async () => {
+      const rulesetConfig = {
+        name: 'repo-ruleset',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 43,
-          html_url: 'https://github.com/owner/repo/pull/43'
-        }
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      // includes_parents=false means org rulesets won't appear here,
+      // so only repo-level rulesets are returned
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 1, name: 'repo-ruleset' },
+        { id: 2, name: 'unmanaged-repo-ruleset' }
+      ]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+        data: rulesetConfig
       });
 
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: update dependabot.yml',
-        false
-      );
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('updated');
-      expect(result.prNumber).toBe(43);
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          sha: 'file-sha-456'
-        })
+      // Should only delete the unmanaged repo ruleset, not any org rulesets
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ruleset_id: 2
+      });
+      // Verify includes_parents=false was passed
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(
+        mockOctokit.rest.repos.getRepoRulesets,
+        expect.objectContaining({ includes_parents: false })
       );
     });
 
-    test('should not create PR when content is unchanged', async () => {
-      const content =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
-
-      setMockFileContent(content);
+    test('should delete unmanaged rulesets when updating a ruleset', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }, { type: 'pull_request' }] // Different from existing
+      };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
+      const existingRulesets = [
+        { id: 123, name: 'ci' },
+        { id: 456, name: 'old-ruleset' }
+      ];
 
-      // File exists with same content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
         data: {
-          sha: 'file-sha-789',
-          content: Buffer.from(content).toString('base64')
+          id: 123,
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'active',
+          rules: [{ type: 'deletion' }] // Different - triggers update
         }
       });
+      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({});
+      mockOctokit.rest.repos.deleteRepoRuleset.mockResolvedValue({});
 
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: update dependabot.yml',
-        false
-      );
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('unchanged');
-      expect(result.message).toContain('already up to date');
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+      expect(result.ruleset).toBe('updated');
+      expect(result.deletedRulesets).toHaveLength(1);
+      expect(result.deletedRulesets[0].name).toBe('old-ruleset');
+      expect(result.deletedRulesets[0].deleted).toBe(true);
+      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ruleset_id: 456
+      });
     });
 
-    test('should update existing branch when branch already exists', async () => {
-      const newContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "daily"';
-      const oldContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
+    test('should delete unmanaged rulesets when creating a new ruleset', async () => {
+      const rulesetConfig = {
+        name: 'new-ruleset',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      setMockFileContent(newContent);
+      const existingRulesets = [
+        { id: 456, name: 'old-ruleset' },
+        { id: 789, name: 'another-old-ruleset' }
+      ];
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
+        data: { id: 999, name: 'new-ruleset' }
       });
+      mockOctokit.rest.repos.deleteRepoRuleset.mockResolvedValue({});
 
-      // File exists with different content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-777',
-          content: Buffer.from(oldContent).toString('base64')
-        }
-      });
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('created');
+      expect(result.rulesetId).toBe(999);
+      expect(result.deletedRulesets).toHaveLength(2);
+      expect(result.deletedRulesets[0].name).toBe('old-ruleset');
+      expect(result.deletedRulesets[0].deleted).toBe(true);
+      expect(result.deletedRulesets[1].name).toBe('another-old-ruleset');
+      expect(result.deletedRulesets[1].deleted).toBe(true);
+      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledTimes(2);
+    });
 
-      // Branch already exists
-      mockOctokit.rest.git.getRef
-        .mockResolvedValueOnce({
-          // Branch exists
-          data: { object: { sha: 'branch-sha-123' } }
-        })
-        .mockResolvedValueOnce({
-          // Default branch ref
-          data: { object: { sha: 'main-sha-456' } }
-        });
+    test('should delete unmanaged rulesets when delete-unmanaged-rulesets is enabled', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      mockOctokit.rest.git.updateRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
+      const existingRulesets = [
+        { id: 123, name: 'ci' },
+        { id: 456, name: 'ci2' },
+        { id: 789, name: 'old-ruleset' }
+      ];
+
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
         data: {
-          number: 44,
-          html_url: 'https://github.com/owner/repo/pull/44'
+          id: 123,
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'active',
+          rules: [{ type: 'deletion' }]
         }
       });
+      mockOctokit.rest.repos.deleteRepoRuleset.mockResolvedValue({});
 
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: update dependabot.yml',
-        false
-      );
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('updated');
-      expect(result.prNumber).toBe(44);
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+      expect(result.ruleset).toBe('unchanged');
+      expect(result.deletedRulesets).toHaveLength(2);
+      expect(result.deletedRulesets[0].name).toBe('ci2');
+      expect(result.deletedRulesets[0].deleted).toBe(true);
+      expect(result.deletedRulesets[1].name).toBe('old-ruleset');
+      expect(result.deletedRulesets[1].deleted).toBe(true);
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        ref: 'heads/dependabot-yml-sync',
-        sha: 'main-sha-456',
-        force: true
+        ruleset_id: 456
+      });
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ruleset_id: 789
       });
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
     });
 
-    test('should update existing PR when content differs', async () => {
-      const newContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "daily"';
-      const oldContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
+    test('should handle delete-unmanaged-rulesets in dry-run mode', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      setMockFileContent(newContent);
+      const existingRulesets = [
+        { id: 123, name: 'ci' },
+        { id: 456, name: 'ci2' }
+      ];
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
         data: {
-          default_branch: 'main'
+          id: 123,
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'active',
+          rules: [{ type: 'deletion' }]
         }
       });
 
-      // First call: check default branch (for initial comparison)
-      // Second call: check PR branch (for PR update comparison)
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        });
-
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
-          }
-        ]
-      });
-
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({
-        data: { commit: { sha: 'new-commit-sha' } }
-      });
-
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: update dependabot.yml',
-        false
-      );
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, true);
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('pr-updated');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(result.message).toContain('Updated');
-      expect(result.message).toContain('PR #50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          branch: 'dependabot-yml-sync',
-          sha: 'file-sha-pr-branch'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.ruleset).toBe('unchanged');
+      expect(result.deletedRulesets).toHaveLength(1);
+      expect(result.deletedRulesets[0].name).toBe('ci2');
+      expect(result.deletedRulesets[0].wouldDelete).toBe(true);
+      expect(result.deletedRulesets[0].deleted).toBe(false);
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).not.toHaveBeenCalled();
     });
 
-    test('should report pr-up-to-date when PR exists with same content', async () => {
-      const newContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "daily"';
-      const oldContent =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
+    test('should handle delete-unmanaged-rulesets in dry-run mode when updating', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      setMockFileContent(newContent);
+      const existingRulesets = [
+        { id: 123, name: 'ci' },
+        { id: 456, name: 'unmanaged-ruleset' }
+      ];
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
         data: {
-          default_branch: 'main'
+          id: 123,
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'disabled', // Different from config, triggers update
+          rules: [{ type: 'deletion' }]
         }
       });
 
-      // Default branch has old content, but PR branch already has the new content
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(newContent).toString('base64')
-          }
-        });
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, true);
 
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
-          }
-        ]
-      });
+      expect(result.success).toBe(true);
+      expect(result.ruleset).toBe('would-update');
+      expect(result.deletedRulesets).toHaveLength(1);
+      expect(result.deletedRulesets[0].name).toBe('unmanaged-ruleset');
+      expect(result.deletedRulesets[0].wouldDelete).toBe(true);
+      expect(result.deletedRulesets[0].deleted).toBe(false);
+      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).not.toHaveBeenCalled();
+    });
+
+    test('should handle delete-unmanaged-rulesets in dry-run mode when creating', async () => {
+      const rulesetConfig = {
+        name: 'new-ruleset',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: update dependabot.yml',
-        false
-      );
+      const existingRulesets = [{ id: 456, name: 'unmanaged-ruleset' }];
+
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, true);
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('pr-up-to-date');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(result.message).toContain('already has the latest');
-      expect(result.message).toContain('PR #50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.ruleset).toBe('would-create');
+      expect(result.deletedRulesets).toHaveLength(1);
+      expect(result.deletedRulesets[0].name).toBe('unmanaged-ruleset');
+      expect(result.deletedRulesets[0].wouldDelete).toBe(true);
+      expect(result.deletedRulesets[0].deleted).toBe(false);
+      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).not.toHaveBeenCalled();
     });
 
-    test('should create file in PR branch when file does not exist in PR branch', async () => {
-      const newContent = 'version: 2\nupdates:\n  - package-ecosystem: "npm"';
+    test('should not delete rulesets when delete-unmanaged-rulesets is disabled', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      setMockFileContent(newContent);
+      const existingRulesets = [
+        { id: 123, name: 'ci' },
+        { id: 456, name: 'ci2' }
+      ];
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
         data: {
-          default_branch: 'main'
+          id: 123,
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'active',
+          rules: [{ type: 'deletion' }]
         }
       });
 
-      // First call: file doesn't exist in default branch
-      // Second call: file doesn't exist in PR branch either
-      mockOctokit.rest.repos.getContent.mockRejectedValueOnce({ status: 404 }).mockRejectedValueOnce({ status: 404 });
-
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
-          }
-        ]
-      });
-
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({
-        data: { commit: { sha: 'new-commit-sha' } }
-      });
-
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: add dependabot.yml',
-        false
-      );
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('pr-updated-created');
-      expect(result.prNumber).toBe(50);
-      expect(result.message).toContain('Created');
-      expect(result.message).toContain('PR #50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          branch: 'dependabot-yml-sync',
-          sha: undefined
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.ruleset).toBe('unchanged');
+      expect(result.deletedRulesets).toBeUndefined();
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).not.toHaveBeenCalled();
     });
 
-    test('should handle dry-run mode with existing PR needing update', async () => {
-      const newContent = 'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    schedule:\n      interval: "daily"';
-      const oldContent = 'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    schedule:\n      interval: "weekly"';
+    test('should handle deletion errors gracefully when deleting unmanaged rulesets', async () => {
+      const rulesetConfig = {
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
 
-      setMockFileContent(newContent);
+      const existingRulesets = [
+        { id: 123, name: 'ci' },
+        { id: 456, name: 'ci2' }
+      ];
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
         data: {
-          default_branch: 'main'
+          id: 123,
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'active',
+          rules: [{ type: 'deletion' }]
         }
       });
+      mockOctokit.rest.repos.deleteRepoRuleset.mockRejectedValue(new Error('Permission denied'));
 
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        });
-
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
-          }
-        ]
-      });
-
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: update dependabot.yml',
-        true // dry-run
-      );
+      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('would-update-pr');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(result.dryRun).toBe(true);
-      expect(result.message).toContain('Would update');
-      expect(result.message).toContain('PR #50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.ruleset).toBe('unchanged');
+      expect(result.deletedRulesets).toHaveLength(1);
+      expect(result.deletedRulesets[0].name).toBe('ci2');
+      expect(result.deletedRulesets[0].deleted).toBe(false);
+      expect(result.deletedRulesets[0].error).toContain('Permission denied');
     });
+  });
 
-    test('should handle dry-run mode', async () => {
-      const newContent = 'version: 2\nupdates:\n  - package-ecosystem: "npm"';
+  // ─── parseRulesetsFileValue ──────────────────────────────────────────
 
-      setMockFileContent(newContent);
+  describe('parseRulesetsFileValue', () => {
+    test('should parse a single file path string', () => {
+      const result = parseRulesetsFileValue('./rulesets/branch.json');
+      expect(result).toEqual(['./rulesets/branch.json']);
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
+    test('should parse comma-separated file paths', () => {
+      const result = parseRulesetsFileValue('./rulesets/branch.json, ./rulesets/tag.json');
+      expect(result).toEqual(['./rulesets/branch.json', './rulesets/tag.json']);
+    });
 
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
-      });
+    test('should parse a YAML array of file paths', () => {
+      const result = parseRulesetsFileValue(['./rulesets/branch.json', './rulesets/tag.json']);
+      expect(result).toEqual(['./rulesets/branch.json', './rulesets/tag.json']);
+    });
 
-      // No existing PR
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+    test('should trim whitespace from paths', () => {
+      const result = parseRulesetsFileValue('  ./rulesets/branch.json  ,  ./rulesets/tag.json  ');
+      expect(result).toEqual(['./rulesets/branch.json', './rulesets/tag.json']);
+    });
 
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: add dependabot.yml',
-        true // dry-run
-      );
+    test('should return empty array for empty string', () => {
+      const result = parseRulesetsFileValue('');
+      expect(result).toEqual([]);
+    });
 
-      expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('would-create');
-      expect(result.dryRun).toBe(true);
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    test('should return empty array for null/undefined', () => {
+      expect(parseRulesetsFileValue(null)).toEqual([]);
+      expect(parseRulesetsFileValue(undefined)).toEqual([]);
     });
 
-    test('should handle invalid repository format', async () => {
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'invalid-repo-format',
-        './dependabot.yml',
-        'chore: update dependabot.yml',
-        false
+    test('should throw for invalid type', () => {
+      expect(() => parseRulesetsFileValue(123)).toThrow(
+        'expected a string, comma-separated string, or array of strings'
       );
+    });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid repository format');
+    test('should throw for empty array entries', () => {
+      expect(() => parseRulesetsFileValue(['./rulesets/branch.json', ''])).toThrow('expected non-empty strings');
     });
 
-    test('should handle missing dependabot.yml file', async () => {
-      mockFs.readFileSync.mockImplementation(() => {
-        throw new Error('ENOENT: no such file or directory');
-      });
+    test('should include context in error messages', () => {
+      expect(() => parseRulesetsFileValue(123, 'owner/repo')).toThrow('for repo "owner/repo"');
+    });
+  });
 
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './nonexistent.yml',
-        'chore: update dependabot.yml',
-        false
-      );
+  describe('stripRulesetReadonlyFields', () => {
+    test('should strip all known read-only fields', () => {
+      const input = {
+        id: 123,
+        node_id: 'RRS_abc',
+        source: 'owner/repo',
+        source_type: 'Repository',
+        created_at: '2025-01-01T00:00:00Z',
+        updated_at: '2025-01-01T00:00:00Z',
+        _links: { self: { href: 'https://example.com' } },
+        current_user_can_bypass: 'always',
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      };
+
+      const result = stripRulesetReadonlyFields(input);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read file at');
+      expect(result).toEqual({
+        name: 'ci',
+        target: 'branch',
+        enforcement: 'active',
+        rules: [{ type: 'deletion' }]
+      });
     });
 
-    test('should handle API errors', async () => {
-      setMockFileContent('version: 2');
+    test('should pass through unknown fields', () => {
+      const input = {
+        name: 'ci',
+        enforcement: 'active',
+        some_new_field: 'value'
+      };
 
-      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
+      const result = stripRulesetReadonlyFields(input);
 
-      const result = await syncDependabotYml(
-        mockOctokit,
-        'owner/repo',
-        './dependabot.yml',
-        'chore: update dependabot.yml',
-        false
-      );
+      expect(result).toEqual(input);
+    });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync dependabot.yml');
+    test('should return empty object for config with only read-only fields', () => {
+      const input = { id: 1, node_id: 'abc' };
+      const result = stripRulesetReadonlyFields(input);
+      expect(result).toEqual({});
     });
   });
 
-  describe('syncRepositoryRuleset', () => {
-    test('should create ruleset when it does not exist', async () => {
-      const rulesetConfig = {
-        name: 'ci',
+  // ─── syncRepositoryRulesets (multi-file) ──────────────────────────────
+
+  describe('syncRepositoryRulesets', () => {
+    test('should create multiple rulesets when none exist', async () => {
+      const branchRuleset = {
+        name: 'branch-protection',
         target: 'branch',
         enforcement: 'active',
         rules: [{ type: 'deletion' }]
       };
+      const tagRuleset = {
+        name: 'tag-protection',
+        target: 'tag',
+        enforcement: 'active',
+        rules: [{ type: 'non_fast_forward' }]
+      };
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([]);
-      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
-        data: { id: 123, name: 'ci' }
+      mockFs.readFileSync.mockImplementation(filePath => {
+        if (filePath === './rulesets/branch.json') return JSON.stringify(branchRuleset);
+        if (filePath === './rulesets/tag.json') return JSON.stringify(tagRuleset);
+        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) return mockActionYmlContent;
+        return '';
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false);
+      mockOctokit.paginate.mockResolvedValue([]);
+      mockOctokit.rest.repos.createRepoRuleset
+        .mockResolvedValueOnce({ data: { id: 100, name: 'branch-protection' } })
+        .mockResolvedValueOnce({ data: { id: 200, name: 'tag-protection' } });
+
+      const result = await syncRepositoryRulesets(
+        mockOctokit,
+        'owner/repo',
+        ['./rulesets/branch.json', './rulesets/tag.json'],
+        false,
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('created');
-      expect(result.rulesetId).toBe(123);
-      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.getRepoRulesets, {
-        owner: 'owner',
-        repo: 'repo',
-        per_page: 100,
-        includes_parents: false
-      });
-      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        ...rulesetConfig
-      });
+      expect(result.subResults).toHaveLength(2);
+      expect(result.subResults[0].kind).toBe('ruleset-create');
+      expect(result.subResults[0].message).toContain('branch-protection');
+      expect(result.subResults[0].rulesetName).toBe('branch-protection');
+      expect(result.subResults[1].kind).toBe('ruleset-create');
+      expect(result.subResults[1].message).toContain('tag-protection');
+      expect(result.subResults[1].rulesetName).toBe('tag-protection');
+      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledTimes(2);
     });
 
-    test('should update existing ruleset when content differs', async () => {
-      const rulesetConfig = {
-        name: 'ci',
+    test('should preserve all managed rulesets when deleting unmanaged', async () => {
+      const branchRuleset = {
+        name: 'branch-protection',
         target: 'branch',
         enforcement: 'active',
         rules: [{ type: 'deletion' }]
       };
-
-      const existingRuleset = {
-        id: 456,
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'disabled', // Different from config
-        rules: [{ type: 'deletion' }]
+      const tagRuleset = {
+        name: 'tag-protection',
+        target: 'tag',
+        enforcement: 'active',
+        rules: [{ type: 'non_fast_forward' }]
       };
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([{ id: 456, name: 'ci', enforcement: 'disabled' }]);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
-        data: existingRuleset
-      });
-      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({
-        data: { id: 456, name: 'ci' }
+      mockFs.readFileSync.mockImplementation(filePath => {
+        if (filePath === './rulesets/branch.json') return JSON.stringify(branchRuleset);
+        if (filePath === './rulesets/tag.json') return JSON.stringify(tagRuleset);
+        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) return mockActionYmlContent;
+        return '';
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 100, name: 'branch-protection' },
+        { id: 200, name: 'tag-protection' },
+        { id: 300, name: 'old-unmanaged-ruleset' }
+      ]);
+      mockOctokit.rest.repos.getRepoRuleset
+        .mockResolvedValueOnce({ data: { id: 100, ...branchRuleset } })
+        .mockResolvedValueOnce({ data: { id: 200, ...tagRuleset } });
+      mockOctokit.rest.repos.deleteRepoRuleset.mockResolvedValue({});
+
+      const result = await syncRepositoryRulesets(
+        mockOctokit,
+        'owner/repo',
+        ['./rulesets/branch.json', './rulesets/tag.json'],
+        true,
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('updated');
-      expect(result.rulesetId).toBe(456);
-      expect(mockOctokit.rest.repos.getRepoRuleset).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        ruleset_id: 456
-      });
-      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledWith({
+      // Both managed rulesets are unchanged, so no create/update subResults
+      const deleteResults = result.subResults.filter(s => s.kind === 'ruleset-delete');
+      expect(deleteResults).toHaveLength(1);
+      expect(deleteResults[0].message).toContain('old-unmanaged-ruleset');
+      // Backward-compat
+      expect(result.deletedRulesets).toHaveLength(1);
+      expect(result.deletedRulesets[0].name).toBe('old-unmanaged-ruleset');
+      expect(result.deletedRulesets[0].deleted).toBe(true);
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        ruleset_id: 456,
-        ...rulesetConfig
+        ruleset_id: 300
       });
     });
 
-    test('should not update ruleset when content is unchanged', async () => {
-      const rulesetConfig = {
-        name: 'ci',
+    test('should handle mixed create and update across multiple rulesets', async () => {
+      const branchRuleset = {
+        name: 'branch-protection',
         target: 'branch',
         enforcement: 'active',
         rules: [{ type: 'deletion' }]
       };
-
-      const existingRuleset = {
-        id: 789,
-        name: 'ci',
-        target: 'branch',
+      const tagRuleset = {
+        name: 'tag-protection',
+        target: 'tag',
         enforcement: 'active',
-        rules: [{ type: 'deletion' }],
-        // These fields are returned by API but should be ignored in comparison
-        source_type: 'Repository',
-        source: 'owner/repo',
-        created_at: '2024-01-01T00:00:00Z',
-        updated_at: '2024-01-01T00:00:00Z'
+        rules: [{ type: 'non_fast_forward' }]
       };
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([{ id: 789, name: 'ci' }]);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
-        data: existingRuleset
+      mockFs.readFileSync.mockImplementation(filePath => {
+        if (filePath === './rulesets/branch.json') return JSON.stringify(branchRuleset);
+        if (filePath === './rulesets/tag.json') return JSON.stringify(tagRuleset);
+        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) return mockActionYmlContent;
+        return '';
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+      // Only branch-protection exists, tag-protection is new
+      mockOctokit.paginate.mockResolvedValue([{ id: 100, name: 'branch-protection' }]);
+      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValueOnce({
+        data: {
+          id: 100,
+          name: 'branch-protection',
+          target: 'branch',
+          enforcement: 'disabled',
+          rules: [{ type: 'deletion' }]
+        }
+      });
+      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({});
+      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
+        data: { id: 200, name: 'tag-protection' }
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('unchanged');
-      expect(result.rulesetId).toBe(789);
-      expect(result.message).toContain('already up to date');
-      expect(mockOctokit.rest.repos.getRepoRuleset).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
-    });
+      const result = await syncRepositoryRulesets(
+        mockOctokit,
+        'owner/repo',
+        ['./rulesets/branch.json', './rulesets/tag.json'],
+        false,
+        false
+      );
 
-    test('should not update ruleset when source config contains API-only fields', async () => {
-      // Source config that looks like a raw API response export (has API-only fields)
-      const rulesetConfig = {
-        id: 9620349,
-        name: 'ci',
-        target: 'branch',
-        source_type: 'Repository',
-        source: 'some-owner/some-repo',
-        enforcement: 'active',
-        conditions: {
-          ref_name: {
-            exclude: [],
-            include: ['~DEFAULT_BRANCH']
-          }
-        },
-        rules: [{ type: 'deletion' }, { type: 'non_fast_forward' }],
-        node_id: 'RRS_lACqUmVwb3NpdG9yec4uPAeNzgCTID8',
-        created_at: '2025-11-08T08:49:56.048-06:00',
-        updated_at: '2025-11-08T08:49:56.128-06:00',
-        bypass_actors: [{ actor_id: 5, actor_type: 'RepositoryRole', bypass_mode: 'always' }],
-        current_user_can_bypass: 'always',
-        _links: {
-          self: { href: 'https://api.github.com/repos/some-owner/some-repo/rulesets/9620349' },
-          html: { href: 'https://github.com/some-owner/some-repo/rules/9620349' }
-        }
-      };
+      expect(result.success).toBe(true);
+      expect(result.subResults).toHaveLength(2);
+      expect(result.subResults[0].kind).toBe('ruleset-update');
+      expect(result.subResults[0].rulesetName).toBe('branch-protection');
+      expect(result.subResults[1].kind).toBe('ruleset-create');
+      expect(result.subResults[1].rulesetName).toBe('tag-protection');
+      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledTimes(1);
+    });
 
-      // Existing ruleset from API (matches the relevant fields)
-      const existingRuleset = {
-        id: 456,
+    test('backward-compatible single-file call via syncRepositoryRuleset still works', async () => {
+      const rulesetConfig = {
         name: 'ci',
         target: 'branch',
-        source_type: 'Repository',
-        source: 'owner/repo',
         enforcement: 'active',
-        conditions: {
-          ref_name: {
-            exclude: [],
-            include: ['~DEFAULT_BRANCH']
-          }
-        },
-        rules: [{ type: 'deletion' }, { type: 'non_fast_forward' }],
-        bypass_actors: [{ actor_id: 5, actor_type: 'RepositoryRole', bypass_mode: 'always' }],
-        current_user_can_bypass: 'always'
+        rules: [{ type: 'deletion' }]
       };
 
       setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([{ id: 456, name: 'ci' }]);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
-        data: existingRuleset
+      mockOctokit.paginate.mockResolvedValue([]);
+      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
+        data: { id: 123, name: 'ci' }
       });
 
       const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false);
 
       expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('unchanged');
-      expect(result.rulesetId).toBe(456);
-      expect(result.message).toContain('already up to date');
-      expect(mockOctokit.rest.repos.getRepoRuleset).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
+      expect(result.ruleset).toBe('created');
+      expect(result.rulesetId).toBe(123);
+      expect(result.subResults).toHaveLength(1);
     });
 
-    test('should detect changes in non-blocklisted fields during comparison', async () => {
-      // Source config has an unknown writable field that differs from API
-      const rulesetConfig = {
+    test('should fail fast when duplicate ruleset names are found across files', async () => {
+      const rulesetA = {
         name: 'ci',
         target: 'branch',
         enforcement: 'active',
-        rules: [{ type: 'deletion' }],
-        some_future_field: 'new-value'
+        rules: [{ type: 'deletion' }]
       };
-
-      const existingRuleset = {
-        id: 789,
+      const rulesetB = {
         name: 'ci',
         target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }],
-        source_type: 'Repository',
-        source: 'owner/repo',
-        some_future_field: 'old-value'
+        enforcement: 'disabled',
+        rules: [{ type: 'non_fast_forward' }]
       };
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([{ id: 789, name: 'ci' }]);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
-        data: existingRuleset
+      mockFs.readFileSync.mockImplementation(filePath => {
+        if (filePath === './rulesets/a.json') return JSON.stringify(rulesetA);
+        if (filePath === './rulesets/b.json') return JSON.stringify(rulesetB);
+        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) return mockActionYmlContent;
+        return '';
       });
-      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({});
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+      const result = await syncRepositoryRulesets(
+        mockOctokit,
+        'owner/repo',
+        ['./rulesets/a.json', './rulesets/b.json'],
+        false,
+        false
+      );
 
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('updated');
-      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Duplicate ruleset name');
+      expect(result.error).toContain('ci');
+      // Should not have tried to fetch or create anything
+      expect(mockOctokit.paginate).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
     });
 
-    test('should handle dry-run mode for creation', async () => {
+    test('should strip read-only fields when creating a ruleset', async () => {
       const rulesetConfig = {
+        id: 9999,
+        node_id: 'RRS_abc123',
         name: 'ci',
         target: 'branch',
+        source_type: 'Repository',
+        source: 'some-owner/some-repo',
         enforcement: 'active',
-        rules: [{ type: 'deletion' }]
+        rules: [{ type: 'deletion' }],
+        created_at: '2025-01-01T00:00:00Z',
+        updated_at: '2025-01-01T00:00:00Z',
+        current_user_can_bypass: 'always',
+        _links: { self: { href: 'https://api.github.com/repos/some-owner/some-repo/rulesets/9999' } }
       };
 
       setMockFileContent(JSON.stringify(rulesetConfig));
       mockOctokit.paginate.mockResolvedValue([]);
+      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
+        data: { id: 100, name: 'ci' }
+      });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, true);
+      await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('would-create');
-      expect(result.dryRun).toBe(true);
-      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledTimes(1);
+      const callArgs = mockOctokit.rest.repos.createRepoRuleset.mock.calls[0][0];
+      // Read-only fields must not be present
+      expect(callArgs).not.toHaveProperty('id');
+      expect(callArgs).not.toHaveProperty('node_id');
+      expect(callArgs).not.toHaveProperty('source');
+      expect(callArgs).not.toHaveProperty('source_type');
+      expect(callArgs).not.toHaveProperty('created_at');
+      expect(callArgs).not.toHaveProperty('updated_at');
+      expect(callArgs).not.toHaveProperty('current_user_can_bypass');
+      expect(callArgs).not.toHaveProperty('_links');
+      // Writable fields must still be present
+      expect(callArgs).toHaveProperty('name', 'ci');
+      expect(callArgs).toHaveProperty('target', 'branch');
+      expect(callArgs).toHaveProperty('enforcement', 'active');
+      expect(callArgs).toHaveProperty('rules');
     });
 
-    test('should handle dry-run mode for update', async () => {
+    test('should strip read-only fields when updating a ruleset', async () => {
       const rulesetConfig = {
+        id: 9999,
+        node_id: 'RRS_abc123',
         name: 'ci',
         target: 'branch',
+        source_type: 'Repository',
+        source: 'some-owner/some-repo',
         enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
-
-      const existingRuleset = {
-        id: 456,
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'disabled', // Different from config
-        rules: [{ type: 'deletion' }]
+        rules: [{ type: 'deletion' }, { type: 'non_fast_forward' }],
+        created_at: '2025-01-01T00:00:00Z',
+        updated_at: '2025-01-01T00:00:00Z',
+        current_user_can_bypass: 'always',
+        _links: { self: { href: 'https://api.github.com/repos/some-owner/some-repo/rulesets/9999' } }
       };
 
       setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([{ id: 456, name: 'ci', enforcement: 'disabled' }]);
+      mockOctokit.paginate.mockResolvedValue([{ id: 456, name: 'ci' }]);
       mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
-        data: existingRuleset
+        data: {
+          id: 456,
+          name: 'ci',
+          target: 'branch',
+          enforcement: 'disabled',
+          rules: [{ type: 'deletion' }]
+        }
       });
+      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({});
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, true);
+      await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
 
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('would-update');
-      expect(result.dryRun).toBe(true);
-      expect(mockOctokit.rest.repos.getRepoRuleset).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledTimes(1);
+      const callArgs = mockOctokit.rest.repos.updateRepoRuleset.mock.calls[0][0];
+      // Read-only fields must not be present
+      expect(callArgs).not.toHaveProperty('id');
+      expect(callArgs).not.toHaveProperty('node_id');
+      expect(callArgs).not.toHaveProperty('source');
+      expect(callArgs).not.toHaveProperty('source_type');
+      expect(callArgs).not.toHaveProperty('created_at');
+      expect(callArgs).not.toHaveProperty('updated_at');
+      expect(callArgs).not.toHaveProperty('current_user_can_bypass');
+      expect(callArgs).not.toHaveProperty('_links');
+      // Writable fields must still be present
+      expect(callArgs).toHaveProperty('name', 'ci');
+      expect(callArgs).toHaveProperty('target', 'branch');
+      expect(callArgs).toHaveProperty('enforcement', 'active');
+      expect(callArgs).toHaveProperty('rules');
+      // Must include the ruleset_id for the update
+      expect(callArgs).toHaveProperty('ruleset_id', 456);
     });
+  });
 
-    test('should handle invalid repository format', async () => {
-      const result = await syncRepositoryRuleset(mockOctokit, 'invalid-repo-format', './ruleset.json', false, false);
-
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid repository format');
+  describe('syncPullRequestTemplate', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockClear();
+      mockOctokit.rest.repos.getContent.mockClear();
+      mockOctokit.rest.git.createTree.mockClear();
+      mockOctokit.rest.git.getRef.mockClear();
+      mockOctokit.rest.git.createRef.mockClear();
+      mockOctokit.rest.git.updateRef.mockClear();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.create.mockClear();
+      mockOctokit.rest.pulls.update.mockClear();
     });
 
-    test('should handle missing ruleset file', async () => {
-      mockFs.readFileSync.mockImplementation(() => {
-        throw new Error('ENOENT: no such file or directory');
+    test('should create pull request template when it does not exist', async () => {
+      const testTemplateContent = '## Description\n\nDescribe your changes here\n\n## Checklist\n\n- [ ] Tests added';
+
+      setMockFileContent(testTemplateContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
+        }
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './nonexistent.json', false, false);
+      // File does not exist
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read or parse ruleset file');
-    });
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-    test('should handle invalid JSON in ruleset file', async () => {
-      setMockFileContent('{ invalid json }');
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 }) // Branch check
+        .mockResolvedValueOnce({
+          // Default branch ref
+          data: { object: { sha: 'abc123' } }
+        });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './invalid.json', false, false);
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 42,
+          html_url: 'https://github.com/owner/repo/pull/42'
+        }
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read or parse ruleset file');
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './pull_request_template.md',
+        'chore: add pull request template',
+        false
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.pullRequestTemplate).toBe('created');
+      expect(result.prNumber).toBe(42);
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          owner: 'owner',
+          repo: 'repo',
+          base_tree: 'base-tree-sha',
+          tree: [expect.objectContaining({ path: '.github/pull_request_template.md', mode: '100644', type: 'blob' })]
+        })
+      );
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/pull-request-template-sync', sha: 'new-commit-sha' })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
     });
 
-    test('should handle ruleset without name', async () => {
-      const rulesetConfig = {
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should update pull request template when content differs', async () => {
+      const newContent =
+        '## Description\n\nDescribe your changes here\n\n## Checklist\n\n- [ ] Tests added\n- [ ] Docs updated';
+      const oldContent = '## Description\n\nDescribe your changes here';
+
+      setMockFileContent(newContent);
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
+        }
+      });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+      // File exists with different content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-456',
+          content: Buffer.from(oldContent).toString('base64')
+        }
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('must include a "name" field');
-    });
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-    test('should handle API errors', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
+        data: { object: { sha: 'abc123' } }
+      });
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockRejectedValue(new Error('API rate limit exceeded'));
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 43,
+          html_url: 'https://github.com/owner/repo/pull/43'
+        }
+      });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './pull_request_template.md',
+        'chore: update pull request template',
+        false
+      );
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync ruleset');
+      expect(result.success).toBe(true);
+      expect(result.pullRequestTemplate).toBe('updated');
+      expect(result.prNumber).toBe(43);
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ tree: 'new-tree-sha', parents: ['abc123'] })
+      );
     });
 
-    test('should handle 404 errors when rulesets are not enabled', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should not create PR when content is unchanged', async () => {
+      const content = '## Description\n\nDescribe your changes here';
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      const error404 = new Error('Not Found');
-      error404.status = 404;
-      mockOctokit.paginate.mockRejectedValue(error404);
-      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
-        data: { id: 123, name: 'ci' }
+      setMockFileContent(content);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
+        }
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+      // File exists with same content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-789',
+          content: Buffer.from(content).toString('base64')
+        }
+      });
+
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './pull_request_template.md',
+        'chore: update pull request template',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('created');
+      expect(result.pullRequestTemplate).toBe('unchanged');
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
     });
 
-    test('should paginate when fetching existing rulesets', async () => {
-      const rulesetConfig = {
-        name: 'new-ruleset',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should update existing branch when branch already exists', async () => {
+      const newContent = '## Description\n\nNew content';
+      const oldContent = '## Description\n\nOld content';
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      // Simulate paginated response with many rulesets
-      const existingRulesets = Array.from({ length: 150 }, (_, i) => ({
-        id: i + 1,
-        name: `ruleset-${i + 1}`
-      }));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
-      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
-        data: { id: 999, name: 'new-ruleset' }
+      setMockFileContent(newContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
+        }
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+      // File exists with different content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-777',
+          content: Buffer.from(oldContent).toString('base64')
+        }
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('created');
-      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.getRepoRulesets, {
-        owner: 'owner',
-        repo: 'repo',
-        per_page: 100,
-        includes_parents: false
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
       });
-    });
 
-    test('should exclude organization rulesets from delete-unmanaged', async () => {
-      const rulesetConfig = {
-        name: 'repo-ruleset',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+      // Branch already exists
+      mockOctokit.rest.git.getRef
+        .mockResolvedValueOnce({
+          // Branch exists
+          data: { object: { sha: 'branch-sha-123' } }
+        })
+        .mockResolvedValueOnce({
+          // Default branch ref
+          data: { object: { sha: 'main-sha-456' } }
+        });
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      // includes_parents=false means org rulesets won't appear here,
-      // so only repo-level rulesets are returned
-      mockOctokit.paginate.mockResolvedValue([
-        { id: 1, name: 'repo-ruleset' },
-        { id: 2, name: 'unmanaged-repo-ruleset' }
-      ]);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
-        data: rulesetConfig
+      mockOctokit.rest.git.updateRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 44,
+          html_url: 'https://github.com/owner/repo/pull/44'
+        }
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './pull_request_template.md',
+        'chore: update pull request template',
+        false
+      );
 
       expect(result.success).toBe(true);
-      // Should only delete the unmanaged repo ruleset, not any org rulesets
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledTimes(1);
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
+      expect(result.pullRequestTemplate).toBe('updated');
+      expect(result.prNumber).toBe(44);
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        ruleset_id: 2
+        ref: 'heads/pull-request-template-sync',
+        sha: 'new-commit-sha',
+        force: true
       });
-      // Verify includes_parents=false was passed
-      expect(mockOctokit.paginate).toHaveBeenCalledWith(
-        mockOctokit.rest.repos.getRepoRulesets,
-        expect.objectContaining({ includes_parents: false })
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['main-sha-456'] })
       );
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
     });
 
-    test('should delete unmanaged rulesets when updating a ruleset', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }, { type: 'pull_request' }] // Different from existing
-      };
+    test('should update existing PR when content differs', async () => {
+      const newContent = '## Description\n\nNew content';
+      const oldContent = '## Description\n\nOld content';
 
-      const existingRulesets = [
-        { id: 123, name: 'ci' },
-        { id: 456, name: 'old-ruleset' }
-      ];
+      setMockFileContent(newContent);
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+      mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          id: 123,
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'active',
-          rules: [{ type: 'deletion' }] // Different - triggers update
+          default_branch: 'main'
         }
       });
-      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({});
-      mockOctokit.rest.repos.deleteRepoRuleset.mockResolvedValue({});
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
+      // First call: check default branch, second call: check PR branch
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        });
+
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
+      });
+
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './pull_request_template.md',
+        'chore: update pull request template',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('updated');
-      expect(result.deletedRulesets).toHaveLength(1);
-      expect(result.deletedRulesets[0].name).toBe('old-ruleset');
-      expect(result.deletedRulesets[0].deleted).toBe(true);
-      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledTimes(1);
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
+      expect(result.pullRequestTemplate).toBe('pr-updated');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['pr-head-sha'] })
+      );
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        ruleset_id: 456
+        ref: 'heads/pull-request-template-sync',
+        sha: 'new-commit-sha'
       });
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should delete unmanaged rulesets when creating a new ruleset', async () => {
-      const rulesetConfig = {
-        name: 'new-ruleset',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should report pr-up-to-date when PR exists with same content', async () => {
+      const content = '## Description\n\nSame content';
+      const oldContent = '## Description\n\nOld content';
 
-      const existingRulesets = [
-        { id: 456, name: 'old-ruleset' },
-        { id: 789, name: 'another-old-ruleset' }
-      ];
+      setMockFileContent(content);
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
-      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
-        data: { id: 999, name: 'new-ruleset' }
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
+        }
       });
-      mockOctokit.rest.repos.deleteRepoRuleset.mockResolvedValue({});
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
+      // Default branch has old content, but PR branch already has the new content
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(content).toString('base64')
+          }
+        });
+
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
+      });
+
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './pull_request_template.md',
+        'chore: update pull request template',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('created');
-      expect(result.rulesetId).toBe(999);
-      expect(result.deletedRulesets).toHaveLength(2);
-      expect(result.deletedRulesets[0].name).toBe('old-ruleset');
-      expect(result.deletedRulesets[0].deleted).toBe(true);
-      expect(result.deletedRulesets[1].name).toBe('another-old-ruleset');
-      expect(result.deletedRulesets[1].deleted).toBe(true);
-      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledTimes(1);
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledTimes(2);
+      expect(result.pullRequestTemplate).toBe('pr-up-to-date');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(result.message).toContain('already has the latest');
+      expect(result.message).toContain('PR #50');
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should delete unmanaged rulesets when delete-unmanaged-rulesets is enabled', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should handle dry-run mode', async () => {
+      const newContent = '## Description\n\nNew template';
 
-      const existingRulesets = [
-        { id: 123, name: 'ci' },
-        { id: 456, name: 'ci2' },
-        { id: 789, name: 'old-ruleset' }
-      ];
+      setMockFileContent(newContent);
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+      mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          id: 123,
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'active',
-          rules: [{ type: 'deletion' }]
+          default_branch: 'main'
         }
       });
-      mockOctokit.rest.repos.deleteRepoRuleset.mockResolvedValue({});
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
-
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('unchanged');
-      expect(result.deletedRulesets).toHaveLength(2);
-      expect(result.deletedRulesets[0].name).toBe('ci2');
-      expect(result.deletedRulesets[0].deleted).toBe(true);
-      expect(result.deletedRulesets[1].name).toBe('old-ruleset');
-      expect(result.deletedRulesets[1].deleted).toBe(true);
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledTimes(2);
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        ruleset_id: 456
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
       });
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        ruleset_id: 789
+
+      // No existing PR
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
       });
+
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './pull_request_template.md',
+        'chore: add pull request template',
+        true // dry-run
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.pullRequestTemplate).toBe('would-create');
+      expect(result.dryRun).toBe(true);
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle delete-unmanaged-rulesets in dry-run mode', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should handle invalid repository format', async () => {
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'invalid-repo-format',
+        './pull_request_template.md',
+        'chore: update pull request template',
+        false
+      );
 
-      const existingRulesets = [
-        { id: 123, name: 'ci' },
-        { id: 456, name: 'ci2' }
-      ];
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid repository format');
+    });
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
-        data: {
-          id: 123,
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'active',
-          rules: [{ type: 'deletion' }]
-        }
+    test('should handle missing template file', async () => {
+      mockFs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, true);
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './nonexistent.md',
+        'chore: update pull request template',
+        false
+      );
 
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('unchanged');
-      expect(result.deletedRulesets).toHaveLength(1);
-      expect(result.deletedRulesets[0].name).toBe('ci2');
-      expect(result.deletedRulesets[0].wouldDelete).toBe(true);
-      expect(result.deletedRulesets[0].deleted).toBe(false);
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read file at');
     });
 
-    test('should handle delete-unmanaged-rulesets in dry-run mode when updating', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should handle API errors', async () => {
+      setMockFileContent('## Description');
 
-      const existingRulesets = [
-        { id: 123, name: 'ci' },
-        { id: 456, name: 'unmanaged-ruleset' }
-      ];
+      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+      const result = await syncPullRequestTemplate(
+        mockOctokit,
+        'owner/repo',
+        './pull_request_template.md',
+        'chore: update pull request template',
+        false
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync pull request template');
+    });
+  });
+
+  describe('syncWorkflowFiles', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockClear();
+      mockOctokit.rest.repos.getContent.mockClear();
+      mockOctokit.rest.git.createTree.mockClear();
+      mockOctokit.rest.git.getRef.mockClear();
+      mockOctokit.rest.git.createRef.mockClear();
+      mockOctokit.rest.git.updateRef.mockClear();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.create.mockClear();
+      mockOctokit.rest.pulls.update.mockClear();
+    });
+
+    test('should create workflow files when they do not exist', async () => {
+      const testWorkflowContent = 'name: CI\non: [push]\njobs:\n  build:\n    runs-on: ubuntu-latest';
+
+      setMockFileContent(testWorkflowContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          id: 123,
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'disabled', // Different from config, triggers update
-          rules: [{ type: 'deletion' }]
+          default_branch: 'main'
         }
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, true);
-
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('would-update');
-      expect(result.deletedRulesets).toHaveLength(1);
-      expect(result.deletedRulesets[0].name).toBe('unmanaged-ruleset');
-      expect(result.deletedRulesets[0].wouldDelete).toBe(true);
-      expect(result.deletedRulesets[0].deleted).toBe(false);
-      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).not.toHaveBeenCalled();
-    });
+      // Files do not exist
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
+      });
 
-    test('should handle delete-unmanaged-rulesets in dry-run mode when creating', async () => {
-      const rulesetConfig = {
-        name: 'new-ruleset',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-      const existingRulesets = [{ id: 456, name: 'unmanaged-ruleset' }];
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 }) // Branch check
+        .mockResolvedValueOnce({
+          // Default branch ref
+          data: { object: { sha: 'abc123' } }
+        });
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 42,
+          html_url: 'https://github.com/owner/repo/pull/42'
+        }
+      });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, true);
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('would-create');
-      expect(result.deletedRulesets).toHaveLength(1);
-      expect(result.deletedRulesets[0].name).toBe('unmanaged-ruleset');
-      expect(result.deletedRulesets[0].wouldDelete).toBe(true);
-      expect(result.deletedRulesets[0].deleted).toBe(false);
-      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).not.toHaveBeenCalled();
+      expect(result.workflowFiles).toBe('created');
+      expect(result.prNumber).toBe(42);
+      expect(result.filesCreated).toContain('.github/workflows/ci.yml');
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          owner: 'owner',
+          repo: 'repo',
+          base_tree: 'base-tree-sha',
+          tree: [expect.objectContaining({ path: '.github/workflows/ci.yml', mode: '100644', type: 'blob' })]
+        })
+      );
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/workflow-files-sync', sha: 'new-commit-sha' })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
     });
 
-    test('should not delete rulesets when delete-unmanaged-rulesets is disabled', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should update workflow files when content differs', async () => {
+      const newContent = 'name: CI\non: [push, pull_request]\njobs:\n  build:\n    runs-on: ubuntu-latest';
+      const oldContent = 'name: CI\non: [push]\njobs:\n  build:\n    runs-on: ubuntu-latest';
 
-      const existingRulesets = [
-        { id: 123, name: 'ci' },
-        { id: 456, name: 'ci2' }
-      ];
+      setMockFileContent(newContent);
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+      mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          id: 123,
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'active',
-          rules: [{ type: 'deletion' }]
+          default_branch: 'main'
         }
       });
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
-
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('unchanged');
-      expect(result.deletedRulesets).toBeUndefined();
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).not.toHaveBeenCalled();
-    });
+      // File exists with different content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-456',
+          content: Buffer.from(oldContent).toString('base64')
+        }
+      });
 
-    test('should handle deletion errors gracefully when deleting unmanaged rulesets', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-      const existingRulesets = [
-        { id: 123, name: 'ci' },
-        { id: 456, name: 'ci2' }
-      ];
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
+        data: { object: { sha: 'abc123' } }
+      });
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue(existingRulesets);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
         data: {
-          id: 123,
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'active',
-          rules: [{ type: 'deletion' }]
+          number: 43,
+          html_url: 'https://github.com/owner/repo/pull/43'
         }
       });
-      mockOctokit.rest.repos.deleteRepoRuleset.mockRejectedValue(new Error('Permission denied'));
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', true, false);
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('unchanged');
-      expect(result.deletedRulesets).toHaveLength(1);
-      expect(result.deletedRulesets[0].name).toBe('ci2');
-      expect(result.deletedRulesets[0].deleted).toBe(false);
-      expect(result.deletedRulesets[0].error).toContain('Permission denied');
+      expect(result.workflowFiles).toBe('updated');
+      expect(result.prNumber).toBe(43);
+      expect(result.filesUpdated).toContain('.github/workflows/ci.yml');
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ tree: 'new-tree-sha', parents: ['abc123'] })
+      );
     });
-  });
 
-  // ─── parseRulesetsFileValue ──────────────────────────────────────────
+    test('should handle multiple workflow files', async () => {
+      const ciContent = 'name: CI\non: [push]';
+      const releaseContent = 'name: Release\non: [release]';
 
-  describe('parseRulesetsFileValue', () => {
-    test('should parse a single file path string', () => {
-      const result = parseRulesetsFileValue('./rulesets/branch.json');
-      expect(result).toEqual(['./rulesets/branch.json']);
-    });
+      mockFs.readFileSync.mockImplementation(path => {
+        if (path.includes('ci.yml')) return ciContent;
+        if (path.includes('release.yml')) return releaseContent;
+        throw new Error('Unknown file');
+      });
 
-    test('should parse comma-separated file paths', () => {
-      const result = parseRulesetsFileValue('./rulesets/branch.json, ./rulesets/tag.json');
-      expect(result).toEqual(['./rulesets/branch.json', './rulesets/tag.json']);
-    });
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-    test('should parse a YAML array of file paths', () => {
-      const result = parseRulesetsFileValue(['./rulesets/branch.json', './rulesets/tag.json']);
-      expect(result).toEqual(['./rulesets/branch.json', './rulesets/tag.json']);
-    });
+      // Files do not exist
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
 
-    test('should trim whitespace from paths', () => {
-      const result = parseRulesetsFileValue('  ./rulesets/branch.json  ,  ./rulesets/tag.json  ');
-      expect(result).toEqual(['./rulesets/branch.json', './rulesets/tag.json']);
-    });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-    test('should return empty array for empty string', () => {
-      const result = parseRulesetsFileValue('');
-      expect(result).toEqual([]);
-    });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
-    test('should return empty array for null/undefined', () => {
-      expect(parseRulesetsFileValue(null)).toEqual([]);
-      expect(parseRulesetsFileValue(undefined)).toEqual([]);
-    });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 44,
+          html_url: 'https://github.com/owner/repo/pull/44'
+        }
+      });
 
-    test('should throw for invalid type', () => {
-      expect(() => parseRulesetsFileValue(123)).toThrow(
-        'expected a string, comma-separated string, or array of strings'
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml', './workflows/release.yml'],
+        'chore: update workflow files',
+        false
       );
-    });
 
-    test('should throw for empty array entries', () => {
-      expect(() => parseRulesetsFileValue(['./rulesets/branch.json', ''])).toThrow('expected non-empty strings');
+      expect(result.success).toBe(true);
+      expect(result.workflowFiles).toBe('created');
+      expect(result.prNumber).toBe(44);
+      expect(result.filesCreated).toContain('.github/workflows/ci.yml');
+      expect(result.filesCreated).toContain('.github/workflows/release.yml');
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.git.createTree.mock.calls[0][0].tree).toHaveLength(2);
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        message: 'chore: sync workflow files\n\n- add .github/workflows/ci.yml\n- add .github/workflows/release.yml',
+        tree: 'new-tree-sha',
+        parents: ['abc123']
+      });
     });
 
-    test('should include context in error messages', () => {
-      expect(() => parseRulesetsFileValue(123, 'owner/repo')).toThrow('for repo "owner/repo"');
+    test('should not create the branch when the commit cannot be created', async () => {
+      setMockFileContent('name: CI\non: [push]');
+
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createTree.mockRejectedValueOnce(new Error('tree too large'));
+
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml', './workflows/release.yml'],
+        'chore: update workflow files',
+        false
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Failed to sync workflow files: tree too large');
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
-  });
 
-  describe('stripRulesetReadonlyFields', () => {
-    test('should strip all known read-only fields', () => {
-      const input = {
-        id: 123,
-        node_id: 'RRS_abc',
-        source: 'owner/repo',
-        source_type: 'Repository',
-        created_at: '2025-01-01T00:00:00Z',
-        updated_at: '2025-01-01T00:00:00Z',
-        _links: { self: { href: 'https://example.com' } },
-        current_user_can_bypass: 'always',
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
+    test('should not create PR when all files are unchanged', async () => {
+      const content = 'name: CI\non: [push]';
 
-      const result = stripRulesetReadonlyFields(input);
+      setMockFileContent(content);
 
-      expect(result).toEqual({
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
-    });
 
-    test('should pass through unknown fields', () => {
-      const input = {
-        name: 'ci',
-        enforcement: 'active',
-        some_new_field: 'value'
-      };
+      // File exists with same content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-789',
+          content: Buffer.from(content).toString('base64')
+        }
+      });
 
-      const result = stripRulesetReadonlyFields(input);
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
+        false
+      );
 
-      expect(result).toEqual(input);
+      expect(result.success).toBe(true);
+      expect(result.workflowFiles).toBe('unchanged');
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
     });
 
-    test('should return empty object for config with only read-only fields', () => {
-      const input = { id: 1, node_id: 'abc' };
-      const result = stripRulesetReadonlyFields(input);
-      expect(result).toEqual({});
-    });
-  });
+    test('should update existing branch when branch already exists', async () => {
+      const newContent = 'name: CI\non: [push, pull_request]';
+      const oldContent = 'name: CI\non: [push]';
 
-  // ─── syncRepositoryRulesets (multi-file) ──────────────────────────────
+      setMockFileContent(newContent);
 
-  describe('syncRepositoryRulesets', () => {
-    test('should create multiple rulesets when none exist', async () => {
-      const branchRuleset = {
-        name: 'branch-protection',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
-      const tagRuleset = {
-        name: 'tag-protection',
-        target: 'tag',
-        enforcement: 'active',
-        rules: [{ type: 'non_fast_forward' }]
-      };
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-      mockFs.readFileSync.mockImplementation(filePath => {
-        if (filePath === './rulesets/branch.json') return JSON.stringify(branchRuleset);
-        if (filePath === './rulesets/tag.json') return JSON.stringify(tagRuleset);
-        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) return mockActionYmlContent;
-        return '';
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-777',
+          content: Buffer.from(oldContent).toString('base64')
+        }
       });
 
-      mockOctokit.paginate.mockResolvedValue([]);
-      mockOctokit.rest.repos.createRepoRuleset
-        .mockResolvedValueOnce({ data: { id: 100, name: 'branch-protection' } })
-        .mockResolvedValueOnce({ data: { id: 200, name: 'tag-protection' } });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      const result = await syncRepositoryRulesets(
+      // Branch already exists
+      mockOctokit.rest.git.getRef
+        .mockResolvedValueOnce({ data: { object: { sha: 'branch-sha-123' } } })
+        .mockResolvedValueOnce({ data: { object: { sha: 'main-sha-456' } } });
+
+      mockOctokit.rest.git.updateRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 45,
+          html_url: 'https://github.com/owner/repo/pull/45'
+        }
+      });
+
+      const result = await syncWorkflowFiles(
         mockOctokit,
         'owner/repo',
-        ['./rulesets/branch.json', './rulesets/tag.json'],
-        false,
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
         false
       );
 
       expect(result.success).toBe(true);
-      expect(result.subResults).toHaveLength(2);
-      expect(result.subResults[0].kind).toBe('ruleset-create');
-      expect(result.subResults[0].message).toContain('branch-protection');
-      expect(result.subResults[0].rulesetName).toBe('branch-protection');
-      expect(result.subResults[1].kind).toBe('ruleset-create');
-      expect(result.subResults[1].message).toContain('tag-protection');
-      expect(result.subResults[1].rulesetName).toBe('tag-protection');
-      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledTimes(2);
+      expect(result.workflowFiles).toBe('updated');
+      expect(result.prNumber).toBe(45);
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/workflow-files-sync',
+        sha: 'new-commit-sha',
+        force: true
+      });
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['main-sha-456'] })
+      );
     });
 
-    test('should preserve all managed rulesets when deleting unmanaged', async () => {
-      const branchRuleset = {
-        name: 'branch-protection',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
-      const tagRuleset = {
-        name: 'tag-protection',
-        target: 'tag',
-        enforcement: 'active',
-        rules: [{ type: 'non_fast_forward' }]
-      };
+    test('should update existing PR when content differs', async () => {
+      const newContent = 'name: CI\non: [push, pull_request]';
+      const oldContent = 'name: CI\non: [push]';
 
-      mockFs.readFileSync.mockImplementation(filePath => {
-        if (filePath === './rulesets/branch.json') return JSON.stringify(branchRuleset);
-        if (filePath === './rulesets/tag.json') return JSON.stringify(tagRuleset);
-        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) return mockActionYmlContent;
-        return '';
+      setMockFileContent(newContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
 
-      mockOctokit.paginate.mockResolvedValue([
-        { id: 100, name: 'branch-protection' },
-        { id: 200, name: 'tag-protection' },
-        { id: 300, name: 'old-unmanaged-ruleset' }
-      ]);
-      mockOctokit.rest.repos.getRepoRuleset
-        .mockResolvedValueOnce({ data: { id: 100, ...branchRuleset } })
-        .mockResolvedValueOnce({ data: { id: 200, ...tagRuleset } });
-      mockOctokit.rest.repos.deleteRepoRuleset.mockResolvedValue({});
+      // First call: check default branch, second call: check PR branch
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        });
 
-      const result = await syncRepositoryRulesets(
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
+      });
+
+      const result = await syncWorkflowFiles(
         mockOctokit,
         'owner/repo',
-        ['./rulesets/branch.json', './rulesets/tag.json'],
-        true,
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
         false
       );
 
       expect(result.success).toBe(true);
-      // Both managed rulesets are unchanged, so no create/update subResults
-      const deleteResults = result.subResults.filter(s => s.kind === 'ruleset-delete');
-      expect(deleteResults).toHaveLength(1);
-      expect(deleteResults[0].message).toContain('old-unmanaged-ruleset');
-      // Backward-compat
-      expect(result.deletedRulesets).toHaveLength(1);
-      expect(result.deletedRulesets[0].name).toBe('old-unmanaged-ruleset');
-      expect(result.deletedRulesets[0].deleted).toBe(true);
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledTimes(1);
-      expect(mockOctokit.rest.repos.deleteRepoRuleset).toHaveBeenCalledWith({
+      expect(result.workflowFiles).toBe('pr-updated');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['pr-head-sha'] })
+      );
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        ruleset_id: 300
+        ref: 'heads/workflow-files-sync',
+        sha: 'new-commit-sha'
       });
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle mixed create and update across multiple rulesets', async () => {
-      const branchRuleset = {
-        name: 'branch-protection',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
-      const tagRuleset = {
-        name: 'tag-protection',
-        target: 'tag',
-        enforcement: 'active',
-        rules: [{ type: 'non_fast_forward' }]
-      };
+    test('should return pr-updated-mixed when existing PR has files created and updated', async () => {
+      const ciContent = 'name: CI\non: [push, pull_request]';
+      const releaseContent = 'name: Release\non: [release]';
+      const oldCiContent = 'name: CI\non: [push]';
 
-      mockFs.readFileSync.mockImplementation(filePath => {
-        if (filePath === './rulesets/branch.json') return JSON.stringify(branchRuleset);
-        if (filePath === './rulesets/tag.json') return JSON.stringify(tagRuleset);
-        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) return mockActionYmlContent;
-        return '';
+      mockFs.readFileSync.mockImplementation(path => {
+        if (path.includes('ci.yml')) return ciContent;
+        if (path.includes('release.yml')) return releaseContent;
+        throw new Error('Unknown file');
       });
 
-      // Only branch-protection exists, tag-protection is new
-      mockOctokit.paginate.mockResolvedValue([{ id: 100, name: 'branch-protection' }]);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValueOnce({
-        data: {
-          id: 100,
-          name: 'branch-protection',
-          target: 'branch',
-          enforcement: 'disabled',
-          rules: [{ type: 'deletion' }]
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
+
+      // Mock getContent for default branch check and PR branch check
+      // Default branch: ci.yml exists with old content, release.yml doesn't exist
+      // PR branch: ci.yml exists with old content (needs update), release.yml doesn't exist (needs creation)
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path, ref }) => {
+        if (path === '.github/workflows/ci.yml') {
+          return Promise.resolve({
+            data: {
+              sha: ref === 'main' ? 'ci-sha-default' : 'ci-sha-pr',
+              content: Buffer.from(oldCiContent).toString('base64')
+            }
+          });
         }
+        // release.yml doesn't exist in default branch or PR branch
+        const error = new Error('Not Found');
+        error.status = 404;
+        return Promise.reject(error);
       });
-      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({});
-      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
-        data: { id: 200, name: 'tag-protection' }
+
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
       });
 
-      const result = await syncRepositoryRulesets(
+      const result = await syncWorkflowFiles(
         mockOctokit,
         'owner/repo',
-        ['./rulesets/branch.json', './rulesets/tag.json'],
-        false,
+        ['./workflows/ci.yml', './workflows/release.yml'],
+        'chore: update workflow files',
         false
       );
 
       expect(result.success).toBe(true);
-      expect(result.subResults).toHaveLength(2);
-      expect(result.subResults[0].kind).toBe('ruleset-update');
-      expect(result.subResults[0].rulesetName).toBe('branch-protection');
-      expect(result.subResults[1].kind).toBe('ruleset-create');
-      expect(result.subResults[1].rulesetName).toBe('tag-protection');
-      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledTimes(1);
-      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledTimes(1);
+      expect(result.workflowFiles).toBe('pr-updated-mixed');
+      expect(result.prNumber).toBe(50);
+      expect(result.filesCreated).toContain('.github/workflows/release.yml');
+      expect(result.filesUpdated).toContain('.github/workflows/ci.yml');
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.git.createTree.mock.calls[0][0].tree).toHaveLength(2);
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('backward-compatible single-file call via syncRepositoryRuleset still works', async () => {
-      const rulesetConfig = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
-
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([]);
-      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
-        data: { id: 123, name: 'ci' }
-      });
+    test('should report pr-up-to-date when PR exists with same content', async () => {
+      const content = 'name: CI\non: [push]';
+      const oldContent = 'name: CI\non: [pull_request]';
 
-      const result = await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false);
+      setMockFileContent(content);
 
-      expect(result.success).toBe(true);
-      expect(result.ruleset).toBe('created');
-      expect(result.rulesetId).toBe(123);
-      expect(result.subResults).toHaveLength(1);
-    });
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-    test('should fail fast when duplicate ruleset names are found across files', async () => {
-      const rulesetA = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }]
-      };
-      const rulesetB = {
-        name: 'ci',
-        target: 'branch',
-        enforcement: 'disabled',
-        rules: [{ type: 'non_fast_forward' }]
-      };
+      // Default branch has old content, but PR branch already has the new content
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(content).toString('base64')
+          }
+        });
 
-      mockFs.readFileSync.mockImplementation(filePath => {
-        if (filePath === './rulesets/a.json') return JSON.stringify(rulesetA);
-        if (filePath === './rulesets/b.json') return JSON.stringify(rulesetB);
-        if (typeof filePath === 'string' && filePath.endsWith('action.yml')) return mockActionYmlContent;
-        return '';
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
       });
 
-      const result = await syncRepositoryRulesets(
+      const result = await syncWorkflowFiles(
         mockOctokit,
         'owner/repo',
-        ['./rulesets/a.json', './rulesets/b.json'],
-        false,
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
         false
       );
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Duplicate ruleset name');
-      expect(result.error).toContain('ci');
-      // Should not have tried to fetch or create anything
-      expect(mockOctokit.paginate).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createRepoRuleset).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.updateRepoRuleset).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.workflowFiles).toBe('pr-up-to-date');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(result.message).toContain('already has the latest');
+      expect(result.message).toContain('PR #50');
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should strip read-only fields when creating a ruleset', async () => {
-      const rulesetConfig = {
-        id: 9999,
-        node_id: 'RRS_abc123',
-        name: 'ci',
-        target: 'branch',
-        source_type: 'Repository',
-        source: 'some-owner/some-repo',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }],
-        created_at: '2025-01-01T00:00:00Z',
-        updated_at: '2025-01-01T00:00:00Z',
-        current_user_can_bypass: 'always',
-        _links: { self: { href: 'https://api.github.com/repos/some-owner/some-repo/rulesets/9999' } }
-      };
-
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([]);
-      mockOctokit.rest.repos.createRepoRuleset.mockResolvedValue({
-        data: { id: 100, name: 'ci' }
-      });
-
-      await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
-
-      expect(mockOctokit.rest.repos.createRepoRuleset).toHaveBeenCalledTimes(1);
-      const callArgs = mockOctokit.rest.repos.createRepoRuleset.mock.calls[0][0];
-      // Read-only fields must not be present
-      expect(callArgs).not.toHaveProperty('id');
-      expect(callArgs).not.toHaveProperty('node_id');
-      expect(callArgs).not.toHaveProperty('source');
-      expect(callArgs).not.toHaveProperty('source_type');
-      expect(callArgs).not.toHaveProperty('created_at');
-      expect(callArgs).not.toHaveProperty('updated_at');
-      expect(callArgs).not.toHaveProperty('current_user_can_bypass');
-      expect(callArgs).not.toHaveProperty('_links');
-      // Writable fields must still be present
-      expect(callArgs).toHaveProperty('name', 'ci');
-      expect(callArgs).toHaveProperty('target', 'branch');
-      expect(callArgs).toHaveProperty('enforcement', 'active');
-      expect(callArgs).toHaveProperty('rules');
-    });
+    test('should handle dry-run mode for new file creation', async () => {
+      const newContent = 'name: CI\non: [push]';
 
-    test('should strip read-only fields when updating a ruleset', async () => {
-      const rulesetConfig = {
-        id: 9999,
-        node_id: 'RRS_abc123',
-        name: 'ci',
-        target: 'branch',
-        source_type: 'Repository',
-        source: 'some-owner/some-repo',
-        enforcement: 'active',
-        rules: [{ type: 'deletion' }, { type: 'non_fast_forward' }],
-        created_at: '2025-01-01T00:00:00Z',
-        updated_at: '2025-01-01T00:00:00Z',
-        current_user_can_bypass: 'always',
-        _links: { self: { href: 'https://api.github.com/repos/some-owner/some-repo/rulesets/9999' } }
-      };
+      setMockFileContent(newContent);
 
-      setMockFileContent(JSON.stringify(rulesetConfig));
-      mockOctokit.paginate.mockResolvedValue([{ id: 456, name: 'ci' }]);
-      mockOctokit.rest.repos.getRepoRuleset.mockResolvedValue({
-        data: {
-          id: 456,
-          name: 'ci',
-          target: 'branch',
-          enforcement: 'disabled',
-          rules: [{ type: 'deletion' }]
-        }
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
-      mockOctokit.rest.repos.updateRepoRuleset.mockResolvedValue({});
 
-      await syncRepositoryRuleset(mockOctokit, 'owner/repo', './ruleset.json', false, false);
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
 
-      expect(mockOctokit.rest.repos.updateRepoRuleset).toHaveBeenCalledTimes(1);
-      const callArgs = mockOctokit.rest.repos.updateRepoRuleset.mock.calls[0][0];
-      // Read-only fields must not be present
-      expect(callArgs).not.toHaveProperty('id');
-      expect(callArgs).not.toHaveProperty('node_id');
-      expect(callArgs).not.toHaveProperty('source');
-      expect(callArgs).not.toHaveProperty('source_type');
-      expect(callArgs).not.toHaveProperty('created_at');
-      expect(callArgs).not.toHaveProperty('updated_at');
-      expect(callArgs).not.toHaveProperty('current_user_can_bypass');
-      expect(callArgs).not.toHaveProperty('_links');
-      // Writable fields must still be present
-      expect(callArgs).toHaveProperty('name', 'ci');
-      expect(callArgs).toHaveProperty('target', 'branch');
-      expect(callArgs).toHaveProperty('enforcement', 'active');
-      expect(callArgs).toHaveProperty('rules');
-      // Must include the ruleset_id for the update
-      expect(callArgs).toHaveProperty('ruleset_id', 456);
-    });
-  });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-  describe('syncPullRequestTemplate', () => {
-    beforeEach(() => {
-      jest.clearAllMocks();
-      mockOctokit.rest.repos.get.mockClear();
-      mockOctokit.rest.repos.getContent.mockClear();
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
-      mockOctokit.rest.git.getRef.mockClear();
-      mockOctokit.rest.git.createRef.mockClear();
-      mockOctokit.rest.git.updateRef.mockClear();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.create.mockClear();
-      mockOctokit.rest.pulls.update.mockClear();
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
+        true // dry-run
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.workflowFiles).toBe('would-create');
+      expect(result.dryRun).toBe(true);
+      expect(result.filesWouldCreate).toContain('.github/workflows/ci.yml');
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should create pull request template when it does not exist', async () => {
-      const testTemplateContent = '## Description\n\nDescribe your changes here\n\n## Checklist\n\n- [ ] Tests added';
+    test('should handle dry-run mode for file update', async () => {
+      const newContent = 'name: CI\non: [push, pull_request]';
+      const oldContent = 'name: CI\non: [push]';
 
-      setMockFileContent(testTemplateContent);
+      setMockFileContent(newContent);
 
       mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
+
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
         data: {
-          default_branch: 'main'
+          sha: 'existing-sha',
+          content: Buffer.from(oldContent).toString('base64')
         }
       });
 
-      // File does not exist
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
+        true // dry-run
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.workflowFiles).toBe('would-update');
+      expect(result.dryRun).toBe(true);
+      expect(result.filesWouldUpdate).toContain('.github/workflows/ci.yml');
+      expect(result.filesWouldCreate).toBeUndefined();
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
+
+    test('should handle dry-run mode with multiple files', async () => {
+      const ciContent = 'name: CI\non: [push]';
+      const releaseContent = 'name: Release\non: [release]';
+
+      mockFs.readFileSync.mockImplementation(path => {
+        if (path.includes('ci.yml')) return ciContent;
+        if (path.includes('release.yml')) return releaseContent;
+        throw new Error('Unknown file');
       });
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 }) // Branch check
-        .mockResolvedValueOnce({
-          // Default branch ref
-          data: { object: { sha: 'abc123' } }
-        });
+      // Both files don't exist
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 42,
-          html_url: 'https://github.com/owner/repo/pull/42'
-        }
-      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      const result = await syncPullRequestTemplate(
+      const result = await syncWorkflowFiles(
         mockOctokit,
         'owner/repo',
-        './pull_request_template.md',
-        'chore: add pull request template',
-        false
+        ['./workflows/ci.yml', './workflows/release.yml'],
+        'chore: sync workflows',
+        true // dry-run
       );
 
       expect(result.success).toBe(true);
-      expect(result.pullRequestTemplate).toBe('created');
-      expect(result.prNumber).toBe(42);
-      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          owner: 'owner',
-          repo: 'repo',
-          path: '.github/pull_request_template.md',
-          branch: 'pull-request-template-sync'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
+      expect(result.workflowFiles).toBe('would-create');
+      expect(result.dryRun).toBe(true);
+      expect(result.message).toBe('Would sync 2 file(s) via PR');
+      expect(result.filesWouldCreate).toContain('.github/workflows/ci.yml');
+      expect(result.filesWouldCreate).toContain('.github/workflows/release.yml');
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should update pull request template when content differs', async () => {
-      const newContent =
-        '## Description\n\nDescribe your changes here\n\n## Checklist\n\n- [ ] Tests added\n- [ ] Docs updated';
-      const oldContent = '## Description\n\nDescribe your changes here';
+    test('should handle dry-run mode with mixed create and update', async () => {
+      const ciContent = 'name: CI\non: [push, pull_request]';
+      const releaseContent = 'name: Release\non: [release]';
+      const oldCiContent = 'name: CI\non: [push]';
 
-      setMockFileContent(newContent);
+      mockFs.readFileSync.mockImplementation(path => {
+        if (path.includes('ci.yml')) return ciContent;
+        if (path.includes('release.yml')) return releaseContent;
+        throw new Error('Unknown file');
+      });
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+        data: { default_branch: 'main' }
       });
 
-      // File exists with different content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-456',
-          content: Buffer.from(oldContent).toString('base64')
+      // ci.yml exists with different content, release.yml does not exist
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path }) => {
+        if (path === '.github/workflows/ci.yml') {
+          return Promise.resolve({
+            data: {
+              sha: 'ci-sha',
+              content: Buffer.from(oldCiContent).toString('base64')
+            }
+          });
         }
+        const error = new Error('Not Found');
+        error.status = 404;
+        return Promise.reject(error);
       });
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
-        data: { object: { sha: 'abc123' } }
-      });
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml', './workflows/release.yml'],
+        'chore: sync workflows',
+        true // dry-run
+      );
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 43,
-          html_url: 'https://github.com/owner/repo/pull/43'
-        }
+      expect(result.success).toBe(true);
+      expect(result.workflowFiles).toBe('would-create'); // would-create because at least one file is new
+      expect(result.dryRun).toBe(true);
+      expect(result.message).toBe('Would sync 2 file(s) via PR');
+      expect(result.filesWouldCreate).toContain('.github/workflows/release.yml');
+      expect(result.filesWouldUpdate).toContain('.github/workflows/ci.yml');
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
+
+    test('should handle invalid repository format', async () => {
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'invalid-repo-format',
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
+        false
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid repository format');
+    });
+
+    test('should handle empty workflow files array', async () => {
+      const result = await syncWorkflowFiles(mockOctokit, 'owner/repo', [], 'chore: update workflow files', false);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No workflow files specified');
+    });
+
+    test('should handle null workflow files array', async () => {
+      const result = await syncWorkflowFiles(mockOctokit, 'owner/repo', null, 'chore: update workflow files', false);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No workflow files specified');
+    });
+
+    test('should handle missing workflow file', async () => {
+      mockFs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
       });
 
-      const result = await syncPullRequestTemplate(
+      const result = await syncWorkflowFiles(
         mockOctokit,
         'owner/repo',
-        './pull_request_template.md',
-        'chore: update pull request template',
+        ['./nonexistent.yml'],
+        'chore: update workflow files',
         false
       );
 
-      expect(result.success).toBe(true);
-      expect(result.pullRequestTemplate).toBe('updated');
-      expect(result.prNumber).toBe(43);
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          sha: 'file-sha-456'
-        })
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read file at');
+    });
+
+    test('should handle API errors', async () => {
+      setMockFileContent('name: CI');
+
+      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
+
+      const result = await syncWorkflowFiles(
+        mockOctokit,
+        'owner/repo',
+        ['./workflows/ci.yml'],
+        'chore: update workflow files',
+        false
       );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync workflow files');
     });
 
-    test('should not create PR when content is unchanged', async () => {
-      const content = '## Description\n\nDescribe your changes here';
+    test('should handle mixed create and update scenario', async () => {
+      const ciContent = 'name: CI\non: [push, pull_request]';
+      const releaseContent = 'name: Release\non: [release]';
+      const oldCiContent = 'name: CI\non: [push]';
 
-      setMockFileContent(content);
+      mockFs.readFileSync.mockImplementation(path => {
+        if (path.includes('ci.yml')) return ciContent;
+        if (path.includes('release.yml')) return releaseContent;
+        throw new Error('Unknown file');
+      });
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
+        data: { default_branch: 'main' }
+      });
+
+      // ci.yml exists with different content, release.yml does not exist
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path }) => {
+        if (path === '.github/workflows/ci.yml') {
+          return Promise.resolve({
+            data: {
+              sha: 'ci-sha',
+              content: Buffer.from(oldCiContent).toString('base64')
+            }
+          });
         }
+        const error = new Error('Not Found');
+        error.status = 404;
+        return Promise.reject(error);
       });
 
-      // File exists with same content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
         data: {
-          sha: 'file-sha-789',
-          content: Buffer.from(content).toString('base64')
+          number: 46,
+          html_url: 'https://github.com/owner/repo/pull/46'
         }
       });
 
-      const result = await syncPullRequestTemplate(
+      const result = await syncWorkflowFiles(
         mockOctokit,
         'owner/repo',
-        './pull_request_template.md',
-        'chore: update pull request template',
+        ['./workflows/ci.yml', './workflows/release.yml'],
+        'chore: update workflow files',
         false
       );
 
       expect(result.success).toBe(true);
-      expect(result.pullRequestTemplate).toBe('unchanged');
-      expect(result.message).toContain('already up to date');
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-    });
+      expect(result.workflowFiles).toBe('mixed');
+      expect(result.prNumber).toBe(46);
+      expect(result.filesCreated).toContain('.github/workflows/release.yml');
+      expect(result.filesUpdated).toContain('.github/workflows/ci.yml');
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.git.createTree.mock.calls[0][0].tree).toHaveLength(2);
+    });
+
+    describe('directory sync', () => {
+      const managedHeader = '# managed-by: bulk-github-repo-settings-sync-action\n';
+
+      // Serve a source directory listing; entries ending in '/' are directories
+      const mockSourceDirectory = (baseDir, entries) => {
+        mockFs.readdirSync.mockImplementation(dir => {
+          const relativeDir = getRelativePath(baseDir, dir);
+          if (relativeDir.startsWith('..')) throw new Error(`ENOENT: no such file or directory, scandir '${dir}'`);
+          const prefix = relativeDir ? `${relativeDir}/` : '';
+          const name = entry => entry.slice(prefix.length).replace(/\/$/, '');
+          return entries
+            .filter(entry => entry.startsWith(prefix) && name(entry) !== '' && !name(entry).includes('/'))
+            .map(entry => ({ name: name(entry), isDirectory: () => entry.endsWith('/') }));
+        });
+        mockFs.statSync.mockImplementation(filePath => ({
+          isFile: () => !entries.some(entry => entry.endsWith('/') && filePath.endsWith(`/${entry.slice(0, -1)}`))
+        }));
+      };
 
-    test('should update existing branch when branch already exists', async () => {
-      const newContent = '## Description\n\nNew content';
-      const oldContent = '## Description\n\nOld content';
+      // Serve repository files by path, plus a listing of .github/workflows
+      const mockRepoWorkflows = files => {
+        mockOctokit.rest.repos.getContent.mockImplementation(({ path: filePath }) => {
+          if (filePath === '.github/workflows') {
+            return Promise.resolve({
+              data: Object.keys(files).map(p => ({ type: 'file', path: p }))
+            });
+          }
+          if (files[filePath] === undefined) {
+            return Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
+          }
+          return Promise.resolve({
+            data: { sha: `${filePath}-sha`, content: Buffer.from(files[filePath]).toString('base64') }
+          });
+        });
+      };
 
-      setMockFileContent(newContent);
+      beforeEach(() => {
+        mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+        mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+        mockOctokit.rest.git.getRef.mockReset();
+        mockOctokit.rest.git.getRef
+          .mockRejectedValueOnce({ status: 404 })
+          .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+        mockOctokit.rest.git.createRef.mockResolvedValue({});
+        mockOctokit.rest.pulls.create.mockResolvedValue({
+          data: { number: 47, html_url: 'https://github.com/owner/repo/pull/47' }
+        });
+      });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+      afterEach(() => {
+        mockOctokit.rest.repos.getContent.mockReset();
+        mockFs.readdirSync.mockReset();
+        mockFs.statSync.mockReset();
+      });
+
+      test('should expand globs and directories relative to their base directory', () => {
+        mockSourceDirectory('./config/workflows', ['ci.yml', 'nested/', 'nested/release.yml', 'README.md']);
+
+        expect(expandSourcePaths('./config/workflows/**').map(f => f.relativePath)).toEqual([
+          'ci.yml',
+          'nested/release.yml',
+          'README.md'
+        ]);
+        expect(expandSourcePaths('./config/workflows/*.yml')).toEqual([
+          { sourceFilePath: 'config/workflows/ci.yml', relativePath: 'ci.yml' }
+        ]);
+        expect(expandSourcePaths('./config/workflows/**/*.yml').map(f => f.relativePath)).toEqual([
+          'ci.yml',
+          'nested/release.yml'
+        ]);
+        expect(expandSourcePaths('./config/workflows/').map(f => f.relativePath)).toHaveLength(3);
+        expect(expandSourcePaths('./config/workflows/ci.yml')).toEqual([
+          { sourceFilePath: './config/workflows/ci.yml', relativePath: 'ci.yml' }
+        ]);
+      });
+
+      test('should not search node_modules or .git when expanding a glob from the workspace root', () => {
+        mockSourceDirectory('.', [
+          'ci.yml',
+          '.git/',
+          '.git/hooks.yml',
+          'node_modules/',
+          'node_modules/pkg/',
+          'node_modules/pkg/action.yml',
+          'workflows/',
+          'workflows/release.yml'
+        ]);
+
+        expect(expandSourcePaths('**/*.yml').map(f => f.relativePath)).toEqual(['ci.yml', 'workflows/release.yml']);
+        expect(mockFs.readdirSync).not.toHaveBeenCalledWith('node_modules', expect.anything());
+        expect(mockFs.readdirSync).not.toHaveBeenCalledWith('.git', expect.anything());
+      });
+
+      test('should only treat files with the managed-by header as managed', () => {
+        expect(isManagedFileContent(`${managedHeader}name: CI\n`)).toBe(true);
+        expect(isManagedFileContent('name: CI\n# managed-by: bulk-github-repo-settings-sync-action\n')).toBe(true);
+        expect(isManagedFileContent(`${'\n'.repeat(10)}${managedHeader}`)).toBe(false);
+        expect(isManagedFileContent('name: CI\n')).toBe(false);
+      });
+
+      test('should sync a directory and delete managed files removed from the source in one commit', async () => {
+        mockSourceDirectory('./config/workflows', ['ci.yml', 'lint.yml']);
+        setMockFileContent(`${managedHeader}name: CI\n`, 'config/workflows/ci.yml');
+        setMockFileContent(`${managedHeader}name: Lint\n`, 'config/workflows/lint.yml');
+        mockRepoWorkflows({
+          '.github/workflows/ci.yml': `${managedHeader}name: CI\n`,
+          '.github/workflows/old.yml': `${managedHeader}name: Old\n`,
+          '.github/workflows/custom.yml': 'name: Custom\n'
+        });
+
+        const result = await syncWorkflowFiles(
+          mockOctokit,
+          'owner/repo',
+          ['./config/workflows/**'],
+          'chore: sync workflow configuration',
+          false,
+          '',
+          undefined,
+          true
+        );
+
+        expect(result.success).toBe(true);
+        expect(result.workflowFiles).toBe('created');
+        expect(result.filesCreated).toEqual(['.github/workflows/lint.yml']);
+        expect(result.filesDeleted).toEqual(['.github/workflows/old.yml']);
+        expect(mockOctokit.rest.git.createTree.mock.calls[0][0].tree).toEqual([
+          {
+            path: '.github/workflows/lint.yml',
+            mode: '100644',
+            type: 'blob',
+            content: `${managedHeader}name: Lint\n`
+          },
+          { path: '.github/workflows/old.yml', mode: '100644', type: 'blob', sha: null }
+        ]);
+        expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+          expect.objectContaining({
+            message:
+              'chore: sync workflow files\n\n- add .github/workflows/lint.yml\n- delete .github/workflows/old.yml'
+          })
+        );
+        expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(
+          expect.objectContaining({
+            body: expect.stringContaining(
+              '**Deleted:**\n- `.github/workflows/old.yml` (managed file no longer in the source)'
+            )
+          })
+        );
+      });
+
+      test('should sync files from subdirectories to .github/workflows by filename', async () => {
+        mockSourceDirectory('./config/workflows', ['ci.yml', 'nested/', 'nested/ci.yml', 'nested/release.yml']);
+        setMockFileContent('name: CI\n', 'config/workflows/ci.yml');
+        setMockFileContent('name: Nested CI\n', 'config/workflows/nested/ci.yml');
+        setMockFileContent('name: Release\n', 'config/workflows/nested/release.yml');
+        mockRepoWorkflows({});
+
+        const result = await syncWorkflowFiles(
+          mockOctokit,
+          'owner/repo',
+          ['./config/workflows/**'],
+          'chore: sync workflow configuration',
+          true
+        );
+
+        expect(result.success).toBe(true);
+        expect(result.filesWouldCreate).toEqual(['.github/workflows/ci.yml', '.github/workflows/release.yml']);
+        expect(mockCore.warning).toHaveBeenCalledWith(
+          '  ⚠️  Skipping config/workflows/nested/ci.yml: .github/workflows/ci.yml is already synced from config/workflows/ci.yml'
+        );
+      });
+
+      test('should leave managed files alone when deletion is not enabled', async () => {
+        mockSourceDirectory('./config/workflows', ['ci.yml']);
+        setMockFileContent(`${managedHeader}name: CI\n`, 'config/workflows/ci.yml');
+        mockRepoWorkflows({
+          '.github/workflows/ci.yml': `${managedHeader}name: CI\n`,
+          '.github/workflows/old.yml': `${managedHeader}name: Old\n`
+        });
+
+        const result = await syncWorkflowFiles(
+          mockOctokit,
+          'owner/repo',
+          ['./config/workflows/'],
+          'chore: sync workflow configuration',
+          false
+        );
+
+        expect(result.workflowFiles).toBe('unchanged');
+        expect(mockOctokit.rest.repos.getContent).not.toHaveBeenCalledWith(
+          expect.objectContaining({ path: '.github/workflows' })
+        );
       });
 
-      // File exists with different content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-777',
-          content: Buffer.from(oldContent).toString('base64')
-        }
+      test('should fail instead of deleting everything when the glob matches nothing', async () => {
+        mockSourceDirectory('./config/workflows', ['README.md']);
+
+        const result = await syncWorkflowFiles(
+          mockOctokit,
+          'owner/repo',
+          ['./config/workflows/*.yml'],
+          'chore: sync workflow configuration',
+          false,
+          '',
+          undefined,
+          true
+        );
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('No workflow files matched ./config/workflows/*.yml');
+        expect(mockOctokit.rest.git.createCommit).not.toHaveBeenCalled();
       });
+    });
+  });
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
+  describe('syncAutolinks', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.listAutolinks.mockClear();
+      mockOctokit.rest.repos.createAutolink.mockClear();
+      mockOctokit.rest.repos.deleteAutolink.mockClear();
+    });
+
+    test('should create autolinks when none exist', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>',
+            is_alphanumeric: false
+          }
+        ]
+      };
+
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
+      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+
+      expect(result.success).toBe(true);
+      expect(result.autolinks).toBe('updated');
+      expect(result.autolinksCreated).toContain('JIRA-');
+      expect(mockOctokit.rest.repos.listAutolinks).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo'
+      });
+      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        key_prefix: 'JIRA-',
+        url_template: 'https://jira.example.com/browse/JIRA-<num>',
+        is_alphanumeric: false
       });
+    });
 
-      // Branch already exists
-      mockOctokit.rest.git.getRef
-        .mockResolvedValueOnce({
-          // Branch exists
-          data: { object: { sha: 'branch-sha-123' } }
-        })
-        .mockResolvedValueOnce({
-          // Default branch ref
-          data: { object: { sha: 'main-sha-456' } }
-        });
+    test('should delete autolinks not in config', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>',
+            is_alphanumeric: false
+          }
+        ]
+      };
 
-      mockOctokit.rest.git.updateRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 44,
-          html_url: 'https://github.com/owner/repo/pull/44'
+      const existingAutolinks = [
+        {
+          id: 123,
+          key_prefix: 'JIRA-',
+          url_template: 'https://jira.example.com/browse/JIRA-<num>',
+          is_alphanumeric: false
+        },
+        {
+          id: 456,
+          key_prefix: 'OLD-',
+          url_template: 'https://old.example.com/<num>',
+          is_alphanumeric: true
         }
-      });
+      ];
 
-      const result = await syncPullRequestTemplate(
-        mockOctokit,
-        'owner/repo',
-        './pull_request_template.md',
-        'chore: update pull request template',
-        false
-      );
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
+      mockOctokit.rest.repos.deleteAutolink.mockResolvedValue({});
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
 
       expect(result.success).toBe(true);
-      expect(result.pullRequestTemplate).toBe('updated');
-      expect(result.prNumber).toBe(44);
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+      expect(result.autolinks).toBe('updated');
+      expect(result.autolinksDeleted).toContain('OLD-');
+      expect(result.autolinksUnchanged).toBe(1);
+      expect(mockOctokit.rest.repos.deleteAutolink).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        ref: 'heads/pull-request-template-sync',
-        sha: 'main-sha-456',
-        force: true
+        autolink_id: 456
       });
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
     });
 
-    test('should update existing PR when content differs', async () => {
-      const newContent = '## Description\n\nNew content';
-      const oldContent = '## Description\n\nOld content';
-
-      setMockFileContent(newContent);
+    test('should update autolink with same prefix but different settings', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira-new.example.com/browse/JIRA-<num>',
+            is_alphanumeric: false
+          }
+        ]
+      };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
+      const existingAutolinks = [
+        {
+          id: 123,
+          key_prefix: 'JIRA-',
+          url_template: 'https://jira-old.example.com/browse/JIRA-<num>',
+          is_alphanumeric: false
         }
+      ];
+
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
+      mockOctokit.rest.repos.deleteAutolink.mockResolvedValue({});
+      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+
+      expect(result.success).toBe(true);
+      expect(result.autolinks).toBe('updated');
+      expect(result.autolinksDeleted).toContain('JIRA-');
+      expect(result.autolinksCreated).toContain('JIRA-');
+      expect(mockOctokit.rest.repos.deleteAutolink).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        autolink_id: 123
       });
+      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        key_prefix: 'JIRA-',
+        url_template: 'https://jira-new.example.com/browse/JIRA-<num>',
+        is_alphanumeric: false
+      });
+    });
 
-      // First call: check default branch, second call: check PR branch
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(oldContent).toString('base64')
+    test('should not change when autolinks are already up to date', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>',
+            is_alphanumeric: false
           }
-        });
+        ]
+      };
 
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
+      const existingAutolinks = [
+        {
+          id: 123,
+          key_prefix: 'JIRA-',
+          url_template: 'https://jira.example.com/browse/JIRA-<num>',
+          is_alphanumeric: false
+        }
+      ];
+
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+
+      expect(result.success).toBe(true);
+      expect(result.autolinks).toBe('unchanged');
+      expect(result.autolinksUnchanged).toBe(1);
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.repos.deleteAutolink).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
+    });
+
+    test('should handle multiple autolinks', async () => {
+      const autolinksConfig = {
+        autolinks: [
           {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>',
+            is_alphanumeric: false
+          },
+          {
+            key_prefix: 'TICKET-',
+            url_template: 'https://tickets.example.com/view/<num>',
+            is_alphanumeric: true
           }
         ]
-      });
+      };
 
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({
-        data: { commit: { sha: 'new-commit-sha' } }
-      });
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
+      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
 
-      const result = await syncPullRequestTemplate(
-        mockOctokit,
-        'owner/repo',
-        './pull_request_template.md',
-        'chore: update pull request template',
-        false
-      );
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
 
       expect(result.success).toBe(true);
-      expect(result.pullRequestTemplate).toBe('pr-updated');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          branch: 'pull-request-template-sync',
-          sha: 'file-sha-pr-branch'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.autolinks).toBe('updated');
+      expect(result.autolinksCreated).toContain('JIRA-');
+      expect(result.autolinksCreated).toContain('TICKET-');
+      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalledTimes(2);
     });
 
-    test('should report pr-up-to-date when PR exists with same content', async () => {
-      const content = '## Description\n\nSame content';
-      const oldContent = '## Description\n\nOld content';
-
-      setMockFileContent(content);
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
-
-      // Default branch has old content, but PR branch already has the new content
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(content).toString('base64')
-          }
-        });
-
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
+    test('should handle dry-run mode for creation', async () => {
+      const autolinksConfig = {
+        autolinks: [
           {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>',
+            is_alphanumeric: false
           }
         ]
-      });
+      };
 
-      const result = await syncPullRequestTemplate(
-        mockOctokit,
-        'owner/repo',
-        './pull_request_template.md',
-        'chore: update pull request template',
-        false
-      );
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', true);
 
       expect(result.success).toBe(true);
-      expect(result.pullRequestTemplate).toBe('pr-up-to-date');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(result.message).toContain('already has the latest');
-      expect(result.message).toContain('PR #50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.autolinks).toBe('would-update');
+      expect(result.dryRun).toBe(true);
+      expect(result.autolinksWouldCreate).toContain('JIRA-');
+      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.deleteAutolink).not.toHaveBeenCalled();
     });
 
-    test('should handle dry-run mode', async () => {
-      const newContent = '## Description\n\nNew template';
-
-      setMockFileContent(newContent);
+    test('should handle dry-run mode for deletion', async () => {
+      const autolinksConfig = {
+        autolinks: []
+      };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
+      const existingAutolinks = [
+        {
+          id: 123,
+          key_prefix: 'OLD-',
+          url_template: 'https://old.example.com/<num>',
+          is_alphanumeric: true
         }
-      });
-
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
-      });
+      ];
 
-      // No existing PR
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
 
-      const result = await syncPullRequestTemplate(
-        mockOctokit,
-        'owner/repo',
-        './pull_request_template.md',
-        'chore: add pull request template',
-        true // dry-run
-      );
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', true);
 
       expect(result.success).toBe(true);
-      expect(result.pullRequestTemplate).toBe('would-create');
+      expect(result.autolinks).toBe('would-update');
       expect(result.dryRun).toBe(true);
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.autolinksWouldDelete).toContain('OLD-');
+      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.deleteAutolink).not.toHaveBeenCalled();
     });
 
     test('should handle invalid repository format', async () => {
-      const result = await syncPullRequestTemplate(
-        mockOctokit,
-        'invalid-repo-format',
-        './pull_request_template.md',
-        'chore: update pull request template',
-        false
-      );
+      const result = await syncAutolinks(mockOctokit, 'invalid-repo-format', './autolinks.json', false);
 
       expect(result.success).toBe(false);
       expect(result.error).toContain('Invalid repository format');
     });
 
-    test('should handle missing template file', async () => {
+    test('should handle missing autolinks file', async () => {
       mockFs.readFileSync.mockImplementation(() => {
         throw new Error('ENOENT: no such file or directory');
       });
 
-      const result = await syncPullRequestTemplate(
-        mockOctokit,
-        'owner/repo',
-        './nonexistent.md',
-        'chore: update pull request template',
-        false
-      );
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './nonexistent.json', false);
 
       expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read file at');
+      expect(result.error).toContain('Failed to read or parse autolinks file');
     });
 
-    test('should handle API errors', async () => {
-      setMockFileContent('## Description');
+    test('should handle invalid JSON in autolinks file', async () => {
+      setMockFileContent('not valid json');
 
-      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
 
-      const result = await syncPullRequestTemplate(
-        mockOctokit,
-        'owner/repo',
-        './pull_request_template.md',
-        'chore: update pull request template',
-        false
-      );
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read or parse autolinks file');
+    });
+
+    test('should handle missing autolinks array in config', async () => {
+      setMockFileContent(JSON.stringify({ links: [] }));
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
 
       expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync pull request template');
+      expect(result.error).toContain('must contain an "autolinks" array');
     });
-  });
 
-  describe('syncWorkflowFiles', () => {
-    beforeEach(() => {
-      jest.clearAllMocks();
-      mockOctokit.rest.repos.get.mockClear();
-      mockOctokit.rest.repos.getContent.mockClear();
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
-      mockOctokit.rest.git.getRef.mockClear();
-      mockOctokit.rest.git.createRef.mockClear();
-      mockOctokit.rest.git.updateRef.mockClear();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.create.mockClear();
-      mockOctokit.rest.pulls.update.mockClear();
+    test('should handle missing required fields in autolink', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-'
+            // Missing url_template
+          }
+        ]
+      };
+
+      setMockFileContent(JSON.stringify(autolinksConfig));
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('must have "key_prefix" and "url_template" fields');
+    });
+
+    test('should handle 404 error when listing autolinks', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>',
+            is_alphanumeric: false
+          }
+        ]
+      };
+
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+
+      expect(result.success).toBe(true);
+      expect(result.autolinks).toBe('updated');
+      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalled();
+    });
+
+    test('should handle API errors', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>',
+            is_alphanumeric: false
+          }
+        ]
+      };
+
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockRejectedValue(new Error('API rate limit exceeded'));
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync autolinks');
     });
 
-    test('should create workflow files when they do not exist', async () => {
-      const testWorkflowContent = 'name: CI\non: [push]\njobs:\n  build:\n    runs-on: ubuntu-latest';
-
-      setMockFileContent(testWorkflowContent);
+    test('should default is_alphanumeric to true when not specified', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>'
+            // is_alphanumeric not specified
+          }
+        ]
+      };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
+      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
 
-      // Files do not exist
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
-      });
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
+      expect(result.success).toBe(true);
+      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        key_prefix: 'JIRA-',
+        url_template: 'https://jira.example.com/browse/JIRA-<num>',
+        is_alphanumeric: true
       });
+    });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 }) // Branch check
-        .mockResolvedValueOnce({
-          // Default branch ref
-          data: { object: { sha: 'abc123' } }
-        });
+    test('should match autolink with default is_alphanumeric as unchanged', async () => {
+      const autolinksConfig = {
+        autolinks: [
+          {
+            key_prefix: 'JIRA-',
+            url_template: 'https://jira.example.com/browse/JIRA-<num>'
+            // is_alphanumeric not specified (defaults to true)
+          }
+        ]
+      };
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 42,
-          html_url: 'https://github.com/owner/repo/pull/42'
+      const existingAutolinks = [
+        {
+          id: 123,
+          key_prefix: 'JIRA-',
+          url_template: 'https://jira.example.com/browse/JIRA-<num>',
+          is_alphanumeric: true
         }
-      });
+      ];
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        false
-      );
+      setMockFileContent(JSON.stringify(autolinksConfig));
+      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
+
+      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('created');
-      expect(result.prNumber).toBe(42);
-      expect(result.filesCreated).toContain('.github/workflows/ci.yml');
-      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          owner: 'owner',
-          repo: 'repo',
-          path: '.github/workflows/ci.yml',
-          branch: 'workflow-files-sync'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
+      expect(result.autolinks).toBe('unchanged');
+      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.repos.deleteAutolink).not.toHaveBeenCalled();
     });
+  });
 
-    test('should update workflow files when content differs', async () => {
-      const newContent = 'name: CI\non: [push, pull_request]\njobs:\n  build:\n    runs-on: ubuntu-latest';
-      const oldContent = 'name: CI\non: [push]\njobs:\n  build:\n    runs-on: ubuntu-latest';
-
-      setMockFileContent(newContent);
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
-
-      // File exists with different content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-456',
-          content: Buffer.from(oldContent).toString('base64')
-        }
-      });
+  describe('normalizeExistingEnvironment', () => {
+    test('should extract wait_timer from protection_rules', () => {
+      const env = {
+        name: 'production',
+        protection_rules: [{ type: 'wait_timer', wait_timer: 15 }],
+        deployment_branch_policy: null
+      };
+      const result = normalizeExistingEnvironment(env);
+      expect(result.wait_timer).toBe(15);
+      expect(result.name).toBe('production');
+    });
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+    test('should extract reviewers from protection_rules', () => {
+      const env = {
+        name: 'production',
+        protection_rules: [
+          {
+            type: 'required_reviewers',
+            reviewers: [{ type: 'User', reviewer: { id: 123, login: 'user1' } }]
+          }
+        ],
+        deployment_branch_policy: null
+      };
+      const result = normalizeExistingEnvironment(env);
+      expect(result.reviewers).toEqual([{ type: 'User', id: 123 }]);
+    });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
-        data: { object: { sha: 'abc123' } }
-      });
+    test('should handle missing protection_rules', () => {
+      const env = { name: 'staging', deployment_branch_policy: null };
+      const result = normalizeExistingEnvironment(env);
+      expect(result.wait_timer).toBe(0);
+      expect(result.reviewers).toEqual([]);
+      expect(result.prevent_self_review).toBe(false);
+    });
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 43,
-          html_url: 'https://github.com/owner/repo/pull/43'
-        }
+    test('should preserve deployment_branch_policy', () => {
+      const env = {
+        name: 'production',
+        protection_rules: [],
+        deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
+      };
+      const result = normalizeExistingEnvironment(env);
+      expect(result.deployment_branch_policy).toEqual({
+        protected_branches: true,
+        custom_branch_policies: false
       });
+    });
+  });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        false
-      );
-
-      expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('updated');
-      expect(result.prNumber).toBe(43);
-      expect(result.filesUpdated).toContain('.github/workflows/ci.yml');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          sha: 'file-sha-456'
-        })
-      );
+  describe('normalizeDesiredEnvironment', () => {
+    test('should normalize a fully specified environment', () => {
+      const env = {
+        name: 'production',
+        wait_timer: 10,
+        prevent_self_review: true,
+        reviewers: [{ type: 'User', id: 123 }],
+        deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
+      };
+      const result = normalizeDesiredEnvironment(env);
+      expect(result).toEqual(env);
     });
 
-    test('should handle multiple workflow files', async () => {
-      const ciContent = 'name: CI\non: [push]';
-      const releaseContent = 'name: Release\non: [release]';
+    test('should default missing fields', () => {
+      const env = { name: 'staging' };
+      const result = normalizeDesiredEnvironment(env);
+      expect(result.wait_timer).toBe(0);
+      expect(result.prevent_self_review).toBe(false);
+      expect(result.reviewers).toEqual([]);
+      expect(result.deployment_branch_policy).toBeNull();
+    });
+  });
 
-      mockFs.readFileSync.mockImplementation(path => {
-        if (path.includes('ci.yml')) return ciContent;
-        if (path.includes('release.yml')) return releaseContent;
-        throw new Error('Unknown file');
-      });
+  describe('environmentsEqual', () => {
+    test('should return true for equal environments', () => {
+      const a = {
+        wait_timer: 10,
+        prevent_self_review: true,
+        reviewers: [{ type: 'User', id: 123 }],
+        deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
+      };
+      expect(environmentsEqual(a, { ...a })).toBe(true);
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should return false when wait_timer differs', () => {
+      const a = { wait_timer: 10, prevent_self_review: false, reviewers: [], deployment_branch_policy: null };
+      const b = { wait_timer: 20, prevent_self_review: false, reviewers: [], deployment_branch_policy: null };
+      expect(environmentsEqual(a, b)).toBe(false);
+    });
 
-      // Files do not exist
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+    test('should return false when reviewers differ', () => {
+      const a = {
+        wait_timer: 0,
+        prevent_self_review: false,
+        reviewers: [{ type: 'User', id: 123 }],
+        deployment_branch_policy: null
+      };
+      const b = {
+        wait_timer: 0,
+        prevent_self_review: false,
+        reviewers: [{ type: 'Team', id: 456 }],
+        deployment_branch_policy: null
+      };
+      expect(environmentsEqual(a, b)).toBe(false);
+    });
+  });
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+  describe('syncEnvironments', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.request.mockClear();
+    });
 
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+    test('should create environments when none exist', async () => {
+      const envConfig = {
+        environments: [{ name: 'production', wait_timer: 10 }]
+      };
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 44,
-          html_url: 'https://github.com/owner/repo/pull/44'
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return { data: { environments: [] } };
+        }
+        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
+          return {};
         }
+        return {};
       });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml', './workflows/release.yml'],
-        'chore: update workflow files',
-        false
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('created');
-      expect(result.prNumber).toBe(44);
-      expect(result.filesCreated).toContain('.github/workflows/ci.yml');
-      expect(result.filesCreated).toContain('.github/workflows/release.yml');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
+      expect(result.environments).toBe('updated');
+      expect(result.environmentsCreated).toContain('production');
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'PUT /repos/{owner}/{repo}/environments/{environment_name}',
+        expect.objectContaining({
+          owner: 'owner',
+          repo: 'repo',
+          environment_name: 'production',
+          wait_timer: 10
+        })
+      );
     });
 
-    test('should not create PR when all files are unchanged', async () => {
-      const content = 'name: CI\non: [push]';
-
-      setMockFileContent(content);
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should update environments with different settings', async () => {
+      const envConfig = {
+        environments: [{ name: 'production', wait_timer: 20 }]
+      };
 
-      // File exists with same content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-789',
-          content: Buffer.from(content).toString('base64')
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'production',
+                  protection_rules: [{ type: 'wait_timer', wait_timer: 10 }],
+                  deployment_branch_policy: null
+                }
+              ]
+            }
+          };
+        }
+        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
+          return {};
         }
+        return {};
       });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        false
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('unchanged');
-      expect(result.message).toContain('already up to date');
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+      expect(result.environments).toBe('updated');
+      expect(result.environmentsUpdated).toContain('production');
     });
 
-    test('should update existing branch when branch already exists', async () => {
-      const newContent = 'name: CI\non: [push, pull_request]';
-      const oldContent = 'name: CI\non: [push]';
-
-      setMockFileContent(newContent);
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should report unchanged when environments match', async () => {
+      const envConfig = {
+        environments: [{ name: 'staging' }]
+      };
 
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-777',
-          content: Buffer.from(oldContent).toString('base64')
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'staging',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                }
+              ]
+            }
+          };
         }
+        return {};
       });
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
-      // Branch already exists
-      mockOctokit.rest.git.getRef
-        .mockResolvedValueOnce({ data: { object: { sha: 'branch-sha-123' } } })
-        .mockResolvedValueOnce({ data: { object: { sha: 'main-sha-456' } } });
+      expect(result.success).toBe(true);
+      expect(result.environments).toBe('unchanged');
+      expect(result.environmentsUnchanged).toBe(1);
+    });
 
-      mockOctokit.rest.git.updateRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 45,
-          html_url: 'https://github.com/owner/repo/pull/45'
+    test('should delete unmanaged environments when flag is set', async () => {
+      const envConfig = {
+        environments: [{ name: 'production' }]
+      };
+
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'production',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                },
+                {
+                  name: 'old-env',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                }
+              ]
+            }
+          };
+        }
+        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
+          return {};
         }
+        if (route === 'DELETE /repos/{owner}/{repo}/environments/{environment_name}') {
+          return {};
+        }
+        return {};
       });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        false
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, true, false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('updated');
-      expect(result.prNumber).toBe(45);
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        ref: 'heads/workflow-files-sync',
-        sha: 'main-sha-456',
-        force: true
-      });
+      expect(result.environments).toBe('updated');
+      expect(result.environmentsDeleted).toContain('old-env');
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/environments/{environment_name}',
+        expect.objectContaining({ environment_name: 'old-env' })
+      );
     });
 
-    test('should update existing PR when content differs', async () => {
-      const newContent = 'name: CI\non: [push, pull_request]';
-      const oldContent = 'name: CI\non: [push]';
-
-      setMockFileContent(newContent);
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
-
-      // First call: check default branch, second call: check PR branch
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        });
+    test('should not delete unmanaged environments when flag is false', async () => {
+      const envConfig = {
+        environments: [{ name: 'production' }]
+      };
 
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
-          }
-        ]
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'production',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                },
+                {
+                  name: 'old-env',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                }
+              ]
+            }
+          };
+        }
+        return {};
       });
 
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({
-        data: { commit: { sha: 'new-commit-sha' } }
-      });
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        false
+      expect(result.success).toBe(true);
+      expect(result.environments).toBe('unchanged');
+      expect(mockOctokit.request).not.toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/environments/{environment_name}',
+        expect.anything()
       );
+    });
+
+    test('should handle dry-run mode', async () => {
+      const envConfig = {
+        environments: [{ name: 'production', wait_timer: 10 }]
+      };
+
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return { data: { environments: [] } };
+        }
+        return {};
+      });
+
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, true);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('pr-updated');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          branch: 'workflow-files-sync',
-          sha: 'file-sha-pr-branch'
-        })
+      expect(result.environments).toBe('would-update');
+      expect(result.environmentsWouldCreate).toContain('production');
+      expect(mockOctokit.request).not.toHaveBeenCalledWith(
+        'PUT /repos/{owner}/{repo}/environments/{environment_name}',
+        expect.anything()
       );
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should return pr-updated-mixed when existing PR has files created and updated', async () => {
-      const ciContent = 'name: CI\non: [push, pull_request]';
-      const releaseContent = 'name: Release\non: [release]';
-      const oldCiContent = 'name: CI\non: [push]';
+    test('should return error for invalid repository format', async () => {
+      const result = await syncEnvironments(mockOctokit, 'invalid', [{ name: 'prod' }], false, false);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid repository format');
+    });
 
-      mockFs.readFileSync.mockImplementation(path => {
-        if (path.includes('ci.yml')) return ciContent;
-        if (path.includes('release.yml')) return releaseContent;
-        throw new Error('Unknown file');
-      });
+    test('should return error for environment missing name', async () => {
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', [{ wait_timer: 10 }], false, false);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('must have a "name" field');
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('parseEnvironmentsConfig should parse inline names', () => {
+      const result = parseEnvironmentsConfig('production, staging, dev', null);
+      expect(result).toEqual([
+        { name: 'production', _nameOnly: true },
+        { name: 'staging', _nameOnly: true },
+        { name: 'dev', _nameOnly: true }
+      ]);
+    });
 
-      // Mock getContent for default branch check and PR branch check
-      // Default branch: ci.yml exists with old content, release.yml doesn't exist
-      // PR branch: ci.yml exists with old content (needs update), release.yml doesn't exist (needs creation)
-      mockOctokit.rest.repos.getContent.mockImplementation(({ path, ref }) => {
-        if (path === '.github/workflows/ci.yml') {
-          return Promise.resolve({
-            data: {
-              sha: ref === 'main' ? 'ci-sha-default' : 'ci-sha-pr',
-              content: Buffer.from(oldCiContent).toString('base64')
-            }
-          });
-        }
-        // release.yml doesn't exist in default branch or PR branch
-        const error = new Error('Not Found');
-        error.status = 404;
-        return Promise.reject(error);
+    test('parseEnvironmentsConfig should parse YAML file', () => {
+      setMockFileContent('environments...');
+      setMockYamlContent({
+        environments: [{ name: 'production', wait_timer: 10 }, { name: 'staging' }]
       });
 
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
-          }
-        ]
-      });
+      const result = parseEnvironmentsConfig(null, './environments.yml');
+      expect(result).toEqual([{ name: 'production', wait_timer: 10 }, { name: 'staging' }]);
+    });
 
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({
-        data: { commit: { sha: 'new-commit-sha' } }
+    test('parseEnvironmentsConfig should merge inline and file (file overrides)', () => {
+      setMockFileContent('environments...');
+      setMockYamlContent({
+        environments: [{ name: 'production', wait_timer: 10 }]
       });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml', './workflows/release.yml'],
-        'chore: update workflow files',
-        false
-      );
+      const result = parseEnvironmentsConfig('production, staging', './environments.yml');
+      expect(result).toHaveLength(2);
+      expect(result[0]).toEqual({ name: 'production', wait_timer: 10 });
+      expect(result[1]).toEqual({ name: 'staging', _nameOnly: true });
+    });
 
-      expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('pr-updated-mixed');
-      expect(result.prNumber).toBe(50);
-      expect(result.filesCreated).toContain('.github/workflows/release.yml');
-      expect(result.filesUpdated).toContain('.github/workflows/ci.yml');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    test('parseEnvironmentsConfig should throw for file with no environments', () => {
+      setMockFileContent('invalid...');
+      setMockYamlContent({ invalid: true });
+
+      expect(() => parseEnvironmentsConfig(null, './envs.yml')).toThrow('must contain');
     });
 
-    test('should report pr-up-to-date when PR exists with same content', async () => {
-      const content = 'name: CI\non: [push]';
-      const oldContent = 'name: CI\non: [pull_request]';
+    test('should handle API 404 for listing environments', async () => {
+      const envConfig = {
+        environments: [{ name: 'production' }]
+      };
 
-      setMockFileContent(content);
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
+          return {};
+        }
+        return {};
+      });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      expect(result.success).toBe(true);
+      expect(result.environmentsCreated).toContain('production');
+    });
+
+    test('should handle API errors', async () => {
+      const envConfig = {
+        environments: [{ name: 'production' }]
+      };
+
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          const error = new Error('Rate limit exceeded');
+          error.status = 429;
+          throw error;
+        }
+        return {};
       });
 
-      // Default branch has old content, but PR branch already has the new content
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(content).toString('base64')
-          }
-        });
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync environments');
+    });
 
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
+    test('should pass reviewers and deployment_branch_policy to API', async () => {
+      const envConfig = {
+        environments: [
           {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
+            name: 'production',
+            wait_timer: 5,
+            prevent_self_review: true,
+            reviewers: [{ type: 'User', id: 123 }],
+            deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
           }
         ]
+      };
+
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return { data: { environments: [] } };
+        }
+        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
+          return {};
+        }
+        return {};
       });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        false
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('pr-up-to-date');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(result.message).toContain('already has the latest');
-      expect(result.message).toContain('PR #50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'PUT /repos/{owner}/{repo}/environments/{environment_name}',
+        expect.objectContaining({
+          environment_name: 'production',
+          wait_timer: 5,
+          prevent_self_review: true,
+          reviewers: [{ type: 'User', id: 123 }],
+          deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
+        })
+      );
     });
 
-    test('should handle dry-run mode for new file creation', async () => {
-      const newContent = 'name: CI\non: [push]';
-
-      setMockFileContent(newContent);
+    test('should not update existing environments in simple mode (name-only)', async () => {
+      // Inline environments have _nameOnly flag - should only create, not update
+      const testEnvironments = [
+        { name: 'production', _nameOnly: true },
+        { name: 'new-env', _nameOnly: true }
+      ];
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'production',
+                  protection_rules: [{ type: 'wait_timer', wait_timer: 30 }],
+                  deployment_branch_policy: null
+                }
+              ]
+            }
+          };
+        }
+        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
+          return {};
+        }
+        return {};
       });
 
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        true // dry-run
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('would-create');
-      expect(result.dryRun).toBe(true);
-      expect(result.filesWouldCreate).toContain('.github/workflows/ci.yml');
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.environmentsCreated).toEqual(['new-env']);
+      // production should NOT be updated even though settings differ
+      expect(result.environmentsUpdated ?? []).toEqual([]);
+      expect(result.environmentsUnchanged).toBe(1);
     });
 
-    test('should handle dry-run mode for file update', async () => {
-      const newContent = 'name: CI\non: [push, pull_request]';
-      const oldContent = 'name: CI\non: [push]';
-
-      setMockFileContent(newContent);
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should handle multiple environments with mixed create/update/delete', async () => {
+      const envConfig = {
+        environments: [{ name: 'production', wait_timer: 10 }, { name: 'staging' }, { name: 'new-env' }]
+      };
 
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'existing-sha',
-          content: Buffer.from(oldContent).toString('base64')
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'production',
+                  protection_rules: [{ type: 'wait_timer', wait_timer: 5 }],
+                  deployment_branch_policy: null
+                },
+                {
+                  name: 'staging',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                },
+                {
+                  name: 'old-env',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                }
+              ]
+            }
+          };
         }
+        return {};
       });
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        true // dry-run
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, true, false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('would-update');
-      expect(result.dryRun).toBe(true);
-      expect(result.filesWouldUpdate).toContain('.github/workflows/ci.yml');
-      expect(result.filesWouldCreate).toBeUndefined();
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.environments).toBe('updated');
+      expect(result.environmentsUpdated).toContain('production');
+      expect(result.environmentsCreated).toContain('new-env');
+      expect(result.environmentsDeleted).toContain('old-env');
+      expect(result.environmentsUnchanged).toBe(1);
     });
 
-    test('should handle dry-run mode with multiple files', async () => {
-      const ciContent = 'name: CI\non: [push]';
-      const releaseContent = 'name: Release\non: [release]';
-
-      mockFs.readFileSync.mockImplementation(path => {
-        if (path.includes('ci.yml')) return ciContent;
-        if (path.includes('release.yml')) return releaseContent;
-        throw new Error('Unknown file');
-      });
+    test('should handle dry-run with delete-unmanaged', async () => {
+      const envConfig = {
+        environments: [{ name: 'production' }]
+      };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+      const testEnvironments = envConfig.environments;
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'production',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                },
+                {
+                  name: 'old-env',
+                  protection_rules: [],
+                  deployment_branch_policy: null,
+                  prevent_self_review: false
+                }
+              ]
+            }
+          };
+        }
+        return {};
       });
 
-      // Both files don't exist
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml', './workflows/release.yml'],
-        'chore: sync workflows',
-        true // dry-run
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, true, true);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('would-create');
-      expect(result.dryRun).toBe(true);
-      expect(result.message).toBe('Would sync 2 file(s) via PR');
-      expect(result.filesWouldCreate).toContain('.github/workflows/ci.yml');
-      expect(result.filesWouldCreate).toContain('.github/workflows/release.yml');
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.environments).toBe('would-update');
+      expect(result.environmentsWouldDelete).toContain('old-env');
+      expect(mockOctokit.request).not.toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/environments/{environment_name}',
+        expect.anything()
+      );
     });
 
-    test('should handle dry-run mode with mixed create and update', async () => {
-      const ciContent = 'name: CI\non: [push, pull_request]';
-      const releaseContent = 'name: Release\non: [release]';
-      const oldCiContent = 'name: CI\non: [push]';
-
-      mockFs.readFileSync.mockImplementation(path => {
-        if (path.includes('ci.yml')) return ciContent;
-        if (path.includes('release.yml')) return releaseContent;
-        throw new Error('Unknown file');
-      });
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should sync deployment protection rules - create and delete', async () => {
+      const testEnvironments = [
+        {
+          name: 'production',
+          deployment_protection_rules: [{ app: 'gate-app' }]
+        }
+      ];
 
-      // ci.yml exists with different content, release.yml does not exist
-      mockOctokit.rest.repos.getContent.mockImplementation(({ path }) => {
-        if (path === '.github/workflows/ci.yml') {
-          return Promise.resolve({
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
             data: {
-              sha: 'ci-sha',
-              content: Buffer.from(oldCiContent).toString('base64')
+              environments: [{ name: 'production', protection_rules: [], deployment_branch_policy: null }]
             }
-          });
+          };
         }
-        const error = new Error('Not Found');
-        error.status = 404;
-        return Promise.reject(error);
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/apps') {
+          return {
+            data: {
+              available_custom_deployment_protection_rule_integrations: [
+                { id: 42, slug: 'gate-app' },
+                { id: 99, slug: 'other-app' }
+              ]
+            }
+          };
+        }
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules') {
+          return {
+            data: {
+              custom_deployment_protection_rules: [{ id: 1, app: { id: 99, slug: 'other-app' } }]
+            }
+          };
+        }
+        if (route === 'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules') {
+          return {};
+        }
+        if (
+          route ===
+          'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/{protection_rule_id}'
+        ) {
+          return {};
+        }
+        return {};
       });
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml', './workflows/release.yml'],
-        'chore: sync workflows',
-        true // dry-run
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('would-create'); // would-create because at least one file is new
-      expect(result.dryRun).toBe(true);
-      expect(result.message).toBe('Would sync 2 file(s) via PR');
-      expect(result.filesWouldCreate).toContain('.github/workflows/release.yml');
-      expect(result.filesWouldUpdate).toContain('.github/workflows/ci.yml');
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
-    });
-
-    test('should handle invalid repository format', async () => {
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'invalid-repo-format',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        false
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules',
+        expect.objectContaining({ integration_id: 42 })
+      );
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/{protection_rule_id}',
+        expect.objectContaining({ protection_rule_id: 1 })
       );
-
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid repository format');
     });
 
-    test('should handle empty workflow files array', async () => {
-      const result = await syncWorkflowFiles(mockOctokit, 'owner/repo', [], 'chore: update workflow files', false);
+    test('should preview deployment protection rules in dry-run', async () => {
+      const testEnvironments = [
+        {
+          name: 'staging',
+          deployment_protection_rules: [{ app: 'gate-app' }]
+        }
+      ];
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe('No workflow files specified');
-    });
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [{ name: 'staging', protection_rules: [], deployment_branch_policy: null }]
+            }
+          };
+        }
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/apps') {
+          return {
+            data: {
+              available_custom_deployment_protection_rule_integrations: [{ id: 42, slug: 'gate-app' }]
+            }
+          };
+        }
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules') {
+          return { data: { custom_deployment_protection_rules: [] } };
+        }
+        return {};
+      });
 
-    test('should handle null workflow files array', async () => {
-      const result = await syncWorkflowFiles(mockOctokit, 'owner/repo', null, 'chore: update workflow files', false);
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, true);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe('No workflow files specified');
+      expect(result.success).toBe(true);
+      expect(mockOctokit.request).not.toHaveBeenCalledWith(
+        'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules',
+        expect.anything()
+      );
+      expect(result.protectionRuleSubResults.length).toBeGreaterThan(0);
     });
 
-    test('should handle missing workflow file', async () => {
-      mockFs.readFileSync.mockImplementation(() => {
-        throw new Error('ENOENT: no such file or directory');
+    test('should warn when deployment protection rule app not found', async () => {
+      const testEnvironments = [
+        {
+          name: 'production',
+          deployment_protection_rules: [{ app: 'nonexistent-app' }]
+        }
+      ];
+
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [{ name: 'production', protection_rules: [], deployment_branch_policy: null }]
+            }
+          };
+        }
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/apps') {
+          return { data: { available_custom_deployment_protection_rule_integrations: [] } };
+        }
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules') {
+          return { data: { custom_deployment_protection_rules: [] } };
+        }
+        return {};
       });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./nonexistent.yml'],
-        'chore: update workflow files',
-        false
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read file at');
+      expect(result.success).toBe(true);
+      expect(result.protectionRuleSubResults.some(s => s.status === 'warning')).toBe(true);
     });
 
-    test('should handle API errors', async () => {
-      setMockFileContent('name: CI');
+    test('should sync custom branch name patterns - create and delete', async () => {
+      const testEnvironments = [
+        {
+          name: 'staging',
+          deployment_branch_policy: { protected_branches: false, custom_branch_policies: true },
+          branch_name_patterns: ['main', 'release/*']
+        }
+      ];
 
-      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'staging',
+                  protection_rules: [],
+                  deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
+                }
+              ]
+            }
+          };
+        }
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies') {
+          return {
+            data: {
+              branch_policies: [
+                { id: 1, name: 'main' },
+                { id: 2, name: 'hotfix/*' }
+              ]
+            }
+          };
+        }
+        if (route === 'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies') {
+          return {};
+        }
+        if (
+          route ===
+          'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}'
+        ) {
+          return {};
+        }
+        return {};
+      });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml'],
-        'chore: update workflow files',
-        false
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync workflow files');
+      expect(result.success).toBe(true);
+      // Should create release/* (missing) and delete hotfix/* (unmanaged)
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies',
+        expect.objectContaining({ name: 'release/*' })
+      );
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}',
+        expect.objectContaining({ branch_policy_id: 2 })
+      );
+      // Should NOT delete main (it exists and is desired)
+      expect(mockOctokit.request).not.toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}',
+        expect.objectContaining({ branch_policy_id: 1 })
+      );
     });
 
-    test('should handle mixed create and update scenario', async () => {
-      const ciContent = 'name: CI\non: [push, pull_request]';
-      const releaseContent = 'name: Release\non: [release]';
-      const oldCiContent = 'name: CI\non: [push]';
-
-      mockFs.readFileSync.mockImplementation(path => {
-        if (path.includes('ci.yml')) return ciContent;
-        if (path.includes('release.yml')) return releaseContent;
-        throw new Error('Unknown file');
-      });
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should preview branch policy changes in dry-run', async () => {
+      const testEnvironments = [
+        {
+          name: 'staging',
+          deployment_branch_policy: { protected_branches: false, custom_branch_policies: true },
+          branch_name_patterns: ['main']
+        }
+      ];
 
-      // ci.yml exists with different content, release.yml does not exist
-      mockOctokit.rest.repos.getContent.mockImplementation(({ path }) => {
-        if (path === '.github/workflows/ci.yml') {
-          return Promise.resolve({
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
             data: {
-              sha: 'ci-sha',
-              content: Buffer.from(oldCiContent).toString('base64')
+              environments: [
+                {
+                  name: 'staging',
+                  protection_rules: [],
+                  deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
+                }
+              ]
             }
-          });
+          };
         }
-        const error = new Error('Not Found');
-        error.status = 404;
-        return Promise.reject(error);
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies') {
+          return { data: { branch_policies: [{ id: 1, name: 'old-branch' }] } };
+        }
+        return {};
       });
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, true);
 
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      expect(result.success).toBe(true);
+      expect(mockOctokit.request).not.toHaveBeenCalledWith(
+        'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies',
+        expect.anything()
+      );
+      expect(mockOctokit.request).not.toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}',
+        expect.anything()
+      );
+      expect(result.branchPolicySubResults.length).toBeGreaterThan(0);
+    });
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 46,
-          html_url: 'https://github.com/owner/repo/pull/46'
+    test('should delete all branch patterns when custom_branch_policies is true but patterns omitted', async () => {
+      const testEnvironments = [
+        {
+          name: 'staging',
+          deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
+          // no branch_name_patterns — should delete existing
+        }
+      ];
+
+      mockOctokit.request.mockImplementation(route => {
+        if (route === 'GET /repos/{owner}/{repo}/environments') {
+          return {
+            data: {
+              environments: [
+                {
+                  name: 'staging',
+                  protection_rules: [],
+                  deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
+                }
+              ]
+            }
+          };
+        }
+        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies') {
+          return { data: { branch_policies: [{ id: 1, name: 'old-pattern' }] } };
+        }
+        if (
+          route ===
+          'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}'
+        ) {
+          return {};
         }
+        return {};
       });
 
-      const result = await syncWorkflowFiles(
-        mockOctokit,
-        'owner/repo',
-        ['./workflows/ci.yml', './workflows/release.yml'],
-        'chore: update workflow files',
-        false
-      );
+      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
 
       expect(result.success).toBe(true);
-      expect(result.workflowFiles).toBe('mixed');
-      expect(result.prNumber).toBe(46);
-      expect(result.filesCreated).toContain('.github/workflows/release.yml');
-      expect(result.filesUpdated).toContain('.github/workflows/ci.yml');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}',
+        expect.objectContaining({ branch_policy_id: 1 })
+      );
     });
   });
 
-  describe('syncAutolinks', () => {
+  describe('syncGitignore', () => {
     beforeEach(() => {
       jest.clearAllMocks();
-      mockOctokit.rest.repos.listAutolinks.mockClear();
-      mockOctokit.rest.repos.createAutolink.mockClear();
-      mockOctokit.rest.repos.deleteAutolink.mockClear();
+      mockOctokit.rest.repos.get.mockClear();
+      mockOctokit.rest.repos.getContent.mockClear();
+      mockOctokit.rest.git.createTree.mockClear();
+      mockOctokit.rest.git.getRef.mockClear();
+      mockOctokit.rest.git.createRef.mockClear();
+      mockOctokit.rest.git.updateRef.mockClear();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.create.mockClear();
     });
 
-    test('should create autolinks when none exist', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>',
-            is_alphanumeric: false
-          }
-        ]
-      };
-
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
-      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
+    test('should create .gitignore when it does not exist', async () => {
+      const testContent = 'node_modules/\n.env\n';
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      setMockFileContent(testContent);
 
-      expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('updated');
-      expect(result.autolinksCreated).toContain('JIRA-');
-      expect(mockOctokit.rest.repos.listAutolinks).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo'
-      });
-      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        key_prefix: 'JIRA-',
-        url_template: 'https://jira.example.com/browse/JIRA-<num>',
-        is_alphanumeric: false
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
-    });
-
-    test('should delete autolinks not in config', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>',
-            is_alphanumeric: false
-          }
-        ]
-      };
 
-      const existingAutolinks = [
-        {
-          id: 123,
-          key_prefix: 'JIRA-',
-          url_template: 'https://jira.example.com/browse/JIRA-<num>',
-          is_alphanumeric: false
-        },
-        {
-          id: 456,
-          key_prefix: 'OLD-',
-          url_template: 'https://old.example.com/<num>',
-          is_alphanumeric: true
-        }
-      ];
+      // File does not exist
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
-      mockOctokit.rest.repos.deleteAutolink.mockResolvedValue({});
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
-      expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('updated');
-      expect(result.autolinksDeleted).toContain('OLD-');
-      expect(result.autolinksUnchanged).toBe(1);
-      expect(mockOctokit.rest.repos.deleteAutolink).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        autolink_id: 456
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
       });
-      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
-    });
 
-    test('should update autolink with same prefix but different settings', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira-new.example.com/browse/JIRA-<num>',
-            is_alphanumeric: false
-          }
-        ]
-      };
+      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: add .gitignore', false);
 
-      const existingAutolinks = [
-        {
-          id: 123,
-          key_prefix: 'JIRA-',
-          url_template: 'https://jira-old.example.com/browse/JIRA-<num>',
-          is_alphanumeric: false
-        }
-      ];
+      expect(result.success).toBe(true);
+      expect(result.gitignore).toBe('created');
+      expect(result.prNumber).toBe(42);
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          owner: 'owner',
+          repo: 'repo',
+          base_tree: 'base-tree-sha',
+          tree: [expect.objectContaining({ path: '.gitignore', mode: '100644', type: 'blob' })]
+        })
+      );
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/gitignore-sync', sha: 'new-commit-sha' })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
+    });
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
-      mockOctokit.rest.repos.deleteAutolink.mockResolvedValue({});
-      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
+    test('should update .gitignore when content differs', async () => {
+      const newContent = 'node_modules/\n.env\ndist/\n';
+      const oldContent = 'node_modules/\n.env\n';
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      setMockFileContent(newContent);
 
-      expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('updated');
-      expect(result.autolinksDeleted).toContain('JIRA-');
-      expect(result.autolinksCreated).toContain('JIRA-');
-      expect(mockOctokit.rest.repos.deleteAutolink).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        autolink_id: 123
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
-      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        key_prefix: 'JIRA-',
-        url_template: 'https://jira-new.example.com/browse/JIRA-<num>',
-        is_alphanumeric: false
+
+      // File exists with different content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-456',
+          content: Buffer.from(oldContent).toString('base64')
+        }
       });
-    });
 
-    test('should not change when autolinks are already up to date', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>',
-            is_alphanumeric: false
-          }
-        ]
-      };
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      const existingAutolinks = [
-        {
-          id: 123,
-          key_prefix: 'JIRA-',
-          url_template: 'https://jira.example.com/browse/JIRA-<num>',
-          is_alphanumeric: false
-        }
-      ];
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 43, html_url: 'https://github.com/owner/repo/pull/43' }
+      });
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
 
       expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('unchanged');
-      expect(result.autolinksUnchanged).toBe(1);
-      expect(result.message).toContain('already up to date');
-      expect(mockOctokit.rest.repos.deleteAutolink).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
+      expect(result.gitignore).toBe('updated');
+      expect(result.prNumber).toBe(43);
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ tree: 'new-tree-sha', parents: ['abc123'] })
+      );
     });
 
-    test('should handle multiple autolinks', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>',
-            is_alphanumeric: false
-          },
-          {
-            key_prefix: 'TICKET-',
-            url_template: 'https://tickets.example.com/view/<num>',
-            is_alphanumeric: true
-          }
-        ]
-      };
+    test('should preserve repo-specific content after marker', async () => {
+      const newContent = 'node_modules/\n.env\n';
+      const marker = '# Repository-specific entries (preserved during sync)';
+      const repoSpecific = `${marker}\n# Custom entries\n*.custom\n`;
+      const oldContent = `node_modules/\nold-entry/\n${repoSpecific}`;
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
-      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
+      setMockFileContent(newContent);
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('updated');
-      expect(result.autolinksCreated).toContain('JIRA-');
-      expect(result.autolinksCreated).toContain('TICKET-');
-      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalledTimes(2);
-    });
+      // File exists with repo-specific content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-789',
+          content: Buffer.from(oldContent).toString('base64')
+        }
+      });
 
-    test('should handle dry-run mode for creation', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>',
-            is_alphanumeric: false
-          }
-        ]
-      };
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', true);
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 44, html_url: 'https://github.com/owner/repo/pull/44' }
+      });
+
+      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
 
       expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('would-update');
-      expect(result.dryRun).toBe(true);
-      expect(result.autolinksWouldCreate).toContain('JIRA-');
-      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.deleteAutolink).not.toHaveBeenCalled();
+      // Verify repo-specific content is preserved
+      // Decode and verify the content includes the repo-specific marker
+      const content = getCommittedFiles()['.gitignore'];
+      expect(content).toContain(marker);
+      expect(content).toContain('*.custom');
     });
 
-    test('should handle dry-run mode for deletion', async () => {
-      const autolinksConfig = {
-        autolinks: []
-      };
+    test('should not create PR when content is unchanged', async () => {
+      const content = 'node_modules/\n.env\n';
 
-      const existingAutolinks = [
-        {
-          id: 123,
-          key_prefix: 'OLD-',
-          url_template: 'https://old.example.com/<num>',
-          is_alphanumeric: true
-        }
-      ];
+      setMockFileContent(content);
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', true);
+      // File exists with same content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-999',
+          content: Buffer.from(content).toString('base64')
+        }
+      });
+
+      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
 
       expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('would-update');
-      expect(result.dryRun).toBe(true);
-      expect(result.autolinksWouldDelete).toContain('OLD-');
-      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.deleteAutolink).not.toHaveBeenCalled();
+      expect(result.gitignore).toBe('unchanged');
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
     });
 
-    test('should handle invalid repository format', async () => {
-      const result = await syncAutolinks(mockOctokit, 'invalid-repo-format', './autolinks.json', false);
+    test('should update existing PR when content differs', async () => {
+      const newContent = 'node_modules/\n.env\ndist/\n';
+      const oldContent = 'node_modules/\n.env\n';
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid repository format');
-    });
+      setMockFileContent(newContent);
 
-    test('should handle missing autolinks file', async () => {
-      mockFs.readFileSync.mockImplementation(() => {
-        throw new Error('ENOENT: no such file or directory');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './nonexistent.json', false);
-
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read or parse autolinks file');
-    });
+      // First call: check default branch, second call: check PR branch
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        });
 
-    test('should handle invalid JSON in autolinks file', async () => {
-      setMockFileContent('not valid json');
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{ number: 50, head: { sha: 'pr-head-sha' }, html_url: 'https://github.com/owner/repo/pull/50' }]
+      });
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read or parse autolinks file');
+      expect(result.success).toBe(true);
+      expect(result.gitignore).toBe('pr-updated');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['pr-head-sha'] })
+      );
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/gitignore-sync',
+        sha: 'new-commit-sha'
+      });
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle missing autolinks array in config', async () => {
-      setMockFileContent(JSON.stringify({ links: [] }));
+    test('should report pr-up-to-date when PR exists with same content', async () => {
+      const content = 'node_modules/\n.env\n';
+      const oldContent = 'node_modules/\n';
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      setMockFileContent(content);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('must contain an "autolinks" array');
-    });
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-    test('should handle missing required fields in autolink', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-'
-            // Missing url_template
+      // Default branch has old content, but PR branch already has the new content
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
           }
-        ]
-      };
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(content).toString('base64')
+          }
+        });
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50' }]
+      });
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('must have "key_prefix" and "url_template" fields');
+      expect(result.success).toBe(true);
+      expect(result.gitignore).toBe('pr-up-to-date');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(result.message).toContain('already has the latest');
+      expect(result.message).toContain('PR #50');
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle 404 error when listing autolinks', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>',
-            is_alphanumeric: false
-          }
-        ]
-      };
+    test('should handle dry-run mode', async () => {
+      const newContent = 'node_modules/\n.env\n';
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
+      setMockFileContent(newContent);
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('updated');
-      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalled();
-    });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
 
-    test('should handle API errors', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>',
-            is_alphanumeric: false
-          }
-        ]
-      };
+      // No existing PR
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockRejectedValue(new Error('API rate limit exceeded'));
+      const result = await syncGitignore(
+        mockOctokit,
+        'owner/repo',
+        './.gitignore',
+        'chore: add .gitignore',
+        true // dry-run
+      );
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      expect(result.success).toBe(true);
+      expect(result.gitignore).toBe('would-create');
+      expect(result.dryRun).toBe(true);
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
+
+    test('should handle invalid repository format', async () => {
+      const result = await syncGitignore(
+        mockOctokit,
+        'invalid-repo-format',
+        './.gitignore',
+        'chore: update .gitignore',
+        false
+      );
 
       expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync autolinks');
+      expect(result.error).toContain('Invalid repository format');
     });
 
-    test('should default is_alphanumeric to true when not specified', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>'
-            // is_alphanumeric not specified
-          }
-        ]
-      };
-
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: [] });
-      mockOctokit.rest.repos.createAutolink.mockResolvedValue({});
+    test('should handle missing .gitignore file', async () => {
+      mockFs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
+      });
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      const result = await syncGitignore(
+        mockOctokit,
+        'owner/repo',
+        './nonexistent.gitignore',
+        'chore: update .gitignore',
+        false
+      );
 
-      expect(result.success).toBe(true);
-      expect(mockOctokit.rest.repos.createAutolink).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        key_prefix: 'JIRA-',
-        url_template: 'https://jira.example.com/browse/JIRA-<num>',
-        is_alphanumeric: true
-      });
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read file');
+      expect(result.error).toContain('.gitignore');
     });
 
-    test('should match autolink with default is_alphanumeric as unchanged', async () => {
-      const autolinksConfig = {
-        autolinks: [
-          {
-            key_prefix: 'JIRA-',
-            url_template: 'https://jira.example.com/browse/JIRA-<num>'
-            // is_alphanumeric not specified (defaults to true)
-          }
-        ]
-      };
-
-      const existingAutolinks = [
-        {
-          id: 123,
-          key_prefix: 'JIRA-',
-          url_template: 'https://jira.example.com/browse/JIRA-<num>',
-          is_alphanumeric: true
-        }
-      ];
+    test('should handle API errors', async () => {
+      setMockFileContent('node_modules/\n');
 
-      setMockFileContent(JSON.stringify(autolinksConfig));
-      mockOctokit.rest.repos.listAutolinks.mockResolvedValue({ data: existingAutolinks });
+      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
 
-      const result = await syncAutolinks(mockOctokit, 'owner/repo', './autolinks.json', false);
+      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
 
-      expect(result.success).toBe(true);
-      expect(result.autolinks).toBe('unchanged');
-      expect(mockOctokit.rest.repos.createAutolink).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.deleteAutolink).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync .gitignore');
     });
   });
 
-  describe('normalizeExistingEnvironment', () => {
-    test('should extract wait_timer from protection_rules', () => {
-      const env = {
-        name: 'production',
-        protection_rules: [{ type: 'wait_timer', wait_timer: 15 }],
-        deployment_branch_policy: null
-      };
-      const result = normalizeExistingEnvironment(env);
-      expect(result.wait_timer).toBe(15);
-      expect(result.name).toBe('production');
-    });
+  describe('managed blocks', () => {
+    const begin = 'BEGIN MANAGED BLOCK: bulk-github-repo-settings-sync-action';
+    const end = 'END MANAGED BLOCK: bulk-github-repo-settings-sync-action';
 
-    test('should extract reviewers from protection_rules', () => {
-      const env = {
-        name: 'production',
-        protection_rules: [
-          {
-            type: 'required_reviewers',
-            reviewers: [{ type: 'User', reviewer: { id: 123, login: 'user1' } }]
-          }
-        ],
-        deployment_branch_policy: null
-      };
-      const result = normalizeExistingEnvironment(env);
-      expect(result.reviewers).toEqual([{ type: 'User', id: 123 }]);
+    test('should choose comment syntax by file type', () => {
+      expect(getManagedBlockCommentSyntax('.github/CODEOWNERS')).toEqual({ start: '#', end: '' });
+      expect(getManagedBlockCommentSyntax('.github/pull_request_template.md')).toEqual({ start: '<!--', end: '-->' });
+      expect(getManagedBlockCommentSyntax('src/index.ts')).toEqual({ start: '//', end: '' });
+      expect(getManagedBlockCommentSyntax('renovate.json')).toBeNull();
+      expect(createManagedBlockContentProcessor('renovate.json')).toBeUndefined();
     });
 
-    test('should handle missing protection_rules', () => {
-      const env = { name: 'staging', deployment_branch_policy: null };
-      const result = normalizeExistingEnvironment(env);
-      expect(result.wait_timer).toBe(0);
-      expect(result.reviewers).toEqual([]);
-      expect(result.prevent_self_review).toBe(false);
-    });
+    test('should replace only the managed block and keep local content', () => {
+      const processor = createManagedBlockContentProcessor('CODEOWNERS');
+      const existing = `# local header\n# ${begin}\n* @org/old-team\n# ${end}\n/local/ @org/local-team\n`;
 
-    test('should preserve deployment_branch_policy', () => {
-      const env = {
-        name: 'production',
-        protection_rules: [],
-        deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
-      };
-      const result = normalizeExistingEnvironment(env);
-      expect(result.deployment_branch_policy).toEqual({
-        protected_branches: true,
-        custom_branch_policies: false
-      });
+      expect(processor.isUpToDate('* @org/old-team\n', existing)).toBe(true);
+      expect(processor.isUpToDate('* @org/new-team\n', existing)).toBe(false);
+      expect(processor.getFinalContent('* @org/new-team\n', existing)).toBe(
+        `# local header\n# ${begin}\n* @org/new-team\n# ${end}\n/local/ @org/local-team\n`
+      );
     });
-  });
 
-  describe('normalizeDesiredEnvironment', () => {
-    test('should normalize a fully specified environment', () => {
-      const env = {
-        name: 'production',
-        wait_timer: 10,
-        prevent_self_review: true,
-        reviewers: [{ type: 'User', id: 123 }],
-        deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
-      };
-      const result = normalizeDesiredEnvironment(env);
-      expect(result).toEqual(env);
-    });
+    test('should sync only the block of a source that has one', () => {
+      const processor = createManagedBlockContentProcessor('.github/copilot-instructions.md');
+      const source = `<!-- ${begin} -->\nUse TypeScript.\n<!-- ${end} -->\n\nAdd repository notes below.\n`;
+      const existing = `<!-- ${begin} -->\nUse JavaScript.\n<!-- ${end} -->\n\nThis repo uses pnpm.\n`;
 
-    test('should default missing fields', () => {
-      const env = { name: 'staging' };
-      const result = normalizeDesiredEnvironment(env);
-      expect(result.wait_timer).toBe(0);
-      expect(result.prevent_self_review).toBe(false);
-      expect(result.reviewers).toEqual([]);
-      expect(result.deployment_branch_policy).toBeNull();
+      expect(processor.isUpToDate(source, existing)).toBe(false);
+      expect(processor.getFinalContent(source, existing)).toBe(
+        `<!-- ${begin} -->\nUse TypeScript.\n<!-- ${end} -->\n\nThis repo uses pnpm.\n`
+      );
     });
-  });
 
-  describe('environmentsEqual', () => {
-    test('should return true for equal environments', () => {
-      const a = {
-        wait_timer: 10,
-        prevent_self_review: true,
-        reviewers: [{ type: 'User', id: 123 }],
-        deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
-      };
-      expect(environmentsEqual(a, { ...a })).toBe(true);
-    });
+    test('should sync the whole file when the repository file has no managed block', () => {
+      const processor = createManagedBlockContentProcessor('.github/pull_request_template.md');
+      const source = `<!-- ${begin} -->\n## Summary\n<!-- ${end} -->\n`;
 
-    test('should return false when wait_timer differs', () => {
-      const a = { wait_timer: 10, prevent_self_review: false, reviewers: [], deployment_branch_policy: null };
-      const b = { wait_timer: 20, prevent_self_review: false, reviewers: [], deployment_branch_policy: null };
-      expect(environmentsEqual(a, b)).toBe(false);
+      expect(processor.isUpToDate(source, '## Summary\n')).toBe(false);
+      expect(processor.getFinalContent(source, '## Summary\n')).toBe(source);
+      expect(processor.isUpToDate('## Summary\n', '## Summary\n')).toBe(true);
     });
 
-    test('should return false when reviewers differ', () => {
-      const a = {
-        wait_timer: 0,
-        prevent_self_review: false,
-        reviewers: [{ type: 'User', id: 123 }],
-        deployment_branch_policy: null
-      };
-      const b = {
-        wait_timer: 0,
-        prevent_self_review: false,
-        reviewers: [{ type: 'Team', id: 456 }],
-        deployment_branch_policy: null
-      };
-      expect(environmentsEqual(a, b)).toBe(false);
+    test('should preserve local CODEOWNERS entries when syncing', async () => {
+      setMockFileContent('* @org/new-team\n');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'codeowners-sha',
+          content: Buffer.from(`# ${begin}\n* @org/old-team\n# ${end}\n/local/ @org/local-team\n`).toString('base64')
+        }
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 7, html_url: 'https://github.com/owner/repo/pull/7' }
+      });
+
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false
+      );
+
+      expect(result.codeowners).toBe('updated');
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tree: [
+            expect.objectContaining({
+              path: '.github/CODEOWNERS',
+              content: `# ${begin}\n* @org/new-team\n# ${end}\n/local/ @org/local-team\n`
+            })
+          ]
+        })
+      );
+      mockOctokit.rest.repos.getContent.mockReset();
     });
   });
 
-  describe('syncEnvironments', () => {
+  describe('syncCopilotInstructions', () => {
     beforeEach(() => {
       jest.clearAllMocks();
-      mockOctokit.request.mockClear();
+      mockOctokit.rest.repos.get.mockClear();
+      mockOctokit.rest.repos.getContent.mockClear();
+      mockOctokit.rest.git.createTree.mockClear();
+      mockOctokit.rest.git.getRef.mockClear();
+      mockOctokit.rest.git.createRef.mockClear();
+      mockOctokit.rest.git.updateRef.mockClear();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.create.mockClear();
+      mockOctokit.rest.pulls.update.mockClear();
     });
 
-    test('should create environments when none exist', async () => {
-      const envConfig = {
-        environments: [{ name: 'production', wait_timer: 10 }]
-      };
+    test('should create copilot-instructions.md when it does not exist', async () => {
+      const testContent = '# GitHub Copilot Instructions\n\nPlease follow our coding standards.';
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return { data: { environments: [] } };
-        }
-        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
-          return {};
+      setMockFileContent(testContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      // File does not exist
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.environments).toBe('updated');
-      expect(result.environmentsCreated).toContain('production');
-      expect(mockOctokit.request).toHaveBeenCalledWith(
-        'PUT /repos/{owner}/{repo}/environments/{environment_name}',
-        expect.objectContaining({
-          owner: 'owner',
-          repo: 'repo',
-          environment_name: 'production',
-          wait_timer: 10
-        })
-      );
-    });
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-    test('should update environments with different settings', async () => {
-      const envConfig = {
-        environments: [{ name: 'production', wait_timer: 20 }]
-      };
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 }) // Branch check
+        .mockResolvedValueOnce({
+          // Default branch ref
+          data: { object: { sha: 'abc123' } }
+        });
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'production',
-                  protection_rules: [{ type: 'wait_timer', wait_timer: 10 }],
-                  deployment_branch_policy: null
-                }
-              ]
-            }
-          };
-        }
-        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
-          return {};
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 42,
+          html_url: 'https://github.com/owner/repo/pull/42'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'owner/repo',
+        './copilot-instructions.md',
+        'chore: add copilot-instructions.md',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.environments).toBe('updated');
-      expect(result.environmentsUpdated).toContain('production');
+      expect(result.copilotInstructions).toBe('created');
+      expect(result.prNumber).toBe(42);
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          owner: 'owner',
+          repo: 'repo',
+          base_tree: 'base-tree-sha',
+          tree: [expect.objectContaining({ path: '.github/copilot-instructions.md', mode: '100644', type: 'blob' })]
+        })
+      );
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/copilot-instructions-md-sync', sha: 'new-commit-sha' })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
     });
 
-    test('should report unchanged when environments match', async () => {
-      const envConfig = {
-        environments: [{ name: 'staging' }]
-      };
+    test('should update copilot-instructions.md when content differs', async () => {
+      const newContent = '# GitHub Copilot Instructions\n\nUpdated coding standards.';
+      const oldContent = '# GitHub Copilot Instructions\n\nOld coding standards.';
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'staging',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                }
-              ]
-            }
-          };
+      setMockFileContent(newContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      // File exists with different content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-456',
+          content: Buffer.from(oldContent).toString('base64')
+        }
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.environments).toBe('unchanged');
-      expect(result.environmentsUnchanged).toBe(1);
-    });
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-    test('should delete unmanaged environments when flag is set', async () => {
-      const envConfig = {
-        environments: [{ name: 'production' }]
-      };
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
+        data: { object: { sha: 'abc123' } }
+      });
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'production',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                },
-                {
-                  name: 'old-env',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                }
-              ]
-            }
-          };
-        }
-        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
-          return {};
-        }
-        if (route === 'DELETE /repos/{owner}/{repo}/environments/{environment_name}') {
-          return {};
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 43,
+          html_url: 'https://github.com/owner/repo/pull/43'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, true, false);
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'owner/repo',
+        './copilot-instructions.md',
+        'chore: update copilot-instructions.md',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.environments).toBe('updated');
-      expect(result.environmentsDeleted).toContain('old-env');
-      expect(mockOctokit.request).toHaveBeenCalledWith(
-        'DELETE /repos/{owner}/{repo}/environments/{environment_name}',
-        expect.objectContaining({ environment_name: 'old-env' })
+      expect(result.copilotInstructions).toBe('updated');
+      expect(result.prNumber).toBe(43);
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ tree: 'new-tree-sha', parents: ['abc123'] })
       );
     });
 
-    test('should not delete unmanaged environments when flag is false', async () => {
-      const envConfig = {
-        environments: [{ name: 'production' }]
-      };
+    test('should not create PR when content is unchanged', async () => {
+      const content = '# GitHub Copilot Instructions\n\nCoding standards.';
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'production',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                },
-                {
-                  name: 'old-env',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                }
-              ]
-            }
-          };
+      setMockFileContent(content);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      // File exists with same content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-789',
+          content: Buffer.from(content).toString('base64')
+        }
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.environments).toBe('unchanged');
-      expect(mockOctokit.request).not.toHaveBeenCalledWith(
-        'DELETE /repos/{owner}/{repo}/environments/{environment_name}',
-        expect.anything()
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'owner/repo',
+        './copilot-instructions.md',
+        'chore: update copilot-instructions.md',
+        false
       );
+
+      expect(result.success).toBe(true);
+      expect(result.copilotInstructions).toBe('unchanged');
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
     });
 
-    test('should handle dry-run mode', async () => {
-      const envConfig = {
-        environments: [{ name: 'production', wait_timer: 10 }]
-      };
+    test('should update existing PR when content differs', async () => {
+      const newContent = '# GitHub Copilot Instructions\n\nUpdated standards.';
+      const oldContent = '# GitHub Copilot Instructions\n\nOld standards.';
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return { data: { environments: [] } };
+      setMockFileContent(newContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, true);
-
-      expect(result.success).toBe(true);
-      expect(result.environments).toBe('would-update');
-      expect(result.environmentsWouldCreate).toContain('production');
-      expect(mockOctokit.request).not.toHaveBeenCalledWith(
-        'PUT /repos/{owner}/{repo}/environments/{environment_name}',
-        expect.anything()
-      );
-    });
-
-    test('should return error for invalid repository format', async () => {
-      const result = await syncEnvironments(mockOctokit, 'invalid', [{ name: 'prod' }], false, false);
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid repository format');
-    });
+      // First call: check default branch, second call: check PR branch
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        });
 
-    test('should return error for environment missing name', async () => {
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', [{ wait_timer: 10 }], false, false);
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('must have a "name" field');
-    });
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
+      });
 
-    test('parseEnvironmentsConfig should parse inline names', () => {
-      const result = parseEnvironmentsConfig('production, staging, dev', null);
-      expect(result).toEqual([
-        { name: 'production', _nameOnly: true },
-        { name: 'staging', _nameOnly: true },
-        { name: 'dev', _nameOnly: true }
-      ]);
-    });
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'owner/repo',
+        './copilot-instructions.md',
+        'chore: update copilot-instructions.md',
+        false
+      );
 
-    test('parseEnvironmentsConfig should parse YAML file', () => {
-      setMockFileContent('environments...');
-      setMockYamlContent({
-        environments: [{ name: 'production', wait_timer: 10 }, { name: 'staging' }]
+      expect(result.success).toBe(true);
+      expect(result.copilotInstructions).toBe('pr-updated');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ parents: ['pr-head-sha'] })
+      );
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/copilot-instructions-md-sync',
+        sha: 'new-commit-sha'
       });
-
-      const result = parseEnvironmentsConfig(null, './environments.yml');
-      expect(result).toEqual([{ name: 'production', wait_timer: 10 }, { name: 'staging' }]);
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('parseEnvironmentsConfig should merge inline and file (file overrides)', () => {
-      setMockFileContent('environments...');
-      setMockYamlContent({
-        environments: [{ name: 'production', wait_timer: 10 }]
-      });
-
-      const result = parseEnvironmentsConfig('production, staging', './environments.yml');
-      expect(result).toHaveLength(2);
-      expect(result[0]).toEqual({ name: 'production', wait_timer: 10 });
-      expect(result[1]).toEqual({ name: 'staging', _nameOnly: true });
-    });
+    test('should report pr-up-to-date when PR exists with same content', async () => {
+      const content = '# GitHub Copilot Instructions\n\nSame standards.';
+      const oldContent = '# GitHub Copilot Instructions\n\nOld standards.';
 
-    test('parseEnvironmentsConfig should throw for file with no environments', () => {
-      setMockFileContent('invalid...');
-      setMockYamlContent({ invalid: true });
+      setMockFileContent(content);
 
-      expect(() => parseEnvironmentsConfig(null, './envs.yml')).toThrow('must contain');
-    });
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
+        }
+      });
 
-    test('should handle API 404 for listing environments', async () => {
-      const envConfig = {
-        environments: [{ name: 'production' }]
-      };
+      // Default branch has old content, but PR branch already has the new content
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(oldContent).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-pr-branch',
+            content: Buffer.from(content).toString('base64')
+          }
+        });
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          const error = new Error('Not Found');
-          error.status = 404;
-          throw error;
-        }
-        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
-          return {};
-        }
-        return {};
+      // Existing PR found
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 50,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50'
+          }
+        ]
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'owner/repo',
+        './copilot-instructions.md',
+        'chore: update copilot-instructions.md',
+        false
+      );
+
       expect(result.success).toBe(true);
-      expect(result.environmentsCreated).toContain('production');
+      expect(result.copilotInstructions).toBe('pr-up-to-date');
+      expect(result.prNumber).toBe(50);
+      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
+      expect(result.message).toContain('already has the latest');
+      expect(result.message).toContain('PR #50');
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle API errors', async () => {
-      const envConfig = {
-        environments: [{ name: 'production' }]
-      };
+    test('should handle dry-run mode', async () => {
+      const newContent = '# GitHub Copilot Instructions\n\nNew standards.';
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          const error = new Error('Rate limit exceeded');
-          error.status = 429;
-          throw error;
+      setMockFileContent(newContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync environments');
-    });
-
-    test('should pass reviewers and deployment_branch_policy to API', async () => {
-      const envConfig = {
-        environments: [
-          {
-            name: 'production',
-            wait_timer: 5,
-            prevent_self_review: true,
-            reviewers: [{ type: 'User', id: 123 }],
-            deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
-          }
-        ]
-      };
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
+      });
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return { data: { environments: [] } };
-        }
-        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
-          return {};
-        }
-        return {};
+      // No existing PR
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'owner/repo',
+        './copilot-instructions.md',
+        'chore: add copilot-instructions.md',
+        true // dry-run
+      );
 
       expect(result.success).toBe(true);
-      expect(mockOctokit.request).toHaveBeenCalledWith(
-        'PUT /repos/{owner}/{repo}/environments/{environment_name}',
-        expect.objectContaining({
-          environment_name: 'production',
-          wait_timer: 5,
-          prevent_self_review: true,
-          reviewers: [{ type: 'User', id: 123 }],
-          deployment_branch_policy: { protected_branches: true, custom_branch_policies: false }
-        })
-      );
+      expect(result.copilotInstructions).toBe('would-create');
+      expect(result.dryRun).toBe(true);
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should not update existing environments in simple mode (name-only)', async () => {
-      // Inline environments have _nameOnly flag - should only create, not update
-      const testEnvironments = [
-        { name: 'production', _nameOnly: true },
-        { name: 'new-env', _nameOnly: true }
-      ];
+    test('should handle invalid repository format', async () => {
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'invalid-repo-format',
+        './copilot-instructions.md',
+        'chore: update copilot-instructions.md',
+        false
+      );
 
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'production',
-                  protection_rules: [{ type: 'wait_timer', wait_timer: 30 }],
-                  deployment_branch_policy: null
-                }
-              ]
-            }
-          };
-        }
-        if (route === 'PUT /repos/{owner}/{repo}/environments/{environment_name}') {
-          return {};
-        }
-        return {};
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid repository format');
+    });
+
+    test('should handle missing copilot-instructions.md file', async () => {
+      mockFs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'owner/repo',
+        './nonexistent.md',
+        'chore: update copilot-instructions.md',
+        false
+      );
 
-      expect(result.success).toBe(true);
-      expect(result.environmentsCreated).toEqual(['new-env']);
-      // production should NOT be updated even though settings differ
-      expect(result.environmentsUpdated ?? []).toEqual([]);
-      expect(result.environmentsUnchanged).toBe(1);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read file at');
+      expect(result.error).toContain('copilot-instructions.md');
     });
 
-    test('should handle multiple environments with mixed create/update/delete', async () => {
-      const envConfig = {
-        environments: [{ name: 'production', wait_timer: 10 }, { name: 'staging' }, { name: 'new-env' }]
-      };
+    test('should handle API errors', async () => {
+      setMockFileContent('# Copilot Instructions');
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'production',
-                  protection_rules: [{ type: 'wait_timer', wait_timer: 5 }],
-                  deployment_branch_policy: null
-                },
-                {
-                  name: 'staging',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                },
-                {
-                  name: 'old-env',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                }
-              ]
-            }
-          };
-        }
-        return {};
-      });
+      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, true, false);
+      const result = await syncCopilotInstructions(
+        mockOctokit,
+        'owner/repo',
+        './copilot-instructions.md',
+        'chore: update copilot-instructions.md',
+        false
+      );
 
-      expect(result.success).toBe(true);
-      expect(result.environments).toBe('updated');
-      expect(result.environmentsUpdated).toContain('production');
-      expect(result.environmentsCreated).toContain('new-env');
-      expect(result.environmentsDeleted).toContain('old-env');
-      expect(result.environmentsUnchanged).toBe(1);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync copilot-instructions.md');
     });
+  });
 
-    test('should handle dry-run with delete-unmanaged', async () => {
-      const envConfig = {
-        environments: [{ name: 'production' }]
-      };
+  describe('syncCodeowners', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockClear();
+      mockOctokit.rest.repos.getContent.mockClear();
+      mockOctokit.rest.git.createTree.mockClear();
+      mockOctokit.rest.git.getRef.mockClear();
+      mockOctokit.rest.git.createRef.mockClear();
+      mockOctokit.rest.git.updateRef.mockClear();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.create.mockClear();
+      mockOctokit.rest.pulls.update.mockClear();
+    });
 
-      const testEnvironments = envConfig.environments;
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'production',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                },
-                {
-                  name: 'old-env',
-                  protection_rules: [],
-                  deployment_branch_policy: null,
-                  prevent_self_review: false
-                }
-              ]
-            }
-          };
+    test('should create CODEOWNERS when it does not exist', async () => {
+      const testContent = '# CODEOWNERS\n* @owner/team';
+
+      setMockFileContent(testContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, true, true);
+      // File does not exist
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.environments).toBe('would-update');
-      expect(result.environmentsWouldDelete).toContain('old-env');
-      expect(mockOctokit.request).not.toHaveBeenCalledWith(
-        'DELETE /repos/{owner}/{repo}/environments/{environment_name}',
-        expect.anything()
-      );
-    });
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
 
-    test('should sync deployment protection rules - create and delete', async () => {
-      const testEnvironments = [
-        {
-          name: 'production',
-          deployment_protection_rules: [{ app: 'gate-app' }]
-        }
-      ];
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 }) // Branch check
+        .mockResolvedValueOnce({
+          // Default branch ref
+          data: { object: { sha: 'abc123' } }
+        });
 
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [{ name: 'production', protection_rules: [], deployment_branch_policy: null }]
-            }
-          };
-        }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/apps') {
-          return {
-            data: {
-              available_custom_deployment_protection_rule_integrations: [
-                { id: 42, slug: 'gate-app' },
-                { id: 99, slug: 'other-app' }
-              ]
-            }
-          };
-        }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules') {
-          return {
-            data: {
-              custom_deployment_protection_rules: [{ id: 1, app: { id: 99, slug: 'other-app' } }]
-            }
-          };
-        }
-        if (route === 'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules') {
-          return {};
-        }
-        if (
-          route ===
-          'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/{protection_rule_id}'
-        ) {
-          return {};
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 42,
+          html_url: 'https://github.com/owner/repo/pull/42'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        '.github/CODEOWNERS',
+        'chore: add CODEOWNERS',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(mockOctokit.request).toHaveBeenCalledWith(
-        'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules',
-        expect.objectContaining({ integration_id: 42 })
+      expect(result.codeowners).toBe('created');
+      expect(result.prNumber).toBe(42);
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          owner: 'owner',
+          repo: 'repo',
+          base_tree: 'base-tree-sha',
+          tree: [expect.objectContaining({ path: '.github/CODEOWNERS', mode: '100644', type: 'blob' })]
+        })
       );
-      expect(mockOctokit.request).toHaveBeenCalledWith(
-        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/{protection_rule_id}',
-        expect.objectContaining({ protection_rule_id: 1 })
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/codeowners-sync', sha: 'new-commit-sha' })
       );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
     });
 
-    test('should preview deployment protection rules in dry-run', async () => {
-      const testEnvironments = [
-        {
-          name: 'staging',
-          deployment_protection_rules: [{ app: 'gate-app' }]
-        }
-      ];
+    test('should update CODEOWNERS when content differs', async () => {
+      const newContent = '# CODEOWNERS\n* @owner/new-team';
+      const oldContent = '# CODEOWNERS\n* @owner/old-team';
 
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [{ name: 'staging', protection_rules: [], deployment_branch_policy: null }]
-            }
-          };
+      setMockFileContent(newContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/apps') {
-          return {
-            data: {
-              available_custom_deployment_protection_rule_integrations: [{ id: 42, slug: 'gate-app' }]
-            }
-          };
+      });
+
+      // File exists with different content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-456',
+          content: Buffer.from(oldContent).toString('base64')
         }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules') {
-          return { data: { custom_deployment_protection_rules: [] } };
+      });
+
+      // No existing PRs
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
+
+      // Branch doesn't exist
+      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
+        data: { object: { sha: 'abc123' } }
+      });
+
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 43,
+          html_url: 'https://github.com/owner/repo/pull/43'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, true);
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(mockOctokit.request).not.toHaveBeenCalledWith(
-        'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules',
-        expect.anything()
-      );
-      expect(result.protectionRuleSubResults.length).toBeGreaterThan(0);
+      expect(result.codeowners).toBe('updated');
+      expect(result.prNumber).toBe(43);
     });
 
-    test('should warn when deployment protection rule app not found', async () => {
-      const testEnvironments = [
-        {
-          name: 'production',
-          deployment_protection_rules: [{ app: 'nonexistent-app' }]
-        }
-      ];
+    test('should not create PR when content is unchanged', async () => {
+      const content = '# CODEOWNERS\n* @owner/team';
 
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [{ name: 'production', protection_rules: [], deployment_branch_policy: null }]
-            }
-          };
-        }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules/apps') {
-          return { data: { available_custom_deployment_protection_rule_integrations: [] } };
+      setMockFileContent(content);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules') {
-          return { data: { custom_deployment_protection_rules: [] } };
+      });
+
+      // File exists with same content
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-789',
+          content: Buffer.from(content).toString('base64')
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.protectionRuleSubResults.some(s => s.status === 'warning')).toBe(true);
+      expect(result.codeowners).toBe('unchanged');
+      expect(result.message).toContain('already up to date');
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should sync custom branch name patterns - create and delete', async () => {
-      const testEnvironments = [
-        {
-          name: 'staging',
-          deployment_branch_policy: { protected_branches: false, custom_branch_policies: true },
-          branch_name_patterns: ['main', 'release/*']
-        }
-      ];
+    test('should support different target paths', async () => {
+      const testContent = '# CODEOWNERS\n* @owner/team';
 
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'staging',
-                  protection_rules: [],
-                  deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
-                }
-              ]
-            }
-          };
-        }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies') {
-          return {
-            data: {
-              branch_policies: [
-                { id: 1, name: 'main' },
-                { id: 2, name: 'hotfix/*' }
-              ]
-            }
-          };
-        }
-        if (route === 'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies') {
-          return {};
+      setMockFileContent(testContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        if (
-          route ===
-          'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}'
-        ) {
-          return {};
+      });
+
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
+      });
+
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
+
+      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
+        data: { object: { sha: 'abc123' } }
+      });
+
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: {
+          number: 44,
+          html_url: 'https://github.com/owner/repo/pull/44'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      // Test root CODEOWNERS path
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        'CODEOWNERS',
+        'chore: add CODEOWNERS',
+        false
+      );
 
       expect(result.success).toBe(true);
-      // Should create release/* (missing) and delete hotfix/* (unmanaged)
-      expect(mockOctokit.request).toHaveBeenCalledWith(
-        'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies',
-        expect.objectContaining({ name: 'release/*' })
-      );
-      expect(mockOctokit.request).toHaveBeenCalledWith(
-        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}',
-        expect.objectContaining({ branch_policy_id: 2 })
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({ tree: [expect.objectContaining({ path: 'CODEOWNERS' })] })
       );
-      // Should NOT delete main (it exists and is desired)
-      expect(mockOctokit.request).not.toHaveBeenCalledWith(
-        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}',
-        expect.objectContaining({ branch_policy_id: 1 })
+    });
+
+    test('should reject invalid target path', async () => {
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        '.github/invalid/CODEOWNERS',
+        'chore: add CODEOWNERS',
+        false
       );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid CODEOWNERS target path');
+      expect(result.error).toContain('.github/CODEOWNERS');
+      expect(result.error).toContain('CODEOWNERS');
+      expect(result.error).toContain('docs/CODEOWNERS');
     });
 
-    test('should preview branch policy changes in dry-run', async () => {
-      const testEnvironments = [
-        {
-          name: 'staging',
-          deployment_branch_policy: { protected_branches: false, custom_branch_policies: true },
-          branch_name_patterns: ['main']
-        }
-      ];
+    test('should handle dry-run mode', async () => {
+      const newContent = '# CODEOWNERS\n* @owner/team';
 
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'staging',
-                  protection_rules: [],
-                  deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
-                }
-              ]
-            }
-          };
-        }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies') {
-          return { data: { branch_policies: [{ id: 1, name: 'old-branch' }] } };
+      setMockFileContent(newContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main'
         }
-        return {};
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, true);
+      mockOctokit.rest.repos.getContent.mockRejectedValue({
+        status: 404
+      });
 
-      expect(result.success).toBe(true);
-      expect(mockOctokit.request).not.toHaveBeenCalledWith(
-        'POST /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies',
-        expect.anything()
-      );
-      expect(mockOctokit.request).not.toHaveBeenCalledWith(
-        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}',
-        expect.anything()
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: []
+      });
+
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        '.github/CODEOWNERS',
+        'chore: add CODEOWNERS',
+        true // dry-run
       );
-      expect(result.branchPolicySubResults.length).toBeGreaterThan(0);
+
+      expect(result.success).toBe(true);
+      expect(result.codeowners).toBe('would-create');
+      expect(result.dryRun).toBe(true);
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should delete all branch patterns when custom_branch_policies is true but patterns omitted', async () => {
-      const testEnvironments = [
-        {
-          name: 'staging',
-          deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
-          // no branch_name_patterns — should delete existing
-        }
-      ];
+    test('should handle invalid repository format', async () => {
+      const result = await syncCodeowners(
+        mockOctokit,
+        'invalid-repo-format',
+        './CODEOWNERS',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false
+      );
 
-      mockOctokit.request.mockImplementation(route => {
-        if (route === 'GET /repos/{owner}/{repo}/environments') {
-          return {
-            data: {
-              environments: [
-                {
-                  name: 'staging',
-                  protection_rules: [],
-                  deployment_branch_policy: { protected_branches: false, custom_branch_policies: true }
-                }
-              ]
-            }
-          };
-        }
-        if (route === 'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies') {
-          return { data: { branch_policies: [{ id: 1, name: 'old-pattern' }] } };
-        }
-        if (
-          route ===
-          'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}'
-        ) {
-          return {};
-        }
-        return {};
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid repository format');
+    });
+
+    test('should handle missing CODEOWNERS file', async () => {
+      mockFs.readFileSync.mockImplementation(() => {
+        throw new Error('ENOENT: no such file or directory');
       });
 
-      const result = await syncEnvironments(mockOctokit, 'owner/repo', testEnvironments, false, false);
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './nonexistent-codeowners',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false
+      );
 
-      expect(result.success).toBe(true);
-      expect(mockOctokit.request).toHaveBeenCalledWith(
-        'DELETE /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies/{branch_policy_id}',
-        expect.objectContaining({ branch_policy_id: 1 })
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to read file at');
+      expect(result.error).toContain('CODEOWNERS');
+    });
+
+    test('should handle API errors', async () => {
+      setMockFileContent('# CODEOWNERS\n* @owner/team');
+
+      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
+
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false
       );
-    });
-  });
 
-  describe('syncGitignore', () => {
-    beforeEach(() => {
-      jest.clearAllMocks();
-      mockOctokit.rest.repos.get.mockClear();
-      mockOctokit.rest.repos.getContent.mockClear();
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
-      mockOctokit.rest.git.getRef.mockClear();
-      mockOctokit.rest.git.createRef.mockClear();
-      mockOctokit.rest.git.updateRef.mockClear();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.create.mockClear();
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Failed to sync CODEOWNERS');
     });
 
-    test('should create .gitignore when it does not exist', async () => {
-      const testContent = 'node_modules/\n.env\n';
+    test('should apply template variables when provided', async () => {
+      const templateContent = '* {{default_team}}\n/src/ {{code_reviewers}}';
 
-      setMockFileContent(testContent);
+      setMockFileContent(templateContent);
 
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: { default_branch: 'main' }
@@ -9627,951 +13379,1122 @@ describe('Bulk GitHub Repository Settings Action', () => {
         .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
       mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
       mockOctokit.rest.pulls.create.mockResolvedValue({
         data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
       });
 
-      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: add .gitignore', false);
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS.template',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false,
+        '',
+        { default_team: '@org/team-a', code_reviewers: '@org/leads' }
+      );
 
       expect(result.success).toBe(true);
-      expect(result.gitignore).toBe('created');
-      expect(result.prNumber).toBe(42);
-      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          owner: 'owner',
-          repo: 'repo',
-          path: '.gitignore',
-          branch: 'gitignore-sync'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
+
+      // Verify the content was transformed
+      const committedContent = getCommittedFiles()['.github/CODEOWNERS'];
+      expect(committedContent).toContain('@org/team-a');
+      expect(committedContent).toContain('@org/leads');
+      expect(committedContent).not.toContain('{{default_team}}');
+      expect(committedContent).not.toContain('{{code_reviewers}}');
     });
 
-    test('should update .gitignore when content differs', async () => {
-      const newContent = 'node_modules/\n.env\ndist/\n';
-      const oldContent = 'node_modules/\n.env\n';
+    test('should handle template variables with whitespace', async () => {
+      const templateContent = '* {{ default_team }}\n/src/ {{  code_reviewers  }}';
 
-      setMockFileContent(newContent);
+      setMockFileContent(templateContent);
 
       mockOctokit.rest.repos.get.mockResolvedValue({
         data: { default_branch: 'main' }
       });
 
-      // File exists with different content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-456',
-          content: Buffer.from(oldContent).toString('base64')
-        }
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
       });
 
-      // No existing PRs
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS.template',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false,
+        '',
+        { default_team: '@org/team-a', code_reviewers: '@org/leads' }
+      );
+
+      expect(result.success).toBe(true);
+
+      const committedContent = getCommittedFiles()['.github/CODEOWNERS'];
+      expect(committedContent).toContain('@org/team-a');
+      expect(committedContent).toContain('@org/leads');
+    });
+
+    test('should fail instead of leaving placeholders that codeowners-vars does not define', async () => {
+      // Undefined placeholders used to be synced as-is; they are now an error so no broken CODEOWNERS is committed
+      setMockFileContent('* {{team}}\n/src/ {{other}}');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
       mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      // Branch doesn't exist
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS.template',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false,
+        '',
+        { team: '@org/my-team' }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(
+        `Failed to render template ./CODEOWNERS.template for CODEOWNERS: Undefined template variable 'other' on line 2`
+      );
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
+
+    test('should not transform content when no template variables provided', async () => {
+      const staticContent = '* @org/team-a\n/src/ @org/leads';
+
+      setMockFileContent(staticContent);
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
+
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
       mockOctokit.rest.git.getRef
         .mockRejectedValueOnce({ status: 404 })
         .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
       mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
       mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 43, html_url: 'https://github.com/owner/repo/pull/43' }
+        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
       });
 
-      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
+      // Call without template variables
+      const result = await syncCodeowners(
+        mockOctokit,
+        'owner/repo',
+        './CODEOWNERS',
+        '.github/CODEOWNERS',
+        'chore: update CODEOWNERS',
+        false
+      );
 
       expect(result.success).toBe(true);
-      expect(result.gitignore).toBe('updated');
-      expect(result.prNumber).toBe(43);
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({ sha: 'file-sha-456' })
+
+      const committedContent = getCommittedFiles()['.github/CODEOWNERS'];
+      expect(committedContent).toContain('@org/team-a');
+      expect(committedContent).toContain('@org/leads');
+    });
+  });
+
+  describe('replaceTemplateVariables', () => {
+    test('should replace single variable', () => {
+      const content = '* {{team}}';
+      const result = replaceTemplateVariables(content, { team: '@org/my-team' });
+      expect(result).toBe('* @org/my-team');
+    });
+
+    test('should replace multiple variables', () => {
+      const content = '* {{default_team}}\n/src/ {{code_team}}\n/docs/ {{docs_team}}';
+      const result = replaceTemplateVariables(content, {
+        default_team: '@org/team-a',
+        code_team: '@org/devs',
+        docs_team: '@org/writers'
+      });
+      expect(result).toBe('* @org/team-a\n/src/ @org/devs\n/docs/ @org/writers');
+    });
+
+    test('should replace same variable multiple times', () => {
+      const content = '* {{team}}\n/src/ {{team}}\n/api/ {{team}}';
+      const result = replaceTemplateVariables(content, { team: '@org/my-team' });
+      expect(result).toBe('* @org/my-team\n/src/ @org/my-team\n/api/ @org/my-team');
+    });
+
+    test('should handle whitespace in variable brackets', () => {
+      const content = '* {{ team }}\n/src/ {{  team  }}';
+      const result = replaceTemplateVariables(content, { team: '@org/my-team' });
+      expect(result).toBe('* @org/my-team\n/src/ @org/my-team');
+    });
+
+    test('should handle variable names with regex special characters', () => {
+      // Variable names with special regex chars should be escaped properly
+      const content = '* {{team.name}}\n/src/ {{team[1]}}';
+      const result = replaceTemplateVariables(content, {
+        'team.name': '@org/dotted-team',
+        'team[1]': '@org/bracketed-team'
+      });
+      expect(result).toBe('* @org/dotted-team\n/src/ @org/bracketed-team');
+    });
+
+    test('should handle variable values with special replacement patterns', () => {
+      // Values with $&, $1, $$ etc. should be treated as literal strings
+      const content = '* {{team}}';
+      const result = replaceTemplateVariables(content, { team: '$& Team $1 $$' });
+      expect(result).toBe('* $& Team $1 $$');
+    });
+
+    test('should return original content when vars is null', () => {
+      const content = '* {{team}}';
+      const result = replaceTemplateVariables(content, null);
+      expect(result).toBe('* {{team}}');
+    });
+
+    test('should return original content when vars is undefined', () => {
+      const content = '* {{team}}';
+      const result = replaceTemplateVariables(content, undefined);
+      expect(result).toBe('* {{team}}');
+    });
+
+    test('should return original content when vars is empty object', () => {
+      const content = '* {{team}}';
+      const result = replaceTemplateVariables(content, {});
+      expect(result).toBe('* {{team}}');
+    });
+
+    test('should throw on undefined variables', () => {
+      const content = '* {{team}}\n/src/ {{other}}';
+      expect(() => replaceTemplateVariables(content, { team: '@org/my-team' })).toThrow(
+        `Undefined template variable 'other' on line 2`
       );
     });
 
-    test('should preserve repo-specific content after marker', async () => {
-      const newContent = 'node_modules/\n.env\n';
-      const marker = '# Repository-specific entries (preserved during sync)';
-      const repoSpecific = `${marker}\n# Custom entries\n*.custom\n`;
-      const oldContent = `node_modules/\nold-entry/\n${repoSpecific}`;
+    test('should leave GitHub Actions expressions and escaped braces as-is', () => {
+      const content = 'ref: ${{ github.ref }}\nliteral: \\{{team}}\nteam: {{team}}';
+      const result = replaceTemplateVariables(content, { team: '@org/my-team' });
+      expect(result).toBe('ref: ${{ github.ref }}\nliteral: {{team}}\nteam: @org/my-team');
+    });
 
-      setMockFileContent(newContent);
+    test('should render if/else blocks and drop standalone block lines', () => {
+      const content =
+        'updates:\n{{#if npm}}\n  - package-ecosystem: npm\n{{else}}\n  - package-ecosystem: github-actions\n{{/if}}\n';
+      expect(replaceTemplateVariables(content, { npm: true })).toBe('updates:\n  - package-ecosystem: npm\n');
+      expect(replaceTemplateVariables(content, { npm: 'false' })).toBe(
+        'updates:\n  - package-ecosystem: github-actions\n'
+      );
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+    test('should render each blocks over lists of values and objects', () => {
+      const content =
+        '{{#each teams}}\n{{@index}}: {{this}}\n{{/each}}\n{{#each paths}}\n{{path}} {{owner}} ({{team}})\n{{/each}}\n{{#each none}}\nitem\n{{else}}\nempty\n{{/each}}\n';
+      const result = replaceTemplateVariables(content, {
+        team: '@org/default',
+        teams: ['@org/a', '@org/b'],
+        paths: [{ path: '/docs/', owner: '@org/writers' }],
+        none: []
       });
+      expect(result).toBe('0: @org/a\n1: @org/b\n/docs/ @org/writers (@org/default)\nempty\n');
+    });
 
-      // File exists with repo-specific content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-789',
-          content: Buffer.from(oldContent).toString('base64')
-        }
+    test('should evaluate exists conditions against the given files', () => {
+      const content = '{{#if exists "package.json"}}npm{{else}}none{{/if}}';
+      expect(replaceTemplateVariables(content, { team: 'x' }, new Set(['package.json']))).toBe('npm');
+      expect(replaceTemplateVariables(content, { team: 'x' }, new Set())).toBe('none');
+      expect(getTemplateExistsPaths(`${content}\n{{#if exists 'go.mod'}}go{{/if}}`)).toEqual([
+        'package.json',
+        'go.mod'
+      ]);
+    });
+
+    test('should throw on malformed blocks', () => {
+      const vars = { team: 'x' };
+      expect(() => replaceTemplateVariables('{{#if team}}\nopen', vars)).toThrow(
+        `Unclosed '{{#if}}' block opened on line 1`
+      );
+      expect(() => replaceTemplateVariables('{{#if team}}x{{/each}}', vars)).toThrow(
+        `Unexpected '{{/each}}' on line 1`
+      );
+      expect(() => replaceTemplateVariables('{{#with team}}x{{/with}}', vars)).toThrow(
+        `Unknown template block '{{#with}}' on line 1`
+      );
+      expect(() => replaceTemplateVariables('{{#each team}}x{{/each}}', vars)).toThrow(
+        `'{{#each team}}' on line 1 expects a list`
+      );
+    });
+
+    test('should handle complex CODEOWNERS content', () => {
+      const content = `# CODEOWNERS file
+# Default owners for everything
+* {{default_team}}
+
+# Frontend code
+/src/components/ {{frontend_team}}
+/src/styles/ {{frontend_team}}
+
+# Backend code
+/src/api/ {{backend_team}}
+/src/services/ {{backend_team}}
+
+# Documentation
+/docs/ {{docs_team}}
+*.md {{docs_team}}`;
+
+      const result = replaceTemplateVariables(content, {
+        default_team: '@org/all-devs',
+        frontend_team: '@org/frontend @org/ux-team',
+        backend_team: '@org/backend',
+        docs_team: '@org/tech-writers'
       });
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      expect(result).toContain('* @org/all-devs');
+      expect(result).toContain('/src/components/ @org/frontend @org/ux-team');
+      expect(result).toContain('/src/api/ @org/backend');
+      expect(result).toContain('/docs/ @org/tech-writers');
+      expect(result).not.toContain('{{');
+    });
+  });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+  describe('getRepositoryTemplateVars', () => {
+    test('should expose repository metadata and custom properties', () => {
+      const vars = getRepositoryTemplateVars({
+        name: 'repo',
+        full_name: 'owner/repo',
+        owner: { login: 'owner' },
+        default_branch: 'main',
+        visibility: 'internal',
+        custom_properties: { team: 'platform', languages: ['go', 'ts'], tier: null }
+      });
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 44, html_url: 'https://github.com/owner/repo/pull/44' }
+      expect(vars).toEqual({
+        'repo.name': 'repo',
+        'repo.owner': 'owner',
+        'repo.full_name': 'owner/repo',
+        'repo.default_branch': 'main',
+        'repo.visibility': 'internal',
+        'repo.custom_properties.team': 'platform',
+        'repo.custom_properties.languages': ['go', 'ts']
       });
+    });
 
-      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
+    test('should omit fields missing from the payload', () => {
+      expect(getRepositoryTemplateVars({ default_branch: 'main' })).toEqual({ 'repo.default_branch': 'main' });
+    });
+  });
 
-      expect(result.success).toBe(true);
-      // Verify repo-specific content is preserved
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          content: expect.any(String)
-        })
-      );
-      // Decode and verify the content includes the repo-specific marker
-      const call = mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0];
-      const content = Buffer.from(call.content, 'base64').toString('utf8');
-      expect(content).toContain(marker);
-      expect(content).toContain('*.custom');
+  describe('parseTemplateVars', () => {
+    test('should return a mapping as-is', () => {
+      expect(parseTemplateVars({ team: '@org/team' }, `repo 'owner/repo'`)).toEqual({ team: '@org/team' });
     });
 
-    test('should not create PR when content is unchanged', async () => {
-      const content = 'node_modules/\n.env\n';
+    test('should parse a YAML string', () => {
+      setMockYamlContent({ team: '@org/team' }, 'team: "@org/team"');
 
-      setMockFileContent(content);
+      expect(parseTemplateVars('team: "@org/team"', `the 'template-vars' input`)).toEqual({ team: '@org/team' });
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should warn and ignore a non-mapping value', () => {
+      expect(parseTemplateVars(['team'], `repo 'owner/repo'`)).toEqual({});
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Invalid 'template-vars' configuration for repo 'owner/repo'; expected a mapping. This configuration will be ignored.`
+      );
+    });
 
-      // File exists with same content
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-999',
-          content: Buffer.from(content).toString('base64')
-        }
-      });
+    test('should return an empty mapping when unset', () => {
+      expect(parseTemplateVars(undefined, `the 'template-vars' input`)).toEqual({});
+    });
+  });
 
-      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
+  describe('parseRenderTemplates', () => {
+    test('should keep template file inputs and warn about unknown names', () => {
+      expect(parseRenderTemplates('dependabot-yml, gitignore, workflow-files', `repo 'owner/repo'`)).toEqual([
+        'dependabot-yml',
+        'workflow-files'
+      ]);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Ignoring unknown 'render-templates' value(s) for repo 'owner/repo': gitignore. Allowed values: dependabot-yml, workflow-files, pull-request-template, copilot-instructions-md`
+      );
+    });
+  });
 
-      expect(result.success).toBe(true);
-      expect(result.gitignore).toBe('unchanged');
-      expect(result.message).toContain('already up to date');
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+  describe('parsePackageJsonSyncFields', () => {
+    test('should sync a list of field names with the replace strategy', () => {
+      expect(parsePackageJsonSyncFields(['packageManager', 'volta'], `repo 'owner/repo'`)).toEqual([
+        { field: 'packageManager', strategy: 'replace' },
+        { field: 'volta', strategy: 'replace' }
+      ]);
     });
 
-    test('should update existing PR when content differs', async () => {
-      const newContent = 'node_modules/\n.env\ndist/\n';
-      const oldContent = 'node_modules/\n.env\n';
+    test('should parse a mapping of fields to strategies', () => {
+      setMockYamlContent(
+        { license: 'replace', overrides: 'merge-keys', devDependencies: { strategy: 'listed-keys', keys: ['eslint'] } },
+        'fields-yaml'
+      );
 
-      setMockFileContent(newContent);
+      expect(parsePackageJsonSyncFields('fields-yaml', `the 'package-json-sync-fields' input`)).toEqual([
+        { field: 'license', strategy: 'replace' },
+        { field: 'overrides', strategy: 'merge-keys' },
+        { field: 'devDependencies', strategy: 'listed-keys', keys: ['eslint'] }
+      ]);
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should warn and skip fields with an unknown strategy or no listed keys', () => {
+      const specs = parsePackageJsonSyncFields(
+        { volta: 'overwrite', devDependencies: { strategy: 'listed-keys' }, bugs: 'replace' },
+        `repo 'owner/repo'`
+      );
 
-      // First call: check default branch, second call: check PR branch
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        });
+      expect(specs).toEqual([{ field: 'bugs', strategy: 'replace' }]);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Invalid strategy 'overwrite' for package.json field 'volta' in repo 'owner/repo'; expected one of replace, merge-keys, listed-keys. This field will be ignored.`
+      );
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Strategy 'listed-keys' for package.json field 'devDependencies' in repo 'owner/repo' requires a non-empty 'keys' list. This field will be ignored.`
+      );
+    });
 
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50' }]
-      });
+    test('should return no fields when unset', () => {
+      expect(parsePackageJsonSyncFields(undefined, `the 'package-json-sync-fields' input`)).toEqual([]);
+    });
+  });
 
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({
-        data: { commit: { sha: 'new-commit-sha' } }
-      });
+  describe('applyPackageJsonFieldSync', () => {
+    const existing = {
+      name: 'target',
+      packageManager: 'npm@9.0.0',
+      volta: { node: '18.0.0' },
+      overrides: { semver: '7.5.0', local: '1.0.0' },
+      devDependencies: { eslint: '^8.0.0', jest: '^29.0.0', custom: '^1.0.0' }
+    };
+    const source = {
+      packageManager: 'npm@10.8.0',
+      overrides: { semver: '7.6.0', glob: '10.0.0' },
+      devDependencies: { eslint: '^9.0.0', jest: '^30.0.0', prettier: '^3.0.0' }
+    };
 
-      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
+    test('should replace fields outright and remove fields missing from the source', () => {
+      const { packageJson, changes } = applyPackageJsonFieldSync(source, existing, [
+        { field: 'packageManager', strategy: 'replace' },
+        { field: 'volta', strategy: 'replace' }
+      ]);
 
-      expect(result.success).toBe(true);
-      expect(result.gitignore).toBe('pr-updated');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          branch: 'gitignore-sync',
-          sha: 'file-sha-pr-branch'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(packageJson.packageManager).toBe('npm@10.8.0');
+      expect(packageJson).not.toHaveProperty('volta');
+      expect(packageJson.name).toBe('target');
+      expect(changes).toEqual([
+        { field: 'packageManager', strategy: 'replace', from: 'npm@9.0.0', to: 'npm@10.8.0' },
+        { field: 'volta', strategy: 'replace', added: [], changed: [], removed: ['node'] }
+      ]);
     });
 
-    test('should report pr-up-to-date when PR exists with same content', async () => {
-      const content = 'node_modules/\n.env\n';
-      const oldContent = 'node_modules/\n';
-
-      setMockFileContent(content);
+    test('should merge keys and keep target-only keys', () => {
+      const { packageJson, changes } = applyPackageJsonFieldSync(source, existing, [
+        { field: 'overrides', strategy: 'merge-keys' }
+      ]);
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+      expect(packageJson.overrides).toEqual({ semver: '7.6.0', local: '1.0.0', glob: '10.0.0' });
+      expect(changes).toEqual([
+        { field: 'overrides', strategy: 'merge-keys', added: ['glob'], changed: ['semver'], removed: [] }
+      ]);
+    });
 
-      // Default branch has old content, but PR branch already has the new content
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(content).toString('base64')
-          }
-        });
+    test('should only take listed keys from the source', () => {
+      const { packageJson } = applyPackageJsonFieldSync(source, existing, [
+        { field: 'devDependencies', strategy: 'listed-keys', keys: ['eslint', 'prettier', 'missing'] }
+      ]);
 
-      // Existing PR found
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50' }]
+      expect(packageJson.devDependencies).toEqual({
+        eslint: '^9.0.0',
+        jest: '^29.0.0',
+        custom: '^1.0.0',
+        prettier: '^3.0.0'
       });
+    });
 
-      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
+    test('should report no changes when fields already match', () => {
+      const { changes } = applyPackageJsonFieldSync({ license: 'MIT' }, { license: 'MIT' }, [
+        { field: 'license', strategy: 'replace' },
+        { field: 'overrides', strategy: 'merge-keys' }
+      ]);
 
-      expect(result.success).toBe(true);
-      expect(result.gitignore).toBe('pr-up-to-date');
-      expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(result.message).toContain('already has the latest');
-      expect(result.message).toContain('PR #50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(changes).toEqual([]);
     });
+  });
 
-    test('should handle dry-run mode', async () => {
-      const newContent = 'node_modules/\n.env\n';
+  describe('formatPackageJsonChanges', () => {
+    test('should list key-level changes for objects and values for scalars', () => {
+      expect(
+        formatPackageJsonChanges([
+          { field: 'scripts', strategy: 'replace', added: ['lint'], changed: ['test'], removed: ['old'] },
+          { field: 'license', strategy: 'replace', from: undefined, to: 'MIT' }
+        ])
+      ).toBe(
+        '- `scripts` (replace): added `lint`; changed `test`; removed `old`\n- `license` (replace): _unset_ → `"MIT"`'
+      );
+    });
+  });
 
-      setMockFileContent(newContent);
+  describe('detectJsonFormatting', () => {
+    test('should detect tabs, CRLF line endings and a missing final newline', () => {
+      const content = '{\r\n\t"name": "repo",\r\n\t"scripts": {\r\n\t\t"test": "jest"\r\n\t}\r\n}';
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+      const formatting = detectJsonFormatting(content);
 
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      expect(formatting).toEqual({ indent: '\t', lineEnding: '\r\n', finalNewline: false });
+      expect(stringifyJson(JSON.parse(content), formatting)).toBe(content);
+    });
 
-      // No existing PR
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+    test('should detect the indent width', () => {
+      const content = '{\n    "name": "repo"\n}\n';
 
-      const result = await syncGitignore(
-        mockOctokit,
-        'owner/repo',
-        './.gitignore',
-        'chore: add .gitignore',
-        true // dry-run
+      expect(detectJsonFormatting(content)).toEqual({ indent: '    ', lineEnding: '\n', finalNewline: true });
+      expect(stringifyJson({ name: 'repo', license: 'MIT' }, detectJsonFormatting(content))).toBe(
+        '{\n    "name": "repo",\n    "license": "MIT"\n}\n'
       );
-
-      expect(result.success).toBe(true);
-      expect(result.gitignore).toBe('would-create');
-      expect(result.dryRun).toBe(true);
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle invalid repository format', async () => {
-      const result = await syncGitignore(
-        mockOctokit,
-        'invalid-repo-format',
-        './.gitignore',
-        'chore: update .gitignore',
-        false
-      );
+    test('should default to two spaces when nothing is indented', () => {
+      expect(detectJsonFormatting('{}\n')).toEqual({ indent: '  ', lineEnding: '\n', finalNewline: true });
+    });
+  });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid repository format');
+  describe('syncPackageJson', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockClear();
+      mockOctokit.rest.repos.getContent.mockClear();
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
+      mockOctokit.rest.git.getRef.mockClear();
+      mockOctokit.rest.git.createRef.mockClear();
+      mockOctokit.rest.git.updateRef.mockClear();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.create.mockClear();
     });
 
-    test('should handle missing .gitignore file', async () => {
-      mockFs.readFileSync.mockImplementation(() => {
-        throw new Error('ENOENT: no such file or directory');
+    test('should update scripts when they differ', async () => {
+      const sourcePackageJson = {
+        name: 'source-package',
+        scripts: {
+          test: 'jest',
+          lint: 'eslint .'
+        }
+      };
+      const existingPackageJson = {
+        name: 'target-package',
+        version: '1.0.0',
+        scripts: {
+          test: 'mocha'
+        }
+      };
+
+      setMockFileContent(JSON.stringify(sourcePackageJson));
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
 
-      const result = await syncGitignore(
-        mockOctokit,
-        'owner/repo',
-        './nonexistent.gitignore',
-        'chore: update .gitignore',
-        false
-      );
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-456',
+          content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
+        }
+      });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read file');
-      expect(result.error).toContain('.gitignore');
-    });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-    test('should handle API errors', async () => {
-      setMockFileContent('node_modules/\n');
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
-      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 43, html_url: 'https://github.com/owner/repo/pull/43' }
+      });
 
-      const result = await syncGitignore(mockOctokit, 'owner/repo', './.gitignore', 'chore: update .gitignore', false);
+      const result = await syncPackageJson(
+        mockOctokit,
+        'owner/repo',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
+        false
+      );
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync .gitignore');
-    });
-  });
+      expect(result.success).toBe(true);
+      expect(result.packageJson).toBe('updated');
+      expect(result.prNumber).toBe(43);
+      expect(result.changes).toHaveLength(1);
+      expect(result.changes[0].field).toBe('scripts');
 
-  describe('syncCopilotInstructions', () => {
-    beforeEach(() => {
-      jest.clearAllMocks();
-      mockOctokit.rest.repos.get.mockClear();
-      mockOctokit.rest.repos.getContent.mockClear();
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
-      mockOctokit.rest.git.getRef.mockClear();
-      mockOctokit.rest.git.createRef.mockClear();
-      mockOctokit.rest.git.updateRef.mockClear();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.create.mockClear();
-      mockOctokit.rest.pulls.update.mockClear();
+      // Verify the committed content preserves existing fields
+      const committedContent = JSON.parse(getCommittedFiles()['package.json']);
+      expect(committedContent.name).toBe('target-package');
+      expect(committedContent.version).toBe('1.0.0');
+      expect(committedContent.scripts.test).toBe('jest');
+      expect(committedContent.scripts.lint).toBe('eslint .');
     });
 
-    test('should create copilot-instructions.md when it does not exist', async () => {
-      const testContent = '# GitHub Copilot Instructions\n\nPlease follow our coding standards.';
+    test('should update engines when they differ', async () => {
+      const sourcePackageJson = {
+        name: 'source-package',
+        engines: {
+          node: '>=22.0.0',
+          npm: '>=10.0.0'
+        }
+      };
+      const existingPackageJson = {
+        name: 'target-package',
+        version: '1.0.0',
+        engines: {
+          node: '>=20.0.0'
+        }
+      };
 
-      setMockFileContent(testContent);
+      setMockFileContent(JSON.stringify(sourcePackageJson));
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+        data: { default_branch: 'main' }
       });
 
-      // File does not exist
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-engines',
+          content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
+        }
       });
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      // Branch doesn't exist
       mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 }) // Branch check
-        .mockResolvedValueOnce({
-          // Default branch ref
-          data: { object: { sha: 'abc123' } }
-        });
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
       mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
       mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 42,
-          html_url: 'https://github.com/owner/repo/pull/42'
-        }
+        data: { number: 44, html_url: 'https://github.com/owner/repo/pull/44' }
       });
 
-      const result = await syncCopilotInstructions(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './copilot-instructions.md',
-        'chore: add copilot-instructions.md',
+        './package.json',
+        false, // syncScripts
+        true, // syncEngines
+        'chore: update package.json',
         false
       );
 
       expect(result.success).toBe(true);
-      expect(result.copilotInstructions).toBe('created');
-      expect(result.prNumber).toBe(42);
-      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          owner: 'owner',
-          repo: 'repo',
-          path: '.github/copilot-instructions.md',
-          branch: 'copilot-instructions-md-sync'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
+      expect(result.packageJson).toBe('updated');
+      expect(result.prNumber).toBe(44);
+      expect(result.changes).toHaveLength(1);
+      expect(result.changes[0].field).toBe('engines');
+
+      // Verify the committed content preserves existing fields and has new engines
+      const committedContent = JSON.parse(getCommittedFiles()['package.json']);
+      expect(committedContent.name).toBe('target-package');
+      expect(committedContent.version).toBe('1.0.0');
+      expect(committedContent.engines.node).toBe('>=22.0.0');
+      expect(committedContent.engines.npm).toBe('>=10.0.0');
     });
 
-    test('should update copilot-instructions.md when content differs', async () => {
-      const newContent = '# GitHub Copilot Instructions\n\nUpdated coding standards.';
-      const oldContent = '# GitHub Copilot Instructions\n\nOld coding standards.';
+    test('should update both scripts and engines when both are enabled', async () => {
+      const sourcePackageJson = {
+        scripts: { test: 'jest' },
+        engines: { node: '>=22.0.0' }
+      };
+      const existingPackageJson = {
+        scripts: { test: 'mocha' },
+        engines: { node: '>=20.0.0' }
+      };
 
-      setMockFileContent(newContent);
+      setMockFileContent(JSON.stringify(sourcePackageJson));
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+        data: { default_branch: 'main' }
       });
 
-      // File exists with different content
       mockOctokit.rest.repos.getContent.mockResolvedValue({
         data: {
-          sha: 'file-sha-456',
-          content: Buffer.from(oldContent).toString('base64')
+          sha: 'file-sha-both',
+          content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
         }
       });
 
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
-        data: { object: { sha: 'abc123' } }
-      });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
 
       mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
       mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 43,
-          html_url: 'https://github.com/owner/repo/pull/43'
-        }
+        data: { number: 45, html_url: 'https://github.com/owner/repo/pull/45' }
       });
 
-      const result = await syncCopilotInstructions(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './copilot-instructions.md',
-        'chore: update copilot-instructions.md',
+        './package.json',
+        true, // syncScripts
+        true, // syncEngines
+        'chore: update package.json',
         false
       );
 
       expect(result.success).toBe(true);
-      expect(result.copilotInstructions).toBe('updated');
-      expect(result.prNumber).toBe(43);
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          sha: 'file-sha-456'
-        })
-      );
+      expect(result.packageJson).toBe('updated');
+      expect(result.changes).toHaveLength(2);
+      expect(result.changes.map(c => c.field)).toContain('scripts');
+      expect(result.changes.map(c => c.field)).toContain('engines');
     });
 
     test('should not create PR when content is unchanged', async () => {
-      const content = '# GitHub Copilot Instructions\n\nCoding standards.';
+      const packageJson = {
+        name: 'test-package',
+        scripts: { test: 'jest' }
+      };
 
-      setMockFileContent(content);
+      setMockFileContent(JSON.stringify(packageJson));
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+        data: { default_branch: 'main' }
       });
 
-      // File exists with same content
       mockOctokit.rest.repos.getContent.mockResolvedValue({
         data: {
           sha: 'file-sha-789',
-          content: Buffer.from(content).toString('base64')
+          content: Buffer.from(JSON.stringify(packageJson)).toString('base64')
         }
       });
 
-      const result = await syncCopilotInstructions(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './copilot-instructions.md',
-        'chore: update copilot-instructions.md',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         false
       );
 
       expect(result.success).toBe(true);
-      expect(result.copilotInstructions).toBe('unchanged');
-      expect(result.message).toContain('already up to date');
+      expect(result.packageJson).toBe('unchanged');
       expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
     });
 
     test('should update existing PR when content differs', async () => {
-      const newContent = '# GitHub Copilot Instructions\n\nUpdated standards.';
-      const oldContent = '# GitHub Copilot Instructions\n\nOld standards.';
+      const sourcePackageJson = { scripts: { test: 'jest' } };
+      const existingPackageJson = { scripts: { test: 'mocha' } };
+      const prBranchPackageJson = { scripts: { test: 'old-test' } };
 
-      setMockFileContent(newContent);
+      setMockFileContent(JSON.stringify(sourcePackageJson));
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+        data: { default_branch: 'main' }
       });
 
-      // First call: check default branch, second call: check PR branch
+      // First call: get existing package.json from default branch
+      // Second call: get package.json from PR branch
       mockOctokit.rest.repos.getContent
         .mockResolvedValueOnce({
           data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
+            sha: 'file-sha-111',
+            content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
           }
         })
         .mockResolvedValueOnce({
           data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(oldContent).toString('base64')
+            sha: 'pr-file-sha-111',
+            content: Buffer.from(JSON.stringify(prBranchPackageJson)).toString('base64')
           }
         });
 
-      // Existing PR found
       mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
-          }
-        ]
-      });
-
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({
-        data: { commit: { sha: 'new-commit-sha' } }
+        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50', head: { sha: 'pr-head-sha' } }]
       });
 
-      const result = await syncCopilotInstructions(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './copilot-instructions.md',
-        'chore: update copilot-instructions.md',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         false
       );
 
       expect(result.success).toBe(true);
-      expect(result.copilotInstructions).toBe('pr-updated');
+      expect(result.packageJson).toBe('pr-updated');
       expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          branch: 'copilot-instructions-md-sync',
-          sha: 'file-sha-pr-branch'
-        })
+      expect(mockOctokit.rest.git.getCommit).toHaveBeenCalledWith(
+        expect.objectContaining({ commit_sha: 'pr-head-sha' })
+      );
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'heads/package-json-sync', sha: 'new-commit-sha' })
       );
+      expect(JSON.parse(getCommittedFiles()['package.json']).scripts).toEqual({ test: 'jest' });
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
       expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
     test('should report pr-up-to-date when PR exists with same content', async () => {
-      const content = '# GitHub Copilot Instructions\n\nSame standards.';
-      const oldContent = '# GitHub Copilot Instructions\n\nOld standards.';
-
-      setMockFileContent(content);
+      const sourcePackageJson = { scripts: { test: 'jest' } };
+      const existingPackageJson = { scripts: { test: 'mocha' } };
+      // PR branch already has the source scripts
+      const prBranchPackageJson = { scripts: { test: 'jest' } };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+      setMockFileContent(JSON.stringify(sourcePackageJson));
+
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
 
-      // Default branch has old content, but PR branch already has the new content
+      // First call: get existing package.json from default branch (different from source)
+      // Second call: get package.json from PR branch (same as source)
       mockOctokit.rest.repos.getContent
         .mockResolvedValueOnce({
           data: {
             sha: 'file-sha-default',
-            content: Buffer.from(oldContent).toString('base64')
+            content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
           }
         })
         .mockResolvedValueOnce({
           data: {
-            sha: 'file-sha-pr-branch',
-            content: Buffer.from(content).toString('base64')
+            sha: 'pr-file-sha',
+            content: Buffer.from(JSON.stringify(prBranchPackageJson)).toString('base64')
           }
         });
 
-      // Existing PR found
       mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 50,
-            html_url: 'https://github.com/owner/repo/pull/50'
-          }
-        ]
+        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50', head: { sha: 'pr-head-sha' } }]
       });
 
-      const result = await syncCopilotInstructions(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './copilot-instructions.md',
-        'chore: update copilot-instructions.md',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         false
       );
 
       expect(result.success).toBe(true);
-      expect(result.copilotInstructions).toBe('pr-up-to-date');
+      expect(result.packageJson).toBe('pr-up-to-date');
       expect(result.prNumber).toBe(50);
-      expect(result.prUrl).toBe('https://github.com/owner/repo/pull/50');
-      expect(result.message).toContain('already has the latest');
-      expect(result.message).toContain('PR #50');
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
       expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
     test('should handle dry-run mode', async () => {
-      const newContent = '# GitHub Copilot Instructions\n\nNew standards.';
+      const sourcePackageJson = { scripts: { test: 'jest' } };
+      const existingPackageJson = { scripts: { test: 'mocha' } };
 
-      setMockFileContent(newContent);
+      setMockFileContent(JSON.stringify(sourcePackageJson));
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
+        data: { default_branch: 'main' }
       });
 
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-222',
+          content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
+        }
       });
 
-      // No existing PR
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      const result = await syncCopilotInstructions(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './copilot-instructions.md',
-        'chore: add copilot-instructions.md',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         true // dry-run
       );
 
       expect(result.success).toBe(true);
-      expect(result.copilotInstructions).toBe('would-create');
+      expect(result.packageJson).toBe('would-update');
       expect(result.dryRun).toBe(true);
+      expect(result.changes).toHaveLength(1);
       expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
       expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should handle invalid repository format', async () => {
-      const result = await syncCopilotInstructions(
-        mockOctokit,
-        'invalid-repo-format',
-        './copilot-instructions.md',
-        'chore: update copilot-instructions.md',
-        false
-      );
+    test('should return would-update-pr in dry-run mode when PR exists and needs update', async () => {
+      const sourcePackageJson = { scripts: { test: 'jest' } };
+      const existingPackageJson = { scripts: { test: 'mocha' } };
+      const prBranchPackageJson = { scripts: { test: 'old-test' } };
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid repository format');
-    });
+      setMockFileContent(JSON.stringify(sourcePackageJson));
 
-    test('should handle missing copilot-instructions.md file', async () => {
-      mockFs.readFileSync.mockImplementation(() => {
-        throw new Error('ENOENT: no such file or directory');
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
       });
 
-      const result = await syncCopilotInstructions(
-        mockOctokit,
-        'owner/repo',
-        './nonexistent.md',
-        'chore: update copilot-instructions.md',
-        false
-      );
-
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read file at');
-      expect(result.error).toContain('copilot-instructions.md');
-    });
-
-    test('should handle API errors', async () => {
-      setMockFileContent('# Copilot Instructions');
+      // First call: get existing package.json from default branch
+      // Second call: get package.json from PR branch (different from source, needs update)
+      mockOctokit.rest.repos.getContent
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'file-sha-default',
+            content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            sha: 'pr-file-sha',
+            content: Buffer.from(JSON.stringify(prBranchPackageJson)).toString('base64')
+          }
+        });
 
-      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50', head: { sha: 'pr-head-sha' } }]
+      });
 
-      const result = await syncCopilotInstructions(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './copilot-instructions.md',
-        'chore: update copilot-instructions.md',
-        false
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
+        true // dry-run
       );
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync copilot-instructions.md');
-    });
-  });
-
-  describe('syncCodeowners', () => {
-    beforeEach(() => {
-      jest.clearAllMocks();
-      mockOctokit.rest.repos.get.mockClear();
-      mockOctokit.rest.repos.getContent.mockClear();
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
-      mockOctokit.rest.git.getRef.mockClear();
-      mockOctokit.rest.git.createRef.mockClear();
-      mockOctokit.rest.git.updateRef.mockClear();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.create.mockClear();
-      mockOctokit.rest.pulls.update.mockClear();
+      expect(result.success).toBe(true);
+      expect(result.packageJson).toBe('would-update-pr');
+      expect(result.prNumber).toBe(50);
+      expect(result.dryRun).toBe(true);
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should create CODEOWNERS when it does not exist', async () => {
-      const testContent = '# CODEOWNERS\n* @owner/team';
-
-      setMockFileContent(testContent);
+    test('should fail when package.json does not exist in target repo', async () => {
+      setMockFileContent(JSON.stringify({ scripts: {} }));
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
-
-      // File does not exist
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
-      });
-
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
+        data: { default_branch: 'main' }
       });
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 }) // Branch check
-        .mockResolvedValueOnce({
-          // Default branch ref
-          data: { object: { sha: 'abc123' } }
-        });
-
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 42,
-          html_url: 'https://github.com/owner/repo/pull/42'
-        }
-      });
+      const error = new Error('Not Found');
+      error.status = 404;
+      mockOctokit.rest.repos.getContent.mockRejectedValue(error);
 
-      const result = await syncCodeowners(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './CODEOWNERS',
-        '.github/CODEOWNERS',
-        'chore: add CODEOWNERS',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         false
       );
 
-      expect(result.success).toBe(true);
-      expect(result.codeowners).toBe('created');
-      expect(result.prNumber).toBe(42);
-      expect(mockOctokit.rest.git.createRef).toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          owner: 'owner',
-          repo: 'repo',
-          path: '.github/CODEOWNERS',
-          branch: 'codeowners-sync'
-        })
-      );
-      expect(mockOctokit.rest.pulls.create).toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('does not exist');
     });
 
-    test('should update CODEOWNERS when content differs', async () => {
-      const newContent = '# CODEOWNERS\n* @owner/new-team';
-      const oldContent = '# CODEOWNERS\n* @owner/old-team';
-
-      setMockFileContent(newContent);
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
+    test('should sync configured fields and list field-level changes in the PR body', async () => {
+      setMockFileContent(
+        JSON.stringify({
+          scripts: { test: 'jest' },
+          packageManager: 'npm@10.8.0',
+          devDependencies: { eslint: '^9.0.0', jest: '^30.0.0' }
+        })
+      );
 
-      // File exists with different content
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
       mockOctokit.rest.repos.getContent.mockResolvedValue({
         data: {
-          sha: 'file-sha-456',
-          content: Buffer.from(oldContent).toString('base64')
+          sha: 'file-sha',
+          content: Buffer.from(
+            JSON.stringify({
+              name: 'target',
+              scripts: { test: 'mocha' },
+              devDependencies: { eslint: '^8.0.0', jest: '^29.0.0' }
+            })
+          ).toString('base64')
         }
       });
-
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
-
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
-        data: { object: { sha: 'abc123' } }
-      });
-
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
       mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
       mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: {
-          number: 43,
-          html_url: 'https://github.com/owner/repo/pull/43'
-        }
+        data: { number: 44, html_url: 'https://github.com/owner/repo/pull/44' }
       });
 
-      const result = await syncCodeowners(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './CODEOWNERS',
-        '.github/CODEOWNERS',
-        'chore: update CODEOWNERS',
-        false
+        './package.json',
+        false, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
+        false,
+        undefined,
+        undefined,
+        [
+          { field: 'packageManager', strategy: 'replace' },
+          { field: 'devDependencies', strategy: 'listed-keys', keys: ['eslint'] }
+        ]
       );
 
       expect(result.success).toBe(true);
-      expect(result.codeowners).toBe('updated');
-      expect(result.prNumber).toBe(43);
-    });
+      expect(result.changes.map(change => change.field)).toEqual(['packageManager', 'devDependencies']);
 
-    test('should not create PR when content is unchanged', async () => {
-      const content = '# CODEOWNERS\n* @owner/team';
+      const committedContent = JSON.parse(getCommittedFiles()['package.json']);
+      expect(committedContent.packageManager).toBe('npm@10.8.0');
+      expect(committedContent.devDependencies).toEqual({ eslint: '^9.0.0', jest: '^29.0.0' });
+      expect(committedContent.scripts).toEqual({ test: 'mocha' });
 
-      setMockFileContent(content);
+      const { body } = mockOctokit.rest.pulls.create.mock.calls[0][0];
+      expect(body).toContain('- `packageManager` (replace): _unset_ → `"npm@10.8.0"`');
+      expect(body).toContain('- `devDependencies` (listed-keys): changed `eslint`');
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
+    test('should keep the target file indentation and final newline convention', async () => {
+      setMockFileContent(JSON.stringify({ scripts: { test: 'jest' } }));
 
-      // File exists with same content
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
       mockOctokit.rest.repos.getContent.mockResolvedValue({
         data: {
-          sha: 'file-sha-789',
-          content: Buffer.from(content).toString('base64')
+          sha: 'file-sha',
+          content: Buffer.from('{\n\t"name": "target",\n\t"scripts": {\n\t\t"test": "mocha"\n\t}\n}').toString('base64')
         }
       });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 45, html_url: 'https://github.com/owner/repo/pull/45' }
+      });
 
-      const result = await syncCodeowners(
+      await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './CODEOWNERS',
-        '.github/CODEOWNERS',
-        'chore: update CODEOWNERS',
+        './package.json',
+        true,
+        false,
+        'chore: update package.json',
         false
       );
 
-      expect(result.success).toBe(true);
-      expect(result.codeowners).toBe('unchanged');
-      expect(result.message).toContain('already up to date');
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(getCommittedFiles()['package.json']).toBe(
+        '{\n\t"name": "target",\n\t"scripts": {\n\t\t"test": "jest"\n\t}\n}'
+      );
     });
 
-    test('should support different target paths', async () => {
-      const testContent = '# CODEOWNERS\n* @owner/team';
-
-      setMockFileContent(testContent);
+    test('should commit straight to the default branch with the direct strategy', async () => {
+      setMockFileContent(JSON.stringify({ scripts: { test: 'jest' } }));
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
         data: {
-          default_branch: 'main'
+          sha: 'file-sha',
+          content: Buffer.from(JSON.stringify({ name: 'target', scripts: { test: 'mocha' } })).toString('base64')
         }
       });
+      mockOctokit.rest.git.getRef.mockReset().mockResolvedValueOnce({ data: { object: { sha: 'base-sha' } } });
+      mockOctokit.rest.git.updateRef.mockReset().mockResolvedValueOnce({});
 
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
-      });
+      const result = await syncPackageJson(
+        mockOctokit,
+        'owner/repo',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
+        false,
+        undefined,
+        { strategy: 'direct' }
+      );
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
+      expect(result.success).toBe(true);
+      expect(result.packageJson).toBe('committed');
+      expect(result.message).toBe('Committed package.json directly to main');
+      expect(result.changes.map(change => change.field)).toEqual(['scripts']);
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/main',
+        sha: 'new-commit-sha'
       });
+      expect(JSON.parse(getCommittedFiles()['package.json'])).toEqual({ name: 'target', scripts: { test: 'jest' } });
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
 
-      mockOctokit.rest.git.getRef.mockRejectedValueOnce({ status: 404 }).mockResolvedValueOnce({
-        data: { object: { sha: 'abc123' } }
-      });
+    test('should report would-commit for the direct strategy in dry-run mode', async () => {
+      setMockFileContent(JSON.stringify({ scripts: { test: 'jest' } }));
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
         data: {
-          number: 44,
-          html_url: 'https://github.com/owner/repo/pull/44'
+          sha: 'file-sha',
+          content: Buffer.from(JSON.stringify({ scripts: { test: 'mocha' } })).toString('base64')
         }
       });
 
-      // Test root CODEOWNERS path
-      const result = await syncCodeowners(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './CODEOWNERS',
-        'CODEOWNERS',
-        'chore: add CODEOWNERS',
-        false
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
+        true, // dry-run
+        undefined,
+        { strategy: 'direct', directBranch: 'develop' }
       );
 
       expect(result.success).toBe(true);
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          path: 'CODEOWNERS'
-        })
-      );
+      expect(result.packageJson).toBe('would-commit');
+      expect(result.message).toBe('Would commit package.json directly to develop');
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ ref: 'develop' }));
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.list).not.toHaveBeenCalled();
     });
 
-    test('should reject invalid target path', async () => {
-      const result = await syncCodeowners(
+    test('should fail when neither syncScripts nor syncEngines is enabled', async () => {
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './CODEOWNERS',
-        '.github/invalid/CODEOWNERS',
-        'chore: add CODEOWNERS',
+        './package.json',
+        false, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         false
       );
 
       expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid CODEOWNERS target path');
-      expect(result.error).toContain('.github/CODEOWNERS');
-      expect(result.error).toContain('CODEOWNERS');
-      expect(result.error).toContain('docs/CODEOWNERS');
-    });
-
-    test('should handle dry-run mode', async () => {
-      const newContent = '# CODEOWNERS\n* @owner/team';
-
-      setMockFileContent(newContent);
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main'
-        }
-      });
-
-      mockOctokit.rest.repos.getContent.mockRejectedValue({
-        status: 404
-      });
-
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: []
-      });
-
-      const result = await syncCodeowners(
-        mockOctokit,
-        'owner/repo',
-        './CODEOWNERS',
-        '.github/CODEOWNERS',
-        'chore: add CODEOWNERS',
-        true // dry-run
-      );
-
-      expect(result.success).toBe(true);
-      expect(result.codeowners).toBe('would-create');
-      expect(result.dryRun).toBe(true);
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.error).toContain('At least one of syncScripts or syncEngines must be enabled');
     });
 
     test('should handle invalid repository format', async () => {
-      const result = await syncCodeowners(
+      const result = await syncPackageJson(
         mockOctokit,
         'invalid-repo-format',
-        './CODEOWNERS',
-        '.github/CODEOWNERS',
-        'chore: update CODEOWNERS',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         false
       );
 
@@ -10579,1789 +14502,2308 @@ describe('Bulk GitHub Repository Settings Action', () => {
       expect(result.error).toContain('Invalid repository format');
     });
 
-    test('should handle missing CODEOWNERS file', async () => {
+    test('should handle missing source package.json file', async () => {
       mockFs.readFileSync.mockImplementation(() => {
         throw new Error('ENOENT: no such file or directory');
       });
 
-      const result = await syncCodeowners(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './nonexistent-codeowners',
-        '.github/CODEOWNERS',
-        'chore: update CODEOWNERS',
+        './nonexistent.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         false
       );
 
       expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read file at');
-      expect(result.error).toContain('CODEOWNERS');
+      expect(result.error).toContain('Failed to read or parse package.json');
     });
 
     test('should handle API errors', async () => {
-      setMockFileContent('# CODEOWNERS\n* @owner/team');
+      setMockFileContent(JSON.stringify({ scripts: {} }));
 
       mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
 
-      const result = await syncCodeowners(
+      const result = await syncPackageJson(
         mockOctokit,
         'owner/repo',
-        './CODEOWNERS',
-        '.github/CODEOWNERS',
-        'chore: update CODEOWNERS',
+        './package.json',
+        true, // syncScripts
+        false, // syncEngines
+        'chore: update package.json',
         false
       );
 
       expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync CODEOWNERS');
+      expect(result.error).toContain('Failed to sync package.json');
     });
+  });
 
-    test('should apply template variables when provided', async () => {
-      const templateContent = '* {{default_team}}\n/src/ {{code_reviewers}}';
-
-      setMockFileContent(templateContent);
+  describe('pr-up-to-date status handling in summary', () => {
+    test('should show pending merge message for dependabot when PR is up-to-date', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'dependabot-yml': './dependabot.yml'
+        };
+        return inputs[name] || '';
+      });
 
+      // Mock repo settings
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
       });
 
-      // File does not exist
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-
-      // No existing PRs
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      // Mock dependabot.yml source content
+      const sourceContent = 'version: 2\nupdates: []';
+      setMockFileContent(sourceContent);
 
-      // Branch doesn't exist
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      // For pr-up-to-date: default branch has DIFFERENT content, PR branch has SAME content
+      const oldDefaultBranchContent = 'version: 2\nupdates: [old]';
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
+        if (ref === 'dependabot-yml-sync') {
+          // PR branch has the latest content (matches source)
+          return {
+            data: {
+              content: Buffer.from(sourceContent).toString('base64'),
+              sha: 'pr-branch-sha'
+            }
+          };
+        }
+        // Default branch (main) has old/different content
+        return {
+          data: {
+            content: Buffer.from(oldDefaultBranchContent).toString('base64'),
+            sha: 'default-branch-sha'
+          }
+        };
+      });
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
+      // Mock existing open PR for this branch
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 42,
+            user: { login: 'bot-user' },
+            html_url: 'https://github.com/owner/repo1/pull/42'
+          }
+        ]
       });
 
-      const result = await syncCodeowners(
-        mockOctokit,
-        'owner/repo',
-        './CODEOWNERS.template',
-        '.github/CODEOWNERS',
-        'chore: update CODEOWNERS',
-        false,
-        '',
-        { default_team: '@org/team-a', code_reviewers: '@org/leads' }
-      );
-
-      expect(result.success).toBe(true);
+      await run();
 
-      // Verify the content was transformed
-      const createFileCall = mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0];
-      const committedContent = Buffer.from(createFileCall.content, 'base64').toString('utf8');
-      expect(committedContent).toContain('@org/team-a');
-      expect(committedContent).toContain('@org/leads');
-      expect(committedContent).not.toContain('{{default_team}}');
-      expect(committedContent).not.toContain('{{code_reviewers}}');
+      // Verify the summary table shows the pending merge message
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('up-to-date (pending merge)');
+      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/42">PR #42</a>');
     });
 
-    test('should handle template variables with whitespace', async () => {
-      const templateContent = '* {{ default_team }}\n/src/ {{  code_reviewers  }}';
-
-      setMockFileContent(templateContent);
+    test('should show pending merge message for workflow files when PR is up-to-date', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'workflow-files': './workflow.yml'
+        };
+        return inputs[name] || '';
+      });
 
+      // Mock repo settings
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
       });
 
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      // Mock workflow file source content
+      const sourceContent = 'name: test\non: push';
+      setMockFileContent(sourceContent);
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
+      // For pr-up-to-date: default branch has DIFFERENT content, PR branch has SAME content
+      const oldDefaultBranchContent = 'name: old\non: push';
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
+        if (ref === 'workflow-files-sync') {
+          // PR branch has the latest content (matches source)
+          return {
+            data: {
+              content: Buffer.from(sourceContent).toString('base64'),
+              sha: 'pr-branch-sha'
+            }
+          };
+        }
+        // Default branch (main) has old/different content
+        return {
+          data: {
+            content: Buffer.from(oldDefaultBranchContent).toString('base64'),
+            sha: 'default-branch-sha'
+          }
+        };
       });
 
-      const result = await syncCodeowners(
-        mockOctokit,
-        'owner/repo',
-        './CODEOWNERS.template',
-        '.github/CODEOWNERS',
-        'chore: update CODEOWNERS',
-        false,
-        '',
-        { default_team: '@org/team-a', code_reviewers: '@org/leads' }
-      );
+      // Mock existing open PR for this branch
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 99,
+            html_url: 'https://github.com/owner/repo1/pull/99'
+          }
+        ]
+      });
 
-      expect(result.success).toBe(true);
+      await run();
 
-      const createFileCall = mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0];
-      const committedContent = Buffer.from(createFileCall.content, 'base64').toString('utf8');
-      expect(committedContent).toContain('@org/team-a');
-      expect(committedContent).toContain('@org/leads');
+      // Verify the summary table shows the pending merge message
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('up-to-date (pending merge)');
+      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/99">PR #99</a>');
     });
 
-    test('should not transform content when no template variables provided', async () => {
-      const staticContent = '* @org/team-a\n/src/ @org/leads';
-
-      setMockFileContent(staticContent);
+    test('should identify pr-up-to-date as reportable change (not no-changes-needed)', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'dependabot-yml': './dependabot.yml'
+        };
+        return inputs[name] || '';
+      });
 
+      // Mock repo settings - all match so no settings changes
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
       });
 
-      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      // Mock dependabot.yml source content
+      const sourceContent = 'version: 2\nupdates: []';
+      setMockFileContent(sourceContent);
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
+      // For pr-up-to-date: default branch has DIFFERENT content, PR branch has SAME content
+      const oldDefaultBranchContent = 'version: 2\nupdates: [old]';
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
+        if (ref === 'dependabot-yml-sync') {
+          // PR branch has the latest content (matches source)
+          return {
+            data: {
+              content: Buffer.from(sourceContent).toString('base64'),
+              sha: 'pr-branch-sha'
+            }
+          };
+        }
+        // Default branch (main) has old/different content
+        return {
+          data: {
+            content: Buffer.from(oldDefaultBranchContent).toString('base64'),
+            sha: 'default-branch-sha'
+          }
+        };
       });
 
-      // Call without template variables
-      const result = await syncCodeowners(
-        mockOctokit,
-        'owner/repo',
-        './CODEOWNERS',
-        '.github/CODEOWNERS',
-        'chore: update CODEOWNERS',
-        false
-      );
+      // Mock existing open PR with same content (pr-up-to-date scenario)
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 42,
+            user: { login: 'bot-user' },
+            html_url: 'https://github.com/owner/repo1/pull/42'
+          }
+        ]
+      });
 
-      expect(result.success).toBe(true);
+      await run();
 
-      const createFileCall = mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0];
-      const committedContent = Buffer.from(createFileCall.content, 'base64').toString('utf8');
-      expect(committedContent).toContain('@org/team-a');
-      expect(committedContent).toContain('@org/leads');
+      // The summary should NOT show "No changes needed" - it should show the pending PR
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      // Should show the pending merge message, NOT "No changes needed"
+      expect(repoRow[2]).not.toBe('No changes needed');
+      expect(repoRow[2]).toContain('up-to-date (pending merge)');
+      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/42">PR #42</a>');
     });
-  });
 
-  describe('replaceTemplateVariables', () => {
-    test('should replace single variable', () => {
-      const content = '* {{team}}';
-      const result = replaceTemplateVariables(content, { team: '@org/my-team' });
-      expect(result).toBe('* @org/my-team');
-    });
+    test('should classify pure pr-up-to-date repos as pending (not changed)', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'dependabot-yml': './dependabot.yml'
+        };
+        return inputs[name] || '';
+      });
 
-    test('should replace multiple variables', () => {
-      const content = '* {{default_team}}\n/src/ {{code_team}}\n/docs/ {{docs_team}}';
-      const result = replaceTemplateVariables(content, {
-        default_team: '@org/team-a',
-        code_team: '@org/devs',
-        docs_team: '@org/writers'
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+
+      const sourceContent = 'version: 2\nupdates: []';
+      setMockFileContent(sourceContent);
+
+      const oldDefaultBranchContent = 'version: 2\nupdates: [old]';
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
+        if (ref === 'dependabot-yml-sync') {
+          return {
+            data: {
+              content: Buffer.from(sourceContent).toString('base64'),
+              sha: 'pr-branch-sha'
+            }
+          };
+        }
+        return {
+          data: {
+            content: Buffer.from(oldDefaultBranchContent).toString('base64'),
+            sha: 'default-branch-sha'
+          }
+        };
       });
-      expect(result).toBe('* @org/team-a\n/src/ @org/devs\n/docs/ @org/writers');
-    });
-
-    test('should replace same variable multiple times', () => {
-      const content = '* {{team}}\n/src/ {{team}}\n/api/ {{team}}';
-      const result = replaceTemplateVariables(content, { team: '@org/my-team' });
-      expect(result).toBe('* @org/my-team\n/src/ @org/my-team\n/api/ @org/my-team');
-    });
 
-    test('should handle whitespace in variable brackets', () => {
-      const content = '* {{ team }}\n/src/ {{  team  }}';
-      const result = replaceTemplateVariables(content, { team: '@org/my-team' });
-      expect(result).toBe('* @org/my-team\n/src/ @org/my-team');
-    });
-
-    test('should handle variable names with regex special characters', () => {
-      // Variable names with special regex chars should be escaped properly
-      const content = '* {{team.name}}\n/src/ {{team[1]}}';
-      const result = replaceTemplateVariables(content, {
-        'team.name': '@org/dotted-team',
-        'team[1]': '@org/bracketed-team'
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 77,
+            user: { login: 'bot-user' },
+            html_url: 'https://github.com/owner/repo1/pull/77'
+          }
+        ]
       });
-      expect(result).toBe('* @org/dotted-team\n/src/ @org/bracketed-team');
-    });
 
-    test('should handle variable values with special replacement patterns', () => {
-      // Values with $&, $1, $$ etc. should be treated as literal strings
-      const content = '* {{team}}';
-      const result = replaceTemplateVariables(content, { team: '$& Team $1 $$' });
-      expect(result).toBe('* $& Team $1 $$');
-    });
+      await run();
 
-    test('should return original content when vars is null', () => {
-      const content = '* {{team}}';
-      const result = replaceTemplateVariables(content, null);
-      expect(result).toBe('* {{team}}');
-    });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('pending-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
 
-    test('should return original content when vars is undefined', () => {
-      const content = '* {{team}}';
-      const result = replaceTemplateVariables(content, undefined);
-      expect(result).toBe('* {{team}}');
+      // Summary table shows 🔄 Pending status
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow[1]).toBe('🔄 Pending');
     });
 
-    test('should return original content when vars is empty object', () => {
-      const content = '* {{team}}';
-      const result = replaceTemplateVariables(content, {});
-      expect(result).toBe('* {{team}}');
-    });
+    test('should classify mixed repo (real change + pr-up-to-date) as changed, not pending', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'dependabot-yml': './dependabot.yml',
+          'allow-squash-merge': 'true'
+        };
+        return inputs[name] || '';
+      });
 
-    test('should not replace undefined variables', () => {
-      const content = '* {{team}}\n/src/ {{other}}';
-      const result = replaceTemplateVariables(content, { team: '@org/my-team' });
-      expect(result).toBe('* @org/my-team\n/src/ {{other}}');
-    });
+      // Settings differ → real CHANGED sub-result
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: false,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      mockOctokit.rest.repos.update.mockResolvedValue({});
 
-    test('should handle complex CODEOWNERS content', () => {
-      const content = `# CODEOWNERS file
-# Default owners for everything
-* {{default_team}}
+      const sourceContent = 'version: 2\nupdates: []';
+      setMockFileContent(sourceContent);
+      const oldDefaultBranchContent = 'version: 2\nupdates: [old]';
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
+        if (ref === 'dependabot-yml-sync') {
+          return {
+            data: { content: Buffer.from(sourceContent).toString('base64'), sha: 'pr-branch-sha' }
+          };
+        }
+        return {
+          data: { content: Buffer.from(oldDefaultBranchContent).toString('base64'), sha: 'default-branch-sha' }
+        };
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [{ number: 88, user: { login: 'bot-user' }, html_url: 'https://github.com/owner/repo1/pull/88' }]
+      });
 
-# Frontend code
-/src/components/ {{frontend_team}}
-/src/styles/ {{frontend_team}}
+      await run();
 
-# Backend code
-/src/api/ {{backend_team}}
-/src/services/ {{backend_team}}
+      // Mixed → counted as changed, not pending
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('pending-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '0');
 
-# Documentation
-/docs/ {{docs_team}}
-*.md {{docs_team}}`;
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow[1]).toBe('✅ Changed');
+    });
 
-      const result = replaceTemplateVariables(content, {
-        default_team: '@org/all-devs',
-        frontend_team: '@org/frontend @org/ux-team',
-        backend_team: '@org/backend',
-        docs_team: '@org/tech-writers'
+    test('should set pending-repositories output to 0 when no pending repos', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true'
+        };
+        return inputs[name] || '';
+      });
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
       });
 
-      expect(result).toContain('* @org/all-devs');
-      expect(result).toContain('/src/components/ @org/frontend @org/ux-team');
-      expect(result).toContain('/src/api/ @org/backend');
-      expect(result).toContain('/docs/ @org/tech-writers');
-      expect(result).not.toContain('{{');
-    });
-  });
+      await run();
 
-  describe('syncPackageJson', () => {
-    beforeEach(() => {
-      jest.clearAllMocks();
-      mockOctokit.rest.repos.get.mockClear();
-      mockOctokit.rest.repos.getContent.mockClear();
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
-      mockOctokit.rest.git.getRef.mockClear();
-      mockOctokit.rest.git.createRef.mockClear();
-      mockOctokit.rest.git.updateRef.mockClear();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.create.mockClear();
+      expect(mockCore.setOutput).toHaveBeenCalledWith('pending-repositories', '0');
     });
+  });
 
-    test('should update scripts when they differ', async () => {
-      const sourcePackageJson = {
-        name: 'source-package',
-        scripts: {
-          test: 'jest',
-          lint: 'eslint .'
-        }
-      };
-      const existingPackageJson = {
-        name: 'target-package',
-        version: '1.0.0',
-        scripts: {
-          test: 'mocha'
-        }
-      };
-
-      setMockFileContent(JSON.stringify(sourcePackageJson));
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+  describe('would-update-pr status handling in summary', () => {
+    test('should show existing PR link for copilot-instructions in dry-run when PR exists and needs update', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'copilot-instructions-md': './copilot-instructions.md',
+          'dry-run': 'true'
+        };
+        return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
+      mockOctokit.rest.repos.get.mockResolvedValue({
         data: {
-          sha: 'file-sha-456',
-          content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
         }
       });
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      const sourceContent = '# Copilot Instructions\n\nUpdated content.';
+      setMockFileContent(sourceContent);
 
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 43, html_url: 'https://github.com/owner/repo/pull/43' }
+      const oldDefaultContent = '# Copilot Instructions\n\nOld content.';
+      const oldPrBranchContent = '# Copilot Instructions\n\nStale PR content.';
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
+        if (ref === 'copilot-instructions-md-sync') {
+          return {
+            data: {
+              content: Buffer.from(oldPrBranchContent).toString('base64'),
+              sha: 'pr-branch-sha'
+            }
+          };
+        }
+        return {
+          data: {
+            content: Buffer.from(oldDefaultContent).toString('base64'),
+            sha: 'default-branch-sha'
+          }
+        };
       });
 
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 51,
+            html_url: 'https://github.com/owner/repo1/pull/51'
+          }
+        ]
+      });
 
-      expect(result.success).toBe(true);
-      expect(result.packageJson).toBe('updated');
-      expect(result.prNumber).toBe(43);
-      expect(result.changes).toHaveLength(1);
-      expect(result.changes[0].field).toBe('scripts');
+      await run();
 
-      // Verify the committed content preserves existing fields
-      const call = mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0];
-      const committedContent = JSON.parse(Buffer.from(call.content, 'base64').toString('utf8'));
-      expect(committedContent.name).toBe('target-package');
-      expect(committedContent.version).toBe('1.0.0');
-      expect(committedContent.scripts.test).toBe('jest');
-      expect(committedContent.scripts.lint).toBe('eslint .');
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow).toBeDefined();
+      expect(repoRow[2]).toContain('Would update');
+      expect(repoRow[2]).toContain('copilot-instructions.md');
     });
+  });
 
-    test('should update engines when they differ', async () => {
-      const sourcePackageJson = {
-        name: 'source-package',
-        engines: {
-          node: '>=22.0.0',
-          npm: '>=10.0.0'
-        }
-      };
-      const existingPackageJson = {
-        name: 'target-package',
-        version: '1.0.0',
-        engines: {
-          node: '>=20.0.0'
-        }
-      };
-
-      setMockFileContent(JSON.stringify(sourcePackageJson));
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+  describe('changed/unchanged counts and summary status', () => {
+    test('should output changed and unchanged counts when some repos have changes', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1,owner/repo2',
+          'allow-squash-merge': 'true'
+        };
+        return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
+      // repo1: has a change (squash merge differs)
+      mockOctokit.rest.repos.get.mockResolvedValueOnce({
         data: {
-          sha: 'file-sha-engines',
-          content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: false,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
         }
       });
-
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 44, html_url: 'https://github.com/owner/repo/pull/44' }
+      // repo2: no change (squash merge already true)
+      mockOctokit.rest.repos.get.mockResolvedValueOnce({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
       });
 
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        false, // syncScripts
-        true, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      mockOctokit.rest.repos.update.mockResolvedValue({});
 
-      expect(result.success).toBe(true);
-      expect(result.packageJson).toBe('updated');
-      expect(result.prNumber).toBe(44);
-      expect(result.changes).toHaveLength(1);
-      expect(result.changes[0].field).toBe('engines');
+      await run();
 
-      // Verify the committed content preserves existing fields and has new engines
-      const call = mockOctokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0];
-      const committedContent = JSON.parse(Buffer.from(call.content, 'base64').toString('utf8'));
-      expect(committedContent.name).toBe('target-package');
-      expect(committedContent.version).toBe('1.0.0');
-      expect(committedContent.engines.node).toBe('>=22.0.0');
-      expect(committedContent.engines.npm).toBe('>=10.0.0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
     });
 
-    test('should update both scripts and engines when both are enabled', async () => {
-      const sourcePackageJson = {
-        scripts: { test: 'jest' },
-        engines: { node: '>=22.0.0' }
-      };
-      const existingPackageJson = {
-        scripts: { test: 'mocha' },
-        engines: { node: '>=20.0.0' }
-      };
-
-      setMockFileContent(JSON.stringify(sourcePackageJson));
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+    test('should show Changed status in summary table for repos with changes', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1,owner/repo2',
+          'allow-squash-merge': 'true'
+        };
+        return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
+      // repo1: has a change
+      mockOctokit.rest.repos.get.mockResolvedValueOnce({
         data: {
-          sha: 'file-sha-both',
-          content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: false,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
         }
       });
-
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      mockOctokit.rest.git.getRef
-        .mockRejectedValueOnce({ status: 404 })
-        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
-
-      mockOctokit.rest.git.createRef.mockResolvedValue({});
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
-      mockOctokit.rest.pulls.create.mockResolvedValue({
-        data: { number: 45, html_url: 'https://github.com/owner/repo/pull/45' }
+      // repo2: no change
+      mockOctokit.rest.repos.get.mockResolvedValueOnce({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
       });
 
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        true, // syncScripts
-        true, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      mockOctokit.rest.repos.update.mockResolvedValue({});
 
-      expect(result.success).toBe(true);
-      expect(result.packageJson).toBe('updated');
-      expect(result.changes).toHaveLength(2);
-      expect(result.changes.map(c => c.field)).toContain('scripts');
-      expect(result.changes.map(c => c.field)).toContain('engines');
-    });
+      await run();
 
-    test('should not create PR when content is unchanged', async () => {
-      const packageJson = {
-        name: 'test-package',
-        scripts: { test: 'jest' }
-      };
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repo1Row = tableCall.find(row => row[0] === 'owner/repo1');
+      const repo2Row = tableCall.find(row => row[0] === 'owner/repo2');
 
-      setMockFileContent(JSON.stringify(packageJson));
+      expect(repo1Row[1]).toBe('\u2705 Changed');
+      expect(repo2Row[1]).toBe('\u2796 No changes');
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+    test('should output correct counts in dry-run mode', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1,owner/repo2',
+          'allow-squash-merge': 'true',
+          'dry-run': 'true'
+        };
+        return inputs[name] || '';
       });
 
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
+      // repo1: would change
+      mockOctokit.rest.repos.get.mockResolvedValueOnce({
         data: {
-          sha: 'file-sha-789',
-          content: Buffer.from(JSON.stringify(packageJson)).toString('base64')
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: false,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
+      });
+      // repo2: no change needed
+      mockOctokit.rest.repos.get.mockResolvedValueOnce({
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
         }
       });
 
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      await run();
 
-      expect(result.success).toBe(true);
-      expect(result.packageJson).toBe('unchanged');
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
-    });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '1');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '1');
+
+      // Verify summary table status strings in dry-run
+      expect(mockCore.summary.addTable).toHaveBeenCalled();
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repo1Row = tableCall.find(row => row[0] === 'owner/repo1');
+      const repo2Row = tableCall.find(row => row[0] === 'owner/repo2');
 
-    test('should update existing PR when content differs', async () => {
-      const sourcePackageJson = { scripts: { test: 'jest' } };
-      const existingPackageJson = { scripts: { test: 'mocha' } };
-      const prBranchPackageJson = { scripts: { test: 'old-test' } };
+      expect(repo1Row[1]).toBe('\u2705 Changed');
+      expect(repo2Row[1]).toBe('\u2796 No changes');
+    });
 
-      setMockFileContent(JSON.stringify(sourcePackageJson));
+    test('should show all repos as unchanged when no changes needed', async () => {
+      mockCore.getInput.mockImplementation(name => {
+        const inputs = {
+          'github-token': 'test-token',
+          repositories: 'owner/repo1',
+          'allow-squash-merge': 'true'
+        };
+        return inputs[name] || '';
+      });
 
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+        data: {
+          default_branch: 'main',
+          permissions: { admin: true },
+          allow_squash_merge: true,
+          allow_merge_commit: true,
+          allow_rebase_merge: true,
+          delete_branch_on_merge: false,
+          allow_auto_merge: false,
+          allow_update_branch: false
+        }
       });
 
-      // First call: get existing package.json from default branch
-      // Second call: get package.json from PR branch
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-111',
-            content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'pr-file-sha-111',
-            content: Buffer.from(JSON.stringify(prBranchPackageJson)).toString('base64')
-          }
-        });
-
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50' }]
-      });
+      await run();
 
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({
-        data: { commit: { sha: 'updated-sha' } }
-      });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '1');
 
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
+      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
+      expect(repoRow[1]).toBe('\u2796 No changes');
+      expect(repoRow[2]).toBe('No changes needed');
+    });
+  });
 
-      expect(result.success).toBe(true);
-      expect(result.packageJson).toBe('pr-updated');
-      expect(result.prNumber).toBe(50);
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
-        expect.objectContaining({
-          branch: 'package-json-sync',
-          sha: 'pr-file-sha-111'
-        })
-      );
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+  describe('closeStaleActionPrs', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.update.mockClear();
+      mockOctokit.rest.issues.createComment.mockClear();
+      mockOctokit.rest.git.deleteRef.mockClear();
     });
 
-    test('should report pr-up-to-date when PR exists with same content', async () => {
-      const sourcePackageJson = { scripts: { test: 'jest' } };
-      const existingPackageJson = { scripts: { test: 'mocha' } };
-      // PR branch already has the source scripts
-      const prBranchPackageJson = { scripts: { test: 'jest' } };
+    test('should return null when no stale PRs exist', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      setMockFileContent(JSON.stringify(sourcePackageJson));
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+      expect(result).toBeNull();
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        state: 'open',
+        head: 'owner:dependabot-yml-sync',
+        per_page: 100
       });
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
 
-      // First call: get existing package.json from default branch (different from source)
-      // Second call: get package.json from PR branch (same as source)
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'pr-file-sha',
-            content: Buffer.from(JSON.stringify(prBranchPackageJson)).toString('base64')
+    test('should close stale PR when source matches target', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 42,
+            user: { login: 'bot-user' },
+            html_url: 'https://github.com/owner/repo/pull/42',
+            commits: 1
           }
-        });
+        ]
+      });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({});
+      mockOctokit.rest.pulls.update.mockResolvedValue({});
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
+
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
+
+      expect(result).toEqual({
+        action: 'closed',
+        prNumber: 42,
+        prUrl: 'https://github.com/owner/repo/pull/42',
+        message: 'Closed stale PR #42 (source matches target)'
+      });
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        issue_number: 42,
+        body: 'Closing: the source file has been reverted to match the current target. This PR is no longer needed.'
+      });
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        pull_number: 42,
+        state: 'closed'
+      });
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/dependabot-yml-sync'
+      });
+    });
 
+    test('should warn instead of closing when PR author does not match', async () => {
       mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50' }]
+        data: [
+          {
+            number: 42,
+            user: { login: 'other-user' },
+            html_url: 'https://github.com/owner/repo/pull/42',
+            commits: 1
+          }
+        ]
       });
 
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
 
-      expect(result.success).toBe(true);
-      expect(result.packageJson).toBe('pr-up-to-date');
-      expect(result.prNumber).toBe(50);
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.action).toBe('warned');
+      expect(result.prNumber).toBe(42);
+      expect(result.message).toContain('other-user');
+      expect(result.message).toContain('bot-user');
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
     });
 
-    test('should handle dry-run mode', async () => {
-      const sourcePackageJson = { scripts: { test: 'jest' } };
-      const existingPackageJson = { scripts: { test: 'mocha' } };
+    test('should report would-close in dry-run mode', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 42,
+            user: { login: 'bot-user' },
+            html_url: 'https://github.com/owner/repo/pull/42',
+            commits: 1
+          }
+        ]
+      });
 
-      setMockFileContent(JSON.stringify(sourcePackageJson));
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', true, 'bot-user');
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+      expect(result).toEqual({
+        action: 'would-close',
+        prNumber: 42,
+        prUrl: 'https://github.com/owner/repo/pull/42',
+        message: 'Would close stale PR #42 (source matches target)'
       });
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
 
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-222',
-          content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
-        }
+    test('should handle branch deletion failure gracefully', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 42,
+            user: { login: 'bot-user' },
+            html_url: 'https://github.com/owner/repo/pull/42',
+            commits: 1
+          }
+        ]
       });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({});
+      mockOctokit.rest.pulls.update.mockResolvedValue({});
+      mockOctokit.rest.git.deleteRef.mockRejectedValue(new Error('Branch not found'));
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        true // dry-run
-      );
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
 
-      expect(result.success).toBe(true);
-      expect(result.packageJson).toBe('would-update');
-      expect(result.dryRun).toBe(true);
-      expect(result.changes).toHaveLength(1);
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.action).toBe('closed');
+      expect(result.prNumber).toBe(42);
+      // Should still succeed even if branch deletion fails
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalled();
     });
 
-    test('should return would-update-pr in dry-run mode when PR exists and needs update', async () => {
-      const sourcePackageJson = { scripts: { test: 'jest' } };
-      const existingPackageJson = { scripts: { test: 'mocha' } };
-      const prBranchPackageJson = { scripts: { test: 'old-test' } };
+    test('should return null when API call fails', async () => {
+      mockOctokit.rest.pulls.list.mockRejectedValue(new Error('API error'));
 
-      setMockFileContent(JSON.stringify(sourcePackageJson));
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+      expect(result).toBeNull();
+      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Could not check for stale PRs'));
+    });
 
-      // First call: get existing package.json from default branch
-      // Second call: get package.json from PR branch (different from source, needs update)
-      mockOctokit.rest.repos.getContent
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'file-sha-default',
-            content: Buffer.from(JSON.stringify(existingPackageJson)).toString('base64')
-          }
-        })
-        .mockResolvedValueOnce({
-          data: {
-            sha: 'pr-file-sha',
-            content: Buffer.from(JSON.stringify(prBranchPackageJson)).toString('base64')
+    test('should skip stale PR check when authenticatedLogin is empty', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 10,
+            user: { login: 'any-user' },
+            html_url: 'https://github.com/owner/repo/pull/10',
+            commits: 1
           }
-        });
+        ]
+      });
+
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, '');
+
+      expect(result).toBeNull();
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+    });
 
+    test('should close PR when authenticatedLogin is a GitHub App bot login', async () => {
       mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [{ number: 50, html_url: 'https://github.com/owner/repo/pull/50' }]
+        data: [
+          {
+            number: 10,
+            user: { login: 'my-app[bot]' },
+            html_url: 'https://github.com/owner/repo/pull/10',
+            commits: 1
+          }
+        ]
       });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({});
+      mockOctokit.rest.pulls.update.mockResolvedValue({});
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
 
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        true // dry-run
-      );
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'my-app[bot]');
 
-      expect(result.success).toBe(true);
-      expect(result.packageJson).toBe('would-update-pr');
-      expect(result.prNumber).toBe(50);
-      expect(result.dryRun).toBe(true);
-      expect(mockOctokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result.action).toBe('closed');
+      expect(result.prNumber).toBe(10);
     });
 
-    test('should fail when package.json does not exist in target repo', async () => {
-      setMockFileContent(JSON.stringify({ scripts: {} }));
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+    test('should close all matching PRs from same author and delete branch', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          { number: 10, user: { login: 'bot-user' }, html_url: 'https://github.com/owner/repo/pull/10', commits: 1 },
+          { number: 11, user: { login: 'bot-user' }, html_url: 'https://github.com/owner/repo/pull/11', commits: 1 }
+        ]
       });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({});
+      mockOctokit.rest.pulls.update.mockResolvedValue({});
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
 
-      const error = new Error('Not Found');
-      error.status = 404;
-      mockOctokit.rest.repos.getContent.mockRejectedValue(error);
-
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('does not exist');
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalled();
+      expect(result.action).toBe('closed');
+      expect(result.prNumber).toBe(11);
     });
 
-    test('should fail when neither syncScripts nor syncEngines is enabled', async () => {
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './package.json',
-        false, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
-      );
+    test('should not delete branch when some PRs are from different authors', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          { number: 10, user: { login: 'bot-user' }, html_url: 'https://github.com/owner/repo/pull/10', commits: 1 },
+          { number: 11, user: { login: 'human-user' }, html_url: 'https://github.com/owner/repo/pull/11', commits: 1 }
+        ]
+      });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({});
+      mockOctokit.rest.pulls.update.mockResolvedValue({});
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('At least one of syncScripts or syncEngines must be enabled');
-    });
+      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
 
-    test('should handle invalid repository format', async () => {
-      const result = await syncPackageJson(
-        mockOctokit,
-        'invalid-repo-format',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      // Should close PR #10 (bot-user) but warn on #11 (human-user)
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled();
+      // Prefer closed result over warned
+      expect(result.action).toBe('closed');
+      expect(result.prNumber).toBe(10);
+    });
+  });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Invalid repository format');
+  describe('syncDependabotYml - stale PR closing', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockClear();
+      mockOctokit.rest.repos.getContent.mockClear();
+      mockOctokit.rest.git.createTree.mockClear();
+      mockOctokit.rest.git.getRef.mockClear();
+      mockOctokit.rest.git.createRef.mockClear();
+      mockOctokit.rest.git.updateRef.mockClear();
+      mockOctokit.rest.git.deleteRef.mockClear();
+      mockOctokit.rest.pulls.list.mockClear();
+      mockOctokit.rest.pulls.create.mockClear();
+      mockOctokit.rest.pulls.update.mockClear();
+      mockOctokit.rest.issues.createComment.mockClear();
     });
 
-    test('should handle missing source package.json file', async () => {
-      mockFs.readFileSync.mockImplementation(() => {
-        throw new Error('ENOENT: no such file or directory');
-      });
+    test('should close stale PR when content is unchanged and stale PR exists', async () => {
+      const content =
+        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
 
-      const result = await syncPackageJson(
-        mockOctokit,
-        'owner/repo',
-        './nonexistent.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
-      );
+      setMockFileContent(content);
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to read or parse package.json');
-    });
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-    test('should handle API errors', async () => {
-      setMockFileContent(JSON.stringify({ scripts: {} }));
+      // File exists with same content (unchanged)
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha-789',
+          content: Buffer.from(content).toString('base64')
+        }
+      });
 
-      mockOctokit.rest.repos.get.mockRejectedValue(new Error('API rate limit exceeded'));
+      // Stale PR exists on the sync branch
+      mockOctokit.rest.pulls.list.mockResolvedValue({
+        data: [
+          {
+            number: 5,
+            user: { login: 'bot-user' },
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/5',
+            commits: 1
+          }
+        ]
+      });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({});
+      mockOctokit.rest.pulls.update.mockResolvedValue({});
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
 
-      const result = await syncPackageJson(
+      const result = await syncDependabotYml(
         mockOctokit,
         'owner/repo',
-        './package.json',
-        true, // syncScripts
-        false, // syncEngines
-        'chore: update package.json',
-        false
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false,
+        'bot-user'
       );
 
-      expect(result.success).toBe(false);
-      expect(result.error).toContain('Failed to sync package.json');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('stale-pr-closed');
+      expect(result.prNumber).toBe(5);
+      expect(result.message).toContain('Closed stale PR #5');
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith(
+        expect.objectContaining({ pull_number: 5, state: 'closed' })
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 5 }));
     });
-  });
 
-  describe('pr-up-to-date status handling in summary', () => {
-    test('should show pending merge message for dependabot when PR is up-to-date', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'dependabot-yml': './dependabot.yml'
-        };
-        return inputs[name] || '';
-      });
+    test('should report would-close in dry-run when content is unchanged and stale PR exists', async () => {
+      const content = 'version: 2\nupdates: []';
 
-      // Mock repo settings
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
+      setMockFileContent(content);
 
-      // Mock dependabot.yml source content
-      const sourceContent = 'version: 2\nupdates: []';
-      setMockFileContent(sourceContent);
+      mockOctokit.rest.repos.get.mockResolvedValue({
+        data: { default_branch: 'main' }
+      });
 
-      // For pr-up-to-date: default branch has DIFFERENT content, PR branch has SAME content
-      const oldDefaultBranchContent = 'version: 2\nupdates: [old]';
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
-        if (ref === 'dependabot-yml-sync') {
-          // PR branch has the latest content (matches source)
-          return {
-            data: {
-              content: Buffer.from(sourceContent).toString('base64'),
-              sha: 'pr-branch-sha'
-            }
-          };
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha',
+          content: Buffer.from(content).toString('base64')
         }
-        // Default branch (main) has old/different content
-        return {
-          data: {
-            content: Buffer.from(oldDefaultBranchContent).toString('base64'),
-            sha: 'default-branch-sha'
-          }
-        };
       });
 
-      // Mock existing open PR for this branch
       mockOctokit.rest.pulls.list.mockResolvedValue({
         data: [
           {
-            number: 42,
+            number: 7,
             user: { login: 'bot-user' },
-            html_url: 'https://github.com/owner/repo1/pull/42'
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/7',
+            commits: 1
           }
         ]
       });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        true,
+        'bot-user'
+      );
 
-      // Verify the summary table shows the pending merge message
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('up-to-date (pending merge)');
-      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/42">PR #42</a>');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('would-close-stale-pr');
+      expect(result.prNumber).toBe(7);
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
     });
 
-    test('should show pending merge message for workflow files when PR is up-to-date', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'workflow-files': './workflow.yml'
-        };
-        return inputs[name] || '';
-      });
+    test('should warn about stale PR from different author and return unchanged', async () => {
+      const content = 'version: 2\nupdates: []';
+
+      setMockFileContent(content);
 
-      // Mock repo settings
       mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
+        data: { default_branch: 'main' }
       });
 
-      // Mock workflow file source content
-      const sourceContent = 'name: test\non: push';
-      setMockFileContent(sourceContent);
-
-      // For pr-up-to-date: default branch has DIFFERENT content, PR branch has SAME content
-      const oldDefaultBranchContent = 'name: old\non: push';
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
-        if (ref === 'workflow-files-sync') {
-          // PR branch has the latest content (matches source)
-          return {
-            data: {
-              content: Buffer.from(sourceContent).toString('base64'),
-              sha: 'pr-branch-sha'
-            }
-          };
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          sha: 'file-sha',
+          content: Buffer.from(content).toString('base64')
         }
-        // Default branch (main) has old/different content
-        return {
-          data: {
-            content: Buffer.from(oldDefaultBranchContent).toString('base64'),
-            sha: 'default-branch-sha'
-          }
-        };
       });
 
-      // Mock existing open PR for this branch
+      // Stale PR from a different user
       mockOctokit.rest.pulls.list.mockResolvedValue({
         data: [
           {
-            number: 99,
-            html_url: 'https://github.com/owner/repo1/pull/99'
+            number: 8,
+            user: { login: 'other-user' },
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/8',
+            commits: 1
           }
         ]
       });
 
-      await run();
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false,
+        'bot-user'
+      );
 
-      // Verify the summary table shows the pending merge message
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('up-to-date (pending merge)');
-      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/99">PR #99</a>');
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('unchanged');
+      expect(result.stalePrWarning).toBeDefined();
+      expect(result.stalePrWarning.action).toBe('warned');
+      expect(result.stalePrWarning.prNumber).toBe(8);
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
     });
+  });
 
-    test('should identify pr-up-to-date as reportable change (not no-changes-needed)', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'dependabot-yml': './dependabot.yml'
-        };
-        return inputs[name] || '';
-      });
+  describe('parseFileSyncEntries', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
 
-      // Mock repo settings - all match so no settings changes
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
+    test('should normalize entries from a list or a YAML string', () => {
+      const yamlList = `- source: ./config/SECURITY.md\n  target: ./SECURITY.md\n  pr-title: 'docs: add security policy'\n`;
+      setMockYamlContent(
+        [{ source: './config/SECURITY.md', target: './SECURITY.md', 'pr-title': 'docs: add security policy' }],
+        yamlList
+      );
+      expect(parseFileSyncEntries(yamlList, 'test')).toEqual([
+        { source: './config/SECURITY.md', target: 'SECURITY.md', prTitle: 'docs: add security policy' }
+      ]);
+      expect(
+        parseFileSyncEntries(
+          [{ source: './config/bug.yml', target: '.github/ISSUE_TEMPLATE/bug.yml', branch: 'tpl' }],
+          'test'
+        )
+      ).toEqual([{ source: './config/bug.yml', target: '.github/ISSUE_TEMPLATE/bug.yml', branch: 'tpl' }]);
+      expect(parseFileSyncEntries(undefined, 'test')).toEqual([]);
+    });
+
+    test('should keep the template flag and skip entries with a non-boolean one', () => {
+      expect(
+        parseFileSyncEntries(
+          [
+            { source: './config/SECURITY.md', target: 'SECURITY.md', template: true },
+            { source: './config/.nvmrc', target: '.nvmrc', template: false },
+            { source: './config/LICENSE', target: 'LICENSE', template: 'yes' }
+          ],
+          'test'
+        )
+      ).toEqual([
+        { source: './config/SECURITY.md', target: 'SECURITY.md', template: true },
+        { source: './config/.nvmrc', target: '.nvmrc' }
+      ]);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Skipping 'files' entry 3 for test: template must be true or false`
+      );
+    });
 
-      // Mock dependabot.yml source content
-      const sourceContent = 'version: 2\nupdates: []';
-      setMockFileContent(sourceContent);
+    test('should skip invalid and duplicate entries with a warning', () => {
+      const entries = parseFileSyncEntries(
+        [
+          { source: './config/.nvmrc', target: '.nvmrc' },
+          { source: './config/other', target: './.nvmrc' },
+          { source: './config/LICENSE', target: '../LICENSE' },
+          { target: 'README.md' },
+          'SECURITY.md'
+        ],
+        `repo 'owner/repo'`
+      );
 
-      // For pr-up-to-date: default branch has DIFFERENT content, PR branch has SAME content
-      const oldDefaultBranchContent = 'version: 2\nupdates: [old]';
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
-        if (ref === 'dependabot-yml-sync') {
-          // PR branch has the latest content (matches source)
-          return {
-            data: {
-              content: Buffer.from(sourceContent).toString('base64'),
-              sha: 'pr-branch-sha'
-            }
-          };
-        }
-        // Default branch (main) has old/different content
-        return {
-          data: {
-            content: Buffer.from(oldDefaultBranchContent).toString('base64'),
-            sha: 'default-branch-sha'
-          }
-        };
-      });
+      expect(entries).toEqual([{ source: './config/.nvmrc', target: '.nvmrc' }]);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Skipping 'files' entry 2 for repo 'owner/repo': target '.nvmrc' is already synced by an earlier entry`
+      );
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Skipping 'files' entry 3 for repo 'owner/repo': target '../LICENSE' must be a relative path inside the repository`
+      );
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Skipping 'files' entry 4 for repo 'owner/repo': source and target must be non-empty strings`
+      );
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Skipping 'files' entry 5 for repo 'owner/repo': expected an object with source and target`
+      );
+    });
 
-      // Mock existing open PR with same content (pr-up-to-date scenario)
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
+    test('should normalize fragment settings and skip invalid ones', () => {
+      const entries = parseFileSyncEntries(
+        [
+          { source: './config/tsconfig.json', target: 'tsconfig.json', fragment: true },
           {
-            number: 42,
-            user: { login: 'bot-user' },
-            html_url: 'https://github.com/owner/repo1/pull/42'
-          }
-        ]
-      });
+            source: './config/release.yml',
+            target: '.github/release.yml',
+            fragment: { strategy: 'merge-keys', paths: ['changelog.categories'] }
+          },
+          {
+            source: './config/renovate.json',
+            target: 'renovate.json',
+            fragment: { paths: { extends: 'replace', packageRules: 'override' } }
+          },
+          { source: './config/.nvmrc', target: '.nvmrc', fragment: true },
+          { source: './config/eslintrc.json', target: '.eslintrc.json', fragment: { strategy: 'listed-keys' } }
+        ],
+        `repo 'owner/repo'`
+      );
 
-      await run();
+      expect(entries).toEqual([
+        {
+          source: './config/tsconfig.json',
+          target: 'tsconfig.json',
+          fragment: { strategy: 'replace', paths: null }
+        },
+        {
+          source: './config/release.yml',
+          target: '.github/release.yml',
+          fragment: { strategy: 'merge-keys', paths: [{ field: 'changelog.categories', strategy: 'merge-keys' }] }
+        },
+        {
+          source: './config/renovate.json',
+          target: 'renovate.json',
+          fragment: { strategy: 'replace', paths: [{ field: 'extends', strategy: 'replace' }] }
+        }
+      ]);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Invalid strategy 'override' for path 'packageRules' in 'files' entry 3 for repo 'owner/repo'; expected one of replace, merge-keys, listed-keys. This field will be ignored.`
+      );
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Skipping 'files' entry 4 for repo 'owner/repo': fragment sync only supports .json, .yml and .yaml targets, not '.nvmrc'`
+      );
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Skipping 'files' entry 5 for repo 'owner/repo': fragment must be true or a mapping with a 'replace' or 'merge-keys' strategy and optional paths`
+      );
+    });
 
-      // The summary should NOT show "No changes needed" - it should show the pending PR
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      // Should show the pending merge message, NOT "No changes needed"
-      expect(repoRow[2]).not.toBe('No changes needed');
-      expect(repoRow[2]).toContain('up-to-date (pending merge)');
-      expect(repoRow[2]).toContain('<a href="https://github.com/owner/repo1/pull/42">PR #42</a>');
+    test('should ignore a value that is not a list', () => {
+      expect(parseFileSyncEntries({ source: 'a', target: 'b' }, 'test')).toEqual([]);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `Invalid 'files' configuration for test; expected a list. This configuration will be ignored.`
+      );
     });
+  });
 
-    test('should classify pure pr-up-to-date repos as pending (not changed)', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'dependabot-yml': './dependabot.yml'
-        };
-        return inputs[name] || '';
+  describe('applyStructuredFragment', () => {
+    const existing = {
+      extends: './tsconfig.base.json',
+      compilerOptions: { strict: false, target: 'ES2020', paths: { '@app/*': ['src/*'] } },
+      include: ['src']
+    };
+
+    test('should enforce every leaf of the fragment when no paths are listed', () => {
+      const { document, changes } = applyStructuredFragment(
+        { compilerOptions: { strict: true, noEmit: true } },
+        existing,
+        { strategy: 'replace', paths: null }
+      );
+
+      expect(document).toEqual({
+        extends: './tsconfig.base.json',
+        compilerOptions: { strict: true, target: 'ES2020', paths: { '@app/*': ['src/*'] }, noEmit: true },
+        include: ['src']
       });
+      expect(changes).toEqual([
+        { field: 'compilerOptions.strict', strategy: 'replace', from: false, to: true },
+        { field: 'compilerOptions.noEmit', strategy: 'replace', from: undefined, to: true }
+      ]);
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
+    test('should only assert listed paths and apply their strategies', () => {
+      const fragment = {
+        extends: '@tsconfig/node22',
+        compilerOptions: { target: 'ES2023', paths: { '@lib/*': ['lib/*'] } },
+        include: ['src', 'test']
+      };
+
+      const { document } = applyStructuredFragment(fragment, existing, {
+        strategy: 'replace',
+        paths: [
+          { field: 'compilerOptions.paths', strategy: 'merge-keys' },
+          { field: 'compilerOptions.module', strategy: 'replace' }
+        ]
       });
 
-      const sourceContent = 'version: 2\nupdates: []';
-      setMockFileContent(sourceContent);
+      expect(document.compilerOptions).toEqual({
+        strict: false,
+        target: 'ES2020',
+        paths: { '@app/*': ['src/*'], '@lib/*': ['lib/*'] }
+      });
+      expect(document.extends).toBe('./tsconfig.base.json');
+      expect(document.include).toEqual(['src']);
+    });
 
-      const oldDefaultBranchContent = 'version: 2\nupdates: [old]';
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
-        if (ref === 'dependabot-yml-sync') {
-          return {
-            data: {
-              content: Buffer.from(sourceContent).toString('base64'),
-              sha: 'pr-branch-sha'
-            }
-          };
-        }
-        return {
-          data: {
-            content: Buffer.from(oldDefaultBranchContent).toString('base64'),
-            sha: 'default-branch-sha'
-          }
-        };
+    test('should report no changes when the listed paths already match', () => {
+      const { document, changes } = applyStructuredFragment({ compilerOptions: { target: 'ES2020' } }, existing, {
+        strategy: 'replace',
+        paths: null
       });
 
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 77,
-            user: { login: 'bot-user' },
-            html_url: 'https://github.com/owner/repo1/pull/77'
-          }
-        ]
+      expect(changes).toEqual([]);
+      expect(document).toBe(existing);
+    });
+  });
+
+  describe('syncFiles', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef.mockImplementation(({ ref }) =>
+        ref === 'heads/main'
+          ? Promise.resolve({ data: { object: { sha: 'abc123' } } })
+          : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      );
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      let prNumber = 80;
+      mockOctokit.rest.pulls.create.mockImplementation(() => {
+        prNumber++;
+        return Promise.resolve({
+          data: { number: prNumber, html_url: `https://github.com/owner/repo/pull/${prNumber}` }
+        });
       });
+    });
 
-      await run();
+    afterEach(() => {
+      mockOctokit.rest.repos.getContent.mockReset();
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.pulls.create.mockReset();
+    });
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('pending-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '1');
+    test('should open one PR per file on a branch derived from the target', async () => {
+      setMockFileContent('Report issues privately\n', './config/SECURITY.md');
+      setMockFileContent('22\n', './config/.nvmrc');
 
-      // Summary table shows 🔄 Pending status
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow[1]).toBe('🔄 Pending');
+      const results = await syncFiles(
+        mockOctokit,
+        'owner/repo',
+        [
+          { source: './config/SECURITY.md', target: 'SECURITY.md' },
+          { source: './config/.nvmrc', target: '.nvmrc', prTitle: 'chore: pin node version' }
+        ],
+        false
+      );
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toEqual(
+        expect.objectContaining({ success: true, files: 'created', branchName: 'security-md-sync', prNumber: 81 })
+      );
+      expect(results[1]).toEqual(
+        expect.objectContaining({ success: true, files: 'created', branchName: 'nvmrc-sync', prNumber: 82 })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          head: 'security-md-sync',
+          title: 'chore: sync SECURITY.md',
+          body: 'This PR adds `SECURITY.md`.'
+        })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(
+        expect.objectContaining({ head: 'nvmrc-sync', title: 'chore: pin node version' })
+      );
     });
 
-    test('should classify mixed repo (real change + pr-up-to-date) as changed, not pending', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'dependabot-yml': './dependabot.yml',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
+    test('should keep the mode of existing files such as executable scripts', async () => {
+      setMockFileContent('#!/bin/sh\nnpm ci\n', './config/setup.sh');
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { content: Buffer.from('#!/bin/sh\nnpm install\n').toString('base64') }
       });
-
-      // Settings differ → real CHANGED sub-result
-      mockOctokit.rest.repos.get.mockResolvedValue({
+      mockOctokit.rest.git.getTree.mockImplementation(async ({ tree_sha: treeSha }) => ({
         data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: false,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+          truncated: false,
+          tree:
+            treeSha === 'base-tree-sha'
+              ? [
+                  { path: 'README.md', mode: '100644', type: 'blob', sha: 'readme-sha' },
+                  { path: 'scripts', mode: '040000', type: 'tree', sha: 'scripts-tree-sha' }
+                ]
+              : [{ path: 'setup.sh', mode: '100755', type: 'blob', sha: 'setup-sha' }]
         }
-      });
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      }));
 
-      const sourceContent = 'version: 2\nupdates: []';
-      setMockFileContent(sourceContent);
-      const oldDefaultBranchContent = 'version: 2\nupdates: [old]';
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
-        if (ref === 'dependabot-yml-sync') {
-          return {
-            data: { content: Buffer.from(sourceContent).toString('base64'), sha: 'pr-branch-sha' }
-          };
-        }
-        return {
-          data: { content: Buffer.from(oldDefaultBranchContent).toString('base64'), sha: 'default-branch-sha' }
-        };
-      });
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [{ number: 88, user: { login: 'bot-user' }, html_url: 'https://github.com/owner/repo1/pull/88' }]
-      });
+      const [result] = await syncFiles(
+        mockOctokit,
+        'owner/repo',
+        [{ source: './config/setup.sh', target: 'scripts/setup.sh' }],
+        false
+      );
 
-      await run();
+      expect(result).toEqual(expect.objectContaining({ success: true, files: 'updated' }));
+      expect(mockOctokit.rest.git.getTree.mock.calls.map(([params]) => params)).toEqual([
+        { owner: 'owner', repo: 'repo', tree_sha: 'base-tree-sha' },
+        { owner: 'owner', repo: 'repo', tree_sha: 'scripts-tree-sha' }
+      ]);
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tree: [expect.objectContaining({ path: 'scripts/setup.sh', mode: '100755', type: 'blob' })]
+        })
+      );
+    });
 
-      // Mixed → counted as changed, not pending
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('pending-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '0');
+    test('should sync Go template syntax byte-for-byte when the entry does not opt into templates', async () => {
+      const content = `docker inspect --format '{{.State.Status}}'\n{{ range .Items }}- {{ .Name }}\n{{ end }}\n`;
+      setMockFileContent(content, './config/status.tmpl');
 
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow[1]).toBe('✅ Changed');
+      const [result] = await syncFiles(
+        mockOctokit,
+        'owner/repo',
+        [{ source: './config/status.tmpl', target: 'scripts/status.tmpl' }],
+        false,
+        undefined,
+        { renderTemplates: ['dependabot-yml', 'workflow-files'], templateVars: { team: 'platform' } }
+      );
+
+      expect(result).toEqual(expect.objectContaining({ success: true, files: 'created' }));
+      expect(getCommittedFiles()['scripts/status.tmpl']).toBe(content);
     });
 
-    test('should set pending-repositories output to 0 when no pending repos', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
+    test('should fail on undefined variables only in entries that opt into templates', async () => {
+      setMockFileContent(`docker inspect --format '{{.State.Status}}'\n`, './config/status.tmpl');
+
+      const [result] = await syncFiles(
+        mockOctokit,
+        'owner/repo',
+        [{ source: './config/status.tmpl', target: 'scripts/status.tmpl', template: true }],
+        false
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(
+        `Failed to render template ./config/status.tmpl for scripts/status.tmpl: Undefined template variable '.State.Status' on line 1`
+      );
+    });
+
+    test('should sync entries sharing a branch through one PR', async () => {
+      setMockFileContent('name: Bug\n', './config/bug.yml');
+      setMockFileContent('name: Feature\n', './config/feature.yml');
+
+      const results = await syncFiles(
+        mockOctokit,
+        'owner/repo',
+        [
+          { source: './config/bug.yml', target: '.github/ISSUE_TEMPLATE/bug.yml', branch: 'issue-templates-sync' },
+          {
+            source: './config/feature.yml',
+            target: '.github/ISSUE_TEMPLATE/feature.yml',
+            branch: 'issue-templates-sync',
+            prTitle: 'chore: sync issue templates'
+          }
+        ],
+        false
+      );
+
+      expect(results).toHaveLength(1);
+      expect(results[0].files).toBe('created');
+      expect(results[0].filesCreated).toEqual(['.github/ISSUE_TEMPLATE/bug.yml', '.github/ISSUE_TEMPLATE/feature.yml']);
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(
+        expect.objectContaining({ head: 'issue-templates-sync', title: 'chore: sync issue templates' })
+      );
+      expect(getCommittedFiles()).toEqual({
+        '.github/ISSUE_TEMPLATE/bug.yml': 'name: Bug\n',
+        '.github/ISSUE_TEMPLATE/feature.yml': 'name: Feature\n'
+      });
+    });
+
+    test('should enforce a JSON fragment on an existing file and list changed paths in the PR body', async () => {
+      setMockFileContent('{ "compilerOptions": { "strict": true } }', './config/tsconfig.strict.json');
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path: filePath }) =>
+        filePath === 'tsconfig.json'
+          ? Promise.resolve({
+              data: {
+                sha: 'tsconfig-sha',
+                content: Buffer.from(
+                  '{\n\t"compilerOptions": {\n\t\t"strict": false,\n\t\t"target": "ES2022"\n\t}\n}\n'
+                ).toString('base64')
+              }
+            })
+          : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      );
+
+      const results = await syncFiles(
+        mockOctokit,
+        'owner/repo',
+        [
+          {
+            source: './config/tsconfig.strict.json',
+            target: 'tsconfig.json',
+            fragment: { strategy: 'replace', paths: null }
+          },
+          {
+            source: './config/tsconfig.strict.json',
+            target: 'packages/app/tsconfig.json',
+            fragment: { strategy: 'replace', paths: null }
+          }
+        ],
+        false
+      );
+
+      expect(results[0]).toEqual(expect.objectContaining({ success: true, files: 'updated' }));
+      expect(results[0].mergeReports).toEqual({
+        'tsconfig.json': { added: [], changed: ['compilerOptions.strict'], preserved: [] }
       });
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
+      expect(getCommittedFiles()).toEqual({
+        'tsconfig.json': '{\n\t"compilerOptions": {\n\t\t"strict": true,\n\t\t"target": "ES2022"\n\t}\n}\n'
       });
+      expect(mockOctokit.rest.pulls.create.mock.calls[0][0].body).toContain(
+        '**Merged `tsconfig.json`:**\n- Changed: compilerOptions.strict'
+      );
+      // Fragments are only enforced on files that already exist
+      expect(results[1]).toEqual(expect.objectContaining({ success: true, files: 'unchanged' }));
+      expect(results[1].filesSkipped).toEqual([
+        { targetPath: 'packages/app/tsconfig.json', reason: 'does not exist in the repository' }
+      ]);
+    });
 
-      await run();
+    test('should report a failure for a missing source file', async () => {
+      mockFs.readFileSync.mockImplementationOnce(() => {
+        throw new Error('ENOENT: no such file or directory');
+      });
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('pending-repositories', '0');
+      const results = await syncFiles(
+        mockOctokit,
+        'owner/repo',
+        [{ source: './config/missing.md', target: 'MISSING.md' }],
+        false
+      );
+
+      expect(results[0].success).toBe(false);
+      expect(results[0].error).toContain('Failed to read file at ./config/missing.md for MISSING.md');
     });
   });
 
-  describe('would-update-pr status handling in summary', () => {
-    test('should show existing PR link for copilot-instructions in dry-run when PR exists and needs update', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'copilot-instructions-md': './copilot-instructions.md',
-          'dry-run': 'true'
-        };
-        return inputs[name] || '';
-      });
+  describe('syncRemovedFiles', () => {
+    // Serve existing repository files by path; anything else is a 404
+    const mockExistingPaths = paths => {
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path: filePath }) =>
+        paths.includes(filePath)
+          ? Promise.resolve({ data: { type: 'file', sha: `${filePath}-sha`, content: '' } })
+          : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      );
+    };
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 90, html_url: 'https://github.com/owner/repo/pull/90' }
       });
+    });
+
+    afterEach(() => {
+      mockOctokit.rest.repos.getContent.mockReset();
+    });
+
+    test('should delete only the paths that exist in one PR', async () => {
+      mockExistingPaths(['.github/workflows/old-ci.yml', 'CODEOWNERS']);
+
+      const result = await syncRemovedFiles(
+        mockOctokit,
+        'owner/repo',
+        ['.github/workflows/old-ci.yml', './CODEOWNERS', 'docs/gone.md'],
+        'chore: remove retired files',
+        false
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.removedFiles).toBe('removed');
+      expect(result.message).toBe('Removed 2 file(s) via PR #90');
+      expect(result.filesDeleted).toEqual(['.github/workflows/old-ci.yml', 'CODEOWNERS']);
+      expect(mockOctokit.rest.git.createTree.mock.calls[0][0].tree).toEqual([
+        { path: '.github/workflows/old-ci.yml', mode: '100644', type: 'blob', sha: null },
+        { path: 'CODEOWNERS', mode: '100644', type: 'blob', sha: null }
+      ]);
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/remove-files-sync' })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          title: 'chore: remove retired files',
+          body: 'This PR removes retired files.\n\n**Changes:**\n\n**Deleted:**\n- `.github/workflows/old-ci.yml` (retired file)\n- `CODEOWNERS` (retired file)\n'
+        })
+      );
+    });
 
-      const sourceContent = '# Copilot Instructions\n\nUpdated content.';
-      setMockFileContent(sourceContent);
+    test('should report would-remove in dry-run mode', async () => {
+      mockExistingPaths(['CODEOWNERS']);
 
-      const oldDefaultContent = '# Copilot Instructions\n\nOld content.';
-      const oldPrBranchContent = '# Copilot Instructions\n\nStale PR content.';
-      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => {
-        if (ref === 'copilot-instructions-md-sync') {
-          return {
-            data: {
-              content: Buffer.from(oldPrBranchContent).toString('base64'),
-              sha: 'pr-branch-sha'
-            }
-          };
-        }
-        return {
-          data: {
-            content: Buffer.from(oldDefaultContent).toString('base64'),
-            sha: 'default-branch-sha'
-          }
-        };
-      });
+      const result = await syncRemovedFiles(mockOctokit, 'owner/repo', ['CODEOWNERS'], 'chore: remove', true);
+
+      expect(result.removedFiles).toBe('would-remove');
+      expect(result.message).toBe('Would remove 1 file(s) via PR');
+      expect(result.filesWouldDelete).toEqual(['CODEOWNERS']);
+      expect(mockOctokit.rest.git.createCommit).not.toHaveBeenCalled();
+    });
+
+    test('should skip directories with a warning', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path: filePath }) =>
+        filePath === 'docs'
+          ? Promise.resolve({ data: [{ type: 'file', path: 'docs/guide.md', sha: 'guide-sha' }] })
+          : Promise.resolve({ data: { type: 'file', sha: `${filePath}-sha`, content: '' } })
+      );
 
+      const result = await syncRemovedFiles(mockOctokit, 'owner/repo', ['docs', 'CODEOWNERS'], 'chore: remove', true);
+
+      expect(result.removedFiles).toBe('would-remove');
+      expect(result.filesWouldDelete).toEqual(['CODEOWNERS']);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        '  ⚠️  docs is not a file in main, skipping removal (remove-files only deletes files)'
+      );
+    });
+
+    test('should be unchanged and close a stale removal PR when no paths exist', async () => {
+      mockExistingPaths([]);
       mockOctokit.rest.pulls.list.mockResolvedValue({
         data: [
           {
-            number: 51,
-            html_url: 'https://github.com/owner/repo1/pull/51'
+            number: 88,
+            user: { login: 'bot-user' },
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/88',
+            commits: 1
           }
         ]
       });
+      mockOctokit.rest.pulls.update.mockResolvedValue({});
+      mockOctokit.rest.issues.createComment.mockResolvedValue({});
+      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
 
-      await run();
+      const result = await syncRemovedFiles(
+        mockOctokit,
+        'owner/repo',
+        ['CODEOWNERS'],
+        'chore: remove',
+        false,
+        'bot-user'
+      );
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow).toBeDefined();
-      expect(repoRow[2]).toContain('Would update');
-      expect(repoRow[2]).toContain('copilot-instructions.md');
+      expect(result.removedFiles).toBe('stale-pr-closed');
+      expect(result.prNumber).toBe(88);
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith(
+        expect.objectContaining({ pull_number: 88, state: 'closed' })
+      );
+    });
+
+    test('should reject paths outside the repository', async () => {
+      const result = await syncRemovedFiles(mockOctokit, 'owner/repo', ['../secrets', '/etc/passwd'], 'chore', false);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No files specified for removal');
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        `  ⚠️  Ignoring remove-files path '../secrets': must be a relative path inside the repository`
+      );
     });
   });
 
-  describe('changed/unchanged counts and summary status', () => {
-    test('should output changed and unchanged counts when some repos have changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1,owner/repo2',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
-      });
+  describe('syncCombinedFiles', () => {
+    const gitignoreMarker = '# Repository-specific entries (preserved during sync)';
 
-      // repo1: has a change (squash merge differs)
-      mockOctokit.rest.repos.get.mockResolvedValueOnce({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: false,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
-      // repo2: no change (squash merge already true)
-      mockOctokit.rest.repos.get.mockResolvedValueOnce({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
+    // Serve existing repository files by path; anything else is a 404
+    const mockExistingFiles = files => {
+      mockOctokit.rest.repos.getContent.mockImplementation(({ path: filePath }) => {
+        if (files[filePath] === undefined) {
+          return Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }));
         }
+        return Promise.resolve({
+          data: { sha: `${filePath}-sha`, content: Buffer.from(files[filePath]).toString('base64') }
+        });
       });
+    };
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
-
-      await run();
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 77, html_url: 'https://github.com/owner/repo/pull/77' }
+      });
+    });
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('updated-repositories', '2');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('failed-repositories', '0');
+    afterEach(() => {
+      mockOctokit.rest.repos.getContent.mockReset();
     });
 
-    test('should show Changed status in summary table for repos with changes', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1,owner/repo2',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
+    test('should sync every file through one pull request', async () => {
+      setMockFileContent('version: 2\n', './config/dependabot.yml');
+      setMockFileContent('node_modules/\ndist/\n', './config/.gitignore');
+      setMockFileContent('name: CI\n', './config/workflows/ci.yml');
+      setMockFileContent('* @{{team}}\n', './config/CODEOWNERS');
+      setMockFileContent(JSON.stringify({ scripts: { test: 'jest', lint: 'eslint .' } }), './config/package.json');
+      mockExistingFiles({
+        '.gitignore': `node_modules/\n\n${gitignoreMarker}\n.env.local\n`,
+        'package.json': JSON.stringify({ name: 'repo', version: '1.0.0', scripts: { test: 'jest' } }, null, 2)
       });
 
-      // repo1: has a change
-      mockOctokit.rest.repos.get.mockResolvedValueOnce({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: false,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
-      // repo2: no change
-      mockOctokit.rest.repos.get.mockResolvedValueOnce({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
+      const result = await syncCombinedFiles(
+        mockOctokit,
+        'owner/repo',
+        {
+          dependabotYml: './config/dependabot.yml',
+          gitignore: './config/.gitignore',
+          workflowFiles: ['./config/workflows/ci.yml'],
+          codeowners: { path: './config/CODEOWNERS', targetPath: '.github/CODEOWNERS', vars: { team: 'platform' } },
+          packageJson: { path: './config/package.json', syncScripts: true, syncEngines: false }
+        },
+        'chore: sync repository files',
+        false
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.combinedFiles).toBe('mixed');
+      expect(result.prNumber).toBe(77);
+      expect(result.filesCreated).toEqual(['.github/dependabot.yml', '.github/workflows/ci.yml', '.github/CODEOWNERS']);
+      expect(result.filesUpdated).toEqual(['.gitignore', 'package.json']);
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/repo-files-sync' })
+      );
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledTimes(1);
+
+      const committedFiles = getCommittedFiles();
+      expect(committedFiles['.gitignore']).toBe(`node_modules/\ndist/\n\n${gitignoreMarker}\n.env.local\n`);
+      expect(committedFiles['.github/CODEOWNERS']).toBe('* @platform\n');
+      expect(JSON.parse(committedFiles['package.json'])).toEqual({
+        name: 'repo',
+        version: '1.0.0',
+        scripts: { test: 'jest', lint: 'eslint .' }
       });
 
-      mockOctokit.rest.repos.update.mockResolvedValue({});
+      const { title, body } = mockOctokit.rest.pulls.create.mock.calls[0][0];
+      expect(title).toBe('chore: sync repository files');
+      expect(body).toContain(
+        '- `.github/dependabot.yml` — Dependabot configuration (added from `./config/dependabot.yml`)'
+      );
+      expect(body).toContain('- `package.json` — package.json scripts (content differs from `./config/package.json`)');
+    });
 
-      await run();
+    test('should include files list entries in the combined PR', async () => {
+      setMockFileContent('Report issues privately\n', './config/SECURITY.md');
+      mockExistingFiles({});
 
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repo1Row = tableCall.find(row => row[0] === 'owner/repo1');
-      const repo2Row = tableCall.find(row => row[0] === 'owner/repo2');
+      const result = await syncCombinedFiles(
+        mockOctokit,
+        'owner/repo',
+        { files: [{ source: './config/SECURITY.md', target: 'SECURITY.md', branch: 'ignored-branch' }] },
+        'chore: sync repository files',
+        false
+      );
 
-      expect(repo1Row[1]).toBe('\u2705 Changed');
-      expect(repo2Row[1]).toBe('\u2796 No changes');
+      expect(result.combinedFiles).toBe('created');
+      expect(getCommittedFiles()).toEqual({ 'SECURITY.md': 'Report issues privately\n' });
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          head: 'repo-files-sync',
+          body: expect.stringContaining('- `SECURITY.md` — synced file (added from `./config/SECURITY.md`)')
+        })
+      );
     });
 
-    test('should output correct counts in dry-run mode', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1,owner/repo2',
-          'allow-squash-merge': 'true',
-          'dry-run': 'true'
-        };
-        return inputs[name] || '';
-      });
+    test('should skip package.json when it does not exist and still sync other files', async () => {
+      setMockFileContent('version: 2\n', './config/dependabot.yml');
+      setMockFileContent(JSON.stringify({ scripts: { test: 'jest' } }), './config/package.json');
+      mockExistingFiles({});
 
-      // repo1: would change
-      mockOctokit.rest.repos.get.mockResolvedValueOnce({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: false,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
-      // repo2: no change needed
-      mockOctokit.rest.repos.get.mockResolvedValueOnce({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
+      const result = await syncCombinedFiles(
+        mockOctokit,
+        'owner/repo',
+        {
+          dependabotYml: './config/dependabot.yml',
+          packageJson: { path: './config/package.json', syncScripts: true, syncEngines: true }
+        },
+        'chore: sync repository files',
+        false
+      );
 
-      await run();
+      expect(result.success).toBe(true);
+      expect(result.combinedFiles).toBe('created');
+      expect(result.filesSkipped).toEqual([{ targetPath: 'package.json', reason: 'does not exist in the repository' }]);
+      expect(Object.keys(getCommittedFiles())).toEqual(['.github/dependabot.yml']);
+      expect(mockOctokit.rest.pulls.create.mock.calls[0][0].body).toContain(
+        '**Skipped:**\n- `package.json` — does not exist in the repository'
+      );
+    });
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '1');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '1');
+    test('should report unchanged when preserved sections and unsynced fields are the only differences', async () => {
+      setMockFileContent('node_modules/\n', './config/.gitignore');
+      setMockFileContent(JSON.stringify({ name: 'template', scripts: { test: 'jest' } }), './config/package.json');
+      mockExistingFiles({
+        '.gitignore': `node_modules/\n\n${gitignoreMarker}\n.env.local\n`,
+        'package.json': JSON.stringify({ name: 'repo', scripts: { test: 'jest' } })
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
 
-      // Verify summary table status strings in dry-run
-      expect(mockCore.summary.addTable).toHaveBeenCalled();
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repo1Row = tableCall.find(row => row[0] === 'owner/repo1');
-      const repo2Row = tableCall.find(row => row[0] === 'owner/repo2');
+      const result = await syncCombinedFiles(
+        mockOctokit,
+        'owner/repo',
+        {
+          gitignore: './config/.gitignore',
+          packageJson: { path: './config/package.json', syncScripts: true, syncEngines: false }
+        },
+        'chore: sync repository files',
+        false
+      );
 
-      expect(repo1Row[1]).toBe('\u2705 Changed');
-      expect(repo2Row[1]).toBe('\u2796 No changes');
+      expect(result.success).toBe(true);
+      expect(result.combinedFiles).toBe('unchanged');
+      expect(result.message).toBe('All files are already up to date');
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
 
-    test('should show all repos as unchanged when no changes needed', async () => {
-      mockCore.getInput.mockImplementation(name => {
-        const inputs = {
-          'github-token': 'test-token',
-          repositories: 'owner/repo1',
-          'allow-squash-merge': 'true'
-        };
-        return inputs[name] || '';
-      });
-
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: {
-          default_branch: 'main',
-          permissions: { admin: true },
-          allow_squash_merge: true,
-          allow_merge_commit: true,
-          allow_rebase_merge: true,
-          delete_branch_on_merge: false,
-          allow_auto_merge: false,
-          allow_update_branch: false
-        }
-      });
+    test('should report files that would change in dry-run mode', async () => {
+      setMockFileContent('version: 2\n', './config/dependabot.yml');
+      setMockFileContent('## Description\n', './config/pull_request_template.md');
+      mockExistingFiles({ '.github/pull_request_template.md': '## Summary\n' });
 
-      await run();
+      const result = await syncCombinedFiles(
+        mockOctokit,
+        'owner/repo',
+        { dependabotYml: './config/dependabot.yml', pullRequestTemplate: './config/pull_request_template.md' },
+        'chore: sync repository files',
+        true
+      );
 
-      expect(mockCore.setOutput).toHaveBeenCalledWith('changed-repositories', '0');
-      expect(mockCore.setOutput).toHaveBeenCalledWith('unchanged-repositories', '1');
+      expect(result.success).toBe(true);
+      expect(result.combinedFiles).toBe('would-create');
+      expect(result.filesWouldCreate).toEqual(['.github/dependabot.yml']);
+      expect(result.filesWouldUpdate).toEqual(['.github/pull_request_template.md']);
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+    });
 
-      const tableCall = mockCore.summary.addTable.mock.calls[0][0];
-      const repoRow = tableCall.find(row => row[0] === 'owner/repo1');
-      expect(repoRow[1]).toBe('\u2796 No changes');
-      expect(repoRow[2]).toBe('No changes needed');
+    test('should reject an invalid CODEOWNERS target path', async () => {
+      const result = await syncCombinedFiles(
+        mockOctokit,
+        'owner/repo',
+        { codeowners: { path: './config/CODEOWNERS', targetPath: 'src/CODEOWNERS' } },
+        'chore: sync repository files',
+        false
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid CODEOWNERS target path: src/CODEOWNERS');
+      expect(mockOctokit.rest.repos.get).not.toHaveBeenCalled();
+    });
+
+    test('should fail when no files are specified', async () => {
+      const result = await syncCombinedFiles(mockOctokit, 'owner/repo', {}, 'chore: sync repository files', false);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No files specified for combined sync');
     });
   });
 
-  describe('closeStaleActionPrs', () => {
+  describe('sync pull request options', () => {
+    const pullRequestOptions = {
+      labels: ['dependencies', 'automated'],
+      assignees: ['@octocat'],
+      reviewers: ['hubot'],
+      teamReviewers: ['my-org/platform'],
+      draft: true
+    };
+
     beforeEach(() => {
       jest.clearAllMocks();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.update.mockClear();
-      mockOctokit.rest.issues.createComment.mockClear();
-      mockOctokit.rest.git.deleteRef.mockClear();
+      setMockFileContent('version: 2\n');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.issues.getLabel.mockImplementation(({ name }) =>
+        name === 'dependencies'
+          ? Promise.resolve({ data: { name } })
+          : Promise.reject(Object.assign(new Error('Not Found'), { status: 404 }))
+      );
+      mockOctokit.rest.issues.createLabel.mockResolvedValue({});
+      mockOctokit.rest.issues.addLabels.mockResolvedValue({});
+      mockOctokit.rest.issues.addAssignees.mockResolvedValue({});
+      mockOctokit.rest.pulls.requestReviewers.mockResolvedValue({});
+      mockOctokit.graphql.mockResolvedValue({});
     });
 
-    test('should return null when no stale PRs exist', async () => {
-      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
-
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
-
-      expect(result).toBeNull();
-      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith({
-        owner: 'owner',
-        repo: 'repo',
-        state: 'open',
-        head: 'owner:dependabot-yml-sync',
-        per_page: 100
-      });
-      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    afterEach(() => {
+      mockOctokit.rest.repos.getContent.mockReset();
+      mockOctokit.rest.pulls.requestReviewers.mockReset();
     });
 
-    test('should close stale PR when source matches target', async () => {
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 42,
-            user: { login: 'bot-user' },
-            html_url: 'https://github.com/owner/repo/pull/42',
-            commits: 1
-          }
-        ]
+    test('should open the PR as a draft with labels, assignees and reviewers', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, draft: true, html_url: 'https://github.com/owner/repo/pull/42', labels: [] }
       });
-      mockOctokit.rest.issues.createComment.mockResolvedValue({});
-      mockOctokit.rest.pulls.update.mockResolvedValue({});
-      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
 
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        '',
+        pullRequestOptions
+      );
 
-      expect(result).toEqual({
-        action: 'closed',
-        prNumber: 42,
-        prUrl: 'https://github.com/owner/repo/pull/42',
-        message: 'Closed stale PR #42 (source matches target)'
+      expect(result.success).toBe(true);
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(expect.objectContaining({ draft: true }));
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        name: 'automated',
+        color: 'ededed'
       });
-      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
         issue_number: 42,
-        body: 'Closing: the source file has been reverted to match the current target. This PR is no longer needed.'
+        labels: ['dependencies', 'automated']
       });
-      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
+      expect(mockOctokit.rest.issues.addAssignees).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        pull_number: 42,
-        state: 'closed'
+        issue_number: 42,
+        assignees: ['octocat']
       });
-      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalledWith({
+      expect(mockOctokit.rest.pulls.requestReviewers).toHaveBeenCalledWith({
         owner: 'owner',
         repo: 'repo',
-        ref: 'heads/dependabot-yml-sync'
+        pull_number: 42,
+        reviewers: ['hubot'],
+        team_reviewers: ['platform']
       });
+      expect(mockOctokit.graphql).not.toHaveBeenCalled();
     });
 
-    test('should warn instead of closing when PR author does not match', async () => {
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 42,
-            user: { login: 'other-user' },
-            html_url: 'https://github.com/owner/repo/pull/42',
-            commits: 1
-          }
-        ]
+    test('should only add what is missing and switch draft state when updating an existing PR', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'file-sha', content: Buffer.from('version: 1\n').toString('base64') }
       });
-
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
-
-      expect(result.action).toBe('warned');
-      expect(result.prNumber).toBe(42);
-      expect(result.message).toContain('other-user');
-      expect(result.message).toContain('bot-user');
-      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
-    });
-
-    test('should report would-close in dry-run mode', async () => {
       mockOctokit.rest.pulls.list.mockResolvedValue({
         data: [
           {
-            number: 42,
-            user: { login: 'bot-user' },
-            html_url: 'https://github.com/owner/repo/pull/42',
-            commits: 1
+            number: 50,
+            node_id: 'PR_node50',
+            draft: false,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50',
+            labels: [{ name: 'dependencies' }, { name: 'added-by-hand' }],
+            assignees: [{ login: 'octocat' }],
+            requested_reviewers: [{ login: 'hubot' }],
+            requested_teams: []
           }
         ]
       });
+      mockOctokit.rest.git.updateRef.mockResolvedValue({});
 
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', true, 'bot-user');
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false,
+        '',
+        pullRequestOptions
+      );
 
-      expect(result).toEqual({
-        action: 'would-close',
-        prNumber: 42,
-        prUrl: 'https://github.com/owner/repo/pull/42',
-        message: 'Would close stale PR #42 (source matches target)'
+      expect(result.dependabotYml).toBe('pr-updated');
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 50, labels: ['automated'] })
+      );
+      expect(mockOctokit.rest.issues.addAssignees).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.requestReviewers).toHaveBeenCalledWith(
+        expect.objectContaining({ pull_number: 50, reviewers: [], team_reviewers: ['platform'] })
+      );
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('convertPullRequestToDraft'), {
+        id: 'PR_node50'
       });
-      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
-      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
     });
 
-    test('should handle branch deletion failure gracefully', async () => {
+    test('should reconcile options on an existing PR whose content is already up to date', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ ref }) => ({
+        data: {
+          sha: 'file-sha',
+          content: Buffer.from(ref === 'dependabot-yml-sync' ? 'version: 2\n' : 'version: 1\n').toString('base64')
+        }
+      }));
       mockOctokit.rest.pulls.list.mockResolvedValue({
         data: [
           {
-            number: 42,
-            user: { login: 'bot-user' },
-            html_url: 'https://github.com/owner/repo/pull/42',
-            commits: 1
+            number: 50,
+            node_id: 'PR_node50',
+            draft: false,
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50',
+            labels: [{ name: 'dependencies' }],
+            assignees: [],
+            requested_reviewers: [],
+            requested_teams: []
           }
         ]
       });
-      mockOctokit.rest.issues.createComment.mockResolvedValue({});
-      mockOctokit.rest.pulls.update.mockResolvedValue({});
-      mockOctokit.rest.git.deleteRef.mockRejectedValue(new Error('Branch not found'));
-
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
-
-      expect(result.action).toBe('closed');
-      expect(result.prNumber).toBe(42);
-      // Should still succeed even if branch deletion fails
-      expect(mockOctokit.rest.pulls.update).toHaveBeenCalled();
-    });
-
-    test('should return null when API call fails', async () => {
-      mockOctokit.rest.pulls.list.mockRejectedValue(new Error('API error'));
-
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
-
-      expect(result).toBeNull();
-      expect(mockCore.warning).toHaveBeenCalledWith(expect.stringContaining('Could not check for stale PRs'));
-    });
 
-    test('should skip stale PR check when authenticatedLogin is empty', async () => {
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 10,
-            user: { login: 'any-user' },
-            html_url: 'https://github.com/owner/repo/pull/10',
-            commits: 1
-          }
-        ]
-      });
+      const dryRunResult = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        true,
+        '',
+        pullRequestOptions
+      );
 
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, '');
+      expect(dryRunResult.dependabotYml).toBe('pr-up-to-date');
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled();
+      expect(mockOctokit.graphql).not.toHaveBeenCalled();
 
-      expect(result).toBeNull();
-      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
-    });
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: update dependabot.yml',
+        false,
+        '',
+        pullRequestOptions
+      );
 
-    test('should close PR when authenticatedLogin is a GitHub App bot login', async () => {
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 10,
-            user: { login: 'my-app[bot]' },
-            html_url: 'https://github.com/owner/repo/pull/10',
-            commits: 1
-          }
-        ]
+      expect(result.dependabotYml).toBe('pr-up-to-date');
+      expect(mockOctokit.rest.git.updateRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 50, labels: ['automated'] })
+      );
+      expect(mockOctokit.rest.issues.addAssignees).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 50, assignees: ['octocat'] })
+      );
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('convertPullRequestToDraft'), {
+        id: 'PR_node50'
       });
-      mockOctokit.rest.issues.createComment.mockResolvedValue({});
-      mockOctokit.rest.pulls.update.mockResolvedValue({});
-      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
-
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'my-app[bot]');
-
-      expect(result.action).toBe('closed');
-      expect(result.prNumber).toBe(10);
     });
 
-    test('should close all matching PRs from same author and delete branch', async () => {
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          { number: 10, user: { login: 'bot-user' }, html_url: 'https://github.com/owner/repo/pull/10', commits: 1 },
-          { number: 11, user: { login: 'bot-user' }, html_url: 'https://github.com/owner/repo/pull/11', commits: 1 }
-        ]
+    test('should warn without failing the sync when an option cannot be applied', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
       });
-      mockOctokit.rest.issues.createComment.mockResolvedValue({});
-      mockOctokit.rest.pulls.update.mockResolvedValue({});
-      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.requestReviewers.mockRejectedValue(
+        new Error('Review cannot be requested from pull request author.')
+      );
 
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        '',
+        { reviewers: ['bot-user'] }
+      );
 
-      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledTimes(2);
-      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(2);
-      expect(mockOctokit.rest.git.deleteRef).toHaveBeenCalled();
-      expect(result.action).toBe('closed');
-      expect(result.prNumber).toBe(11);
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('created');
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        '  ⚠️  Could not request reviewers on PR #42: Review cannot be requested from pull request author.'
+      );
     });
 
-    test('should not delete branch when some PRs are from different authors', async () => {
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          { number: 10, user: { login: 'bot-user' }, html_url: 'https://github.com/owner/repo/pull/10', commits: 1 },
-          { number: 11, user: { login: 'human-user' }, html_url: 'https://github.com/owner/repo/pull/11', commits: 1 }
-        ]
+    test('should apply options to package.json sync PRs', async () => {
+      setMockFileContent(JSON.stringify({ scripts: { test: 'jest' } }));
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { sha: 'file-sha', content: Buffer.from(JSON.stringify({ name: 'repo' })).toString('base64') }
+      });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 43, html_url: 'https://github.com/owner/repo/pull/43' }
       });
-      mockOctokit.rest.issues.createComment.mockResolvedValue({});
-      mockOctokit.rest.pulls.update.mockResolvedValue({});
 
-      const result = await closeStaleActionPrs(mockOctokit, 'owner/repo', 'dependabot-yml-sync', false, 'bot-user');
+      const result = await syncPackageJson(
+        mockOctokit,
+        'owner/repo',
+        './package.json',
+        true,
+        false,
+        'chore: update package.json',
+        false,
+        '',
+        { labels: ['dependencies'], draft: true }
+      );
 
-      // Should close PR #10 (bot-user) but warn on #11 (human-user)
-      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledTimes(1);
-      expect(mockOctokit.rest.git.deleteRef).not.toHaveBeenCalled();
-      // Prefer closed result over warned
-      expect(result.action).toBe('closed');
-      expect(result.prNumber).toBe(10);
+      expect(result.packageJson).toBe('updated');
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(expect.objectContaining({ draft: true }));
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 43, labels: ['dependencies'] })
+      );
     });
   });
 
-  describe('syncDependabotYml - stale PR closing', () => {
+  describe('sync pull request auto-merge', () => {
     beforeEach(() => {
       jest.clearAllMocks();
-      mockOctokit.rest.repos.get.mockClear();
-      mockOctokit.rest.repos.getContent.mockClear();
-      mockOctokit.rest.repos.createOrUpdateFileContents.mockClear();
-      mockOctokit.rest.git.getRef.mockClear();
-      mockOctokit.rest.git.createRef.mockClear();
-      mockOctokit.rest.git.updateRef.mockClear();
-      mockOctokit.rest.git.deleteRef.mockClear();
-      mockOctokit.rest.pulls.list.mockClear();
-      mockOctokit.rest.pulls.create.mockClear();
-      mockOctokit.rest.pulls.update.mockClear();
-      mockOctokit.rest.issues.createComment.mockClear();
+      setMockFileContent('version: 2\n');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main', allow_auto_merge: true } });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'abc123' } } });
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, node_id: 'PR_node42', html_url: 'https://github.com/owner/repo/pull/42' }
+      });
+      mockOctokit.graphql.mockResolvedValue({});
     });
 
-    test('should close stale PR when content is unchanged and stale PR exists', async () => {
-      const content =
-        'version: 2\nupdates:\n  - package-ecosystem: "npm"\n    directory: "/"\n    schedule:\n      interval: "weekly"';
+    afterEach(() => {
+      mockOctokit.rest.repos.getContent.mockReset();
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.graphql.mockReset();
+    });
 
-      setMockFileContent(content);
+    test('should enable auto-merge with the chosen merge method on a new PR', async () => {
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        '',
+        { autoMergeMethod: 'SQUASH' }
+      );
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
+      expect(result.success).toBe(true);
+      expect(result.autoMerge).toBe('enabled');
+      expect(result.autoMergeWarning).toBeUndefined();
+      expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('enablePullRequestAutoMerge'), {
+        id: 'PR_node42',
+        method: 'SQUASH'
       });
+    });
 
-      // File exists with same content (unchanged)
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha-789',
-          content: Buffer.from(content).toString('base64')
-        }
-      });
+    test('should not touch auto-merge when no merge method is set', async () => {
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        ''
+      );
 
-      // Stale PR exists on the sync branch
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 5,
-            user: { login: 'bot-user' },
-            html_url: 'https://github.com/owner/repo/pull/5',
-            commits: 1
-          }
-        ]
-      });
-      mockOctokit.rest.issues.createComment.mockResolvedValue({});
-      mockOctokit.rest.pulls.update.mockResolvedValue({});
-      mockOctokit.rest.git.deleteRef.mockResolvedValue({});
+      expect(result.autoMerge).toBeUndefined();
+      expect(mockOctokit.graphql).not.toHaveBeenCalled();
+    });
+
+    test('should report a warning when allow_auto_merge is off', async () => {
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main', allow_auto_merge: false } });
 
       const result = await syncDependabotYml(
         mockOctokit,
         'owner/repo',
         './dependabot.yml',
-        'chore: update dependabot.yml',
+        'chore: add dependabot.yml',
         false,
-        'bot-user'
+        '',
+        { autoMergeMethod: 'MERGE' }
       );
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('stale-pr-closed');
-      expect(result.prNumber).toBe(5);
-      expect(result.message).toContain('Closed stale PR #5');
-      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith(
-        expect.objectContaining({ pull_number: 5, state: 'closed' })
+      expect(result.dependabotYml).toBe('created');
+      expect(result.autoMergeWarning).toBe(
+        'Auto-merge could not be enabled on PR #42: allow_auto_merge is off for this repository'
       );
-      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 5 }));
+      expect(mockOctokit.graphql).not.toHaveBeenCalled();
     });
 
-    test('should report would-close in dry-run when content is unchanged and stale PR exists', async () => {
-      const content = 'version: 2\nupdates: []';
+    test('should report a warning when the GraphQL call fails', async () => {
+      mockOctokit.graphql.mockRejectedValue(new Error('Pull request is in clean status'));
 
-      setMockFileContent(content);
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        '',
+        { autoMergeMethod: 'REBASE' }
+      );
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+      expect(result.success).toBe(true);
+      expect(result.autoMergeWarning).toBe(
+        'Auto-merge could not be enabled on PR #42: Pull request is in clean status'
+      );
+    });
 
+    test('should leave auto-merge alone on an existing PR that already has it enabled', async () => {
+      mockOctokit.rest.repos.getContent.mockReset();
       mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha',
-          content: Buffer.from(content).toString('base64')
-        }
+        data: { sha: 'file-sha', content: Buffer.from('version: 1\n').toString('base64') }
       });
-
       mockOctokit.rest.pulls.list.mockResolvedValue({
         data: [
           {
-            number: 7,
-            user: { login: 'bot-user' },
-            html_url: 'https://github.com/owner/repo/pull/7',
-            commits: 1
+            number: 50,
+            node_id: 'PR_node50',
+            head: { sha: 'pr-head-sha' },
+            html_url: 'https://github.com/owner/repo/pull/50',
+            auto_merge: { merge_method: 'squash' }
           }
         ]
       });
+      mockOctokit.rest.git.updateRef.mockResolvedValue({});
 
       const result = await syncDependabotYml(
         mockOctokit,
         'owner/repo',
         './dependabot.yml',
         'chore: update dependabot.yml',
-        true,
-        'bot-user'
+        false,
+        '',
+        { autoMergeMethod: 'SQUASH' }
       );
 
-      expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('would-close-stale-pr');
-      expect(result.prNumber).toBe(7);
-      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(result.dependabotYml).toBe('pr-updated');
+      expect(result.autoMerge).toBe('already-enabled');
+      expect(mockOctokit.graphql).not.toHaveBeenCalled();
     });
+  });
 
-    test('should warn about stale PR from different author and return unchanged', async () => {
-      const content = 'version: 2\nupdates: []';
+  describe('direct file sync strategy', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      setMockFileContent('version: 2\n');
+      mockOctokit.rest.repos.get.mockResolvedValue({ data: { default_branch: 'main' } });
+      mockOctokit.rest.repos.getContent.mockRejectedValue({ status: 404 });
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.git.getRef.mockResolvedValue({ data: { object: { sha: 'base-sha' } } });
+      mockOctokit.rest.git.updateRef.mockResolvedValue({});
+      mockOctokit.rest.git.createRef.mockResolvedValue({});
+      mockOctokit.rest.pulls.create.mockResolvedValue({
+        data: { number: 42, html_url: 'https://github.com/owner/repo/pull/42' }
+      });
+    });
 
-      setMockFileContent(content);
+    afterEach(() => {
+      mockOctokit.rest.repos.getContent.mockReset();
+      mockOctokit.rest.git.getRef.mockReset();
+      mockOctokit.rest.git.updateRef.mockReset();
+    });
 
-      mockOctokit.rest.repos.get.mockResolvedValue({
-        data: { default_branch: 'main' }
-      });
+    test('should commit straight to the default branch without opening a PR', async () => {
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        '',
+        { strategy: 'direct' }
+      );
 
-      mockOctokit.rest.repos.getContent.mockResolvedValue({
-        data: {
-          sha: 'file-sha',
-          content: Buffer.from(content).toString('base64')
-        }
+      expect(result.success).toBe(true);
+      expect(result.dependabotYml).toBe('committed');
+      expect(result.message).toBe('Committed .github/dependabot.yml directly to main');
+      expect(result.commitSha).toBe('new-commit-sha');
+      expect(result.filesCreated).toEqual(['.github/dependabot.yml']);
+      expect(mockOctokit.rest.git.getCommit).toHaveBeenCalledWith(expect.objectContaining({ commit_sha: 'base-sha' }));
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/main',
+        sha: 'new-commit-sha'
       });
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+    });
 
-      // Stale PR from a different user
-      mockOctokit.rest.pulls.list.mockResolvedValue({
-        data: [
-          {
-            number: 8,
-            user: { login: 'other-user' },
-            html_url: 'https://github.com/owner/repo/pull/8',
-            commits: 1
-          }
-        ]
-      });
+    test('should compare against and commit to the chosen branch', async () => {
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        '',
+        { strategy: 'direct', directBranch: 'develop' }
+      );
+
+      expect(result.dependabotYml).toBe('committed');
+      expect(result.branch).toBe('develop');
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith(expect.objectContaining({ ref: 'develop' }));
+      expect(mockOctokit.rest.git.getRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/develop' }));
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/develop' }));
+    });
 
+    test('should report would-commit in dry-run mode', async () => {
       const result = await syncDependabotYml(
         mockOctokit,
         'owner/repo',
         './dependabot.yml',
-        'chore: update dependabot.yml',
+        'chore: add dependabot.yml',
+        true,
+        '',
+        { strategy: 'direct' }
+      );
+
+      expect(result.dependabotYml).toBe('would-commit');
+      expect(result.message).toBe('Would commit .github/dependabot.yml directly to main');
+      expect(result.filesWouldCreate).toEqual(['.github/dependabot.yml']);
+      expect(mockOctokit.rest.git.createCommit).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.git.updateRef).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to a PR with a warning when a ruleset blocks the push', async () => {
+      mockOctokit.rest.git.getRef
+        .mockResolvedValueOnce({ data: { object: { sha: 'base-sha' } } })
+        .mockRejectedValueOnce({ status: 404 })
+        .mockResolvedValueOnce({ data: { object: { sha: 'base-sha' } } });
+      mockOctokit.rest.git.updateRef.mockRejectedValueOnce(
+        Object.assign(new Error('Repository rule violations found'), { status: 422 })
+      );
+
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
         false,
-        'bot-user'
+        '',
+        { strategy: 'direct' }
       );
 
       expect(result.success).toBe(true);
-      expect(result.dependabotYml).toBe('unchanged');
-      expect(result.stalePrWarning).toBeDefined();
-      expect(result.stalePrWarning.action).toBe('warned');
-      expect(result.stalePrWarning.prNumber).toBe(8);
-      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled();
+      expect(result.dependabotYml).toBe('created');
+      expect(result.prNumber).toBe(42);
+      expect(result.directCommitWarning).toBe(
+        'Direct commit to main was blocked (Repository rule violations found); opened a pull request instead'
+      );
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(
+        expect.objectContaining({ ref: 'refs/heads/dependabot-yml-sync' })
+      );
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith(expect.objectContaining({ base: 'main' }));
+    });
+
+    test('should fail without opening a PR when the push fails for another reason', async () => {
+      mockOctokit.rest.git.updateRef.mockRejectedValueOnce(
+        Object.assign(new Error('Update is not a fast forward'), { status: 422 })
+      );
+
+      const result = await syncDependabotYml(
+        mockOctokit,
+        'owner/repo',
+        './dependabot.yml',
+        'chore: add dependabot.yml',
+        false,
+        '',
+        { strategy: 'direct' }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Update is not a fast forward');
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
     });
   });
 
@@ -12,11 +12,72 @@
 
 import * as core from '@actions/core';
 import { Octokit } from '@octokit/rest';
+import { AsyncLocalStorage } from 'async_hooks';
 import * as fs from 'fs';
 import * as path from 'path';
 import * as url from 'url';
 import * as yaml from 'js-yaml';
 
+/**
+ * Holds the log buffer of the repository currently being processed.
+ * Only populated when repositories are processed concurrently, so that each
+ * repository's log lines can be flushed together instead of interleaving.
+ */
+const repositoryLogStorage = new AsyncLocalStorage();
+
+/**
+ * Write a log entry, deferring it if a repository log buffer is active.
+ * @param {Function} write - Function that writes the entry via @actions/core
+ */
+function writeLog(write) {
+  const buffer = repositoryLogStorage.getStore();
+  if (buffer) {
+    buffer.push(write);
+    return;
+  }
+  write();
+}
+
+/**
+ * Log an informational message via core.info, buffered per repository when logs are buffered.
+ * @param {...*} args - Arguments for core.info
+ */
+function logInfo(...args) {
+  writeLog(() => core.info(...args));
+}
+
+/**
+ * Log a warning annotation via core.warning, buffered per repository when logs are buffered.
+ * @param {...*} args - Arguments for core.warning
+ */
+function logWarning(...args) {
+  writeLog(() => core.warning(...args));
+}
+
+/**
+ * Log a debug message (shown only when step debug logging is enabled) via core.debug, buffered per repository when logs are buffered.
+ * @param {...*} args - Arguments for core.debug
+ */
+function logDebug(...args) {
+  writeLog(() => core.debug(...args));
+}
+
+/**
+ * Run a function with its log output buffered, then flush the buffered lines in order.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} Result of the function
+ */
+async function withBufferedLogs(fn) {
+  const buffer = [];
+  try {
+    return await repositoryLogStorage.run(buffer, fn);
+  } finally {
+    for (const write of buffer) {
+      write();
+    }
+  }
+}
+
 /**
  * Get the known configuration keys from action.yml.
  * This dynamically reads the action.yml file to determine valid input keys,
@@ -46,7 +107,7 @@ function getKnownRepoConfigKeys() {
   } catch (error) {
     // If we can't read action.yml, log a warning but don't fail
     // This allows the action to still work even if there's an issue
-    core.warning(`Could not read action.yml to determine valid configuration keys: ${error.message}`);
+    logWarning(`Could not read action.yml to determine valid configuration keys: ${error.message}`);
   }
 
   return keys;
@@ -88,7 +149,7 @@ function validateRepoConfig(repoConfig, repoName) {
 
   for (const key of Object.keys(repoConfig)) {
     if (!knownKeys.has(key)) {
-      core.warning(
+      logWarning(
         `⚠️  Unknown configuration key "${key}" found for repository "${repoName}". ` +
           `This setting may not exist, may not be available in this version, or may have a typo.`
       );
@@ -106,29 +167,325 @@ function escapeRegExp(str) {
 }
 
 /**
- * Replace template variables in content with provided values.
- * Template variables use the format {{variable_name}}.
+ * Matches, in order: an escaped `\{{`, a GitHub Actions expression `${{ ... }}` (left as-is), or a template tag.
+ */
+const TEMPLATE_TAG_PATTERN = /\\\{\{|\$\{\{[\s\S]*?\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+/**
+ * Matches a file existence condition, e.g. `exists "package.json"`
+ */
+const TEMPLATE_EXISTS_PATTERN = /^exists\s+(["'])(.+)\1$/;
+
+/**
+ * Parse template content into a tree of text, variable and block nodes.
+ * Block tags ({{#if}}, {{#each}}, {{else}}, {{/if}}, {{/each}}) that sit alone on a line
+ * remove that whole line, so they don't leave blank lines behind.
+ * @param {string} content - Template content
+ * @returns {Array<Object>} Parsed nodes
+ */
+function parseTemplate(content) {
+  const root = { type: 'root', children: [], elseChildren: [] };
+  const stack = [root];
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.elseChildren : block.children;
+  };
+
+  let lastIndex = 0;
+  for (const match of content.matchAll(TEMPLATE_TAG_PATTERN)) {
+    const tag = match[1];
+    const line = content.slice(0, match.index).split('\n').length;
+    let textEnd = match.index;
+    let tagEnd = match.index + match[0].length;
+
+    const isBlockTag = tag !== undefined && (tag.startsWith('#') || tag.startsWith('/') || tag === 'else');
+    if (isBlockTag) {
+      const lineStart = content.lastIndexOf('\n', match.index - 1) + 1;
+      const newlineIndex = content.indexOf('\n', tagEnd);
+      const lineEnd = newlineIndex === -1 ? content.length : newlineIndex + 1;
+      if (
+        lineStart >= lastIndex &&
+        /^[ \t]*$/.test(content.slice(lineStart, match.index)) &&
+        /^[ \t]*\r?\n?$/.test(content.slice(tagEnd, lineEnd))
+      ) {
+        textEnd = lineStart;
+        tagEnd = lineEnd;
+      }
+    }
+
+    if (textEnd > lastIndex) {
+      current().push({ type: 'text', value: content.slice(lastIndex, textEnd) });
+    }
+    lastIndex = tagEnd;
+
+    if (tag === undefined) {
+      current().push({ type: 'text', value: match[0] === '\\{{' ? '{{' : match[0] });
+    } else if (tag.startsWith('#')) {
+      const [, keyword, argument] = tag.match(/^#(\S*)\s*(.*)$/);
+      if (keyword !== 'if' && keyword !== 'each') {
+        throw new Error(`Unknown template block '{{#${keyword}}}' on line ${line}`);
+      }
+      if (!argument) {
+        throw new Error(`Template block '{{#${keyword}}}' on line ${line} needs a variable`);
+      }
+      const block = { type: keyword, argument, line, children: [], elseChildren: [] };
+      current().push(block);
+      stack.push(block);
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.inElse) {
+        throw new Error(`Unexpected '{{else}}' on line ${line}`);
+      }
+      block.inElse = true;
+    } else if (tag.startsWith('/')) {
+      const keyword = tag.slice(1).trim();
+      const block = stack[stack.length - 1];
+      if (block === root || block.type !== keyword) {
+        throw new Error(`Unexpected '{{/${keyword}}}' on line ${line}`);
+      }
+      stack.pop();
+    } else {
+      current().push({ type: 'variable', name: tag, line });
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw new Error(`Unclosed '{{#${block.type}}}' block opened on line ${block.line}`);
+  }
+  if (lastIndex < content.length) {
+    current().push({ type: 'text', value: content.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+/**
+ * Look up a (possibly dotted) name in an object. Flat dotted keys such as 'repo.name' win over nested objects.
+ * @param {*} source - Object to read from
+ * @param {string} name - Variable name
+ * @returns {*} Value, or undefined when not defined
+ */
+function getTemplatePathValue(source, name) {
+  if (source === null || typeof source !== 'object') return undefined;
+  if (Object.hasOwn(source, name)) return source[name];
+  const segments = name.split('.');
+  for (let i = segments.length - 1; i > 0; i--) {
+    const prefix = segments.slice(0, i).join('.');
+    if (Object.hasOwn(source, prefix)) {
+      return getTemplatePathValue(source[prefix], segments.slice(i).join('.'));
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Whether a template value counts as true in {{#if}}.
+ * Empty strings, 'false', empty lists, false, 0 and null are false.
+ * @param {*} value - Template value
+ * @returns {boolean} Truthiness
+ */
+function isTemplateValueTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value !== '' && value.toLowerCase() !== 'false';
+  return Boolean(value);
+}
+
+/**
+ * Render parsed template nodes.
+ * @param {Array<Object>} nodes - Nodes from parseTemplate
+ * @param {Object} context - Rendering context
+ * @param {Object} context.vars - Template variables
+ * @param {Array<{item: *, index: number}>} context.frames - Enclosing {{#each}} iterations, innermost last
+ * @param {Set<string>} [context.existingFiles] - Paths that exist in the repository, for `exists` conditions
+ * @returns {string} Rendered content
+ */
+function renderTemplateNodes(nodes, context) {
+  const { vars, frames, existingFiles } = context;
+
+  const lookup = (name, line) => {
+    let value;
+    const frame = frames[frames.length - 1];
+    if (name === 'this' || name === '@index') {
+      value = frame && (name === 'this' ? frame.item : frame.index);
+    } else if (name.startsWith('this.')) {
+      value = frame && getTemplatePathValue(frame.item, name.slice('this.'.length));
+    } else {
+      for (const { item } of [...frames].reverse()) {
+        value = getTemplatePathValue(item, name);
+        if (value !== undefined) break;
+      }
+      if (value === undefined) {
+        value = getTemplatePathValue(vars, name);
+      }
+    }
+    if (value === undefined) {
+      throw new Error(`Undefined template variable '${name}' on line ${line}`);
+    }
+    return value;
+  };
+
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = lookup(node.name, node.line);
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        throw new Error(`Template variable '${node.name}' on line ${node.line} is an object, not a value`);
+      }
+      output += Array.isArray(value) ? value.join(', ') : String(value ?? '');
+    } else if (node.type === 'if') {
+      const existsMatch = node.argument.match(TEMPLATE_EXISTS_PATTERN);
+      let condition;
+      if (existsMatch) {
+        if (!existingFiles) {
+          throw new Error(`'{{#if ${node.argument}}}' on line ${node.line} is only available in synced files`);
+        }
+        condition = existingFiles.has(existsMatch[2]);
+      } else {
+        condition = isTemplateValueTruthy(lookup(node.argument, node.line));
+      }
+      output += renderTemplateNodes(condition ? node.children : node.elseChildren, context);
+    } else {
+      const list = lookup(node.argument, node.line);
+      if (!Array.isArray(list)) {
+        throw new Error(`'{{#each ${node.argument}}}' on line ${node.line} expects a list`);
+      }
+      if (list.length === 0) {
+        output += renderTemplateNodes(node.elseChildren, context);
+      }
+      for (const [index, item] of list.entries()) {
+        output += renderTemplateNodes(node.children, { ...context, frames: [...frames, { item, index }] });
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * List the paths referenced by `{{#if exists "path"}}` conditions in template content.
+ * @param {string} content - Template content
+ * @returns {Array<string>} Referenced paths
+ */
+export function getTemplateExistsPaths(content) {
+  const paths = [];
+  for (const match of content.matchAll(TEMPLATE_TAG_PATTERN)) {
+    const condition = match[1]?.match(/^#if\s+(.*)$/)?.[1].match(TEMPLATE_EXISTS_PATTERN);
+    if (condition) {
+      paths.push(condition[2]);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Render template variables and blocks in content.
+ * - `{{name}}` is replaced with the variable's value (lists are comma-separated)
+ * - `{{#if name}}...{{else}}...{{/if}}` renders a section when the variable is truthy;
+ *   `{{#if exists "path"}}` tests whether a file exists in the repository
+ * - `{{#each name}}...{{else}}...{{/each}}` repeats a section for every list item, with the item
+ *   available as `{{this}}` (or by its keys) and its position as `{{@index}}`
+ * - GitHub Actions expressions (`${{ ... }}`) are left as-is, and `\{{` renders a literal `{{`
+ * An undefined variable or malformed block throws, rather than leaving the placeholder in the file.
  * @param {string} content - Content with template variables
  * @param {Object} vars - Object with variable names and values
+ * @param {Set<string>} [existingFiles] - Paths that exist in the repository, for `exists` conditions
  * @returns {string} Content with variables replaced
  */
-export function replaceTemplateVariables(content, vars) {
+export function replaceTemplateVariables(content, vars, existingFiles) {
   if (!vars || typeof vars !== 'object' || Object.keys(vars).length === 0) {
     return content;
   }
 
-  let result = content;
-  for (const [varName, varValue] of Object.entries(vars)) {
-    // Replace all occurrences of {{varName}} with varValue
-    // Use a regex to match the exact variable name with optional whitespace
-    // Escape varName to handle any special regex characters safely
-    const escapedVarName = escapeRegExp(varName);
-    const regex = new RegExp(`\\{\\{\\s*${escapedVarName}\\s*\\}\\}`, 'g');
-    // Use a function for replacement to avoid special replacement patterns ($&, $1, etc.)
-    result = result.replace(regex, () => String(varValue));
+  return renderTemplateNodes(parseTemplate(content), { vars, frames: [], existingFiles });
+}
+
+/**
+ * Normalize a `template-vars` config mapping.
+ * @param {Object|string} value - Mapping of variable names to values, or a YAML string of one
+ * @param {string} context - Where the mapping came from, for warnings (e.g. "repo 'owner/repo'")
+ * @returns {Object} Template variables (empty when unset or invalid)
+ */
+export function parseTemplateVars(value, context) {
+  let vars = value;
+  if (typeof vars === 'string') {
+    try {
+      vars = yaml.load(vars);
+    } catch (error) {
+      logWarning(
+        `Invalid 'template-vars' configuration for ${context}: ${error.message}. This configuration will be ignored.`
+      );
+      return {};
+    }
+  }
+  if (vars === undefined || vars === null) return {};
+  if (typeof vars !== 'object' || Array.isArray(vars)) {
+    logWarning(
+      `Invalid 'template-vars' configuration for ${context}; expected a mapping. This configuration will be ignored.`
+    );
+    return {};
+  }
+  return vars;
+}
+
+/**
+ * File inputs whose sources can be rendered as templates (see the `render-templates` input).
+ * Every other file is synced as-is, so `{{...}}` in e.g. Go templates or Helm charts passes through untouched.
+ */
+const TEMPLATE_FILE_INPUTS = Object.freeze([
+  'dependabot-yml',
+  'workflow-files',
+  'pull-request-template',
+  'copilot-instructions-md'
+]);
+
+/**
+ * Normalize a `render-templates` list, dropping names that are not template file inputs.
+ * @param {string|Array<string>} value - Comma-separated string or list of file input names
+ * @param {string} context - Where the list came from, for warnings (e.g. "repo 'owner/repo'")
+ * @returns {Array<string>} File input names whose sources are rendered as templates
+ */
+export function parseRenderTemplates(value, context) {
+  const names = parseListInput(value);
+  const unknownNames = names.filter(name => !TEMPLATE_FILE_INPUTS.includes(name));
+  if (unknownNames.length > 0) {
+    logWarning(
+      `Ignoring unknown 'render-templates' value(s) for ${context}: ${unknownNames.join(', ')}. Allowed values: ${TEMPLATE_FILE_INPUTS.join(', ')}`
+    );
   }
+  return names.filter(name => TEMPLATE_FILE_INPUTS.includes(name));
+}
 
-  return result;
+/**
+ * Whether a file input's sources are rendered as templates for a repository.
+ * @param {Object} [pullRequestOptions] - Sync PR options carrying the repository's `renderTemplates` list
+ * @param {string} inputName - File input name (one of TEMPLATE_FILE_INPUTS)
+ * @returns {boolean} True if the input opted into templating
+ */
+function rendersTemplates(pullRequestOptions, inputName) {
+  return pullRequestOptions?.renderTemplates?.includes(inputName) === true;
+}
+
+/**
+ * Build the built-in template variables for a repository from its metadata.
+ * Custom property values are exposed as `repo.custom_properties.<name>`; topics and multi-select values are lists.
+ * @param {Object} repoData - Repository payload from the GitHub API
+ * @returns {Object} Built-in template variables
+ */
+export function getRepositoryTemplateVars(repoData) {
+  const vars = {
+    'repo.name': repoData.name,
+    'repo.owner': repoData.owner?.login,
+    'repo.full_name': repoData.full_name,
+    'repo.default_branch': repoData.default_branch,
+    'repo.visibility': repoData.visibility,
+    'repo.language': repoData.language,
+    'repo.topics': repoData.topics
+  };
+  for (const [name, value] of Object.entries(repoData.custom_properties || {})) {
+    vars[`repo.custom_properties.${name}`] = value;
+  }
+  return Object.fromEntries(Object.entries(vars).filter(([, value]) => value !== undefined && value !== null));
 }
 
 function getValidSquashMergeCommitTitle(currentTitle, message) {
@@ -178,10 +535,91 @@ export function resolveFilePath(basePath, filePath) {
   return path.join(basePath, filePath);
 }
 
+/**
+ * Convert a glob pattern (relative to its base directory) to a regular expression.
+ * Supports `**` (any number of directories), `*` (anything but `/`) and `?` (one character).
+ * @param {string} pattern - Glob pattern using `/` separators
+ * @returns {RegExp} Regular expression matching relative paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' matches zero or more directories; a trailing '**' matches everything below
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Directories skipped when a glob or directory source path is expanded, so a glob rooted at the
+ * workspace does not walk installed dependencies or git internals
+ */
+const SOURCE_PATH_IGNORED_DIRECTORIES = Object.freeze(['node_modules', '.git']);
+
+/**
+ * List the entries below a directory, without descending into SOURCE_PATH_IGNORED_DIRECTORIES.
+ * @param {string} baseDir - Directory to list
+ * @param {string} [relativeDir=''] - Subdirectory being listed, relative to baseDir
+ * @returns {Array<string>} Paths of non-directory entries relative to baseDir, using `/` separators
+ */
+function listSourceDirectory(baseDir, relativeDir = '') {
+  const paths = [];
+  for (const entry of fs.readdirSync(path.join(baseDir, relativeDir), { withFileTypes: true })) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (!entry.isDirectory()) {
+      paths.push(relativePath);
+    } else if (!SOURCE_PATH_IGNORED_DIRECTORIES.includes(entry.name)) {
+      paths.push(...listSourceDirectory(baseDir, relativePath));
+    }
+  }
+  return paths;
+}
+
+/**
+ * Expand a source path that may be a glob (e.g. `./config/workflows/**`) or a directory
+ * (trailing `/`) into the files it matches. Plain file paths are returned as-is; `node_modules`
+ * and `.git` directories below the pattern's base directory are not searched.
+ * @param {string} sourcePath - File path, directory path ending in `/`, or glob pattern
+ * @returns {Array<{sourceFilePath: string, relativePath: string}>} Matched files with their path
+ *   relative to the pattern's base directory (the basename for plain file paths), sorted by path
+ */
+export function expandSourcePaths(sourcePath) {
+  const normalized = sourcePath.replace(/\\/g, '/');
+  const pattern = normalized.endsWith('/') ? `${normalized}**` : normalized;
+  const segments = pattern.split('/');
+  const firstGlobIndex = segments.findIndex(segment => /[*?]/.test(segment));
+  if (firstGlobIndex === -1) {
+    return [{ sourceFilePath: sourcePath, relativePath: path.basename(sourcePath) }];
+  }
+
+  const baseDir = segments.slice(0, firstGlobIndex).join('/') || '.';
+  const matcher = globToRegExp(segments.slice(firstGlobIndex).join('/'));
+  return listSourceDirectory(baseDir)
+    .filter(relativePath => matcher.test(relativePath))
+    .map(relativePath => ({ sourceFilePath: path.join(baseDir, relativePath), relativePath }))
+    .filter(({ sourceFilePath }) => fs.statSync(sourceFilePath).isFile())
+    .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
 /**
  * Apply base-path resolution to all file-path config values in a repo config object.
  * Handles string values, comma-separated strings (for rulesets-file/workflow-files),
- * and array values.
+ * array values, and the `source` of each `files` entry.
  * @param {Object} repoConfig - Repository configuration object
  * @param {string} basePath - Base path to prepend to relative file paths
  * @returns {Object} New repo config with resolved file paths
@@ -211,6 +649,15 @@ export function applyBasePathToRepoConfig(repoConfig, basePath) {
     }
   }
 
+  // files entries carry their source path inside an object
+  if (Array.isArray(resolved.files)) {
+    resolved.files = resolved.files.map(entry =>
+      entry && typeof entry === 'object' && typeof entry.source === 'string'
+        ? { ...entry, source: resolveFilePath(basePath, entry.source) }
+        : entry
+    );
+  }
+
   return resolved;
 }
 
@@ -244,6 +691,35 @@ function getEnumInput(name, allowedValues) {
   return upper;
 }
 
+/**
+ * Get optional integer input - returns the default if not set.
+ * @param {string} name - Input name
+ * @param {number} defaultValue - Value to use when the input is not set
+ * @param {number} [minimum=1] - Smallest accepted value (0 or 1)
+ * @returns {number} Parsed integer
+ */
+function getIntegerInput(name, defaultValue, minimum = 1) {
+  const val = core.getInput(name);
+  if (val === '') return defaultValue;
+  const parsed = Number(val.trim());
+  if (!Number.isInteger(parsed) || parsed < minimum) {
+    throw new Error(
+      `Invalid value for '${name}': '${val}'. Must be a ${minimum === 0 ? 'non-negative' : 'positive'} integer`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Parse a list value given as a comma-separated string (action input) or an array (YAML config)
+ * @param {string|Array<string>|null|undefined} value - Raw value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseListInput(value) {
+  const entries = Array.isArray(value) ? value.map(String) : typeof value === 'string' ? value.split(',') : [];
+  return entries.map(entry => entry.trim()).filter(entry => entry.length > 0);
+}
+
 /**
  * Coerce a repo-specific YAML config value to boolean.
  * Falls back to the global default when the value is missing or not a proper boolean.
@@ -261,7 +737,7 @@ function coerceBooleanConfig(value, fieldName, repo, globalDefault) {
     if (lower === 'true') return true;
     if (lower === 'false') return false;
   }
-  core.warning(
+  logWarning(
     `Invalid boolean value for '${fieldName}' in repo '${repo}': ${JSON.stringify(value)}. Using global default.`
   );
   return globalDefault;
@@ -283,12 +759,31 @@ function coerceEnumConfig(value, fieldName, repo, allowedValues, globalDefault)
     const upper = value.trim().toUpperCase();
     if (allowedValues.includes(upper)) return upper;
   }
-  core.warning(
+  logWarning(
     `Invalid value for '${fieldName}' in repo '${repo}': ${JSON.stringify(value)}. Allowed values: ${allowedValues.join(', ')}. Using global default.`
   );
   return globalDefault;
 }
 
+/**
+ * Coerce a repo-specific YAML config value to a string.
+ * Falls back to the global default when the value is missing or not a string; an empty string unsets it.
+ * @param {*} value - Raw value from YAML config
+ * @param {string} fieldName - Field name for warning messages
+ * @param {string} repo - Repository name for warning messages
+ * @param {string|null} globalDefault - Global input value to fall back to
+ * @returns {string|null} Trimmed string, null when empty, or global default
+ */
+function coerceStringConfig(value, fieldName, repo, globalDefault) {
+  if (value === undefined) return globalDefault;
+  if (value === null) return null;
+  if (typeof value === 'string') return value.trim() || null;
+  logWarning(
+    `Invalid string value for '${fieldName}' in repo '${repo}': ${JSON.stringify(value)}. Using global default.`
+  );
+  return globalDefault;
+}
+
 /**
  * Get all repositories with their custom property values for an organization
  * Uses the efficient org-level API: GET /orgs/{org}/properties/values
@@ -354,6 +849,164 @@ async function getRepositoryMetadata(octokit, repoFullName, repositoryMetadataCa
   }
 }
 
+const REQUEST_RETRY_BASE_DELAY_MS = 1000;
+const REQUEST_RETRY_MAX_DELAY_MS = 60000;
+
+/**
+ * Methods that can safely be repeated after any server error; a POST or PATCH that failed with
+ * a 500 may already have been applied (e.g. a created PR or comment)
+ */
+const IDEMPOTENT_REQUEST_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+/**
+ * Gateway errors returned before the request reached GitHub's application, so retrying is
+ * safe for every method
+ */
+const GATEWAY_ERROR_STATUSES = new Set([502, 503, 504]);
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a header from an Octokit response or error response.
+ * @param {Object|undefined} response - Octokit response
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} Header value
+ */
+function getResponseHeader(response, name) {
+  const value = response?.headers?.[name];
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+/**
+ * Get the primary rate limit reset time if the response reports an exhausted budget.
+ * @param {Object|undefined} response - Octokit response
+ * @returns {number|null} Reset time in epoch milliseconds, or null if budget remains
+ */
+function getPrimaryRateLimitResetMs(response) {
+  if (getResponseHeader(response, 'x-ratelimit-remaining') !== '0') {
+    return null;
+  }
+  const reset = Number(getResponseHeader(response, 'x-ratelimit-reset'));
+  return Number.isFinite(reset) && reset > 0 ? reset * 1000 : null;
+}
+
+/**
+ * Classify a failed request to decide whether it should be retried.
+ * Rate-limited requests were rejected before being processed, so they are retried for any
+ * method. Server errors are retried for idempotent methods (see IDEMPOTENT_REQUEST_METHODS),
+ * GraphQL requests (queries, and mutations that set state such as auto-merge or draft) and
+ * gateway errors (see GATEWAY_ERROR_STATUSES); other 5xx responses to POST and PATCH are not.
+ * @param {Error} error - Error thrown by Octokit
+ * @param {{method: string, url: string}} options - Request options
+ * @returns {'primary-rate-limit'|'secondary-rate-limit'|'server-error'|null} Retry reason, or null if not retryable
+ */
+function getRequestRetryReason(error, options) {
+  const status = error.status;
+  if (status === 403 || status === 429) {
+    if (getPrimaryRateLimitResetMs(error.response) !== null) {
+      return 'primary-rate-limit';
+    }
+    if (
+      status === 429 ||
+      getResponseHeader(error.response, 'retry-after') !== undefined ||
+      /secondary rate limit/i.test(error.message || '')
+    ) {
+      return 'secondary-rate-limit';
+    }
+    return null;
+  }
+  if (
+    status >= 500 &&
+    (GATEWAY_ERROR_STATUSES.has(status) ||
+      IDEMPOTENT_REQUEST_METHODS.has(String(options.method).toUpperCase()) ||
+      options.url === '/graphql')
+  ) {
+    return 'server-error';
+  }
+  return null;
+}
+
+/**
+ * Create a request hook that retries transient failures and respects GitHub rate limits.
+ * - 5xx responses (see getRequestRetryReason) and secondary rate limits are retried with exponential backoff
+ *   (honoring `retry-after` when GitHub provides it)
+ * - When the primary rate limit budget is exhausted, all requests pause until it resets
+ * Statistics are collected for the run summary.
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxRetries=3] - Maximum retries per request
+ * @param {Function} [options.sleep] - Wait function (overridable for tests)
+ * @param {Function} [options.now] - Clock function (overridable for tests)
+ * @returns {{hook: Function, stats: {retries: number, waitMs: number, rateLimitPauses: number}}} Hook for `octokit.hook.wrap('request', ...)` and its statistics
+ */
+export function createRequestRetryHook({ maxRetries = 3, sleep = delay, now = Date.now } = {}) {
+  const stats = { retries: 0, waitMs: 0, rateLimitPauses: 0 };
+  // Shared across concurrent requests so an exhausted budget pauses everything
+  let pausedUntil = 0;
+
+  const wait = async ms => {
+    if (ms <= 0) return;
+    stats.waitMs += ms;
+    await sleep(ms);
+  };
+
+  const pauseUntil = resetMs => {
+    if (resetMs > pausedUntil) {
+      pausedUntil = resetMs;
+      stats.rateLimitPauses++;
+      logWarning(
+        `⏳ GitHub API rate limit exhausted; pausing requests for ${Math.ceil((resetMs - now()) / 1000)}s until it resets`
+      );
+    }
+  };
+
+  const hook = async (request, options) => {
+    for (let attempt = 0; ; attempt++) {
+      await wait(pausedUntil - now());
+
+      try {
+        const response = await request(options);
+        const resetMs = getPrimaryRateLimitResetMs(response);
+        if (resetMs !== null) {
+          pauseUntil(resetMs);
+        }
+        return response;
+      } catch (error) {
+        const reason = getRequestRetryReason(error, options);
+        if (!reason || attempt >= maxRetries) {
+          throw error;
+        }
+
+        stats.retries++;
+        const route = `${options.method} ${options.url}`;
+        if (reason === 'primary-rate-limit') {
+          pauseUntil(getPrimaryRateLimitResetMs(error.response));
+          logDebug(`Retrying ${route} after primary rate limit reset (attempt ${attempt + 1}/${maxRetries})`);
+          continue;
+        }
+
+        const retryAfterSeconds = Number(getResponseHeader(error.response, 'retry-after'));
+        const backoffMs =
+          Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0
+            ? retryAfterSeconds * 1000
+            : Math.min(REQUEST_RETRY_BASE_DELAY_MS * 2 ** attempt, REQUEST_RETRY_MAX_DELAY_MS);
+        logDebug(
+          `Retrying ${route} in ${backoffMs}ms after ${reason === 'server-error' ? `HTTP ${error.status}` : 'secondary rate limit'} (attempt ${attempt + 1}/${maxRetries})`
+        );
+        await wait(backoffMs);
+      }
+    }
+  };
+
+  return { hook, stats };
+}
+
 const REPOSITORY_METADATA_FETCH_CONCURRENCY = 5;
 
 /**
@@ -413,7 +1066,7 @@ export async function filterRepositoriesByCustomProperty(octokit, owner, propert
   }
 
   try {
-    core.info(
+    logInfo(
       `Fetching repositories with custom property "${propertyName}" matching values: ${propertyValues.join(', ')}...`
     );
 
@@ -433,7 +1086,7 @@ export async function filterRepositoriesByCustomProperty(octokit, owner, propert
     // This is a single paginated call instead of N+1 calls (one per repo)
     const reposWithProperties = await getOrgRepositoriesWithProperties(octokit, owner);
 
-    core.info(`Found ${reposWithProperties.length} total repositories, filtering by custom property...`);
+    logInfo(`Found ${reposWithProperties.length} total repositories, filtering by custom property...`);
 
     // Filter repositories by checking their custom properties
     const matchedRepos = reposWithProperties
@@ -450,7 +1103,7 @@ export async function filterRepositoriesByCustomProperty(octokit, owner, propert
       })
       .map(repo => ({ repo: repo.repository_full_name }));
 
-    core.info(`Found ${matchedRepos.length} repositories matching custom property filter`);
+    logInfo(`Found ${matchedRepos.length} repositories matching custom property filter`);
     return matchedRepos;
   } catch (error) {
     throw new Error(`Failed to filter repositories by custom property: ${error.message}`);
@@ -483,7 +1136,7 @@ export async function parseConfigWithRules(config, octokit) {
   // Key: repo full name, Value: merged settings object
   const repoSettingsMap = new Map();
 
-  core.info(`Processing ${config.rules.length} rule(s)...`);
+  logInfo(`Processing ${config.rules.length} rule(s)...`);
 
   for (let i = 0; i < config.rules.length; i++) {
     const rule = config.rules[i];
@@ -555,7 +1208,7 @@ export async function parseConfigWithRules(config, octokit) {
         throw new Error(`Rule ${i + 1}: custom-property selector must have "value" or "values" property`);
       }
 
-      core.info(`Rule ${i + 1}: Filtering by custom property "${propertyName}" = [${propertyValues.join(', ')}]`);
+      logInfo(`Rule ${i + 1}: Filtering by custom property "${propertyName}" = [${propertyValues.join(', ')}]`);
 
       // Verify this is an organization (only once)
       if (!orgVerified) {
@@ -574,9 +1227,9 @@ export async function parseConfigWithRules(config, octokit) {
 
       // Fetch org repos with properties (cached)
       if (!cachedReposWithProperties) {
-        core.info(`Fetching all repositories with custom properties for ${owner}...`);
+        logInfo(`Fetching all repositories with custom properties for ${owner}...`);
         cachedReposWithProperties = await getOrgRepositoriesWithProperties(octokit, owner);
-        core.info(`Found ${cachedReposWithProperties.length} total repositories`);
+        logInfo(`Found ${cachedReposWithProperties.length} total repositories`);
       }
 
       // Filter by property
@@ -592,7 +1245,7 @@ export async function parseConfigWithRules(config, octokit) {
         })
         .map(repo => ({ repo: repo.repository_full_name }));
 
-      core.info(`  → Matched ${matchedRepos.length} repositories`);
+      logInfo(`  → Matched ${matchedRepos.length} repositories`);
     }
     // Handle repos selector (explicit list)
     else if (rule.selector.repos && Array.isArray(rule.selector.repos)) {
@@ -610,11 +1263,11 @@ export async function parseConfigWithRules(config, octokit) {
         // If repo doesn't include owner, prepend it
         return { repo: trimmedRepo.includes('/') ? trimmedRepo : `${owner}/${trimmedRepo}` };
       });
-      core.info(`Rule ${i + 1}: Targeting ${matchedRepos.length} explicit repositories`);
+      logInfo(`Rule ${i + 1}: Targeting ${matchedRepos.length} explicit repositories`);
     }
     // Handle "all" selector
     else if (rule.selector.all === true) {
-      core.info(`Rule ${i + 1}: Targeting all repositories for ${owner}`);
+      logInfo(`Rule ${i + 1}: Targeting all repositories for ${owner}`);
 
       // Fetch all repos for org/user
       let isOrg = false;
@@ -650,7 +1303,7 @@ export async function parseConfigWithRules(config, octokit) {
           page++;
         }
       }
-      core.info(`  → Matched ${matchedRepos.length} repositories`);
+      logInfo(`  → Matched ${matchedRepos.length} repositories`);
     } else {
       throw new Error(`Rule ${i + 1}: selector must have "custom-property", "repos", or "all" property`);
     }
@@ -661,14 +1314,12 @@ export async function parseConfigWithRules(config, octokit) {
 
     if (rule.selector.fork !== undefined) {
       matchedRepos = matchedRepos.filter(matchedRepo => matchedRepo.repository.fork === rule.selector.fork);
-      core.info(`  → After fork filter (${rule.selector.fork}), ${matchedRepos.length} repositories remain`);
+      logInfo(`  → After fork filter (${rule.selector.fork}), ${matchedRepos.length} repositories remain`);
     }
 
     if (rule.selector.visibility !== undefined) {
       matchedRepos = matchedRepos.filter(matchedRepo => matchedRepo.repository.visibility === rule.selector.visibility);
-      core.info(
-        `  → After visibility filter (${rule.selector.visibility}), ${matchedRepos.length} repositories remain`
-      );
+      logInfo(`  → After visibility filter (${rule.selector.visibility}), ${matchedRepos.length} repositories remain`);
     }
 
     // Merge settings for each matched repo
@@ -690,7 +1341,7 @@ export async function parseConfigWithRules(config, octokit) {
     validateRepoConfig(repoConfig, repoConfig.repo);
   }
 
-  core.info(`Total: ${result.length} unique repositories to process`);
+  logInfo(`Total: ${result.length} unique repositories to process`);
 
   return result;
 }
@@ -744,7 +1395,7 @@ export async function parseRepositories(
 
       // Check if this is a rules-based configuration
       if (Array.isArray(data.rules)) {
-        core.info('Detected rules-based configuration file');
+        logInfo('Detected rules-based configuration file');
         repoList = await parseConfigWithRules(data, octokit);
       }
       // Support repos array format (backwards compatible)
@@ -772,7 +1423,7 @@ export async function parseRepositories(
         if (typeof basePath !== 'string') {
           throw new Error(`'base-path' must be a string, got ${typeof basePath}`);
         }
-        core.info(`Resolving file paths relative to base-path: ${basePath}`);
+        logInfo(`Resolving file paths relative to base-path: ${basePath}`);
         repoList = repoList.map(repo => applyBasePathToRepoConfig(repo, basePath));
       }
     } catch (error) {
@@ -786,7 +1437,7 @@ export async function parseRepositories(
     }
 
     try {
-      core.info(`Fetching all repositories for ${owner}...`);
+      logInfo(`Fetching all repositories for ${owner}...`);
       const repos = [];
       let page = 1;
       let hasMore = true;
@@ -826,7 +1477,7 @@ export async function parseRepositories(
       }
 
       repoList = repos;
-      core.info(`Found ${repoList.length} repositories`);
+      logInfo(`Found ${repoList.length} repositories`);
     } catch (error) {
       throw new Error(`Failed to fetch repositories for ${owner}: ${error.message}`);
     }
@@ -878,7 +1529,10 @@ const SYNC_KIND_LABELS = Object.freeze({
   'environments-sync': 'environments',
   'copilot-instructions-sync': 'copilot-instructions.md',
   'codeowners-sync': 'CODEOWNERS',
-  'package-json-sync': 'package.json'
+  'package-json-sync': 'package.json',
+  'combined-file-sync': 'repository files',
+  'file-sync': 'files',
+  'remove-files-sync': 'retired files'
 });
 
 /**
@@ -910,6 +1564,35 @@ function statusForSync(syncStatus) {
   return syncStatus === 'pr-up-to-date' ? SubResultStatus.PENDING : SubResultStatus.CHANGED;
 }
 
+/**
+ * Add a WARNING sub-result for each warning a file sync reported: a stale sync PR that couldn't be
+ * handled, auto-merge that couldn't be enabled, or a direct commit that fell back to a pull request.
+ * @param {Object} result - Repository result to add the sub-results to
+ * @param {string} kind - Sub-result kind of the file sync (e.g., 'dependabot-sync')
+ * @param {{ stalePrWarning?: { message: string, prNumber?: number, prUrl?: string }, autoMergeWarning?: string, directCommitWarning?: string, prNumber?: number, prUrl?: string }} syncResult - File sync result
+ */
+function pushSyncWarnings(result, kind, syncResult) {
+  const prRef = { prNumber: syncResult.prNumber, prUrl: syncResult.prUrl };
+  const warnings = [
+    syncResult.stalePrWarning && {
+      message: syncResult.stalePrWarning.message,
+      prNumber: syncResult.stalePrWarning.prNumber,
+      prUrl: syncResult.stalePrWarning.prUrl
+    },
+    syncResult.autoMergeWarning && { ...prRef, message: syncResult.autoMergeWarning },
+    syncResult.directCommitWarning && { ...prRef, message: syncResult.directCommitWarning }
+  ].filter(Boolean);
+  for (const warning of warnings) {
+    result.hasWarnings = true;
+    result.subResults.push(
+      createSubResult(kind, SubResultStatus.WARNING, warning.message, {
+        prNumber: warning.prNumber,
+        prUrl: warning.prUrl
+      })
+    );
+  }
+}
+
 /**
  * Filter repositories to those owned by the configured owner.
  * GitHub's user repository listing can include repositories visible to the user
@@ -948,8 +1631,12 @@ function capitalizeLabel(label) {
 /**
  * Repository settings that are diffed and synced via `repos.update`.
  * `requiredCompanionField` is used for GitHub API fields that require a paired title value.
+ * `appliesTo` limits a setting to repositories it can be changed on; `notApplicableReason` explains the skip.
+ * `templated` values are rendered with the repository's template variables (see replaceTemplateVariables).
  */
 const REPOSITORY_SETTING_FIELDS = Object.freeze([
+  { key: 'description', templated: true },
+  { key: 'homepage', templated: true },
   { key: 'allow_squash_merge' },
   { key: 'squash_merge_commit_title' },
   {
@@ -967,7 +1654,18 @@ const REPOSITORY_SETTING_FIELDS = Object.freeze([
   { key: 'allow_rebase_merge' },
   { key: 'allow_auto_merge' },
   { key: 'delete_branch_on_merge' },
-  { key: 'allow_update_branch' }
+  { key: 'allow_update_branch' },
+  { key: 'has_issues' },
+  { key: 'has_wiki' },
+  { key: 'has_projects' },
+  { key: 'has_discussions' },
+  { key: 'is_template' },
+  { key: 'web_commit_signoff_required' },
+  {
+    key: 'allow_forking',
+    appliesTo: repoData => repoData.visibility !== 'public',
+    notApplicableReason: 'forking is always allowed for public repositories'
+  }
 ]);
 
 /**
@@ -1183,13 +1881,245 @@ async function handleSecurityAnalysisToggle({
 }
 
 /**
- * Format a curated summary message for a sub-result in the summary table.
- * Uses the label map for human-readable names and sync status for phrasing.
- * @param {{ kind: string, status: string, message: string, syncStatus?: string, prNumber?: number }} subResult
- * @param {boolean} dryRun - Whether this is a dry-run
- * @returns {string} Curated summary text
+ * GitHub Actions permission endpoints and the settings each one manages.
+ * Every endpoint is read and written as a whole, so unmanaged fields keep their current values.
+ * `requiresSelectedActions` endpoints only apply while allowed_actions is 'selected'.
  */
-function formatSubResultSummary(subResult, dryRun) {
+const ACTIONS_PERMISSION_ENDPOINTS = Object.freeze([
+  {
+    featureId: 'actions-permissions',
+    label: 'Actions permissions',
+    route: '/repos/{owner}/{repo}/actions/permissions',
+    fields: ['enabled', 'allowed_actions']
+  },
+  {
+    featureId: 'actions-selected-actions',
+    label: 'allowed actions',
+    route: '/repos/{owner}/{repo}/actions/permissions/selected-actions',
+    fields: ['github_owned_allowed', 'verified_allowed', 'patterns_allowed'],
+    requiresSelectedActions: true
+  },
+  {
+    featureId: 'actions-workflow-permissions',
+    label: 'workflow permissions',
+    route: '/repos/{owner}/{repo}/actions/permissions/workflow',
+    fields: ['default_workflow_permissions', 'can_approve_pull_request_reviews']
+  },
+  {
+    featureId: 'actions-fork-pr-approval',
+    label: 'fork pull request approval',
+    route: '/repos/{owner}/{repo}/actions/permissions/fork-pr-contributor-approval',
+    fields: ['approval_policy']
+  }
+]);
+
+/**
+ * Allowed values for the actions-fork-pr-approval input (uppercase, as returned by getEnumInput).
+ */
+const ACTIONS_FORK_PR_APPROVAL_POLICIES = Object.freeze([
+  'FIRST_TIME_CONTRIBUTORS_NEW_TO_GITHUB',
+  'FIRST_TIME_CONTRIBUTORS',
+  'ALL_EXTERNAL_CONTRIBUTORS'
+]);
+
+/**
+ * Resolve a repository's GitHub Actions permissions from its YAML config, falling back to the global inputs.
+ * @param {Object} repoConfig - Repository configuration
+ * @param {string} repo - Repository name for warning messages
+ * @param {Object} globalPermissions - Global Actions permissions keyed by API field
+ * @returns {Object} Actions permissions keyed by API field
+ */
+function getRepoActionsPermissions(repoConfig, repo, globalPermissions) {
+  const coerceLowercaseEnum = (field, inputName, allowedValues) => {
+    const globalValue = globalPermissions[field]?.toUpperCase() ?? null;
+    return coerceEnumConfig(repoConfig[inputName], inputName, repo, allowedValues, globalValue)?.toLowerCase() ?? null;
+  };
+
+  return {
+    enabled: coerceBooleanConfig(repoConfig['actions-enabled'], 'actions-enabled', repo, globalPermissions.enabled),
+    allowed_actions: coerceLowercaseEnum('allowed_actions', 'actions-allowed-actions', [
+      'ALL',
+      'LOCAL_ONLY',
+      'SELECTED'
+    ]),
+    github_owned_allowed: coerceBooleanConfig(
+      repoConfig['actions-github-owned-allowed'],
+      'actions-github-owned-allowed',
+      repo,
+      globalPermissions.github_owned_allowed
+    ),
+    verified_allowed: coerceBooleanConfig(
+      repoConfig['actions-verified-allowed'],
+      'actions-verified-allowed',
+      repo,
+      globalPermissions.verified_allowed
+    ),
+    patterns_allowed:
+      repoConfig['actions-patterns-allowed'] !== undefined
+        ? parseListInput(repoConfig['actions-patterns-allowed'])
+        : globalPermissions.patterns_allowed,
+    default_workflow_permissions: coerceLowercaseEnum('default_workflow_permissions', 'actions-workflow-permissions', [
+      'READ',
+      'WRITE'
+    ]),
+    can_approve_pull_request_reviews: coerceBooleanConfig(
+      repoConfig['actions-can-approve-prs'],
+      'actions-can-approve-prs',
+      repo,
+      globalPermissions.can_approve_pull_request_reviews
+    ),
+    approval_policy: coerceLowercaseEnum(
+      'approval_policy',
+      'actions-fork-pr-approval',
+      ACTIONS_FORK_PR_APPROVAL_POLICIES
+    )
+  };
+}
+
+/**
+ * Format a setting value for log output; lists are shown comma-separated.
+ * @param {*} value - Setting value
+ * @returns {string} Printable value
+ */
+function formatSettingValue(value) {
+  return Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+}
+
+/**
+ * Compare a current and desired setting value; lists are compared regardless of order.
+ * @param {*} currentValue - Current value from the API
+ * @param {*} desiredValue - Desired value
+ * @returns {boolean} True if the values are equivalent
+ */
+function settingValuesEqual(currentValue, desiredValue) {
+  if (Array.isArray(currentValue) && Array.isArray(desiredValue)) {
+    return JSON.stringify([...currentValue].sort()) === JSON.stringify([...desiredValue].sort());
+  }
+  return currentValue === desiredValue;
+}
+
+/**
+ * Handle a group of settings backed by GitHub's GET + PUT endpoint pattern.
+ * Reads the current values, diffs the desired ones and writes the merged object back when needed.
+ * @param {Object} options - Endpoint settings options
+ * @param {Object} options.ctx - Shared per-repository context
+ * @param {Object} options.desiredValues - Desired values keyed by API field; null values are not managed
+ * @param {string} options.featureId - Hyphenated feature identifier used for sub-results
+ * @param {string} options.label - Human-readable label used in messages
+ * @param {string} options.route - REST path used for both reading and writing
+ * @param {Array<string>} options.fields - API fields managed through this endpoint
+ * @param {Function} [options.readCurrentValues] - Async override returning the current values
+ * @returns {Promise<void>}
+ */
+async function handleEndpointSettings({ ctx, desiredValues, featureId, label, route, fields, readCurrentValues }) {
+  const { octokit, owner, repoName, result, dryRun } = ctx;
+  const featureStem = getFeatureResultStem(featureId);
+
+  try {
+    const currentData = readCurrentValues
+      ? await readCurrentValues()
+      : (await octokit.request(`GET ${route}`, { owner, repo: repoName })).data;
+    const currentValues = Object.fromEntries(
+      fields.filter(field => currentData[field] !== undefined).map(field => [field, currentData[field]])
+    );
+    result[`current${capitalizeLabel(featureStem)}`] = currentValues;
+
+    const changes = fields
+      .filter(field => desiredValues[field] != null && !settingValuesEqual(currentValues[field], desiredValues[field]))
+      .map(field => ({ setting: field, from: currentValues[field], to: desiredValues[field] }));
+
+    if (changes.length === 0) {
+      result[`${featureStem}Unchanged`] = true;
+      return;
+    }
+    result[`${featureStem}Changes`] = changes;
+
+    if (!dryRun) {
+      const managedValues = Object.fromEntries(
+        fields.filter(field => desiredValues[field] != null).map(field => [field, desiredValues[field]])
+      );
+      await octokit.request(`PUT ${route}`, {
+        owner,
+        repo: repoName,
+        ...currentValues,
+        ...managedValues
+      });
+      result[`${featureStem}Updated`] = true;
+    } else {
+      result[`${featureStem}WouldUpdate`] = true;
+    }
+
+    const settingNames = changes.map(change => change.setting.replace(/_/g, '-'));
+    result.subResults.push(
+      createSubResult(
+        featureId,
+        SubResultStatus.CHANGED,
+        `${dryRun ? 'Would update' : 'Updated'} ${label}: ${settingNames.join(', ')}`
+      )
+    );
+  } catch (error) {
+    result[`${featureStem}Warning`] = `Could not process ${label}: ${error.message}`;
+    result.hasWarnings = true;
+    result.subResults.push(
+      createSubResult(featureId, SubResultStatus.WARNING, `${capitalizeLabel(label)} produced a warning`)
+    );
+  }
+}
+
+/**
+ * Apply GitHub Actions permissions to a repository, one endpoint at a time (see ACTIONS_PERMISSION_ENDPOINTS).
+ * @param {Object} ctx - Shared per-repository context
+ * @param {Object} actionsPermissions - Desired values keyed by API field; null values are not managed
+ * @returns {Promise<void>}
+ */
+async function handleActionsPermissions(ctx, actionsPermissions) {
+  const { octokit, owner, repoName, result } = ctx;
+
+  for (const endpoint of ACTIONS_PERMISSION_ENDPOINTS) {
+    if (endpoint.fields.every(field => actionsPermissions[field] == null)) {
+      continue;
+    }
+
+    let readCurrentValues;
+    if (endpoint.requiresSelectedActions) {
+      readCurrentValues = async () => {
+        const currentPermissions =
+          result.currentActionsPermissions ??
+          (await octokit.request('GET /repos/{owner}/{repo}/actions/permissions', { owner, repo: repoName })).data;
+        const allowedActions = actionsPermissions.allowed_actions ?? currentPermissions.allowed_actions;
+        if (allowedActions !== 'selected') {
+          throw new Error(
+            `allowed actions is '${allowedActions}'; set actions-allowed-actions to 'selected' to manage the allow list`
+          );
+        }
+        // A repository only now switching to selected actions has no allow list to compare against yet
+        if (currentPermissions.allowed_actions !== 'selected') {
+          return {};
+        }
+        return (await octokit.request(`GET ${endpoint.route}`, { owner, repo: repoName })).data;
+      };
+    }
+
+    await handleEndpointSettings({
+      ctx,
+      desiredValues: actionsPermissions,
+      featureId: endpoint.featureId,
+      label: endpoint.label,
+      route: endpoint.route,
+      fields: endpoint.fields,
+      readCurrentValues
+    });
+  }
+}
+
+/**
+ * Format a curated summary message for a sub-result in the summary table.
+ * Uses the label map for human-readable names and sync status for phrasing.
+ * @param {{ kind: string, status: string, message: string, syncStatus?: string, prNumber?: number }} subResult
+ * @param {boolean} dryRun - Whether this is a dry-run
+ * @returns {string} Curated summary text
+ */
+function formatSubResultSummary(subResult, dryRun) {
   const label = SYNC_KIND_LABELS[subResult.kind];
   if (!label) return subResult.message;
 
@@ -1213,6 +2143,8 @@ function formatSubResultSummary(subResult, dryRun) {
     return `Would close stale ${prRef} for ${label}`;
   } else if (syncStatus === 'would-update-pr') {
     return `Would update existing ${prRef} for ${label}`;
+  } else if (syncStatus === 'committed') {
+    return `${label} (committed directly)`;
   } else if (syncStatus.startsWith('would-')) {
     return `Would sync ${label}`;
   }
@@ -1238,18 +2170,205 @@ export function formatPrLink(prNumber, prUrl) {
   try {
     const parsedUrl = new URL(prUrl);
     if (parsedUrl.protocol !== 'https:') {
-      core.warning(`Ignoring PR URL with unsupported protocol in summary: ${prUrl}`);
+      logWarning(`Ignoring PR URL with unsupported protocol in summary: ${prUrl}`);
       return `PR #${prNumber}`;
     }
 
     const safeUrl = escapeHtmlAttribute(prUrl);
     return `<a href="${safeUrl}">PR #${prNumber}</a>`;
   } catch {
-    core.warning(`Ignoring invalid PR URL in summary: ${prUrl}`);
+    logWarning(`Ignoring invalid PR URL in summary: ${prUrl}`);
     return `PR #${prNumber}`;
   }
 }
 
+/**
+ * GitHub topic naming rules: lowercase letters, numbers and hyphens, starting with a letter or number
+ */
+const TOPIC_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_TOPIC_LENGTH = 50;
+const MAX_TOPICS_PER_REPOSITORY = 20;
+
+/**
+ * Find topics that break GitHub's naming rules.
+ * @param {Array<string>} topics - Topics to check
+ * @returns {Array<string>} Invalid topics
+ */
+export function getInvalidTopics(topics) {
+  return topics.filter(topic => !TOPIC_NAME_PATTERN.test(topic) || topic.length > MAX_TOPIC_LENGTH);
+}
+
+/**
+ * Describe invalid topics for error messages
+ * @param {Array<string>} invalidTopics - Topics from getInvalidTopics
+ * @returns {string} Message explaining the naming rules
+ */
+function formatInvalidTopicsMessage(invalidTopics) {
+  return `Invalid topic(s): ${invalidTopics.join(', ')}. Topics must start with a lowercase letter or number, contain only lowercase letters, numbers and hyphens, and be at most ${MAX_TOPIC_LENGTH} characters`;
+}
+
+/**
+ * Work out a repository's topics from the replace, add and remove lists.
+ * Each topic is rendered with the repository's template variables first: templates that render empty
+ * are dropped, and templates that can't be rendered (e.g. an unset custom property) are skipped and
+ * reported. The result is validated so no invalid topic reaches the API.
+ * @param {Array<string>} currentTopics - The repository's current topics
+ * @param {Object} topicConfig - Topic lists
+ * @param {Array<string>|null} topicConfig.replace - Topics replacing the current ones, or null to start from the current topics
+ * @param {Array<string>} topicConfig.add - Topics to add
+ * @param {Array<string>} topicConfig.remove - Topics to remove
+ * @param {Object} templateVars - Variables for topic templates (see getRepositoryTemplateVars)
+ * @returns {{topics: Array<string>, skipped: Array<string>}} Desired topics, and a message per skipped topic template
+ * @throws {Error} If a topic is invalid or there are too many topics
+ */
+export function resolveTopics(currentTopics, topicConfig, templateVars) {
+  const skipped = [];
+  const render = topics =>
+    (topics || [])
+      .map(topic => {
+        try {
+          return replaceTemplateVariables(topic, templateVars).trim();
+        } catch (error) {
+          skipped.push(`Skipped topic '${topic}': ${error.message}`);
+          return '';
+        }
+      })
+      .filter(Boolean);
+  const replace = topicConfig.replace === null ? null : render(topicConfig.replace);
+  const add = render(topicConfig.add);
+  const remove = new Set(render(topicConfig.remove));
+
+  const invalidTopics = getInvalidTopics([...(replace || []), ...add]);
+  if (invalidTopics.length > 0) {
+    throw new Error(formatInvalidTopicsMessage(invalidTopics));
+  }
+
+  const topics = [...new Set([...(replace ?? currentTopics), ...add])].filter(topic => !remove.has(topic));
+  if (topics.length > MAX_TOPICS_PER_REPOSITORY) {
+    throw new Error(
+      `${topics.length} topics exceed GitHub's limit of ${MAX_TOPICS_PER_REPOSITORY} topics per repository`
+    );
+  }
+  return { topics, skipped };
+}
+
+/**
+ * Parse a comma-separated topics input and validate topics that don't use template variables.
+ * @param {string} inputName - Action input name
+ * @returns {Array<string>} Topics (templated topics are validated per repository once rendered)
+ * @throws {Error} If a topic is invalid
+ */
+function getTopicsListInput(inputName) {
+  const topics = parseListInput(core.getInput(inputName));
+  const invalidTopics = getInvalidTopics(topics.filter(topic => !topic.includes('{{')));
+  if (invalidTopics.length > 0) {
+    throw new Error(`${formatInvalidTopicsMessage(invalidTopics)} (input '${inputName}')`);
+  }
+  return topics;
+}
+
+/**
+ * Move a repository's default branch to the desired name.
+ * A missing target branch is created by renaming the current default branch, which retargets open pull
+ * requests and branch protections. An existing target branch becomes the default only when it contains
+ * every commit of the current default branch; otherwise the change is skipped with a warning.
+ * @param {Object} ctx - Shared per-repository context
+ * @param {Object} ctx.octokit - Octokit client
+ * @param {string} ctx.owner - Repository owner
+ * @param {string} ctx.repoName - Repository name
+ * @param {Object} ctx.currentRepo - Current repository data
+ * @param {Object} ctx.result - Mutable repository result object
+ * @param {boolean} ctx.dryRun - Preview mode without applying changes
+ * @param {string} desiredBranch - Desired default branch name
+ * @returns {Promise<void>}
+ */
+async function handleDefaultBranch(ctx, desiredBranch) {
+  const { octokit, owner, repoName, currentRepo, result, dryRun } = ctx;
+  const currentBranch = currentRepo.default_branch;
+  result.currentDefaultBranch = currentBranch;
+
+  if (currentBranch === desiredBranch) {
+    result.defaultBranchUnchanged = true;
+    return;
+  }
+
+  try {
+    let targetExists = true;
+    try {
+      await octokit.rest.repos.getBranch({
+        owner,
+        repo: repoName,
+        branch: desiredBranch
+      });
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      targetExists = false;
+    }
+
+    let action = 'rename';
+    if (targetExists) {
+      const { data: comparison } = await octokit.rest.repos.compareCommits({
+        owner,
+        repo: repoName,
+        base: currentBranch,
+        head: desiredBranch
+      });
+      if (comparison.status !== 'identical' && comparison.status !== 'ahead') {
+        result.defaultBranchWarning = `Branch '${desiredBranch}' already exists with different history than '${currentBranch}' (${comparison.ahead_by} commit(s) ahead, ${comparison.behind_by} commit(s) behind); skipping default branch change`;
+        result.hasWarnings = true;
+        result.subResults.push(
+          createSubResult('default-branch', SubResultStatus.WARNING, 'Default branch produced a warning')
+        );
+        return;
+      }
+      action = 'switch';
+    }
+
+    result.defaultBranchChange = {
+      from: currentBranch,
+      to: desiredBranch,
+      action
+    };
+
+    if (!dryRun) {
+      if (action === 'rename') {
+        await octokit.rest.repos.renameBranch({
+          owner,
+          repo: repoName,
+          branch: currentBranch,
+          new_name: desiredBranch
+        });
+      } else {
+        await octokit.rest.repos.update({
+          owner,
+          repo: repoName,
+          default_branch: desiredBranch
+        });
+      }
+      result.defaultBranchUpdated = true;
+    } else {
+      result.defaultBranchWouldUpdate = true;
+    }
+
+    const actionText = dryRun ? `Would ${action}` : action === 'rename' ? 'Renamed' : 'Switched';
+    result.subResults.push(
+      createSubResult(
+        'default-branch',
+        SubResultStatus.CHANGED,
+        `${actionText} default branch: ${currentBranch} → ${desiredBranch}`
+      )
+    );
+  } catch (error) {
+    result.defaultBranchWarning = `Could not update default branch: ${error.message}`;
+    result.hasWarnings = true;
+    result.subResults.push(
+      createSubResult('default-branch', SubResultStatus.WARNING, 'Default branch produced a warning')
+    );
+  }
+}
+
 /**
  * Update repository settings
  * @param {Octokit} octokit - Octokit instance
@@ -1257,7 +2376,7 @@ export function formatPrLink(prNumber, prUrl) {
  * @param {Object} settings - Settings to update
  * @param {boolean} enableCodeScanning - Enable default CodeQL scanning
  * @param {boolean|null} immutableReleases - Enable or disable immutable releases
- * @param {Array<string>|null} topics - Topics to set on repository
+ * @param {Array<string>|null} topics - Topics to set on repository (replaces the existing topics)
  * @param {Object} securitySettings - Security settings to update
  * @param {boolean|null} securitySettings.secretScanning - Enable or disable secret scanning
  * @param {boolean|null} securitySettings.secretScanningPushProtection - Enable or disable push protection
@@ -1265,6 +2384,15 @@ export function formatPrLink(prNumber, prUrl) {
  * @param {boolean|null} securitySettings.dependabotAlerts - Enable or disable Dependabot alerts
  * @param {boolean|null} securitySettings.dependabotSecurityUpdates - Enable or disable Dependabot security updates
  * @param {boolean} dryRun - Preview mode without making actual changes
+ * @param {Object} [settingOptions] - How templated settings (description, homepage, topics) are applied
+ * @param {Object} [settingOptions.templateVars] - Variables for templated settings, on top of the built-in
+ *   repository variables (see getRepositoryTemplateVars)
+ * @param {Array<string>} [settingOptions.onlyIfEmpty] - Setting keys that are only set when the repository has no value yet
+ * @param {Array<string>} [settingOptions.topicsAdd] - Topics to add, keeping the repository's other topics
+ * @param {Array<string>} [settingOptions.topicsRemove] - Topics to remove, keeping the repository's other topics
+ * @param {string|null} [settingOptions.defaultBranch] - Default branch name to rename or switch to
+ * @param {Object} [settingOptions.actionsPermissions] - GitHub Actions permissions keyed by API field
+ *   (see ACTIONS_PERMISSION_ENDPOINTS); null values are not managed
  * @returns {Promise<Object>} Result object
  */
 export async function updateRepositorySettings(
@@ -1275,7 +2403,8 @@ export async function updateRepositorySettings(
   immutableReleases,
   topics,
   securitySettings,
-  dryRun
+  dryRun,
+  settingOptions = {}
 ) {
   const [owner, repoName] = repo.split('/');
 
@@ -1302,7 +2431,7 @@ export async function updateRepositorySettings(
     } catch (error) {
       // Handle 403 (Forbidden) - likely means the app doesn't have access
       if (error.status === 403) {
-        core.warning(
+        logWarning(
           `Access denied to repository ${repo}. The GitHub App or token does not have permission to access this repository. Skipping.`
         );
         return {
@@ -1334,7 +2463,7 @@ export async function updateRepositorySettings(
     // Check if we have insufficient permissions
     // The 'permissions' object should always be present. If it's missing, we don't have any access.
     if (!currentRepo.permissions) {
-      core.warning(
+      logWarning(
         `Insufficient permissions for repository ${repo}. GitHub App may not be installed or does not have sufficient access. Skipping.`
       );
       return {
@@ -1361,7 +2490,7 @@ export async function updateRepositorySettings(
     ];
     const allSettingsUndefined = settingsFields.every(field => currentRepo[field] === undefined);
     if (allSettingsUndefined) {
-      core.warning(
+      logWarning(
         `Cannot read repository settings for ${repo}. GitHub App may not be installed on this repository. Skipping.`
       );
       return {
@@ -1383,13 +2512,39 @@ export async function updateRepositorySettings(
 
     const changes = [];
     const currentSettings = {};
+    const settingWarnings = [];
+    const onlyIfEmpty = settingOptions.onlyIfEmpty || [];
+    const templateVars = { ...getRepositoryTemplateVars(currentRepo), ...settingOptions.templateVars };
 
     for (const field of REPOSITORY_SETTING_FIELDS) {
-      const desiredValue = settings[field.key];
+      let desiredValue = settings[field.key];
       if (desiredValue == null) {
         continue;
       }
 
+      if (field.templated) {
+        try {
+          desiredValue = replaceTemplateVariables(desiredValue, templateVars).trim();
+        } catch (error) {
+          const warning = `Skipping ${field.key} for ${repo}: ${error.message}`;
+          logWarning(`  ⚠️  ${warning}`);
+          settingWarnings.push(warning);
+          continue;
+        }
+      }
+
+      // Hand-written values are kept when the setting should only fill in blanks
+      if (onlyIfEmpty.includes(field.key) && currentRepo[field.key]) {
+        continue;
+      }
+
+      if (field.appliesTo && !field.appliesTo(currentRepo)) {
+        if (currentRepo[field.key] !== desiredValue) {
+          logWarning(`  ⚠️  Skipping ${field.key.replace(/_/g, '-')} for ${repo}: ${field.notApplicableReason}`);
+        }
+        continue;
+      }
+
       updateParams[field.key] = desiredValue;
       currentSettings[field.key] = currentRepo[field.key];
 
@@ -1437,6 +2592,11 @@ export async function updateRepositorySettings(
       dryRun
     };
 
+    for (const warning of settingWarnings) {
+      result.hasWarnings = true;
+      result.subResults.push(createSubResult('settings', SubResultStatus.WARNING, warning));
+    }
+
     const ctx = {
       octokit,
       owner,
@@ -1460,7 +2620,9 @@ export async function updateRepositorySettings(
     }
 
     // Handle topics
-    if (topics !== null) {
+    const topicsAdd = settingOptions.topicsAdd || [];
+    const topicsRemove = settingOptions.topicsRemove || [];
+    if (topics !== null || topicsAdd.length > 0 || topicsRemove.length > 0) {
       try {
         // Fetch current topics
         const { data: topicsData } = await octokit.rest.repos.getAllTopics({
@@ -1470,11 +2632,22 @@ export async function updateRepositorySettings(
         const currentTopics = topicsData.names || [];
         result.currentTopics = currentTopics;
 
+        const { topics: desiredTopics, skipped: skippedTopics } = resolveTopics(
+          currentTopics,
+          { replace: topics, add: topicsAdd, remove: topicsRemove },
+          templateVars
+        );
+        for (const warning of skippedTopics) {
+          logWarning(`  ⚠️  ${warning}`);
+          result.hasWarnings = true;
+          result.subResults.push(createSubResult('topics', SubResultStatus.WARNING, warning));
+        }
+
         // Check if topics are different (order-independent comparison)
         const currentTopicsSet = new Set(currentTopics);
-        const newTopicsSet = new Set(topics);
+        const newTopicsSet = new Set(desiredTopics);
 
-        const topicsToAdd = topics.filter(topic => !currentTopicsSet.has(topic));
+        const topicsToAdd = desiredTopics.filter(topic => !currentTopicsSet.has(topic));
         const topicsToRemove = currentTopics.filter(topic => !newTopicsSet.has(topic));
 
         const topicsChanged = topicsToAdd.length > 0 || topicsToRemove.length > 0;
@@ -1482,7 +2655,7 @@ export async function updateRepositorySettings(
         if (topicsChanged) {
           result.topicsChange = {
             from: currentTopics,
-            to: topics,
+            to: desiredTopics,
             added: topicsToAdd,
             removed: topicsToRemove
           };
@@ -1491,7 +2664,7 @@ export async function updateRepositorySettings(
             await octokit.rest.repos.replaceAllTopics({
               owner,
               repo: repoName,
-              names: topics
+              names: desiredTopics
             });
             result.topicsUpdated = true;
           } else {
@@ -1507,7 +2680,7 @@ export async function updateRepositorySettings(
         } else {
           result.topicsUnchanged = true;
         }
-        result.topics = topics;
+        result.topics = desiredTopics;
       } catch (error) {
         result.topicsWarning = `Could not process topics: ${error.message}`;
         result.hasWarnings = true;
@@ -1515,6 +2688,11 @@ export async function updateRepositorySettings(
       }
     }
 
+    // Handle default branch
+    if (settingOptions.defaultBranch) {
+      await handleDefaultBranch(ctx, settingOptions.defaultBranch);
+    }
+
     // Handle CodeQL scanning
     if (enableCodeScanning !== null) {
       try {
@@ -1682,6 +2860,11 @@ export async function updateRepositorySettings(
       });
     } // End of if (securitySettings)
 
+    // Handle GitHub Actions permissions
+    if (settingOptions.actionsPermissions) {
+      await handleActionsPermissions(ctx, settingOptions.actionsPermissions);
+    }
+
     return result;
   } catch (error) {
     return {
@@ -1712,7 +2895,7 @@ export async function closeStaleActionPrs(octokit, repo, branchName, dryRun, aut
 
   // If authenticatedLogin is unknown, skip stale PR cleanup entirely
   if (!authenticatedLogin) {
-    core.debug(`  Skipping stale PR check — authenticated user unknown`);
+    logDebug(`  Skipping stale PR check — authenticated user unknown`);
     return null;
   }
 
@@ -1736,7 +2919,7 @@ export async function closeStaleActionPrs(octokit, repo, branchName, dryRun, aut
       // Safety check: only close PRs created by the same user/app running the action
       if (pr.user?.login !== authenticatedLogin) {
         const message = `Found stale PR #${pr.number} on branch ${branchName} but it was created by ${pr.user?.login || 'unknown'}, not ${authenticatedLogin} — skipping auto-close.`;
-        core.warning(`  ⚠️  ${message}`);
+        logWarning(`  ⚠️  ${message}`);
         lastResult = {
           action: 'warned',
           prNumber: pr.number,
@@ -1748,7 +2931,7 @@ export async function closeStaleActionPrs(octokit, repo, branchName, dryRun, aut
 
       if (dryRun) {
         const message = `Would close stale PR #${pr.number} (source matches target)`;
-        core.info(`  🔍 ${message}`);
+        logInfo(`  🔍 ${message}`);
         const result = {
           action: 'would-close',
           prNumber: pr.number,
@@ -1779,12 +2962,12 @@ export async function closeStaleActionPrs(octokit, repo, branchName, dryRun, aut
             body: 'Closing: the source file has been reverted to match the current target. This PR is no longer needed.'
           });
         } catch (commentError) {
-          core.debug(`  Could not add comment to PR #${pr.number}: ${commentError.message}`);
+          logDebug(`  Could not add comment to PR #${pr.number}: ${commentError.message}`);
         }
 
         remainingOpenPrs--;
         const message = `Closed stale PR #${pr.number} (source matches target)`;
-        core.info(`  🗑️  ${message}`);
+        logInfo(`  🗑️  ${message}`);
         const result = {
           action: 'closed',
           prNumber: pr.number,
@@ -1795,7 +2978,7 @@ export async function closeStaleActionPrs(octokit, repo, branchName, dryRun, aut
         lastResult = result;
       } catch (error) {
         const message = `Failed to close stale PR #${pr.number}: ${error.message}`;
-        core.warning(`  ⚠️  ${message}`);
+        logWarning(`  ⚠️  ${message}`);
         lastResult = {
           action: 'warned',
           prNumber: pr.number,
@@ -1813,9 +2996,9 @@ export async function closeStaleActionPrs(octokit, repo, branchName, dryRun, aut
           repo: repoName,
           ref: `heads/${branchName}`
         });
-        core.info(`  🗑️  Deleted branch ${branchName}`);
+        logInfo(`  🗑️  Deleted branch ${branchName}`);
       } catch (error) {
-        core.debug(`  Could not delete branch ${branchName}: ${error.message}`);
+        logDebug(`  Could not delete branch ${branchName}: ${error.message}`);
       }
     }
 
@@ -1823,70 +3006,404 @@ export async function closeStaleActionPrs(octokit, repo, branchName, dryRun, aut
     return closedResult || lastResult;
   } catch (error) {
     // Non-fatal error - don't fail the sync because of stale PR cleanup
-    core.warning(`  ⚠️  Could not check for stale PRs: ${error.message}`);
+    logWarning(`  ⚠️  Could not check for stale PRs: ${error.message}`);
     return null;
   }
 }
 
 /**
- * Generic function to sync one or more files to a target repository via pull request.
- * If an open PR already exists for the same branch, the function checks if the PR branch
- * content differs from the new source content. If different, it updates the PR branch with
- * a new commit. If the content is already up to date, returns 'pr-up-to-date' status.
- * @param {Octokit} octokit - Octokit instance
- * @param {string} repo - Repository in "owner/repo" format
- * @param {Object} options - Sync options
- * @param {Array<{sourceFilePath: string, targetPath: string}>} options.files - Array of file mappings (sourceFilePath -> targetPath)
- * @param {string} options.branchName - Branch name for the PR
- * @param {string} options.prTitle - Title for the pull request
- * @param {string} options.prBodyCreate - PR body when creating new file(s)
- * @param {string} options.prBodyUpdate - PR body when updating existing file(s)
- * @param {string} options.resultKey - Key for the result status (e.g., 'dependabotYml', 'pullRequestTemplate', 'workflowFiles')
- * @param {string} options.fileDescription - Human-readable description of the file(s) (for error messages)
- * @param {Object} [options.contentProcessor] - Optional processor for custom content handling (e.g., preserving repo-specific sections)
- * @param {Function} [options.contentProcessor.getComparableExisting] - (existingContent) => content to compare against source
- * @param {Function} [options.contentProcessor.getFinalContent] - (sourceContent, existingContent) => content to commit
- * @param {Function} [options.contentTransformer] - Optional function to transform file content before syncing
- * @param {string} [options.authenticatedLogin] - Login of the authenticated user/app for stale PR matching
- * @param {boolean} dryRun - Preview mode without making actual changes
- * @returns {Promise<Object>} Result object with `success` boolean and `[resultKey]` status string.
- *   Possible status values:
- *   - 'unchanged': File(s) already match source, no action needed
- *   - 'created': New file(s) created via new PR
- *   - 'updated': Existing file(s) updated via new PR
- *   - 'mixed': Both new and existing files synced via new PR
- *   - 'pr-up-to-date': Existing PR already has the latest content
- *   - 'pr-updated': Existing PR branch updated with new content
- *   - 'pr-updated-created': New file(s) added to existing PR branch
- *   - 'pr-updated-mixed': Both new and updated files committed to existing PR branch
- *   - 'would-create': Dry-run - would create new file(s)
- *   - 'would-update': Dry-run - would update existing file(s)
- *   - 'would-update-pr': Dry-run - would update existing PR branch
- *   - 'stale-pr-closed': Source matches target and a stale PR was auto-closed
- *   - 'would-close-stale-pr': Dry-run - would close a stale PR
+ * Marker that identifies a file as managed by this action. Managed files that disappear from a
+ * synced source directory are deleted from the target repository when deletion is enabled.
  */
-export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
-  const {
-    files,
-    branchName,
-    prTitle,
-    prBodyCreate,
-    prBodyUpdate,
-    resultKey,
-    fileDescription,
-    contentProcessor,
-    contentTransformer,
-    authenticatedLogin
-  } = options;
+const MANAGED_FILE_MARKER = 'managed-by: bulk-github-repo-settings-sync-action';
 
-  const [owner, repoName] = repo.split('/');
+/**
+ * Number of leading lines searched for MANAGED_FILE_MARKER
+ */
+const MANAGED_FILE_HEADER_LINES = 10;
 
-  if (!owner || !repoName) {
-    return {
-      repository: repo,
-      success: false,
-      error: 'Invalid repository format. Expected "owner/repo"',
-      dryRun
+/**
+ * Check whether file content carries the managed-by header.
+ * @param {string} content - File content
+ * @returns {boolean} True if the marker appears in the first MANAGED_FILE_HEADER_LINES lines
+ */
+export function isManagedFileContent(content) {
+  return content.split('\n', MANAGED_FILE_HEADER_LINES).some(line => line.includes(MANAGED_FILE_MARKER));
+}
+
+/**
+ * Build the commit message for a sync commit
+ * @param {Array<{targetPath: string, isNew: boolean, isDeleted?: boolean}>} files - Files included in the commit
+ * @param {string} fileDescription - Description of the files (e.g., 'workflow files')
+ * @returns {string} Commit message
+ */
+function buildSyncCommitMessage(files, fileDescription) {
+  const verb = file => {
+    if (file.isDeleted) return 'delete';
+    return file.isNew ? 'add' : 'update';
+  };
+  if (files.length === 1) {
+    return `chore: ${verb(files[0])} ${files[0].targetPath}`;
+  }
+  const lines = files.map(f => `- ${verb(f)} ${f.targetPath}`);
+  return `chore: sync ${fileDescription}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Look up the modes of existing files, reading (non-recursively) only the directories on their paths
+ * so large repositories don't return their whole tree.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {string} rootTreeSha - SHA of the tree to look the files up in
+ * @param {Array<string>} filePaths - Paths of the files
+ * @returns {Promise<Map<string, string>>} Mode (`100644` or `100755`) by path, for the files that were found
+ */
+async function getExistingFileModes(octokit, owner, repoName, rootTreeSha, filePaths) {
+  const directories = new Map();
+  const listDirectory = async directory => {
+    if (!directories.has(directory)) {
+      let treeSha = rootTreeSha;
+      if (directory !== '.') {
+        const parentEntries = await listDirectory(path.posix.dirname(directory));
+        treeSha = parentEntries.find(
+          entry => entry.type === 'tree' && entry.path === path.posix.basename(directory)
+        )?.sha;
+      }
+      let entries = [];
+      if (treeSha) {
+        const { data: tree } = await octokit.rest.git.getTree({ owner, repo: repoName, tree_sha: treeSha });
+        if (tree.truncated) {
+          logWarning(`  ⚠️  The ${directory} directory is too large to list completely; file modes may not be kept`);
+        }
+        entries = tree.tree;
+      }
+      directories.set(directory, entries);
+    }
+    return directories.get(directory);
+  };
+
+  const modes = new Map();
+  for (const filePath of filePaths) {
+    const entries = await listDirectory(path.posix.dirname(filePath));
+    const entry = entries.find(e => e.type === 'blob' && e.path === path.posix.basename(filePath));
+    if (entry?.mode === '100644' || entry?.mode === '100755') {
+      modes.set(filePath, entry.mode);
+    }
+  }
+  return modes;
+}
+
+/**
+ * Create a single commit containing all files using the Git Data API (trees/commits).
+ * The commit is created on top of the given parent but no ref is moved; the caller
+ * points the branch at the returned commit, so multi-file syncs land atomically.
+ * Files that already exist keep their mode from the parent tree (e.g. executable scripts).
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {string} parentSha - SHA of the parent commit
+ * @param {Array<{targetPath: string, content?: string, finalContent?: string, isDeleted?: boolean}>} files - Files to write or delete
+ * @param {string} message - Commit message
+ * @returns {Promise<string>} SHA of the new commit
+ */
+async function createCommitWithFiles(octokit, owner, repoName, parentSha, files, message) {
+  const { data: parentCommit } = await octokit.rest.git.getCommit({
+    owner,
+    repo: repoName,
+    commit_sha: parentSha
+  });
+
+  const existingModes = await getExistingFileModes(
+    octokit,
+    owner,
+    repoName,
+    parentCommit.tree.sha,
+    files.filter(file => !file.isNew && !file.isDeleted).map(file => file.targetPath)
+  );
+
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner,
+    repo: repoName,
+    base_tree: parentCommit.tree.sha,
+    tree: files.map(file => ({
+      path: file.targetPath,
+      mode: existingModes.get(file.targetPath) ?? '100644',
+      type: 'blob',
+      // A null sha removes the path from the tree; otherwise use finalContent if available
+      // (from contentProcessor), falling back to the original content
+      ...(file.isDeleted ? { sha: null } : { content: file.finalContent || file.content })
+    }))
+  });
+
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo: repoName,
+    message,
+    tree: tree.sha,
+    parents: [parentSha]
+  });
+
+  return commit.sha;
+}
+
+/**
+ * Color used for labels created for sync pull requests
+ */
+const SYNC_PR_LABEL_COLOR = 'ededed';
+
+/**
+ * Apply labels, assignees, requested reviewers and draft state to a sync pull request.
+ * Labels, assignees and reviewers are additive only: what is missing is added and nothing is removed,
+ * so ones added by people (or dropped from the config) stay on the PR. The draft state is switched
+ * when it differs from the configured value. Each change is logged. Labels that don't
+ * exist in the repository are created. Failures are logged as warnings and don't fail the sync.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {Object} pr - Pull request (as returned by pulls.create or pulls.list)
+ * @param {Object} [pullRequestOptions] - Pull request options
+ * @param {Array<string>} [pullRequestOptions.labels] - Labels to add
+ * @param {Array<string>} [pullRequestOptions.assignees] - Logins to assign
+ * @param {Array<string>} [pullRequestOptions.reviewers] - Logins to request reviews from
+ * @param {Array<string>} [pullRequestOptions.teamReviewers] - Team slugs to request reviews from
+ * @param {boolean|null} [pullRequestOptions.draft] - Desired draft state (null/undefined leaves it unchanged)
+ * @returns {Promise<void>}
+ */
+async function applyPullRequestOptions(octokit, owner, repoName, pr, pullRequestOptions) {
+  if (!pullRequestOptions) return;
+
+  const { labels = [], assignees = [], reviewers = [], teamReviewers = [], draft } = pullRequestOptions;
+  const normalizeLogin = login => login.replace(/^@/, '').toLowerCase();
+  const normalizeTeam = team => team.replace(/^@/, '').split('/').pop().toLowerCase();
+
+  const attempt = async (description, fn) => {
+    try {
+      await fn();
+    } catch (error) {
+      logWarning(`  ⚠️  Could not ${description} on PR #${pr.number}: ${error.message}`);
+    }
+  };
+
+  const existingLabels = new Set((pr.labels || []).map(label => label.name.toLowerCase()));
+  const missingLabels = labels.filter(label => !existingLabels.has(label.toLowerCase()));
+  if (missingLabels.length > 0) {
+    await attempt('add labels', async () => {
+      for (const name of missingLabels) {
+        try {
+          await octokit.rest.issues.getLabel({ owner, repo: repoName, name });
+        } catch (error) {
+          if (error.status !== 404) {
+            throw error;
+          }
+          await octokit.rest.issues.createLabel({ owner, repo: repoName, name, color: SYNC_PR_LABEL_COLOR });
+          logInfo(`  🏷️  Created label "${name}"`);
+        }
+      }
+      await octokit.rest.issues.addLabels({ owner, repo: repoName, issue_number: pr.number, labels: missingLabels });
+      logInfo(`  🏷️  Added labels to PR #${pr.number}: ${missingLabels.join(', ')}`);
+    });
+  }
+
+  const existingAssignees = new Set((pr.assignees || []).map(user => user.login.toLowerCase()));
+  const missingAssignees = assignees
+    .filter(login => !existingAssignees.has(normalizeLogin(login)))
+    .map(login => login.replace(/^@/, ''));
+  if (missingAssignees.length > 0) {
+    await attempt('add assignees', async () => {
+      await octokit.rest.issues.addAssignees({
+        owner,
+        repo: repoName,
+        issue_number: pr.number,
+        assignees: missingAssignees
+      });
+      logInfo(`  👤 Assigned PR #${pr.number} to ${missingAssignees.join(', ')}`);
+    });
+  }
+
+  const requestedReviewers = new Set((pr.requested_reviewers || []).map(user => user.login.toLowerCase()));
+  const requestedTeams = new Set((pr.requested_teams || []).map(team => team.slug.toLowerCase()));
+  const missingReviewers = reviewers
+    .filter(login => !requestedReviewers.has(normalizeLogin(login)))
+    .map(login => login.replace(/^@/, ''));
+  const missingTeams = teamReviewers.filter(team => !requestedTeams.has(normalizeTeam(team))).map(normalizeTeam);
+  if (missingReviewers.length > 0 || missingTeams.length > 0) {
+    await attempt('request reviewers', async () => {
+      await octokit.rest.pulls.requestReviewers({
+        owner,
+        repo: repoName,
+        pull_number: pr.number,
+        reviewers: missingReviewers,
+        team_reviewers: missingTeams
+      });
+      logInfo(`  👀 Requested reviews on PR #${pr.number}: ${[...missingReviewers, ...missingTeams].join(', ')}`);
+    });
+  }
+
+  // Draft state can only be changed through GraphQL
+  if (typeof draft === 'boolean' && typeof pr.draft === 'boolean' && pr.draft !== draft) {
+    await attempt(draft ? 'convert to draft' : 'mark ready for review', async () => {
+      const mutation = draft
+        ? 'mutation($id: ID!) { convertPullRequestToDraft(input: { pullRequestId: $id }) { clientMutationId } }'
+        : 'mutation($id: ID!) { markPullRequestReadyForReview(input: { pullRequestId: $id }) { clientMutationId } }';
+      await octokit.graphql(mutation, { id: pr.node_id });
+      logInfo(`  📝 ${draft ? 'Converted PR to draft' : 'Marked PR ready for review'} #${pr.number}`);
+    });
+  }
+}
+
+/**
+ * Merge methods accepted by the *-auto-merge inputs (GraphQL PullRequestMergeMethod values)
+ */
+const AUTO_MERGE_METHODS = Object.freeze(['MERGE', 'SQUASH', 'REBASE']);
+
+/**
+ * Auto-merge input name for each file sync type
+ */
+const AUTO_MERGE_INPUT_NAMES = Object.freeze({
+  dependabot: 'dependabot-auto-merge',
+  gitignore: 'gitignore-auto-merge',
+  pullRequestTemplate: 'pull-request-template-auto-merge',
+  workflowFiles: 'workflow-files-auto-merge',
+  copilotInstructions: 'copilot-instructions-auto-merge',
+  codeowners: 'codeowners-auto-merge',
+  packageJson: 'package-json-auto-merge',
+  files: 'files-auto-merge',
+  removeFiles: 'remove-files-auto-merge',
+  combined: 'combined-auto-merge'
+});
+
+/**
+ * Enable auto-merge on a sync pull request so it merges once required checks pass.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} pr - Pull request (as returned by pulls.create or pulls.list)
+ * @param {string} mergeMethod - One of AUTO_MERGE_METHODS
+ * @param {boolean|undefined} allowAutoMerge - The repository's allow_auto_merge setting
+ * @returns {Promise<{autoMerge?: string, autoMergeWarning?: string}>} Fields to merge into the sync result
+ */
+async function enablePullRequestAutoMerge(octokit, pr, mergeMethod, allowAutoMerge) {
+  if (pr.auto_merge) {
+    return { autoMerge: 'already-enabled' };
+  }
+  if (allowAutoMerge === false) {
+    const autoMergeWarning = `Auto-merge could not be enabled on PR #${pr.number}: allow_auto_merge is off for this repository`;
+    logWarning(`  ⚠️  ${autoMergeWarning}`);
+    return { autoMergeWarning };
+  }
+  try {
+    await octokit.graphql(
+      'mutation($id: ID!, $method: PullRequestMergeMethod!) { enablePullRequestAutoMerge(input: { pullRequestId: $id, mergeMethod: $method }) { clientMutationId } }',
+      { id: pr.node_id, method: mergeMethod }
+    );
+    logInfo(`  🤖 Enabled auto-merge (${mergeMethod.toLowerCase()}) on PR #${pr.number}`);
+    return { autoMerge: 'enabled' };
+  } catch (error) {
+    const autoMergeWarning = `Auto-merge could not be enabled on PR #${pr.number}: ${error.message}`;
+    logWarning(`  ⚠️  ${autoMergeWarning}`);
+    return { autoMergeWarning };
+  }
+}
+
+/**
+ * Check whether a ref update was rejected by branch protection or a repository ruleset.
+ * @param {Error} error - Error thrown by git.updateRef
+ * @returns {boolean} True if the push was blocked by the repository's rules
+ */
+function isPushBlockedError(error) {
+  return [403, 409, 422].includes(error.status) && /protected branch|rule violation|ruleset/i.test(error.message);
+}
+
+/**
+ * Generic function to sync one or more files to a target repository via pull request.
+ * If an open PR already exists for the same branch, the function checks if the PR branch
+ * content differs from the new source content. If different, it updates the PR branch with
+ * a new commit. If the content is already up to date, returns 'pr-up-to-date' status.
+ * With the 'direct' strategy, changes are committed straight to the target branch instead, falling back
+ * to a pull request (with a `directCommitWarning`) when branch protection or a ruleset blocks the push.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @param {Object} options - Sync options
+ * @param {Array<{sourceFilePath: string, targetPath: string, description?: string, contentProcessor?: Object, contentTransformer?: Function, template?: boolean, templateVars?: Object, content?: string}>} options.files - Array of file mappings (sourceFilePath -> targetPath).
+ *   Each file may override the options-level contentProcessor/contentTransformer/template/templateVars and provide a description for the PR body.
+ *   A file with `content` is synced from that content instead of reading sourceFilePath (which then only labels the source).
+ * @param {string} options.branchName - Branch name for the PR
+ * @param {string} options.prTitle - Title for the pull request
+ * @param {string} options.prBodyCreate - PR body when creating new file(s)
+ * @param {string} options.prBodyUpdate - PR body when updating existing file(s)
+ * @param {string} options.resultKey - Key for the result status (e.g., 'dependabotYml', 'pullRequestTemplate', 'workflowFiles')
+ * @param {string} options.fileDescription - Human-readable description of the file(s) (for error messages)
+ * @param {Object} [options.contentProcessor] - Optional processor for custom content handling (e.g., preserving repo-specific sections)
+ * @param {Function} [options.contentProcessor.getComparableExisting] - (existingContent) => content to compare against source
+ * @param {Function} [options.contentProcessor.getFinalContent] - (sourceContent, existingContent) => content to commit
+ * @param {Function} [options.contentProcessor.isUpToDate] - (sourceContent, existingContent) => whether existing content already satisfies the source (replaces the text comparison)
+ * @param {boolean} [options.contentProcessor.requiresExisting] - Skip the file (instead of creating it) when it does not exist in the repository
+ * @param {Function} [options.contentProcessor.getMergeReport] - (sourceContent, existingContent) => { added, changed, preserved }
+ *   entry lists, reported in the result's `mergeReports` and the PR body
+ * @param {Function} [options.contentProcessor.formatMergeReport] - (report) => PR body lines for a merge report
+ *   (defaults to formatMergeReport)
+ * @param {Function} [options.contentTransformer] - Optional function to transform file content before syncing
+ * @param {boolean} [options.template] - Render the files as templates (see replaceTemplateVariables); otherwise
+ *   they are synced as-is
+ * @param {Object} [options.templateVars] - Template variables for these files only (e.g. codeowners-vars); setting
+ *   any renders the files as templates, and they take precedence over pullRequestOptions.templateVars
+ * @param {string} [options.authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Array<string>} [options.managedDirectories] - Directories whose managed files (see MANAGED_FILE_MARKER) are deleted
+ *   when they are no longer part of `files`
+ * @param {Array<string>} [options.removePaths] - Paths to delete from the repository when present
+ * @param {Object} [options.pullRequestOptions] - Labels, assignees, reviewers and draft state for the PR
+ * @param {string} [options.pullRequestOptions.autoMergeMethod] - Enable auto-merge with this method (MERGE, SQUASH or REBASE)
+ * @param {string} [options.pullRequestOptions.strategy] - 'pr' (default) or 'direct' to commit without a pull request
+ * @param {string} [options.pullRequestOptions.directBranch] - Branch for direct commits (defaults to the default branch)
+ * @param {Object} [options.pullRequestOptions.templateVars] - Variables for files rendered as templates,
+ *   on top of the built-in repository variables (see getRepositoryTemplateVars)
+ * @param {boolean} dryRun - Preview mode without making actual changes
+ * @returns {Promise<Object>} Result object with `success` boolean and `[resultKey]` status string.
+ *   Possible status values:
+ *   - 'unchanged': File(s) already match source, no action needed
+ *   - 'created': New file(s) created via new PR
+ *   - 'updated': Existing file(s) updated via new PR
+ *   - 'mixed': Both new and existing files synced via new PR
+ *   - 'removed': File(s) only deleted via new PR
+ *   - 'pr-up-to-date': Existing PR already has the latest content
+ *   - 'pr-updated': Existing PR branch updated with new content
+ *   - 'pr-updated-created': New file(s) added to existing PR branch
+ *   - 'pr-updated-mixed': Both new and updated files committed to existing PR branch
+ *   - 'committed': File(s) committed directly to the target branch
+ *   - 'would-commit': Dry-run - would commit file(s) directly to the target branch
+ *   - 'would-create': Dry-run - would create new file(s)
+ *   - 'would-update': Dry-run - would update existing file(s)
+ *   - 'would-remove': Dry-run - would only delete file(s)
+ *   - 'would-update-pr': Dry-run - would update existing PR branch
+ *   - 'stale-pr-closed': Source matches target and a stale PR was auto-closed
+ *   - 'would-close-stale-pr': Dry-run - would close a stale PR
+ */
+export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
+  const {
+    files,
+    branchName,
+    prTitle,
+    prBodyCreate,
+    prBodyUpdate,
+    resultKey,
+    fileDescription,
+    contentProcessor,
+    contentTransformer,
+    template,
+    templateVars,
+    authenticatedLogin,
+    pullRequestOptions,
+    managedDirectories,
+    removePaths
+  } = options;
+
+  const [owner, repoName] = repo.split('/');
+
+  if (!owner || !repoName) {
+    return {
+      repository: repo,
+      success: false,
+      error: 'Invalid repository format. Expected "owner/repo"',
+      dryRun
     };
   }
 
@@ -1896,7 +3413,7 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
     for (const file of files) {
       let sourceContent;
       try {
-        sourceContent = fs.readFileSync(file.sourceFilePath, 'utf8');
+        sourceContent = file.content ?? fs.readFileSync(file.sourceFilePath, 'utf8');
       } catch (error) {
         return {
           repository: repo,
@@ -1907,28 +3424,161 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
       }
 
       // Apply content transformer if provided (e.g., template variable replacement)
-      if (contentTransformer) {
-        sourceContent = contentTransformer(sourceContent);
+      const transformer = file.contentTransformer || contentTransformer;
+      if (transformer) {
+        sourceContent = transformer(sourceContent);
       }
 
+      const fileTemplateVars = file.templateVars || templateVars;
       fileInfos.push({
         sourceFilePath: file.sourceFilePath,
         targetPath: file.targetPath,
+        description: file.description,
+        contentProcessor: file.contentProcessor || contentProcessor,
+        template:
+          (file.template ?? template) === true ||
+          (fileTemplateVars != null && Object.keys(fileTemplateVars).length > 0),
+        templateVars: fileTemplateVars,
         content: sourceContent
       });
     }
 
+    /**
+     * Compare a file's source content against existing content.
+     * @param {Object} fileInfo - Source file info
+     * @param {string|null} existing - Existing file content (null if missing)
+     * @returns {{needsUpdate: boolean, finalContent: string}} Comparison result
+     */
+    const evaluateFile = (fileInfo, existing) => {
+      const processor = fileInfo.contentProcessor;
+      if (!existing) {
+        return { needsUpdate: true, finalContent: fileInfo.content };
+      }
+      if (!processor) {
+        return { needsUpdate: existing.trim() !== fileInfo.content.trim(), finalContent: fileInfo.content };
+      }
+      // Get the final content to commit (e.g., merge source with repo-specific sections)
+      const finalContent = processor.getFinalContent(fileInfo.content, existing);
+      if (processor.isUpToDate) {
+        return { needsUpdate: !processor.isUpToDate(fileInfo.content, existing), finalContent };
+      }
+      // Get the comparable portion of existing content (e.g., strip repo-specific sections)
+      const comparableExisting = processor.getComparableExisting(existing) ?? '';
+      return { needsUpdate: comparableExisting.trim() !== fileInfo.content.trim(), finalContent };
+    };
+
+    /**
+     * Whether a set of changes is a single synced file (so single-file messages and PR bodies apply).
+     * @param {Array<Object>} changes - Files to commit
+     * @returns {boolean} True for exactly one created or updated file
+     */
+    const isSingleFileChange = changes => fileInfos.length === 1 && changes.length === 1 && !changes[0].isDeleted;
+
+    /**
+     * Find files to delete on a branch: paths listed in removePaths that are present, and files in the
+     * managed directories that carry the managed-by marker but are no longer synced.
+     * @param {string} ref - Branch to inspect
+     * @returns {Promise<Array<Object>>} Files to delete
+     */
+    const findFilesToDelete = async ref => {
+      const syncedPaths = new Set(fileInfos.map(f => f.targetPath));
+      const deletions = [];
+      for (const removePath of removePaths || []) {
+        if (syncedPaths.has(removePath)) continue;
+        let data;
+        try {
+          ({ data } = await octokit.rest.repos.getContent({ owner, repo: repoName, path: removePath, ref }));
+        } catch (error) {
+          if (error.status === 404) continue;
+          throw error;
+        }
+        // Directories come back as a listing; only individual files are removed
+        if (Array.isArray(data) || data.type !== 'file') {
+          logWarning(`  ⚠️  ${removePath} is not a file in ${ref}, skipping removal (remove-files only deletes files)`);
+          continue;
+        }
+        logInfo(`  🗑️  ${removePath} exists in ${ref}, will remove it`);
+        deletions.push({ targetPath: removePath, isNew: false, isDeleted: true, deletionReason: 'retired file' });
+        syncedPaths.add(removePath);
+      }
+      const visit = async directory => {
+        let entries;
+        try {
+          ({ data: entries } = await octokit.rest.repos.getContent({ owner, repo: repoName, path: directory, ref }));
+        } catch (error) {
+          if (error.status === 404) return;
+          throw error;
+        }
+        if (!Array.isArray(entries)) return;
+        for (const entry of entries) {
+          if (entry.type === 'dir') {
+            await visit(entry.path);
+          } else if (entry.type === 'file' && !syncedPaths.has(entry.path)) {
+            const { data } = await octokit.rest.repos.getContent({ owner, repo: repoName, path: entry.path, ref });
+            if (isManagedFileContent(Buffer.from(data.content, 'base64').toString('utf8'))) {
+              logInfo(`  🗑️  ${entry.path} is managed but no longer in the source, will delete it`);
+              deletions.push({
+                targetPath: entry.path,
+                isNew: false,
+                isDeleted: true,
+                deletionReason: 'managed file no longer in the source'
+              });
+            }
+          }
+        }
+      };
+      for (const directory of managedDirectories || []) {
+        await visit(directory);
+      }
+      return deletions;
+    };
+
     // Get default branch
     const { data: repoData } = await octokit.rest.repos.get({
       owner,
       repo: repoName
     });
     const defaultBranch = repoData.default_branch;
+    const directCommit = pullRequestOptions?.strategy === 'direct';
+    // Files are compared against, committed to, and (for PRs) merged into this branch
+    const baseBranch = (directCommit && pullRequestOptions.directBranch) || defaultBranch;
+
+    // Render templates now that the repository metadata is known; files that did not opt in are synced as-is
+    const templateFileInfos = fileInfos.filter(fileInfo => fileInfo.template);
+    const existingFiles = new Set();
+    for (const checkPath of new Set(templateFileInfos.flatMap(fileInfo => getTemplateExistsPaths(fileInfo.content)))) {
+      try {
+        await octokit.rest.repos.getContent({ owner, repo: repoName, path: checkPath, ref: baseBranch });
+        existingFiles.add(checkPath);
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
+    }
+    const repositoryTemplateVars = { ...getRepositoryTemplateVars(repoData), ...pullRequestOptions?.templateVars };
+    for (const fileInfo of templateFileInfos) {
+      try {
+        fileInfo.content = replaceTemplateVariables(
+          fileInfo.content,
+          { ...repositoryTemplateVars, ...fileInfo.templateVars },
+          existingFiles
+        );
+      } catch (error) {
+        return {
+          repository: repo,
+          success: false,
+          error: `Failed to render template ${fileInfo.sourceFilePath} for ${fileDescription}: ${error.message}`,
+          dryRun
+        };
+      }
+    }
 
     // Check each file and determine which need updates
     const filesToUpdate = [];
+    const filesSkipped = [];
+    const mergeReports = {};
     for (const fileInfo of fileInfos) {
-      let existingSha = null;
       let existingContent = null;
 
       try {
@@ -1936,36 +3586,33 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
           owner,
           repo: repoName,
           path: fileInfo.targetPath,
-          ref: defaultBranch
+          ref: baseBranch
         });
-        existingSha = data.sha;
         existingContent = Buffer.from(data.content, 'base64').toString('utf8');
       } catch (error) {
-        if (error.status === 404) {
-          // File doesn't exist - this is fine, we'll create it
-          core.info(`  📄 ${fileInfo.targetPath} does not exist in ${repo}, will create it`);
-        } else {
+        if (error.status !== 404) {
           throw error;
         }
+        if (fileInfo.contentProcessor?.requiresExisting) {
+          // Some files (e.g., package.json) are only ever updated, never created
+          logInfo(`  📄 ${fileInfo.targetPath} does not exist in ${repo}, skipping`);
+          filesSkipped.push({ targetPath: fileInfo.targetPath, reason: 'does not exist in the repository' });
+          continue;
+        }
+        // File doesn't exist - this is fine, we'll create it
+        logInfo(`  📄 ${fileInfo.targetPath} does not exist in ${repo}, will create it`);
       }
 
       // Compare content - use contentProcessor if provided to handle special cases like repo-specific sections
-      let comparableExisting = existingContent;
-      let finalContent = fileInfo.content;
+      const { needsUpdate, finalContent } = evaluateFile(fileInfo, existingContent);
 
-      if (contentProcessor && existingContent) {
-        // Get the comparable portion of existing content (e.g., strip repo-specific sections)
-        comparableExisting = contentProcessor.getComparableExisting(existingContent);
-        // Get the final content to commit (e.g., merge source with repo-specific sections)
-        finalContent = contentProcessor.getFinalContent(fileInfo.content, existingContent);
+      if (needsUpdate && existingContent && fileInfo.contentProcessor?.getMergeReport) {
+        mergeReports[fileInfo.targetPath] = fileInfo.contentProcessor.getMergeReport(fileInfo.content, existingContent);
       }
 
-      const needsUpdate = !existingContent || comparableExisting.trim() !== fileInfo.content.trim();
-
       if (needsUpdate) {
         filesToUpdate.push({
           ...fileInfo,
-          existingSha,
           existingContent,
           finalContent,
           isNew: !existingContent
@@ -1973,6 +3620,15 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
       }
     }
 
+    // Retired files and managed files removed from the source are deleted in the same commit
+    filesToUpdate.push(...(await findFilesToDelete(baseBranch)));
+
+    // Files skipped because they don't exist in the repository are reported, not synced
+    const skippedPaths = new Set(filesSkipped.map(f => f.targetPath));
+    const syncableFileInfos = fileInfos.filter(f => !skippedPaths.has(f.targetPath));
+    const skippedResult = filesSkipped.length > 0 ? { filesSkipped } : {};
+    const mergeReportsResult = Object.keys(mergeReports).length > 0 ? { mergeReports } : {};
+
     // If no files need updates, check for stale PRs and return
     if (filesToUpdate.length === 0) {
       const targetPaths = fileInfos.map(f => f.targetPath);
@@ -1989,18 +3645,28 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
           prNumber: stalePrResult.prNumber,
           prUrl: stalePrResult.prUrl,
           filesProcessed: targetPaths,
+          ...skippedResult,
+          ...mergeReportsResult,
           dryRun
         };
       }
 
-      const message =
-        fileInfos.length === 1 ? `${targetPaths[0]} is already up to date` : 'All files are already up to date';
+      let message;
+      if (fileInfos.length === 1) {
+        message = `${targetPaths[0]} is already up to date`;
+      } else if (fileInfos.length === 0) {
+        message = 'None of the files to remove are present';
+      } else {
+        message = 'All files are already up to date';
+      }
       const result = {
         repository: repo,
         success: true,
         [resultKey]: 'unchanged',
         message,
         filesProcessed: targetPaths,
+        ...skippedResult,
+        ...mergeReportsResult,
         dryRun
       };
 
@@ -2012,6 +3678,81 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
       return result;
     }
 
+    // Commit straight to the target branch when the direct strategy is selected
+    let directCommitResult = {};
+    if (directCommit) {
+      const createdFiles = filesToUpdate.filter(f => f.isNew).map(f => f.targetPath);
+      const updatedFiles = filesToUpdate.filter(f => !f.isNew && !f.isDeleted).map(f => f.targetPath);
+      const deletedFiles = filesToUpdate.filter(f => f.isDeleted).map(f => f.targetPath);
+      const targetDesc = isSingleFileChange(filesToUpdate)
+        ? filesToUpdate[0].targetPath
+        : `${filesToUpdate.length} file(s)`;
+
+      if (dryRun) {
+        return {
+          repository: repo,
+          success: true,
+          [resultKey]: 'would-commit',
+          message: `Would commit ${targetDesc} directly to ${baseBranch}`,
+          branch: baseBranch,
+          filesWouldCreate: createdFiles.length > 0 ? createdFiles : undefined,
+          filesWouldUpdate: updatedFiles.length > 0 ? updatedFiles : undefined,
+          filesWouldDelete: deletedFiles.length > 0 ? deletedFiles : undefined,
+          filesProcessed: fileInfos.map(f => f.targetPath),
+          ...skippedResult,
+          ...mergeReportsResult,
+          dryRun
+        };
+      }
+
+      try {
+        const { data: baseRef } = await octokit.rest.git.getRef({
+          owner,
+          repo: repoName,
+          ref: `heads/${baseBranch}`
+        });
+        const commitSha = await createCommitWithFiles(
+          octokit,
+          owner,
+          repoName,
+          baseRef.object.sha,
+          filesToUpdate,
+          buildSyncCommitMessage(filesToUpdate, fileDescription)
+        );
+        // Not forced: fails if the branch moved since it was read instead of discarding those commits
+        await octokit.rest.git.updateRef({
+          owner,
+          repo: repoName,
+          ref: `heads/${baseBranch}`,
+          sha: commitSha
+        });
+        logInfo(`  ✍️  Committed changes to ${filesToUpdate.map(f => f.targetPath).join(', ')} on ${baseBranch}`);
+
+        return {
+          repository: repo,
+          success: true,
+          [resultKey]: 'committed',
+          message: `Committed ${targetDesc} directly to ${baseBranch}`,
+          branch: baseBranch,
+          commitSha,
+          filesCreated: createdFiles.length > 0 ? createdFiles : undefined,
+          filesUpdated: updatedFiles.length > 0 ? updatedFiles : undefined,
+          filesDeleted: deletedFiles.length > 0 ? deletedFiles : undefined,
+          filesProcessed: fileInfos.map(f => f.targetPath),
+          ...skippedResult,
+          ...mergeReportsResult,
+          dryRun
+        };
+      } catch (error) {
+        if (!isPushBlockedError(error)) {
+          throw error;
+        }
+        const directCommitWarning = `Direct commit to ${baseBranch} was blocked (${error.message}); opened a pull request instead`;
+        logWarning(`  ⚠️  ${directCommitWarning}`);
+        directCommitResult = { directCommitWarning };
+      }
+    }
+
     // Check if there's already an open PR for this update
     let existingPR = null;
     try {
@@ -2025,11 +3766,11 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
       if (pulls.length > 0) {
         existingPR = pulls[0];
         const targetDesc = fileInfos.length === 1 ? fileInfos[0].targetPath : fileDescription;
-        core.info(`  🔄 Found existing open PR #${existingPR.number} for ${targetDesc}`);
+        logInfo(`  🔄 Found existing open PR #${existingPR.number} for ${targetDesc}`);
       }
     } catch (error) {
       // Non-fatal, continue
-      core.warning(`  ⚠️  Could not check for existing PRs: ${error.message}`);
+      logWarning(`  ⚠️  Could not check for existing PRs: ${error.message}`);
     }
 
     // If there's already an open PR, check if content differs and update if needed
@@ -2038,9 +3779,8 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
 
       // Fetch content from the PR branch to compare against source
       const prBranchFilesToUpdate = [];
-      for (const fileInfo of fileInfos) {
+      for (const fileInfo of syncableFileInfos) {
         let prBranchContent = null;
-        let prBranchSha = null;
 
         try {
           const { data } = await octokit.rest.repos.getContent({
@@ -2050,33 +3790,20 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
             ref: branchName
           });
           prBranchContent = Buffer.from(data.content, 'base64').toString('utf8');
-          prBranchSha = data.sha;
         } catch (error) {
           if (error.status !== 404) {
             throw error;
           }
           // File doesn't exist in PR branch yet
-          core.info(`  📄 ${fileInfo.targetPath} does not exist in PR branch ${branchName}, will create it`);
+          logInfo(`  📄 ${fileInfo.targetPath} does not exist in PR branch ${branchName}, will create it`);
         }
 
         // Compare content - use contentProcessor if provided
-        let comparablePrContent = prBranchContent;
-        let finalContent = fileInfo.content;
-
-        if (contentProcessor && prBranchContent) {
-          comparablePrContent = contentProcessor.getComparableExisting(prBranchContent);
-          finalContent = contentProcessor.getFinalContent(fileInfo.content, prBranchContent);
-        }
-
-        // Use nullish coalescing for safety in case comparablePrContent is null
-        const comparablePrContentTrimmed = (comparablePrContent ?? '').trim();
-        const sourceContentTrimmed = (fileInfo.content ?? '').trim();
-        const prNeedsUpdate = !prBranchContent || comparablePrContentTrimmed !== sourceContentTrimmed;
+        const { needsUpdate: prNeedsUpdate, finalContent } = evaluateFile(fileInfo, prBranchContent);
 
         if (prNeedsUpdate) {
           prBranchFilesToUpdate.push({
             ...fileInfo,
-            existingSha: prBranchSha,
             existingContent: prBranchContent,
             finalContent,
             isNew: !prBranchContent
@@ -2084,9 +3811,24 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
         }
       }
 
+      prBranchFilesToUpdate.push(...(await findFilesToDelete(branchName)));
+
       // If no files need updates in the PR branch, it's already up to date
       if (prBranchFilesToUpdate.length === 0) {
-        core.info(`  ✓ PR #${existingPR.number} already has the latest ${targetDesc}`);
+        logInfo(`  ✓ PR #${existingPR.number} already has the latest ${targetDesc}`);
+        // Reconcile the PR with the configured options even though its content didn't change
+        let autoMergeResult = {};
+        if (!dryRun) {
+          await applyPullRequestOptions(octokit, owner, repoName, existingPR, pullRequestOptions);
+          if (pullRequestOptions?.autoMergeMethod) {
+            autoMergeResult = await enablePullRequestAutoMerge(
+              octokit,
+              existingPR,
+              pullRequestOptions.autoMergeMethod,
+              repoData.allow_auto_merge
+            );
+          }
+        }
         return {
           repository: repo,
           success: true,
@@ -2095,18 +3837,23 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
           prNumber: existingPR.number,
           prUrl: existingPR.html_url,
           filesProcessed: fileInfos.map(f => f.targetPath),
+          ...skippedResult,
+          ...mergeReportsResult,
+          ...directCommitResult,
+          ...autoMergeResult,
           dryRun
         };
       }
 
       // PR exists but content differs - update the PR branch
-      core.info(`  🔄 PR #${existingPR.number} exists but content differs, will update`);
+      logInfo(`  🔄 PR #${existingPR.number} exists but content differs, will update`);
 
       if (dryRun) {
         const newFiles = prBranchFilesToUpdate.filter(f => f.isNew).map(f => f.targetPath);
-        const updatedFiles = prBranchFilesToUpdate.filter(f => !f.isNew).map(f => f.targetPath);
+        const updatedFiles = prBranchFilesToUpdate.filter(f => !f.isNew && !f.isDeleted).map(f => f.targetPath);
+        const deletedFiles = prBranchFilesToUpdate.filter(f => f.isDeleted).map(f => f.targetPath);
         let message;
-        if (fileInfos.length === 1) {
+        if (isSingleFileChange(prBranchFilesToUpdate)) {
           message = prBranchFilesToUpdate[0].isNew
             ? `Would create ${prBranchFilesToUpdate[0].targetPath} in existing PR #${existingPR.number}`
             : `Would update ${prBranchFilesToUpdate[0].targetPath} in existing PR #${existingPR.number}`;
@@ -2122,37 +3869,46 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
           prUrl: existingPR.html_url,
           filesWouldCreate: newFiles.length > 0 ? newFiles : undefined,
           filesWouldUpdate: updatedFiles.length > 0 ? updatedFiles : undefined,
+          filesWouldDelete: deletedFiles.length > 0 ? deletedFiles : undefined,
           filesProcessed: fileInfos.map(f => f.targetPath),
+          ...skippedResult,
+          ...mergeReportsResult,
           dryRun
         };
       }
 
-      // Commit updated files to the PR branch
-      const createdFiles = [];
-      const updatedFiles = [];
-
-      for (const file of prBranchFilesToUpdate) {
-        const commitMessage = file.isNew ? `chore: add ${file.targetPath}` : `chore: update ${file.targetPath}`;
-        const contentToCommit = file.finalContent || file.content;
-
-        await octokit.rest.repos.createOrUpdateFileContents({
-          owner,
-          repo: repoName,
-          path: file.targetPath,
-          message: commitMessage,
-          content: Buffer.from(contentToCommit).toString('base64'),
-          branch: branchName,
-          sha: file.existingSha || undefined
-        });
-
-        if (file.isNew) {
-          createdFiles.push(file.targetPath);
-        } else {
-          updatedFiles.push(file.targetPath);
-        }
+      // Commit updated files to the PR branch as a single commit on top of its current head
+      const commitSha = await createCommitWithFiles(
+        octokit,
+        owner,
+        repoName,
+        existingPR.head.sha,
+        prBranchFilesToUpdate,
+        buildSyncCommitMessage(prBranchFilesToUpdate, fileDescription)
+      );
+      // Not forced: fails if the branch moved since the PR was fetched instead of discarding those commits
+      await octokit.rest.git.updateRef({
+        owner,
+        repo: repoName,
+        ref: `heads/${branchName}`,
+        sha: commitSha
+      });
 
-        core.info(`  ✍️  Committed changes to ${file.targetPath} in PR #${existingPR.number}`);
-      }
+      const createdFiles = prBranchFilesToUpdate.filter(f => f.isNew).map(f => f.targetPath);
+      const updatedFiles = prBranchFilesToUpdate.filter(f => !f.isNew && !f.isDeleted).map(f => f.targetPath);
+      const deletedFiles = prBranchFilesToUpdate.filter(f => f.isDeleted).map(f => f.targetPath);
+      logInfo(
+        `  ✍️  Committed changes to ${prBranchFilesToUpdate.map(f => f.targetPath).join(', ')} in PR #${existingPR.number}`
+      );
+      await applyPullRequestOptions(octokit, owner, repoName, existingPR, pullRequestOptions);
+      const autoMergeResult = pullRequestOptions?.autoMergeMethod
+        ? await enablePullRequestAutoMerge(
+            octokit,
+            existingPR,
+            pullRequestOptions.autoMergeMethod,
+            repoData.allow_auto_merge
+          )
+        : {};
 
       // Determine status
       let status;
@@ -2166,7 +3922,7 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
 
       // Build message
       let message;
-      if (fileInfos.length === 1) {
+      if (isSingleFileChange(prBranchFilesToUpdate)) {
         message = prBranchFilesToUpdate[0].isNew
           ? `Created ${prBranchFilesToUpdate[0].targetPath} in existing PR #${existingPR.number}`
           : `Updated ${prBranchFilesToUpdate[0].targetPath} in existing PR #${existingPR.number}`;
@@ -2183,36 +3939,53 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
         message,
         filesCreated: createdFiles.length > 0 ? createdFiles : undefined,
         filesUpdated: updatedFiles.length > 0 ? updatedFiles : undefined,
+        filesDeleted: deletedFiles.length > 0 ? deletedFiles : undefined,
         filesProcessed: fileInfos.map(f => f.targetPath),
+        ...skippedResult,
+        ...mergeReportsResult,
+        ...autoMergeResult,
+        ...directCommitResult,
         dryRun
       };
     }
 
     if (dryRun) {
       const newFiles = filesToUpdate.filter(f => f.isNew).map(f => f.targetPath);
-      const updatedFiles = filesToUpdate.filter(f => !f.isNew).map(f => f.targetPath);
+      const updatedFiles = filesToUpdate.filter(f => !f.isNew && !f.isDeleted).map(f => f.targetPath);
+      const deletedFiles = filesToUpdate.filter(f => f.isDeleted).map(f => f.targetPath);
       let message;
-      if (fileInfos.length === 1) {
+      if (isSingleFileChange(filesToUpdate)) {
         message = filesToUpdate[0].isNew
           ? `Would create ${filesToUpdate[0].targetPath} via PR`
           : `Would update ${filesToUpdate[0].targetPath} via PR`;
+      } else if (deletedFiles.length === filesToUpdate.length) {
+        message = `Would remove ${filesToUpdate.length} file(s) via PR`;
       } else {
         message = `Would sync ${filesToUpdate.length} file(s) via PR`;
       }
+      let status = 'would-update';
+      if (newFiles.length > 0) {
+        status = 'would-create';
+      } else if (deletedFiles.length === filesToUpdate.length) {
+        status = 'would-remove';
+      }
       return {
         repository: repo,
         success: true,
-        [resultKey]: filesToUpdate.some(f => f.isNew) ? 'would-create' : 'would-update',
+        [resultKey]: status,
         message,
         filesWouldCreate: newFiles.length > 0 ? newFiles : undefined,
         filesWouldUpdate: updatedFiles.length > 0 ? updatedFiles : undefined,
+        filesWouldDelete: deletedFiles.length > 0 ? deletedFiles : undefined,
         filesProcessed: fileInfos.map(f => f.targetPath),
+        ...skippedResult,
+        ...mergeReportsResult,
         dryRun
       };
     }
 
     // Create or get reference to the branch
-    core.info(`  🔍 Checking for existing branch ${branchName}...`);
+    logInfo(`  🔍 Checking for existing branch ${branchName}...`);
     let branchExists = false;
     try {
       await octokit.rest.git.getRef({
@@ -2221,84 +3994,99 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
         ref: `heads/${branchName}`
       });
       branchExists = true;
-      core.info(`  ✓ Branch ${branchName} exists`);
+      logInfo(`  ✓ Branch ${branchName} exists`);
     } catch (error) {
       if (error.status === 404) {
-        core.info(`  ✓ Branch ${branchName} does not exist`);
+        logInfo(`  ✓ Branch ${branchName} does not exist`);
       } else {
         throw error;
       }
     }
 
-    // Get the SHA of the default branch to create new branch from
+    // Get the SHA of the base branch to create new branch from
     const { data: defaultRef } = await octokit.rest.git.getRef({
       owner,
       repo: repoName,
-      ref: `heads/${defaultBranch}`
+      ref: `heads/${baseBranch}`
     });
 
+    // Build a single commit with every file on top of the default branch before touching the sync branch,
+    // so the branch never points at a partially synced state
+    const commitSha = await createCommitWithFiles(
+      octokit,
+      owner,
+      repoName,
+      defaultRef.object.sha,
+      filesToUpdate,
+      buildSyncCommitMessage(filesToUpdate, fileDescription)
+    );
+    const createdFiles = filesToUpdate.filter(f => f.isNew).map(f => f.targetPath);
+    const updatedFiles = filesToUpdate.filter(f => !f.isNew && !f.isDeleted).map(f => f.targetPath);
+    const deletedFiles = filesToUpdate.filter(f => f.isDeleted).map(f => f.targetPath);
+
     if (!branchExists) {
       // Create new branch
       await octokit.rest.git.createRef({
         owner,
         repo: repoName,
         ref: `refs/heads/${branchName}`,
-        sha: defaultRef.object.sha
+        sha: commitSha
       });
-      core.info(`  🌿 Created branch ${branchName}`);
+      logInfo(`  🌿 Created branch ${branchName}`);
     } else {
-      // Update existing branch to latest from default branch
+      // Reset existing branch to the new commit on top of the default branch
       await octokit.rest.git.updateRef({
         owner,
         repo: repoName,
         ref: `heads/${branchName}`,
-        sha: defaultRef.object.sha,
+        sha: commitSha,
         force: true
       });
-      core.info(`  🌿 Updated branch ${branchName}`);
+      logInfo(`  🌿 Updated branch ${branchName}`);
     }
 
-    // Create or update each file
-    const createdFiles = [];
-    const updatedFiles = [];
-
-    for (const file of filesToUpdate) {
-      const commitMessage = file.isNew ? `chore: add ${file.targetPath}` : `chore: update ${file.targetPath}`;
-
-      // Use finalContent if available (from contentProcessor), otherwise use original content
-      const contentToCommit = file.finalContent || file.content;
-
-      await octokit.rest.repos.createOrUpdateFileContents({
-        owner,
-        repo: repoName,
-        path: file.targetPath,
-        message: commitMessage,
-        content: Buffer.from(contentToCommit).toString('base64'),
-        branch: branchName,
-        sha: file.existingSha || undefined
-      });
-
-      if (file.isNew) {
-        createdFiles.push(file.targetPath);
-      } else {
-        updatedFiles.push(file.targetPath);
-      }
-
-      core.info(`  ✍️  Committed changes to ${file.targetPath}`);
-    }
+    logInfo(`  ✍️  Committed changes to ${filesToUpdate.map(f => f.targetPath).join(', ')}`);
 
-    // Prepare PR body content - use dynamic body for multiple files, or simple body for single file
+    // Prepare PR body content - use dynamic body for multiple files (or when no single-file body is given),
+    // or simple body for single file
     let prBody;
-    if (fileInfos.length === 1) {
+    if (isSingleFileChange(filesToUpdate) && prBodyCreate !== undefined) {
       prBody = filesToUpdate[0].isNew ? prBodyCreate : prBodyUpdate;
     } else {
-      prBody = `This PR syncs ${fileDescription} to the latest versions.\n\n**Changes:**\n`;
-      if (createdFiles.length > 0) {
-        prBody += `\n**Added:**\n${createdFiles.map(f => `- \`${f}\``).join('\n')}\n`;
+      // Files with a description (e.g., combined syncs) also explain why each file changed
+      const formatFileEntry = file => {
+        if (!file.description) return `- \`${file.targetPath}\``;
+        const reason = file.isNew
+          ? `added from \`${file.sourceFilePath}\``
+          : `content differs from \`${file.sourceFilePath}\``;
+        return `- \`${file.targetPath}\` — ${file.description} (${reason})`;
+      };
+      const addedEntries = filesToUpdate.filter(f => f.isNew).map(formatFileEntry);
+      const updatedEntries = filesToUpdate.filter(f => !f.isNew && !f.isDeleted).map(formatFileEntry);
+
+      prBody = filesToUpdate.every(f => f.isDeleted)
+        ? `This PR removes ${fileDescription}.\n\n**Changes:**\n`
+        : `This PR syncs ${fileDescription} to the latest versions.\n\n**Changes:**\n`;
+      if (addedEntries.length > 0) {
+        prBody += `\n**Added:**\n${addedEntries.join('\n')}\n`;
+      }
+      if (updatedEntries.length > 0) {
+        prBody += `\n**Updated:**\n${updatedEntries.join('\n')}\n`;
       }
-      if (updatedFiles.length > 0) {
-        prBody += `\n**Updated:**\n${updatedFiles.map(f => `- \`${f}\``).join('\n')}\n`;
+      const deletedEntries = filesToUpdate
+        .filter(f => f.isDeleted)
+        .map(f => `- \`${f.targetPath}\` (${f.deletionReason})`);
+      if (deletedEntries.length > 0) {
+        prBody += `\n**Deleted:**\n${deletedEntries.join('\n')}\n`;
       }
+      if (filesSkipped.length > 0) {
+        prBody += `\n**Skipped:**\n${filesSkipped.map(f => `- \`${f.targetPath}\` — ${f.reason}`).join('\n')}\n`;
+      }
+    }
+    for (const [targetPath, report] of Object.entries(mergeReports)) {
+      const processor = fileInfos.find(f => f.targetPath === targetPath).contentProcessor;
+      const formatReport = processor.formatMergeReport ?? formatMergeReport;
+      prBody += `\n\n**Merged \`${targetPath}\`:**\n${formatReport(report)}\n`;
     }
 
     // Create new PR (we only reach here if no existing PR was found)
@@ -2307,11 +4095,16 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
       repo: repoName,
       title: prTitle,
       head: branchName,
-      base: defaultBranch,
-      body: prBody
+      base: baseBranch,
+      body: prBody,
+      ...(pullRequestOptions?.draft === true && { draft: true })
     });
     const prNumber = pr.number;
-    core.info(`  📬 Created PR #${prNumber}: ${pr.html_url}`);
+    logInfo(`  📬 Created PR #${prNumber}: ${pr.html_url}`);
+    await applyPullRequestOptions(octokit, owner, repoName, pr, pullRequestOptions);
+    const autoMergeResult = pullRequestOptions?.autoMergeMethod
+      ? await enablePullRequestAutoMerge(octokit, pr, pullRequestOptions.autoMergeMethod, repoData.allow_auto_merge)
+      : {};
 
     // Determine status
     let status;
@@ -2319,16 +4112,20 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
       status = 'mixed';
     } else if (createdFiles.length > 0) {
       status = 'created';
-    } else {
+    } else if (updatedFiles.length > 0) {
       status = 'updated';
+    } else {
+      status = 'removed';
     }
 
     // Build message
     let message;
-    if (fileInfos.length === 1) {
+    if (isSingleFileChange(filesToUpdate)) {
       message = filesToUpdate[0].isNew
         ? `Created ${filesToUpdate[0].targetPath} via PR #${prNumber}`
         : `Updated ${filesToUpdate[0].targetPath} via PR #${prNumber}`;
+    } else if (status === 'removed') {
+      message = `Removed ${filesToUpdate.length} file(s) via PR #${prNumber}`;
     } else {
       message = `Synced ${filesToUpdate.length} file(s) via PR #${prNumber}`;
     }
@@ -2342,7 +4139,12 @@ export async function syncFilesViaPullRequest(octokit, repo, options, dryRun) {
       message,
       filesCreated: createdFiles.length > 0 ? createdFiles : undefined,
       filesUpdated: updatedFiles.length > 0 ? updatedFiles : undefined,
+      filesDeleted: deletedFiles.length > 0 ? deletedFiles : undefined,
       filesProcessed: fileInfos.map(f => f.targetPath),
+      ...skippedResult,
+      ...mergeReportsResult,
+      ...autoMergeResult,
+      ...directCommitResult,
       dryRun
     };
   } catch (error) {
@@ -2372,6 +4174,248 @@ export async function syncFileViaPullRequest(octokit, repo, options, dryRun) {
   );
 }
 
+/**
+ * Identify a dependabot.yml `updates` entry by its ecosystem and directory (or directories).
+ * @param {Object} entry - Update entry
+ * @returns {string} Entry label, e.g. "npm (/)"
+ */
+function getDependabotUpdateKey(entry) {
+  const directories = Array.isArray(entry.directories) ? entry.directories.join(', ') : entry.directory || '/';
+  return `${entry['package-ecosystem']} (${directories})`;
+}
+
+/**
+ * Parse dependabot.yml content for a structural merge.
+ * @param {string} content - YAML content
+ * @param {string} description - Which file this is, for errors
+ * @returns {Object} Parsed configuration
+ */
+function parseDependabotConfig(content, description) {
+  let config;
+  try {
+    config = yaml.load(content);
+  } catch (error) {
+    throw new Error(`${description} is not valid YAML: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${description} must be a YAML mapping`);
+  }
+  if (config.updates !== undefined && !Array.isArray(config.updates)) {
+    throw new Error(`${description} 'updates' must be a list`);
+  }
+  return config;
+}
+
+/**
+ * Merge a baseline dependabot.yml into a repository's dependabot.yml.
+ * `updates` entries are matched on package-ecosystem + directory: baseline entries are added or have their
+ * baseline keys (schedule, groups, labels, ...) enforced, while keys the repository added to them are kept.
+ * Repository-only entries and registries are preserved. Other top-level keys come from the baseline.
+ * @param {Object} source - Baseline configuration
+ * @param {Object} existing - Repository configuration
+ * @returns {{config: Object, report: {added: Array<string>, changed: Array<string>, preserved: Array<string>}}}
+ *   Merged configuration and the entries that were added, changed or preserved
+ */
+export function mergeDependabotConfig(source, existing) {
+  const report = { added: [], changed: [], preserved: [] };
+  const sourceEntries = new Map((source.updates || []).map(entry => [getDependabotUpdateKey(entry), entry]));
+
+  const updates = [];
+  for (const entry of existing.updates || []) {
+    const key = getDependabotUpdateKey(entry);
+    const sourceEntry = sourceEntries.get(key);
+    if (!sourceEntry) {
+      updates.push(entry);
+      report.preserved.push(key);
+      continue;
+    }
+    const merged = { ...entry, ...sourceEntry };
+    if (!deepEqual(merged, entry)) {
+      report.changed.push(key);
+    }
+    updates.push(merged);
+    sourceEntries.delete(key);
+  }
+  for (const [key, entry] of sourceEntries) {
+    updates.push(entry);
+    report.added.push(key);
+  }
+
+  const config = { ...existing, ...source };
+  if (existing.registries || source.registries) {
+    config.registries = { ...existing.registries, ...source.registries };
+  }
+  config.updates = updates;
+  return { config, report };
+}
+
+/**
+ * Content processor that merges dependabot.yml structurally instead of replacing it (see mergeDependabotConfig).
+ * The merged file is re-serialized, so comments in the repository's file are not kept.
+ */
+const dependabotMergeContentProcessor = {
+  merge(sourceContent, existingContent) {
+    return mergeDependabotConfig(
+      parseDependabotConfig(sourceContent, 'Source dependabot.yml'),
+      parseDependabotConfig(existingContent, 'Existing .github/dependabot.yml')
+    );
+  },
+
+  isUpToDate(sourceContent, existingContent) {
+    const { config } = this.merge(sourceContent, existingContent);
+    return deepEqual(config, parseDependabotConfig(existingContent, 'Existing .github/dependabot.yml'));
+  },
+
+  getFinalContent(sourceContent, existingContent) {
+    return yaml.dump(this.merge(sourceContent, existingContent).config, { lineWidth: -1, noRefs: true });
+  },
+
+  getMergeReport(sourceContent, existingContent) {
+    return this.merge(sourceContent, existingContent).report;
+  }
+};
+
+/**
+ * Files that indicate a Dependabot package ecosystem, matched against each file name in the repository tree.
+ * Files under `.github/workflows` (github-actions) and `.gitmodules` (gitsubmodule) are detected separately.
+ */
+const DEPENDABOT_ECOSYSTEM_MANIFESTS = Object.freeze([
+  { ecosystem: 'npm', pattern: /^package\.json$/ },
+  { ecosystem: 'gomod', pattern: /^go\.mod$/ },
+  { ecosystem: 'maven', pattern: /^pom\.xml$/ },
+  { ecosystem: 'gradle', pattern: /^(build|settings)\.gradle(\.kts)?$/ },
+  { ecosystem: 'pip', pattern: /^(requirements\.txt|pyproject\.toml|Pipfile|setup\.py)$/ },
+  { ecosystem: 'bundler', pattern: /^Gemfile$/ },
+  { ecosystem: 'composer', pattern: /^composer\.json$/ },
+  { ecosystem: 'cargo', pattern: /^Cargo\.toml$/ },
+  { ecosystem: 'nuget', pattern: /(\.(cs|fs|vb)proj|^packages\.config)$/ },
+  { ecosystem: 'mix', pattern: /^mix\.exs$/ },
+  { ecosystem: 'pub', pattern: /^pubspec\.yaml$/ },
+  { ecosystem: 'swift', pattern: /^Package\.swift$/ },
+  { ecosystem: 'docker', pattern: /(^Dockerfile|\.Dockerfile$)/ },
+  { ecosystem: 'terraform', pattern: /\.tf$/ }
+]);
+
+/**
+ * Directories never scanned for manifests (vendored or installed dependencies)
+ */
+const DEPENDABOT_IGNORED_DIRECTORIES = Object.freeze(['node_modules', 'vendor', '.git']);
+
+/**
+ * Detect the Dependabot package ecosystems present in a repository tree.
+ * @param {Array<{path: string, type: string}>} treeEntries - Entries from a recursive git tree
+ * @returns {Array<{ecosystem: string, directory: string}>} Detected ecosystems and the directories of their manifests,
+ *   ordered by ecosystem and then directory
+ */
+export function detectDependabotEcosystems(treeEntries) {
+  const found = new Map();
+  const add = (ecosystem, directory) => {
+    if (!found.has(ecosystem)) found.set(ecosystem, new Set());
+    found.get(ecosystem).add(directory);
+  };
+
+  for (const entry of treeEntries) {
+    if (entry.type !== 'blob') continue;
+    const segments = entry.path.split('/');
+    if (segments.some(segment => DEPENDABOT_IGNORED_DIRECTORIES.includes(segment))) continue;
+    const fileName = segments[segments.length - 1];
+    const directory = `/${segments.slice(0, -1).join('/')}`;
+
+    if (/^\.github\/workflows\/[^/]+\.ya?ml$/.test(entry.path)) {
+      add('github-actions', '/');
+    } else if (entry.path === '.gitmodules') {
+      add('gitsubmodule', '/');
+    }
+    for (const { ecosystem, pattern } of DEPENDABOT_ECOSYSTEM_MANIFESTS) {
+      if (pattern.test(fileName)) {
+        add(ecosystem, directory);
+      }
+    }
+  }
+
+  const order = ['github-actions', 'gitsubmodule', ...DEPENDABOT_ECOSYSTEM_MANIFESTS.map(m => m.ecosystem)];
+  return [...found.entries()]
+    .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+    .flatMap(([ecosystem, directories]) =>
+      [...directories].sort((a, b) => a.localeCompare(b)).map(directory => ({ ecosystem, directory }))
+    );
+}
+
+/**
+ * Build a dependabot.yml configuration for the detected ecosystems.
+ * The baseline's `updates` entry with `package-ecosystem: '*'` holds options shared by every entry
+ * (schedule, groups, labels, ...); an entry for a specific ecosystem adds options for that ecosystem only.
+ * Other top-level baseline keys (e.g. registries) are kept. Without options, entries are checked weekly.
+ * @param {Array<{ecosystem: string, directory: string}>} detected - From detectDependabotEcosystems
+ * @param {Object} [baseline] - Parsed baseline dependabot.yml
+ * @returns {Object} dependabot.yml configuration
+ */
+export function buildDependabotConfig(detected, baseline = {}) {
+  const templates = new Map();
+  for (const entry of baseline.updates || []) {
+    // The directory comes from detection, so only the remaining options are templates
+    const options = Object.fromEntries(
+      Object.entries(entry).filter(([key]) => !['package-ecosystem', 'directory', 'directories'].includes(key))
+    );
+    templates.set(entry['package-ecosystem'], { ...templates.get(entry['package-ecosystem']), ...options });
+  }
+  const shared = templates.get('*') || { schedule: { interval: 'weekly' } };
+
+  return {
+    ...baseline,
+    version: baseline.version ?? 2,
+    updates: detected.map(({ ecosystem, directory }) => ({
+      'package-ecosystem': ecosystem,
+      directory,
+      ...shared,
+      ...templates.get(ecosystem)
+    }))
+  };
+}
+
+/**
+ * Generate dependabot.yml content from the ecosystems detected in a repository's default branch.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @param {string} [baselinePath] - Local baseline dependabot.yml (see buildDependabotConfig)
+ * @returns {Promise<{content: string, ecosystems: Array<string>}>} YAML content and the detected ecosystems
+ */
+async function generateDependabotYml(octokit, repo, baselinePath) {
+  const [owner, repoName] = repo.split('/');
+  const baseline = baselinePath
+    ? parseDependabotConfig(fs.readFileSync(baselinePath, 'utf8'), 'Baseline dependabot.yml')
+    : {};
+
+  const { data: repoData } = await octokit.rest.repos.get({ owner, repo: repoName });
+  const { data: tree } = await octokit.rest.git.getTree({
+    owner,
+    repo: repoName,
+    tree_sha: repoData.default_branch,
+    recursive: 'true'
+  });
+  if (tree.truncated) {
+    logWarning(`  ⚠️  The file tree of ${repo} is too large to list completely; some ecosystems may not be detected`);
+  }
+
+  const detected = detectDependabotEcosystems(tree.tree);
+  return {
+    content: yaml.dump(buildDependabotConfig(detected, baseline), { lineWidth: -1, noRefs: true }),
+    ecosystems: [...new Set(detected.map(({ ecosystem }) => ecosystem))]
+  };
+}
+
+/**
+ * Format a merge report as Markdown list items.
+ * @param {{added: Array<string>, changed: Array<string>, preserved: Array<string>}} report - Merge report
+ * @returns {string} One line per non-empty category
+ */
+export function formatMergeReport(report) {
+  return ['added', 'changed', 'preserved']
+    .filter(category => report[category].length > 0)
+    .map(category => `- ${capitalizeLabel(category)}: ${report[category].join(', ')}`)
+    .join('\n');
+}
+
 /**
  * Sync dependabot.yml file to target repository
  * @param {Octokit} octokit - Octokit instance
@@ -2380,25 +4424,72 @@ export async function syncFileViaPullRequest(octokit, repo, options, dryRun) {
  * @param {string} prTitle - Title for the pull request
  * @param {boolean} dryRun - Preview mode without making actual changes
  * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
+ * @param {boolean} [merge=false] - Merge into the repository's dependabot.yml instead of replacing it
+ *   (see mergeDependabotConfig); the result's `mergeReports` lists the added, changed and preserved entries
+ * @param {boolean} [autoDetect=false] - Generate the `updates` entries from the ecosystems detected in the
+ *   repository, using dependabotYmlPath (optional) as the baseline (see buildDependabotConfig)
  * @returns {Promise<Object>} Result object
  */
-export async function syncDependabotYml(octokit, repo, dependabotYmlPath, prTitle, dryRun, authenticatedLogin) {
-  return syncFileViaPullRequest(
+export async function syncDependabotYml(
+  octokit,
+  repo,
+  dependabotYmlPath,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  pullRequestOptions,
+  merge = false,
+  autoDetect = false
+) {
+  let file = { sourceFilePath: dependabotYmlPath, targetPath: '.github/dependabot.yml' };
+  let detectedResult = {};
+  if (autoDetect) {
+    let generated;
+    try {
+      generated = await generateDependabotYml(octokit, repo, dependabotYmlPath);
+    } catch (error) {
+      return {
+        repository: repo,
+        success: false,
+        error: `Failed to detect Dependabot ecosystems: ${error.message}`,
+        dryRun
+      };
+    }
+    if (generated.ecosystems.length === 0) {
+      return {
+        repository: repo,
+        success: true,
+        dependabotYml: 'unchanged',
+        message: 'No Dependabot ecosystems detected, dependabot.yml not synced',
+        detectedEcosystems: [],
+        dryRun
+      };
+    }
+    logInfo(`  🔍 Detected ecosystems: ${generated.ecosystems.join(', ')}`);
+    file = { ...file, sourceFilePath: dependabotYmlPath || 'detected ecosystems', content: generated.content };
+    detectedResult = { detectedEcosystems: generated.ecosystems };
+  }
+
+  const result = await syncFilesViaPullRequest(
     octokit,
     repo,
     {
-      sourceFilePath: dependabotYmlPath,
-      targetPath: '.github/dependabot.yml',
+      files: [file],
       branchName: 'dependabot-yml-sync',
       prTitle,
       prBodyCreate: `This PR adds \`.github/dependabot.yml\` to enable Dependabot.\n\n**Changes:**\n- Added dependabot configuration`,
       prBodyUpdate: `This PR updates \`.github/dependabot.yml\` to the latest version.\n\n**Changes:**\n- Updated dependabot configuration`,
       resultKey: 'dependabotYml',
       fileDescription: 'dependabot.yml',
-      authenticatedLogin
+      contentProcessor: merge ? dependabotMergeContentProcessor : undefined,
+      template: rendersTemplates(pullRequestOptions, 'dependabot-yml'),
+      authenticatedLogin,
+      pullRequestOptions
     },
     dryRun
   );
+  return { ...result, ...detectedResult };
 }
 
 /**
@@ -2461,6 +4552,133 @@ const gitignoreContentProcessor = {
   }
 };
 
+/**
+ * Text of the comment lines that delimit a managed block. Content outside the block is
+ * repository-specific and preserved during sync.
+ */
+const MANAGED_BLOCK_BEGIN = 'BEGIN MANAGED BLOCK: bulk-github-repo-settings-sync-action';
+const MANAGED_BLOCK_END = 'END MANAGED BLOCK: bulk-github-repo-settings-sync-action';
+
+const HASH_COMMENT = Object.freeze({ start: '#', end: '' });
+const HTML_COMMENT = Object.freeze({ start: '<!--', end: '-->' });
+const SLASH_COMMENT = Object.freeze({ start: '//', end: '' });
+const BLOCK_COMMENT = Object.freeze({ start: '/*', end: '*/' });
+
+/**
+ * Comment syntax for managed block markers, by file extension (or file name for extensionless files)
+ */
+const MANAGED_BLOCK_COMMENT_SYNTAX = Object.freeze({
+  codeowners: HASH_COMMENT,
+  '.gitignore': HASH_COMMENT,
+  '.gitattributes': HASH_COMMENT,
+  '.editorconfig': HASH_COMMENT,
+  '.npmrc': HASH_COMMENT,
+  dockerfile: HASH_COMMENT,
+  makefile: HASH_COMMENT,
+  '.yml': HASH_COMMENT,
+  '.yaml': HASH_COMMENT,
+  '.toml': HASH_COMMENT,
+  '.ini': HASH_COMMENT,
+  '.cfg': HASH_COMMENT,
+  '.sh': HASH_COMMENT,
+  '.py': HASH_COMMENT,
+  '.rb': HASH_COMMENT,
+  '.md': HTML_COMMENT,
+  '.markdown': HTML_COMMENT,
+  '.html': HTML_COMMENT,
+  '.xml': HTML_COMMENT,
+  '.js': SLASH_COMMENT,
+  '.mjs': SLASH_COMMENT,
+  '.cjs': SLASH_COMMENT,
+  '.ts': SLASH_COMMENT,
+  '.go': SLASH_COMMENT,
+  '.java': SLASH_COMMENT,
+  '.kt': SLASH_COMMENT,
+  '.cs': SLASH_COMMENT,
+  '.jsonc': SLASH_COMMENT,
+  '.css': BLOCK_COMMENT,
+  '.scss': BLOCK_COMMENT
+});
+
+/**
+ * Get the comment syntax used for managed block markers in a file.
+ * @param {string} targetPath - Path of the file in the repository
+ * @returns {{start: string, end: string}|null} Comment syntax, or null when the file type has no comments (e.g. JSON)
+ */
+export function getManagedBlockCommentSyntax(targetPath) {
+  const fileName = path.posix.basename(targetPath).toLowerCase();
+  return MANAGED_BLOCK_COMMENT_SYNTAX[fileName] ?? MANAGED_BLOCK_COMMENT_SYNTAX[path.posix.extname(fileName)] ?? null;
+}
+
+/**
+ * Split content around its managed block.
+ * @param {string} content - File content
+ * @param {{start: string, end: string}} syntax - Comment syntax from getManagedBlockCommentSyntax
+ * @returns {{before: string, beginLine: string, inner: string, endLine: string, after: string}|null}
+ *   The parts of the content (lines keep their newlines), or null when it has no complete managed block
+ */
+function splitManagedBlock(content, syntax) {
+  const markerLine = text =>
+    new RegExp(
+      `^[ \\t]*${escapeRegExp(syntax.start)}[ \\t]*${escapeRegExp(text)}[ \\t]*${escapeRegExp(syntax.end)}[ \\t]*\\r?$`
+    );
+  const lines = content.split(/(?<=\n)/);
+  const beginIndex = lines.findIndex(line => markerLine(MANAGED_BLOCK_BEGIN).test(line.replace(/\n$/, '')));
+  if (beginIndex === -1) return null;
+  const endIndex = lines.findIndex(
+    (line, index) => index > beginIndex && markerLine(MANAGED_BLOCK_END).test(line.replace(/\n$/, ''))
+  );
+  if (endIndex === -1) return null;
+  return {
+    before: lines.slice(0, beginIndex).join(''),
+    beginLine: lines[beginIndex],
+    inner: lines.slice(beginIndex + 1, endIndex).join(''),
+    endLine: lines[endIndex],
+    after: lines.slice(endIndex + 1).join('')
+  };
+}
+
+/**
+ * Create a content processor that only syncs the managed block of a file.
+ * The managed block is the source's own block when it has one, or the whole source otherwise.
+ * When the repository's file has a managed block, only the block is compared and replaced and
+ * everything around it is kept; otherwise the whole file is synced as usual.
+ * @param {string} targetPath - Path of the file in the repository (selects the comment syntax)
+ * @returns {Object|undefined} Content processor, or undefined when the file type has no comment syntax
+ */
+export function createManagedBlockContentProcessor(targetPath) {
+  const syntax = getManagedBlockCommentSyntax(targetPath);
+  if (!syntax) return undefined;
+
+  const getManagedContent = sourceContent => {
+    const sourceBlock = splitManagedBlock(sourceContent, syntax);
+    return sourceBlock ? sourceBlock.inner : sourceContent;
+  };
+
+  return {
+    isUpToDate(sourceContent, existingContent) {
+      const existingBlock = splitManagedBlock(existingContent, syntax);
+      if (!existingBlock) {
+        return existingContent.trim() === sourceContent.trim();
+      }
+      return existingBlock.inner.trim() === getManagedContent(sourceContent).trim();
+    },
+
+    getFinalContent(sourceContent, existingContent) {
+      const existingBlock = splitManagedBlock(existingContent, syntax);
+      if (!existingBlock) {
+        return sourceContent;
+      }
+      let managedContent = getManagedContent(sourceContent).trim();
+      if (managedContent) {
+        managedContent += '\n';
+      }
+      const endLine = existingBlock.endLine.endsWith('\n') ? existingBlock.endLine : `${existingBlock.endLine}\n`;
+      return `${existingBlock.before}${existingBlock.beginLine}${managedContent}${endLine}${existingBlock.after}`;
+    }
+  };
+}
+
 /**
  * Sync .gitignore file to target repository
  * This function handles .gitignore specially to preserve repository-specific entries
@@ -2471,9 +4689,18 @@ const gitignoreContentProcessor = {
  * @param {string} prTitle - Title for the pull request
  * @param {boolean} dryRun - Preview mode without making actual changes
  * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
  * @returns {Promise<Object>} Result object
  */
-export async function syncGitignore(octokit, repo, gitignorePath, prTitle, dryRun, authenticatedLogin) {
+export async function syncGitignore(
+  octokit,
+  repo,
+  gitignorePath,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  pullRequestOptions
+) {
   return syncFileViaPullRequest(
     octokit,
     repo,
@@ -2487,7 +4714,8 @@ export async function syncGitignore(octokit, repo, gitignorePath, prTitle, dryRu
       resultKey: 'gitignore',
       fileDescription: '.gitignore',
       authenticatedLogin,
-      contentProcessor: gitignoreContentProcessor
+      contentProcessor: gitignoreContentProcessor,
+      pullRequestOptions
     },
     dryRun
   );
@@ -2514,397 +4742,533 @@ function deepEqual(obj1, obj2) {
 }
 
 /**
- * Sync package.json fields (scripts and/or engines) to target repository via PR
- * This function merges selected fields from a source package.json into the target,
- * preserving all other fields in the target package.json.
- * @param {Octokit} octokit - Octokit instance
- * @param {string} repo - Repository in "owner/repo" format
- * @param {string} packageJsonPath - Path to local package.json file
- * @param {boolean} syncScripts - Whether to sync the scripts field
- * @param {boolean} syncEngines - Whether to sync the engines field
- * @param {string} prTitle - Title for the pull request
- * @param {boolean} dryRun - Preview mode without making actual changes
- * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
- * @returns {Promise<Object>} Result object
+ * Detect the formatting conventions of a JSON file so it can be rewritten without noise
+ * @param {string} content - Raw JSON file content
+ * @returns {{indent: string, lineEnding: string, finalNewline: boolean}} Indentation unit
+ *   (tab or spaces, two spaces when nothing is indented), line ending and whether the file ends with one
  */
-export async function syncPackageJson(
-  octokit,
-  repo,
-  packageJsonPath,
-  syncScripts,
-  syncEngines,
-  prTitle,
-  dryRun,
-  authenticatedLogin
-) {
-  const [owner, repoName] = repo.split('/');
-  const targetPath = 'package.json';
-  const branchName = 'package-json-sync';
+export function detectJsonFormatting(content) {
+  const indentMatch = content.match(/^([ \t]+)\S/m);
+  return {
+    indent: indentMatch ? (indentMatch[1].startsWith('\t') ? '\t' : indentMatch[1]) : '  ',
+    lineEnding: content.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: content.length === 0 || content.endsWith('\n')
+  };
+}
 
-  if (!owner || !repoName) {
-    return {
-      repository: repo,
-      success: false,
-      error: 'Invalid repository format. Expected "owner/repo"',
-      dryRun
-    };
-  }
+/**
+ * Serialize a value as JSON using the formatting detected from an existing file
+ * @param {*} value - Value to serialize
+ * @param {{indent: string, lineEnding: string, finalNewline: boolean}} formatting - From detectJsonFormatting
+ * @returns {string} JSON content
+ */
+export function stringifyJson(value, formatting) {
+  const json = JSON.stringify(value, null, formatting.indent).replace(/\n/g, formatting.lineEnding);
+  return formatting.finalNewline ? `${json}${formatting.lineEnding}` : json;
+}
 
-  if (!syncScripts && !syncEngines) {
-    return {
-      repository: repo,
-      success: false,
-      error: 'At least one of syncScripts or syncEngines must be enabled',
-      dryRun
-    };
-  }
+const FIELD_MERGE_STRATEGIES = ['replace', 'merge-keys', 'listed-keys'];
 
-  try {
-    // Read and parse the source package.json file
-    let sourcePackageJson;
+/**
+ * Normalize a `package-json-sync-fields` config value into field specs.
+ * Accepts a list of field names (synced with the `replace` strategy), or a mapping of field
+ * name to a strategy or `{ strategy, keys }`. Invalid entries are warned about and ignored.
+ * @param {Object|Array|string} value - Field config, or a YAML / comma-separated string of one
+ * @param {string} context - Where the config came from, for warnings (e.g. "repo 'owner/repo'")
+ * @returns {Array<{field: string, strategy: string, keys?: string[]}>} Field specs (empty when unset or invalid)
+ */
+export function parsePackageJsonSyncFields(value, context) {
+  let config = value;
+  if (typeof config === 'string') {
     try {
-      const sourceContent = fs.readFileSync(packageJsonPath, 'utf8');
-      sourcePackageJson = JSON.parse(sourceContent);
+      config = yaml.load(config);
     } catch (error) {
-      return {
-        repository: repo,
-        success: false,
-        error: `Failed to read or parse package.json file at ${packageJsonPath}: ${error.message}`,
-        dryRun
-      };
+      logWarning(
+        `Invalid 'package-json-sync-fields' configuration for ${context}: ${error.message}. This configuration will be ignored.`
+      );
+      return [];
+    }
+  }
+  if (config === undefined || config === null || config === '') return [];
+  if (typeof config === 'string' || Array.isArray(config)) {
+    if (Array.isArray(config) && config.some(entry => typeof entry !== 'string')) {
+      logWarning(
+        `Invalid 'package-json-sync-fields' configuration for ${context}; list entries must be field names. This configuration will be ignored.`
+      );
+      return [];
     }
+    return parseListInput(config).map(field => ({ field, strategy: 'replace' }));
+  }
+  if (typeof config !== 'object') {
+    logWarning(
+      `Invalid 'package-json-sync-fields' configuration for ${context}; expected a list or mapping. This configuration will be ignored.`
+    );
+    return [];
+  }
 
-    // Get default branch
-    const { data: repoData } = await octokit.rest.repos.get({
-      owner,
-      repo: repoName
-    });
-    const defaultBranch = repoData.default_branch;
-
-    // Check if package.json exists in the target repo
-    let existingPackageJson = null;
-    let existingSha = null;
+  return parseFieldMergeSpecs(config, 'replace', field => `package.json field '${field}' in ${context}`);
+}
 
-    try {
-      const { data } = await octokit.rest.repos.getContent({
-        owner,
-        repo: repoName,
-        path: targetPath,
-        ref: defaultBranch
-      });
-      existingSha = data.sha;
-      const existingContent = Buffer.from(data.content, 'base64').toString('utf8');
-      existingPackageJson = JSON.parse(existingContent);
-    } catch (error) {
-      if (error.status === 404) {
-        return {
-          repository: repo,
-          success: false,
-          error: `${targetPath} does not exist in ${repo}. This action only updates existing package.json files.`,
-          dryRun
-        };
-      }
-      throw error;
+/**
+ * Turn a mapping of field (or path) to a strategy or `{ strategy, keys }` into merge specs,
+ * warning about and skipping entries with an unknown strategy or no listed keys.
+ * @param {Object} config - Mapping of field to strategy config
+ * @param {string} defaultStrategy - Strategy for entries that don't name one
+ * @param {Function} describeField - (field) => description for warnings
+ * @returns {Array<{field: string, strategy: string, keys?: string[]}>} Merge specs
+ */
+function parseFieldMergeSpecs(config, defaultStrategy, describeField) {
+  const specs = [];
+  for (const [field, fieldConfig] of Object.entries(config)) {
+    const strategy = typeof fieldConfig === 'string' ? fieldConfig : (fieldConfig?.strategy ?? defaultStrategy);
+    const keys = parseListInput(fieldConfig?.keys);
+    if (!FIELD_MERGE_STRATEGIES.includes(strategy)) {
+      logWarning(
+        `Invalid strategy '${strategy}' for ${describeField(field)}; expected one of ${FIELD_MERGE_STRATEGIES.join(', ')}. This field will be ignored.`
+      );
+      continue;
     }
+    if (strategy === 'listed-keys' && keys.length === 0) {
+      logWarning(
+        `Strategy 'listed-keys' for ${describeField(field)} requires a non-empty 'keys' list. This field will be ignored.`
+      );
+      continue;
+    }
+    specs.push(strategy === 'listed-keys' ? { field, strategy, keys } : { field, strategy });
+  }
+  return specs;
+}
 
-    // Build updated package.json by merging selected fields
-    const updatedPackageJson = { ...existingPackageJson };
-    const changes = [];
-
-    // Check and update scripts if enabled
-    if (syncScripts) {
-      const sourceScripts = sourcePackageJson.scripts || {};
-      const existingScripts = existingPackageJson.scripts || {};
-
-      if (!deepEqual(sourceScripts, existingScripts)) {
-        updatedPackageJson.scripts = sourceScripts;
-        changes.push({
-          field: 'scripts',
-          from: Object.keys(existingScripts).length,
-          to: Object.keys(sourceScripts).length
-        });
-      }
+/**
+ * Combine the `scripts` / `engines` toggles with the configured field specs.
+ * An explicit spec for `scripts` or `engines` takes precedence over its toggle.
+ * @param {boolean} syncScripts - Whether to sync the scripts field
+ * @param {boolean} syncEngines - Whether to sync the engines field
+ * @param {Array<Object>} [syncFields] - Field specs from parsePackageJsonSyncFields
+ * @returns {Array<Object>} Field specs to sync
+ */
+function getPackageJsonFieldSpecs(syncScripts, syncEngines, syncFields = []) {
+  const specs = [...syncFields];
+  for (const [field, enabled] of [
+    ['scripts', syncScripts],
+    ['engines', syncEngines]
+  ]) {
+    if (enabled && !specs.some(spec => spec.field === field)) {
+      specs.push({ field, strategy: 'replace' });
     }
+  }
+  return specs;
+}
 
-    // Check and update engines if enabled
-    if (syncEngines) {
-      const sourceEngines = sourcePackageJson.engines || {};
-      const existingEngines = existingPackageJson.engines || {};
+/**
+ * Check whether a value is a plain JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isJsonObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
 
-      if (!deepEqual(sourceEngines, existingEngines)) {
-        updatedPackageJson.engines = sourceEngines;
-        changes.push({
-          field: 'engines',
-          from: JSON.stringify(existingEngines),
-          to: JSON.stringify(sourceEngines)
-        });
-      }
-    }
+/**
+ * Work out the new value of one synced field under its merge strategy.
+ * - `replace`: the source value wins outright; a field missing from the source is removed
+ * - `merge-keys`: source keys are added or overwritten, keys only in the target are kept
+ * - `listed-keys`: only the listed keys are taken from the source, everything else is kept
+ * Object strategies fall back to `replace` when either side is not an object.
+ * @param {Object} spec - Field spec ({ field, strategy, keys })
+ * @param {*} sourceValue - Field value in the source
+ * @param {*} existingValue - Field value in the target
+ * @returns {*} New field value (undefined removes the field)
+ */
+function mergeFieldValue(spec, sourceValue, existingValue) {
+  if (spec.strategy === 'replace') return sourceValue;
+  if (sourceValue === undefined) return existingValue;
+  if (!isJsonObject(sourceValue) || (existingValue !== undefined && !isJsonObject(existingValue))) {
+    return sourceValue;
+  }
 
-    // If no changes needed, check for stale PRs and return
-    if (changes.length === 0) {
-      // Check for stale open PRs that should be closed (source reverted to match target)
-      const stalePrResult = await closeStaleActionPrs(octokit, repo, branchName, dryRun, authenticatedLogin);
+  const merged = { ...existingValue };
+  if (spec.strategy === 'merge-keys') {
+    return { ...merged, ...sourceValue };
+  }
+  for (const key of spec.keys) {
+    if (Object.hasOwn(sourceValue, key)) {
+      merged[key] = sourceValue[key];
+    }
+  }
+  return merged;
+}
 
-      if (stalePrResult && (stalePrResult.action === 'closed' || stalePrResult.action === 'would-close')) {
-        return {
-          repository: repo,
-          success: true,
-          packageJson: stalePrResult.action === 'closed' ? 'stale-pr-closed' : 'would-close-stale-pr',
-          message: stalePrResult.message,
-          prNumber: stalePrResult.prNumber,
-          prUrl: stalePrResult.prUrl,
-          dryRun
-        };
-      }
+/**
+ * Describe how a synced field changed, key by key for objects
+ * @param {Object} spec - Field spec
+ * @param {*} from - Previous value
+ * @param {*} to - New value
+ * @returns {Object} Change entry ({ field, strategy, added/changed/removed keys or from/to values })
+ */
+function describeFieldChange(spec, from, to) {
+  const change = { field: spec.field, strategy: spec.strategy };
+  if ((from === undefined || isJsonObject(from)) && (to === undefined || isJsonObject(to))) {
+    const before = from || {};
+    const after = to || {};
+    change.added = Object.keys(after).filter(key => !Object.hasOwn(before, key));
+    change.changed = Object.keys(after).filter(
+      key => Object.hasOwn(before, key) && !deepEqual(before[key], after[key])
+    );
+    change.removed = Object.keys(before).filter(key => !Object.hasOwn(after, key));
+  } else {
+    change.from = from;
+    change.to = to;
+  }
+  return change;
+}
 
-      const result = {
-        repository: repo,
-        success: true,
-        packageJson: 'unchanged',
-        message: `${targetPath} is already up to date`,
-        dryRun
-      };
+/**
+ * Apply field specs from a source package.json onto a target package.json
+ * @param {Object} sourcePackageJson - Parsed source package.json
+ * @param {Object} existingPackageJson - Parsed target package.json
+ * @param {Array<Object>} specs - Field specs to sync
+ * @returns {{packageJson: Object, changes: Array<Object>}} Updated package.json and field-level changes
+ */
+export function applyPackageJsonFieldSync(sourcePackageJson, existingPackageJson, specs) {
+  const packageJson = { ...existingPackageJson };
+  const changes = [];
 
-      // If stale PR was warned (author mismatch), attach warning info
-      if (stalePrResult && stalePrResult.action === 'warned') {
-        result.stalePrWarning = stalePrResult;
-      }
+  for (const spec of specs) {
+    const existingValue = existingPackageJson[spec.field];
+    const value = mergeFieldValue(spec, sourcePackageJson[spec.field], existingValue);
+    if (deepEqual(value, existingValue)) continue;
 
-      return result;
+    if (value === undefined) {
+      delete packageJson[spec.field];
+    } else {
+      packageJson[spec.field] = value;
     }
+    changes.push(describeFieldChange(spec, existingValue, value));
+  }
 
-    // Check if there's already an open PR for this update
-    let existingPR = null;
-    try {
-      const { data: pulls } = await octokit.rest.pulls.list({
-        owner,
-        repo: repoName,
-        state: 'open',
-        head: `${owner}:${branchName}`
-      });
+  return { packageJson, changes };
+}
 
-      if (pulls.length > 0) {
-        existingPR = pulls[0];
-        core.info(`  🔄 Found existing open PR #${existingPR.number} for ${targetPath}`);
+/**
+ * Format package.json field changes as a markdown list for PR bodies
+ * @param {Array<Object>} changes - Changes from applyPackageJsonFieldSync
+ * @returns {string} One line per changed field
+ */
+export function formatPackageJsonChanges(changes) {
+  const code = value => `\`${value}\``;
+  return changes
+    .map(change => {
+      if (change.added) {
+        const parts = [
+          change.added.length > 0 && `added ${change.added.map(code).join(', ')}`,
+          change.changed.length > 0 && `changed ${change.changed.map(code).join(', ')}`,
+          change.removed.length > 0 && `removed ${change.removed.map(code).join(', ')}`
+        ].filter(Boolean);
+        return `- ${code(change.field)} (${change.strategy}): ${parts.join('; ')}`;
       }
-    } catch (error) {
-      core.warning(`  ⚠️  Could not check for existing PRs: ${error.message}`);
-    }
+      const show = value => (value === undefined ? '_unset_' : code(JSON.stringify(value)));
+      return `- ${code(change.field)} (${change.strategy}): ${show(change.from)} → ${show(change.to)}`;
+    })
+    .join('\n');
+}
 
-    // If there's already an open PR, check if content differs and update if needed
-    if (existingPR) {
-      // Fetch package.json from PR branch to compare
-      let prBranchPackageJson = null;
-      let prBranchSha = null;
+/**
+ * Create a content processor that merges selected package.json fields from the source
+ * into the existing package.json, preserving all other fields. Its merge report also
+ * carries the field-level `changes` from applyPackageJsonFieldSync.
+ * @param {Array<Object>} specs - Field specs to sync
+ * @returns {Object} Content processor for syncFilesViaPullRequest
+ */
+function createPackageJsonContentProcessor(specs) {
+  return {
+    // package.json is only ever updated, never created
+    requiresExisting: true,
+
+    isUpToDate(sourceContent, existingContent) {
+      return (
+        applyPackageJsonFieldSync(JSON.parse(sourceContent), JSON.parse(existingContent), specs).changes.length === 0
+      );
+    },
 
-      try {
-        const { data } = await octokit.rest.repos.getContent({
-          owner,
-          repo: repoName,
-          path: targetPath,
-          ref: branchName
-        });
-        prBranchSha = data.sha;
-        const prBranchContent = Buffer.from(data.content, 'base64').toString('utf8');
-        prBranchPackageJson = JSON.parse(prBranchContent);
-      } catch (error) {
-        if (error.status !== 404) {
-          throw error;
-        }
-        // File doesn't exist in PR branch yet (shouldn't happen for package.json, but handle gracefully)
-        core.info(`  📄 ${targetPath} does not exist in PR branch ${branchName}`);
-      }
+    getFinalContent(sourceContent, existingContent) {
+      const { packageJson } = applyPackageJsonFieldSync(JSON.parse(sourceContent), JSON.parse(existingContent), specs);
+      return stringifyJson(packageJson, detectJsonFormatting(existingContent));
+    },
 
-      // Check if the PR branch already has the desired content
-      let prNeedsUpdate = true;
-      if (prBranchPackageJson) {
-        const prBranchScripts = prBranchPackageJson.scripts || {};
-        const prBranchEngines = prBranchPackageJson.engines || {};
-        const sourceScripts = sourcePackageJson.scripts || {};
-        const sourceEngines = sourcePackageJson.engines || {};
+    getMergeReport(sourceContent, existingContent) {
+      const existing = JSON.parse(existingContent);
+      const { changes } = applyPackageJsonFieldSync(JSON.parse(sourceContent), existing, specs);
+      const fields = changes.map(change => change.field);
+      return {
+        added: fields.filter(field => !Object.hasOwn(existing, field)),
+        changed: fields.filter(field => Object.hasOwn(existing, field)),
+        preserved: [],
+        changes
+      };
+    },
 
-        const scriptsMatch = !syncScripts || deepEqual(sourceScripts, prBranchScripts);
-        const enginesMatch = !syncEngines || deepEqual(sourceEngines, prBranchEngines);
+    formatMergeReport(report) {
+      return formatPackageJsonChanges(report.changes);
+    }
+  };
+}
 
-        prNeedsUpdate = !scriptsMatch || !enginesMatch;
-      }
+/**
+ * Get the structured format of a fragment sync target from its extension
+ * @param {string} targetPath - Target path in the repository
+ * @returns {'json'|'yaml'|null} Format, or null when fragments are not supported for the file type
+ */
+function getStructuredFileFormat(targetPath) {
+  const extension = path.posix.extname(targetPath).toLowerCase();
+  if (extension === '.json') return 'json';
+  if (extension === '.yml' || extension === '.yaml') return 'yaml';
+  return null;
+}
 
-      if (!prNeedsUpdate) {
-        core.info(`  ✓ PR #${existingPR.number} already has the latest ${targetPath}`);
-        return {
-          repository: repo,
-          success: true,
-          packageJson: 'pr-up-to-date',
-          message: `PR #${existingPR.number} already has the latest ${targetPath}`,
-          prNumber: existingPR.number,
-          prUrl: existingPR.html_url,
-          dryRun
-        };
-      }
+/**
+ * Normalize the `fragment` setting of a `files` entry.
+ * `true` enforces every leaf path of the source fragment with the `replace` strategy; a mapping may set
+ * a default `strategy` and `paths`, given as a list of dot-separated paths or a mapping of path to a
+ * strategy or `{ strategy, keys }` (see parsePackageJsonSyncFields for the strategies).
+ * @param {boolean|Object} value - Raw `fragment` setting
+ * @param {Function} describePath - (path) => description for warnings
+ * @returns {{strategy: string, paths: Array<Object>|null}|null} Fragment config (paths null = every leaf), or null when invalid
+ */
+function parseFragmentConfig(value, describePath) {
+  if (value === true) return { strategy: 'replace', paths: null };
+  if (!isJsonObject(value)) return null;
 
-      // PR exists but content differs - update the PR branch
-      core.info(`  🔄 PR #${existingPR.number} exists but content differs, will update`);
+  const strategy = value.strategy ?? 'replace';
+  if (!FIELD_MERGE_STRATEGIES.includes(strategy) || strategy === 'listed-keys') {
+    return null;
+  }
+  if (value.paths === undefined) return { strategy, paths: null };
 
-      if (dryRun) {
-        return {
-          repository: repo,
-          success: true,
-          packageJson: 'would-update-pr',
-          message: `Would update ${targetPath} in existing PR #${existingPR.number}`,
-          prNumber: existingPR.number,
-          prUrl: existingPR.html_url,
-          changes,
-          dryRun
-        };
-      }
+  const pathConfig = isJsonObject(value.paths)
+    ? value.paths
+    : Object.fromEntries(parseListInput(value.paths).map(fieldPath => [fieldPath, strategy]));
+  const paths = parseFieldMergeSpecs(pathConfig, strategy, describePath);
+  return paths.length > 0 ? { strategy, paths } : null;
+}
 
-      // Build the updated package.json using PR branch content as base (to preserve other fields)
-      const prUpdatedPackageJson = prBranchPackageJson ? { ...prBranchPackageJson } : { ...existingPackageJson };
-      if (syncScripts) {
-        prUpdatedPackageJson.scripts = sourcePackageJson.scripts || {};
-      }
-      if (syncEngines) {
-        prUpdatedPackageJson.engines = sourcePackageJson.engines || {};
-      }
+/**
+ * List the dot-separated paths of every leaf (non-object or empty object) value in a fragment
+ * @param {Object} fragment - Parsed fragment
+ * @param {string} [prefix] - Path of the fragment itself
+ * @returns {Array<string>} Leaf paths
+ */
+function getFragmentLeafPaths(fragment, prefix = '') {
+  return Object.entries(fragment).flatMap(([key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    return isJsonObject(value) && Object.keys(value).length > 0 ? getFragmentLeafPaths(value, fieldPath) : [fieldPath];
+  });
+}
 
-      // Commit updated package.json to PR branch
-      const newContent = `${JSON.stringify(prUpdatedPackageJson, null, 2)}\n`;
-      const fileParams = {
-        owner,
-        repo: repoName,
-        path: targetPath,
-        message: `chore: update ${targetPath}`,
-        content: Buffer.from(newContent).toString('base64'),
-        branch: branchName
-      };
-      // Only include SHA if file exists in PR branch (for update), omit for creation
-      if (prBranchSha) {
-        fileParams.sha = prBranchSha;
-      }
-      await octokit.rest.repos.createOrUpdateFileContents(fileParams);
-      core.info(`  ✍️  Committed changes to ${targetPath} in PR #${existingPR.number}`);
+/**
+ * Read the value at a dot-separated path
+ * @param {*} value - Parsed document
+ * @param {Array<string>} segments - Path segments
+ * @returns {*} Value, or undefined when any segment is missing
+ */
+function getValueAtPath(value, segments) {
+  return segments.reduce((current, key) => (isJsonObject(current) ? current[key] : undefined), value);
+}
 
-      return {
-        repository: repo,
-        success: true,
-        packageJson: 'pr-updated',
-        prNumber: existingPR.number,
-        prUrl: existingPR.html_url,
-        message: `Updated ${targetPath} in existing PR #${existingPR.number}`,
-        changes,
-        dryRun
-      };
-    }
+/**
+ * Set (or, for undefined, remove) the value at a dot-separated path, copying the objects along the path.
+ * Missing or non-object parents are replaced with objects.
+ * @param {Object} document - Parsed document
+ * @param {Array<string>} segments - Path segments
+ * @param {*} value - New value
+ * @returns {Object} Updated document
+ */
+function setValueAtPath(document, segments, value) {
+  const [key, ...rest] = segments;
+  const updated = { ...document };
+  if (rest.length > 0) {
+    updated[key] = setValueAtPath(isJsonObject(document[key]) ? document[key] : {}, rest, value);
+  } else if (value === undefined) {
+    delete updated[key];
+  } else {
+    updated[key] = value;
+  }
+  return updated;
+}
 
-    if (dryRun) {
-      return {
-        repository: repo,
-        success: true,
-        packageJson: 'would-update',
-        message: `Would update ${targetPath} via PR`,
-        changes,
-        dryRun
-      };
-    }
+/**
+ * Enforce the paths of a source fragment on a structured document, leaving every other path untouched
+ * @param {Object} fragment - Parsed source fragment
+ * @param {Object} existing - Parsed target document
+ * @param {{strategy: string, paths: Array<Object>|null}} config - Fragment config from parseFragmentConfig
+ * @returns {{document: Object, changes: Array<Object>}} Updated document and path-level changes
+ */
+export function applyStructuredFragment(fragment, existing, config) {
+  const specs = config.paths || getFragmentLeafPaths(fragment).map(field => ({ field, strategy: config.strategy }));
+  let document = existing;
+  const changes = [];
+
+  for (const spec of specs) {
+    const segments = spec.field.split('.');
+    const existingValue = getValueAtPath(document, segments);
+    const value = mergeFieldValue(spec, getValueAtPath(fragment, segments), existingValue);
+    if (deepEqual(value, existingValue)) continue;
+
+    document = setValueAtPath(document, segments, value);
+    changes.push(describeFieldChange(spec, existingValue, value));
+  }
 
-    // Create or update the branch
-    let branchExists = false;
+  return { document, changes };
+}
+
+/**
+ * Create a content processor that enforces a JSON or YAML fragment on an existing file.
+ * JSON files keep their formatting (see detectJsonFormatting); YAML files are re-serialized, so comments are lost.
+ * @param {string} targetPath - Target path in the repository
+ * @param {{strategy: string, paths: Array<Object>|null}} config - Fragment config from parseFragmentConfig
+ * @returns {Object} Content processor for syncFilesViaPullRequest
+ */
+export function createStructuredFragmentContentProcessor(targetPath, config) {
+  const format = getStructuredFileFormat(targetPath);
+  const parse = (content, label) => {
     try {
-      await octokit.rest.git.getRef({
-        owner,
-        repo: repoName,
-        ref: `heads/${branchName}`
-      });
-      branchExists = true;
+      const value = format === 'json' ? JSON.parse(content) : yaml.load(content);
+      return value ?? {};
     } catch (error) {
-      if (error.status !== 404) {
-        throw error;
-      }
+      throw new Error(`Failed to parse ${label} as ${format.toUpperCase()}: ${error.message}`);
     }
+  };
+  const apply = (sourceContent, existingContent) =>
+    applyStructuredFragment(parse(sourceContent, 'fragment'), parse(existingContent, targetPath), config);
 
-    const { data: defaultRef } = await octokit.rest.git.getRef({
-      owner,
-      repo: repoName,
-      ref: `heads/${defaultBranch}`
-    });
+  return {
+    // A fragment only asserts parts of a file, so there is nothing to enforce on a missing one
+    requiresExisting: true,
 
-    if (!branchExists) {
-      await octokit.rest.git.createRef({
-        owner,
-        repo: repoName,
-        ref: `refs/heads/${branchName}`,
-        sha: defaultRef.object.sha
-      });
-      core.info(`  🌿 Created branch ${branchName}`);
-    } else {
-      await octokit.rest.git.updateRef({
-        owner,
-        repo: repoName,
-        ref: `heads/${branchName}`,
-        sha: defaultRef.object.sha,
-        force: true
-      });
-      core.info(`  🌿 Updated branch ${branchName}`);
-    }
+    isUpToDate(sourceContent, existingContent) {
+      return apply(sourceContent, existingContent).changes.length === 0;
+    },
 
-    // Commit the updated package.json
-    const newContent = `${JSON.stringify(updatedPackageJson, null, 2)}\n`;
-    await octokit.rest.repos.createOrUpdateFileContents({
-      owner,
-      repo: repoName,
-      path: targetPath,
-      message: `chore: update ${targetPath}`,
-      content: Buffer.from(newContent).toString('base64'),
-      branch: branchName,
-      sha: existingSha
-    });
-    core.info(`  ✍️  Committed changes to ${targetPath}`);
+    getFinalContent(sourceContent, existingContent) {
+      const { document } = apply(sourceContent, existingContent);
+      return format === 'json'
+        ? stringifyJson(document, detectJsonFormatting(existingContent))
+        : yaml.dump(document, { lineWidth: -1, noRefs: true });
+    },
 
-    // Build PR body
-    let prBody = `This PR updates \`package.json\` with synchronized configuration.\n\n**Changes:**\n`;
-    for (const change of changes) {
-      if (change.field === 'scripts') {
-        prBody += `- Updated \`${change.field}\` (${change.from} → ${change.to} entries)\n`;
-      } else {
-        prBody += `- Updated \`${change.field}\` (${change.from} → ${change.to})\n`;
-      }
+    getMergeReport(sourceContent, existingContent) {
+      const existing = parse(existingContent, targetPath);
+      const { changes } = applyStructuredFragment(parse(sourceContent, 'fragment'), existing, config);
+      const isAdded = change => getValueAtPath(existing, change.field.split('.')) === undefined;
+      return {
+        added: changes.filter(isAdded).map(change => change.field),
+        changed: changes.filter(change => !isAdded(change)).map(change => change.field),
+        preserved: []
+      };
     }
-
-    // Create PR
-    const { data: pr } = await octokit.rest.pulls.create({
-      owner,
-      repo: repoName,
-      title: prTitle,
-      head: branchName,
-      base: defaultBranch,
-      body: prBody
-    });
-    core.info(`  📬 Created PR #${pr.number}: ${pr.html_url}`);
-
-    return {
-      repository: repo,
-      success: true,
-      packageJson: 'updated',
-      prNumber: pr.number,
-      prUrl: pr.html_url,
-      message: `Updated ${targetPath} via PR #${pr.number}`,
-      changes,
-      dryRun
-    };
-  } catch (error) {
-    return {
-      repository: repo,
-      success: false,
-      error: `Failed to sync package.json: ${error.message}`,
-      dryRun
-    };
-  }
+  };
 }
 
 /**
- * Parse a rulesets-file value into an array of file paths.
- * Accepts a single string (comma-separated), a YAML array of strings,
+ * Sync package.json fields to target repository via PR
+ * This function merges selected fields from a source package.json into the target,
+ * preserving all other fields in the target package.json.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @param {string} packageJsonPath - Path to local package.json file
+ * @param {boolean} syncScripts - Whether to sync the scripts field
+ * @param {boolean} syncEngines - Whether to sync the engines field
+ * @param {string} prTitle - Title for the pull request
+ * @param {boolean} dryRun - Preview mode without making actual changes
+ * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers, draft state and sync strategy for sync PRs
+ * @param {Array<Object>} [syncFields=[]] - Additional field specs from parsePackageJsonSyncFields; the
+ *   result's `changes` lists each changed field with its added, changed and removed keys
+ * @returns {Promise<Object>} Result object
+ */
+export async function syncPackageJson(
+  octokit,
+  repo,
+  packageJsonPath,
+  syncScripts,
+  syncEngines,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  pullRequestOptions,
+  syncFields = []
+) {
+  const [owner, repoName] = repo.split('/');
+  const targetPath = 'package.json';
+
+  if (!owner || !repoName) {
+    return {
+      repository: repo,
+      success: false,
+      error: 'Invalid repository format. Expected "owner/repo"',
+      dryRun
+    };
+  }
+
+  const fieldSpecs = getPackageJsonFieldSpecs(syncScripts, syncEngines, syncFields);
+  if (fieldSpecs.length === 0) {
+    return {
+      repository: repo,
+      success: false,
+      error: 'At least one of syncScripts or syncEngines must be enabled, or syncFields must list a field',
+      dryRun
+    };
+  }
+
+  // Read and parse the source package.json file up front so a broken source is reported as such
+  let sourceContent;
+  try {
+    sourceContent = fs.readFileSync(packageJsonPath, 'utf8');
+    JSON.parse(sourceContent);
+  } catch (error) {
+    return {
+      repository: repo,
+      success: false,
+      error: `Failed to read or parse package.json file at ${packageJsonPath}: ${error.message}`,
+      dryRun
+    };
+  }
+
+  const prBody = `This PR updates \`${targetPath}\` with synchronized configuration.`;
+  const result = await syncFilesViaPullRequest(
+    octokit,
+    repo,
+    {
+      files: [{ sourceFilePath: packageJsonPath, targetPath, content: sourceContent }],
+      branchName: 'package-json-sync',
+      prTitle,
+      prBodyCreate: prBody,
+      prBodyUpdate: prBody,
+      resultKey: 'packageJson',
+      fileDescription: targetPath,
+      contentProcessor: createPackageJsonContentProcessor(fieldSpecs),
+      authenticatedLogin,
+      pullRequestOptions
+    },
+    dryRun
+  );
+
+  if (result.success && result.filesSkipped?.some(file => file.targetPath === targetPath)) {
+    return {
+      repository: repo,
+      success: false,
+      error: `${targetPath} does not exist in ${repo}. This action only updates existing package.json files.`,
+      dryRun
+    };
+  }
+
+  const changes = result.success && result.mergeReports?.[targetPath]?.changes;
+  return changes && result.packageJson !== 'pr-up-to-date' ? { ...result, changes } : result;
+}
+
+/**
+ * Parse a rulesets-file value into an array of file paths.
+ * Accepts a single string (comma-separated), a YAML array of strings,
  * or an empty/falsy value (returns empty array).
  * @param {string|string[]} value - The rulesets-file value from config
  * @param {string} [context] - Context for error messages (e.g., repo name)
@@ -3066,7 +5430,7 @@ export async function syncRepositoryRulesets(octokit, repo, rulesetFilePaths, de
     });
   } catch (error) {
     if (error.status === 404) {
-      core.info(`  📋 Repository ${repo} does not have rulesets enabled or accessible`);
+      logInfo(`  📋 Repository ${repo} does not have rulesets enabled or accessible`);
     } else {
       return {
         repository: repo,
@@ -3092,7 +5456,7 @@ export async function syncRepositoryRulesets(octokit, repo, rulesetFilePaths, de
           ruleset_id: existingRuleset.id
         }));
       } catch (error) {
-        core.warning(`  ⚠️  Failed to fetch ruleset "${rulesetName}" (ID: ${existingRuleset.id}): ${error.message}`);
+        logWarning(`  ⚠️  Failed to fetch ruleset "${rulesetName}" (ID: ${existingRuleset.id}): ${error.message}`);
         const warnSub = createSubResult(
           'ruleset-update',
           SubResultStatus.WARNING,
@@ -3109,9 +5473,9 @@ export async function syncRepositoryRulesets(octokit, repo, rulesetFilePaths, de
       const configsMatch = deepEqual(existingConfig, normalizedSourceConfig);
 
       if (configsMatch) {
-        core.info(`  📋 Ruleset "${rulesetName}" is already up to date`);
+        logInfo(`  📋 Ruleset "${rulesetName}" is already up to date`);
       } else {
-        core.info(`  📋 ${wouldPrefix}Update ruleset: ${rulesetName} (ID: ${existingRuleset.id})`);
+        logInfo(`  📋 ${wouldPrefix}Update ruleset: ${rulesetName} (ID: ${existingRuleset.id})`);
         subResults.push(
           createSubResult(
             'ruleset-update',
@@ -3131,7 +5495,7 @@ export async function syncRepositoryRulesets(octokit, repo, rulesetFilePaths, de
               ruleset_id: existingRuleset.id
             });
           } catch (error) {
-            core.warning(`  ⚠️  Failed to update ruleset "${rulesetName}": ${error.message}`);
+            logWarning(`  ⚠️  Failed to update ruleset "${rulesetName}": ${error.message}`);
             const warnSub = createSubResult(
               'ruleset-update',
               SubResultStatus.WARNING,
@@ -3144,7 +5508,7 @@ export async function syncRepositoryRulesets(octokit, repo, rulesetFilePaths, de
         }
       }
     } else {
-      core.info(`  🆕 ${wouldPrefix}Create ruleset: ${rulesetName}`);
+      logInfo(`  🆕 ${wouldPrefix}Create ruleset: ${rulesetName}`);
       const createSub = createSubResult(
         'ruleset-create',
         SubResultStatus.CHANGED,
@@ -3160,10 +5524,10 @@ export async function syncRepositoryRulesets(octokit, repo, rulesetFilePaths, de
             owner,
             repo: repoName
           });
-          core.info(`  📋 Created ruleset "${rulesetName}" (ID: ${newRuleset.id})`);
+          logInfo(`  📋 Created ruleset "${rulesetName}" (ID: ${newRuleset.id})`);
           subResults[subResults.length - 1].rulesetId = newRuleset.id;
         } catch (error) {
-          core.warning(`  ⚠️  Failed to create ruleset "${rulesetName}": ${error.message}`);
+          logWarning(`  ⚠️  Failed to create ruleset "${rulesetName}": ${error.message}`);
           const warnSub = createSubResult(
             'ruleset-create',
             SubResultStatus.WARNING,
@@ -3180,7 +5544,7 @@ export async function syncRepositoryRulesets(octokit, repo, rulesetFilePaths, de
   if (deleteUnmanaged) {
     for (const existing of existingRulesets) {
       if (!managedNames.has(existing.name)) {
-        core.info(`  🗑️ ${wouldPrefix}Delete ruleset: ${existing.name} (ID: ${existing.id})`);
+        logInfo(`  🗑️ ${wouldPrefix}Delete ruleset: ${existing.name} (ID: ${existing.id})`);
         const deleteSub = createSubResult(
           'ruleset-delete',
           SubResultStatus.CHANGED,
@@ -3198,7 +5562,7 @@ export async function syncRepositoryRulesets(octokit, repo, rulesetFilePaths, de
               ruleset_id: existing.id
             });
           } catch (error) {
-            core.warning(`  ⚠️  Failed to delete ruleset "${existing.name}": ${error.message}`);
+            logWarning(`  ⚠️  Failed to delete ruleset "${existing.name}": ${error.message}`);
             const warnSub = createSubResult(
               'ruleset-delete',
               SubResultStatus.WARNING,
@@ -3301,9 +5665,18 @@ export async function syncRepositoryRuleset(octokit, repo, rulesetFilePath, dele
  * @param {string} prTitle - Title for the pull request
  * @param {boolean} dryRun - Preview mode without making actual changes
  * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
  * @returns {Promise<Object>} Result object
  */
-export async function syncPullRequestTemplate(octokit, repo, templatePath, prTitle, dryRun, authenticatedLogin) {
+export async function syncPullRequestTemplate(
+  octokit,
+  repo,
+  templatePath,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  pullRequestOptions
+) {
   return syncFileViaPullRequest(
     octokit,
     repo,
@@ -3316,23 +5689,61 @@ export async function syncPullRequestTemplate(octokit, repo, templatePath, prTit
       prBodyUpdate: `This PR updates \`.github/pull_request_template.md\` to the latest version.\n\n**Changes:**\n- Updated pull request template`,
       resultKey: 'pullRequestTemplate',
       fileDescription: 'pull request template',
-      authenticatedLogin
+      contentProcessor: createManagedBlockContentProcessor('.github/pull_request_template.md'),
+      template: rendersTemplates(pullRequestOptions, 'pull-request-template'),
+      authenticatedLogin,
+      pullRequestOptions
     },
     dryRun
   );
 }
 
+/**
+ * Build the workflow file mappings for a list of workflow file paths, directories or globs.
+ * Every file is synced to `.github/workflows/<filename>`, including files matched in subdirectories,
+ * since GitHub doesn't run workflows from subdirectories. A target matched more than once is synced
+ * from its first match, with a warning when the other matches are different files.
+ * @param {Array<string>} workflowFilePaths - Local workflow file paths, directories (trailing `/`) or globs
+ * @returns {Array<{sourceFilePath: string, targetPath: string}>} File mappings
+ */
+function getWorkflowFileMappings(workflowFilePaths) {
+  const files = new Map();
+  for (const workflowFilePath of workflowFilePaths) {
+    for (const { sourceFilePath, relativePath } of expandSourcePaths(workflowFilePath)) {
+      const targetPath = `.github/workflows/${path.basename(relativePath)}`;
+      const existing = files.get(targetPath);
+      if (!existing) {
+        files.set(targetPath, { sourceFilePath, targetPath });
+      } else if (path.resolve(existing.sourceFilePath) !== path.resolve(sourceFilePath)) {
+        logWarning(`  ⚠️  Skipping ${sourceFilePath}: ${targetPath} is already synced from ${existing.sourceFilePath}`);
+      }
+    }
+  }
+  return [...files.values()];
+}
+
 /**
  * Sync workflow files to target repository via a single pull request
  * @param {Octokit} octokit - Octokit instance
  * @param {string} repo - Repository in "owner/repo" format
- * @param {Array<string>} workflowFilePaths - Array of local workflow file paths to sync
+ * @param {Array<string>} workflowFilePaths - Local workflow file paths, directories (trailing `/`) or globs to sync
  * @param {string} prTitle - Title for the pull request
  * @param {boolean} dryRun - Preview mode without making actual changes
  * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
+ * @param {boolean} [deleteManaged=false] - Delete managed workflow files that are no longer in the source
  * @returns {Promise<Object>} Result object
  */
-export async function syncWorkflowFiles(octokit, repo, workflowFilePaths, prTitle, dryRun, authenticatedLogin) {
+export async function syncWorkflowFiles(
+  octokit,
+  repo,
+  workflowFilePaths,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  pullRequestOptions,
+  deleteManaged = false
+) {
   // Validate that workflow files array is non-empty
   if (!workflowFilePaths || workflowFilePaths.length === 0) {
     return {
@@ -3343,11 +5754,28 @@ export async function syncWorkflowFiles(octokit, repo, workflowFilePaths, prTitl
     };
   }
 
-  // Build files array - extract filename from source path and use as target
-  const files = workflowFilePaths.map(filePath => ({
-    sourceFilePath: filePath,
-    targetPath: `.github/workflows/${path.basename(filePath)}`
-  }));
+  // Build files array - expand directories/globs and map each file under .github/workflows
+  let files;
+  try {
+    files = getWorkflowFileMappings(workflowFilePaths);
+  } catch (error) {
+    return {
+      repository: repo,
+      success: false,
+      error: `Failed to list workflow files: ${error.message}`,
+      dryRun
+    };
+  }
+
+  // An empty match must not be treated as "every managed workflow was removed"
+  if (files.length === 0) {
+    return {
+      repository: repo,
+      success: false,
+      error: `No workflow files matched ${workflowFilePaths.join(', ')}`,
+      dryRun
+    };
+  }
 
   return syncFilesViaPullRequest(
     octokit,
@@ -3360,7 +5788,10 @@ export async function syncWorkflowFiles(octokit, repo, workflowFilePaths, prTitl
       prBodyUpdate: 'This PR syncs workflow files to the latest versions.',
       resultKey: 'workflowFiles',
       fileDescription: 'workflow files',
-      authenticatedLogin
+      template: rendersTemplates(pullRequestOptions, 'workflow-files'),
+      authenticatedLogin,
+      pullRequestOptions,
+      managedDirectories: deleteManaged ? ['.github/workflows'] : []
     },
     dryRun
   );
@@ -3434,7 +5865,7 @@ export async function syncAutolinks(octokit, repo, autolinksFilePath, dryRun) {
     } catch (error) {
       // If we get a 404, autolinks might not be available or accessible
       if (error.status === 404) {
-        core.info(`  🔗 Repository ${repo} does not have autolinks accessible`);
+        logInfo(`  🔗 Repository ${repo} does not have autolinks accessible`);
       } else {
         throw error;
       }
@@ -3514,7 +5945,7 @@ export async function syncAutolinks(octokit, repo, autolinksFilePath, dryRun) {
         repo: repoName,
         autolink_id: autolink.id
       });
-      core.info(`  🔗 Deleted autolink: ${autolink.key_prefix}`);
+      logInfo(`  🔗 Deleted autolink: ${autolink.key_prefix}`);
     }
 
     // Create new autolinks
@@ -3526,7 +5957,7 @@ export async function syncAutolinks(octokit, repo, autolinksFilePath, dryRun) {
         url_template: autolink.url_template,
         is_alphanumeric: autolink.is_alphanumeric ?? true
       });
-      core.info(`  🔗 Created autolink: ${autolink.key_prefix}`);
+      logInfo(`  🔗 Created autolink: ${autolink.key_prefix}`);
     }
 
     const message = [];
@@ -3674,7 +6105,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
   const wouldPrefix = dryRun ? 'Would ' : '';
 
   if (!Array.isArray(desiredRules)) {
-    core.warning(`  ⚠️  Invalid deployment_protection_rules for ${envName}: expected an array`);
+    logWarning(`  ⚠️  Invalid deployment_protection_rules for ${envName}: expected an array`);
     subResults.push(
       createSubResult(
         'environment-protection-rule',
@@ -3695,7 +6126,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
       );
       availableApps = data.available_custom_deployment_protection_rule_integrations ?? [];
     } catch (error) {
-      core.warning(`  ⚠️  Failed to list available deployment protection rule apps for ${envName}: ${error.message}`);
+      logWarning(`  ⚠️  Failed to list available deployment protection rule apps for ${envName}: ${error.message}`);
       subResults.push(
         createSubResult(
           'environment-protection-rule',
@@ -3712,7 +6143,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
   const seenSlugs = new Set();
   for (const rule of desiredRules) {
     if (!rule || typeof rule !== 'object' || Array.isArray(rule) || typeof rule.app !== 'string' || !rule.app.trim()) {
-      core.warning(
+      logWarning(
         `  ⚠️  Invalid deployment protection rule for ${envName}: expected an object with a non-empty "app" string`
       );
       subResults.push(
@@ -3729,7 +6160,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
     seenSlugs.add(appSlug);
     const app = availableApps.find(a => a.slug === appSlug);
     if (!app) {
-      core.warning(
+      logWarning(
         `  ⚠️  Deployment protection rule app "${appSlug}" not found for environment ${envName}. ` +
           `Available apps: ${availableApps.map(a => a.slug).join(', ') || 'none'}`
       );
@@ -3754,7 +6185,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
     );
     existingRules = data.custom_deployment_protection_rules ?? [];
   } catch (error) {
-    core.warning(`  ⚠️  Failed to list deployment protection rules for ${envName}: ${error.message}`);
+    logWarning(`  ⚠️  Failed to list deployment protection rules for ${envName}: ${error.message}`);
     subResults.push(
       createSubResult(
         'environment-protection-rule',
@@ -3771,7 +6202,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
   // Create missing rules
   for (const rule of resolvedRules) {
     if (!existingAppIds.has(rule.integration_id)) {
-      core.info(`  🛡️ ${wouldPrefix}Add deployment gate: ${rule.slug}`);
+      logInfo(`  🛡️ ${wouldPrefix}Add deployment gate: ${rule.slug}`);
       subResults.push(
         createSubResult(
           'environment-protection-rule',
@@ -3786,7 +6217,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
             { owner, repo: repoName, environment_name: envName, integration_id: rule.integration_id }
           );
         } catch (error) {
-          core.warning(`  ⚠️  Failed to add deployment gate "${rule.slug}": ${error.message}`);
+          logWarning(`  ⚠️  Failed to add deployment gate "${rule.slug}": ${error.message}`);
           subResults[subResults.length - 1] = createSubResult(
             'environment-protection-rule',
             SubResultStatus.WARNING,
@@ -3800,7 +6231,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
   // Delete rules not in desired set (skip if all desired rules failed validation — avoids accidental delete-all)
   const hasValidationFailures = subResults.some(s => s.status === SubResultStatus.WARNING);
   if (desiredRules.length > 0 && resolvedRules.length === 0 && hasValidationFailures) {
-    core.warning(
+    logWarning(
       `  ⚠️  All deployment protection rules for ${envName} failed validation — skipping deletion to avoid accidental removal`
     );
     return subResults;
@@ -3808,7 +6239,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
   for (const existing of existingRules) {
     if (existing.app?.id && !desiredAppIds.has(existing.app.id)) {
       const appSlug = existing.app?.slug ?? `ID ${existing.app?.id}`;
-      core.info(`  🗑️ ${wouldPrefix}Remove deployment gate: ${appSlug}`);
+      logInfo(`  🗑️ ${wouldPrefix}Remove deployment gate: ${appSlug}`);
       subResults.push(
         createSubResult(
           'environment-protection-rule',
@@ -3823,7 +6254,7 @@ async function syncDeploymentProtectionRules(octokit, owner, repoName, envName,
             { owner, repo: repoName, environment_name: envName, protection_rule_id: existing.id }
           );
         } catch (error) {
-          core.warning(`  ⚠️  Failed to remove deployment gate "${appSlug}": ${error.message}`);
+          logWarning(`  ⚠️  Failed to remove deployment gate "${appSlug}": ${error.message}`);
           subResults[subResults.length - 1] = createSubResult(
             'environment-protection-rule',
             SubResultStatus.WARNING,
@@ -3890,7 +6321,7 @@ async function syncDeploymentBranchPolicies(octokit, owner, repoName, envName, d
   const seenPatterns = new Set();
   for (const pattern of desiredPatterns) {
     if (typeof pattern !== 'string') {
-      core.warning(
+      logWarning(
         `  ⚠️  Skipping invalid branch policy pattern for ${envName}: expected string but got ${pattern === null ? 'null' : typeof pattern}`
       );
       continue;
@@ -3910,7 +6341,7 @@ async function syncDeploymentBranchPolicies(octokit, owner, repoName, envName, d
     );
     existingPolicies = data.branch_policies ?? [];
   } catch (error) {
-    core.warning(`  ⚠️  Failed to list deployment branch policies for ${envName}: ${error.message}`);
+    logWarning(`  ⚠️  Failed to list deployment branch policies for ${envName}: ${error.message}`);
     subResults.push(
       createSubResult(
         'environment-branch-policy',
@@ -3927,7 +6358,7 @@ async function syncDeploymentBranchPolicies(octokit, owner, repoName, envName, d
   // Create missing policies
   for (const pattern of normalizedPatterns) {
     if (!existingNames.has(pattern)) {
-      core.info(`  🌿 ${wouldPrefix}Add branch policy: ${pattern} to ${envName}`);
+      logInfo(`  🌿 ${wouldPrefix}Add branch policy: ${pattern} to ${envName}`);
       if (!dryRun) {
         try {
           await octokit.request(
@@ -3947,7 +6378,7 @@ async function syncDeploymentBranchPolicies(octokit, owner, repoName, envName, d
             )
           );
         } catch (error) {
-          core.warning(`  ⚠️  Failed to add branch policy "${pattern}" to ${envName}: ${error.message}`);
+          logWarning(`  ⚠️  Failed to add branch policy "${pattern}" to ${envName}: ${error.message}`);
           subResults.push(
             createSubResult(
               'environment-branch-policy',
@@ -3970,14 +6401,14 @@ async function syncDeploymentBranchPolicies(octokit, owner, repoName, envName, d
 
   // Delete policies not in desired list (skip if all patterns were invalid — avoids accidental delete-all)
   if (desiredPatterns.length > 0 && normalizedPatterns.length === 0) {
-    core.warning(
+    logWarning(
       `  ⚠️  All branch name patterns for ${envName} were invalid — skipping deletion to avoid accidental removal`
     );
     return subResults;
   }
   for (const policy of existingPolicies) {
     if (!desiredNames.has(policy.name)) {
-      core.info(`  🌿 ${wouldPrefix}Remove branch policy: ${policy.name} from ${envName}`);
+      logInfo(`  🌿 ${wouldPrefix}Remove branch policy: ${policy.name} from ${envName}`);
       if (!dryRun) {
         try {
           await octokit.request(
@@ -3992,7 +6423,7 @@ async function syncDeploymentBranchPolicies(octokit, owner, repoName, envName, d
             )
           );
         } catch (error) {
-          core.warning(`  ⚠️  Failed to remove branch policy "${policy.name}" from ${envName}: ${error.message}`);
+          logWarning(`  ⚠️  Failed to remove branch policy "${policy.name}" from ${envName}: ${error.message}`);
           subResults.push(
             createSubResult(
               'environment-branch-policy',
@@ -4234,7 +6665,7 @@ export async function syncEnvironments(octokit, repo, environmentsList, deleteUn
       }
     } catch (error) {
       if (error.status === 404) {
-        core.info(`  🌍 Repository ${repo} does not have environments accessible`);
+        logInfo(`  🌍 Repository ${repo} does not have environments accessible`);
       } else {
         throw error;
       }
@@ -4284,7 +6715,7 @@ export async function syncEnvironments(octokit, repo, environmentsList, deleteUn
     for (const e of resolvedEnvironments) {
       if (e.deployment_branch_policy?.custom_branch_policies !== true) continue;
       if (e.branch_name_patterns !== undefined && !Array.isArray(e.branch_name_patterns)) {
-        core.warning(
+        logWarning(
           `  ⚠️  Invalid branch_name_patterns for environment "${e.name}": expected an array. Skipping branch policy sync.`
         );
         branchPolicySubResults.push(
@@ -4332,242 +6763,1115 @@ export async function syncEnvironments(octokit, repo, environmentsList, deleteUn
         message.push(`Would delete ${environmentsToDelete.length} environment(s)`);
       }
       if (message.length > 0) {
-        core.info(`  🌍 Dry run: ${message.join(', ')}`);
+        logInfo(`  🌍 Dry run: ${message.join(', ')}`);
+      }
+    }
+
+    if (!dryRun) {
+      // Create new environments
+      for (const env of environmentsToCreate) {
+        await octokit.request(
+          'PUT /repos/{owner}/{repo}/environments/{environment_name}',
+          buildEnvironmentParams(owner, repoName, env)
+        );
+        logInfo(`  🌍 Created environment: ${env.name}`);
+      }
+
+      // Update existing environments
+      for (const env of environmentsToUpdate) {
+        await octokit.request(
+          'PUT /repos/{owner}/{repo}/environments/{environment_name}',
+          buildEnvironmentParams(owner, repoName, env)
+        );
+        logInfo(`  🌍 Updated environment: ${env.name}`);
+      }
+
+      // Delete unmanaged environments
+      for (const env of environmentsToDelete) {
+        await octokit.request('DELETE /repos/{owner}/{repo}/environments/{environment_name}', {
+          owner,
+          repo: repoName,
+          environment_name: env.name
+        });
+        logInfo(`  🌍 Deleted environment: ${env.name}`);
       }
     }
 
-    if (!dryRun) {
-      // Create new environments
-      for (const env of environmentsToCreate) {
-        await octokit.request(
-          'PUT /repos/{owner}/{repo}/environments/{environment_name}',
-          buildEnvironmentParams(owner, repoName, env)
-        );
-        core.info(`  🌍 Created environment: ${env.name}`);
-      }
+    // In dry-run, skip branch policy/protection rule sync for environments being created
+    // (they don't exist yet, so API calls would 404)
+    const envsToCreateNames = new Set(environmentsToCreate.map(e => e.name));
+
+    // Sync custom deployment branch policies for environments that use them
+    for (const env of envsWithBranchPatterns) {
+      if (dryRun && envsToCreateNames.has(env.name)) continue;
+      const policyResults = await syncDeploymentBranchPolicies(
+        octokit,
+        owner,
+        repoName,
+        env.name,
+        env.branch_name_patterns,
+        dryRun
+      );
+      branchPolicySubResults.push(...policyResults);
+    }
+
+    // Sync deployment protection rules for environments that define them
+    const protectionRuleSubResults = [];
+    for (const env of envsWithProtectionRules) {
+      if (dryRun && envsToCreateNames.has(env.name)) continue;
+      const ruleResults = await syncDeploymentProtectionRules(
+        octokit,
+        owner,
+        repoName,
+        env.name,
+        env.deployment_protection_rules ?? [],
+        dryRun
+      );
+      protectionRuleSubResults.push(...ruleResults);
+    }
+
+    const hasProtectionChanges = protectionRuleSubResults.some(s => s.status === SubResultStatus.CHANGED);
+    const hasProtectionWarnings = protectionRuleSubResults.some(s => s.status === SubResultStatus.WARNING);
+    const hasBranchPolicyChanges = branchPolicySubResults.some(s => s.status === SubResultStatus.CHANGED);
+    const hasBranchPolicyWarnings = branchPolicySubResults.some(s => s.status === SubResultStatus.WARNING);
+
+    // If nothing changed across environments, protection rules, or branch policies
+    if (
+      environmentsToCreate.length === 0 &&
+      environmentsToUpdate.length === 0 &&
+      environmentsToDelete.length === 0 &&
+      !hasProtectionChanges &&
+      !hasBranchPolicyChanges
+    ) {
+      return {
+        repository: repo,
+        success: true,
+        environments: 'unchanged',
+        message: `All ${resolvedEnvironments.length} environment(s) are already up to date`,
+        environmentsUnchanged: environmentsUnchanged.length,
+        protectionRuleSubResults,
+        branchPolicySubResults,
+        dryRun
+      };
+    }
+
+    const message = [];
+    if (environmentsToCreate.length > 0) {
+      message.push(`${dryRun ? 'Would create' : 'Created'} ${environmentsToCreate.length} environment(s)`);
+    }
+    if (environmentsToUpdate.length > 0) {
+      message.push(`${dryRun ? 'Would update' : 'Updated'} ${environmentsToUpdate.length} environment(s)`);
+    }
+    if (environmentsToDelete.length > 0) {
+      message.push(`${dryRun ? 'Would delete' : 'Deleted'} ${environmentsToDelete.length} environment(s)`);
+    }
+    if (hasProtectionChanges) {
+      message.push(`${dryRun ? 'Would update' : 'Updated'} deployment protection rules`);
+    }
+    if (hasProtectionWarnings) {
+      message.push(`Some deployment protection rule updates had warnings`);
+    }
+    if (hasBranchPolicyChanges) {
+      message.push(`${dryRun ? 'Would update' : 'Updated'} deployment branch policies`);
+    }
+    if (hasBranchPolicyWarnings) {
+      message.push(`Some deployment branch policy updates had warnings`);
+    }
+
+    return {
+      repository: repo,
+      success: true,
+      environments: dryRun ? 'would-update' : 'updated',
+      message: message.join(', '),
+      environmentsCreated: dryRun ? undefined : environmentsToCreate.map(e => e.name),
+      environmentsUpdated: dryRun ? undefined : environmentsToUpdate.map(e => e.name),
+      environmentsDeleted: dryRun ? undefined : environmentsToDelete.map(e => e.name),
+      environmentsWouldCreate: dryRun ? environmentsToCreate.map(e => e.name) : undefined,
+      environmentsWouldUpdate: dryRun ? environmentsToUpdate.map(e => e.name) : undefined,
+      environmentsWouldDelete: dryRun ? environmentsToDelete.map(e => e.name) : undefined,
+      environmentsUnchanged: environmentsUnchanged.length,
+      protectionRuleSubResults,
+      branchPolicySubResults,
+      dryRun
+    };
+  } catch (error) {
+    return {
+      repository: repo,
+      success: false,
+      error: `Failed to sync environments: ${error.message}`,
+      dryRun
+    };
+  }
+}
+
+/**
+ * Sync copilot-instructions.md file to target repository
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @param {string} copilotInstructionsPath - Path to local copilot-instructions.md file
+ * @param {string} prTitle - Title for the pull request
+ * @param {boolean} dryRun - Preview mode without making actual changes
+ * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
+ * @returns {Promise<Object>} Result object
+ */
+export async function syncCopilotInstructions(
+  octokit,
+  repo,
+  copilotInstructionsPath,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  pullRequestOptions
+) {
+  return syncFileViaPullRequest(
+    octokit,
+    repo,
+    {
+      sourceFilePath: copilotInstructionsPath,
+      targetPath: '.github/copilot-instructions.md',
+      branchName: 'copilot-instructions-md-sync',
+      prTitle,
+      prBodyCreate: `This PR adds \`.github/copilot-instructions.md\` to configure GitHub Copilot.\n\n**Changes:**\n- Added Copilot instructions`,
+      prBodyUpdate: `This PR updates \`.github/copilot-instructions.md\` to the latest version.\n\n**Changes:**\n- Updated Copilot instructions`,
+      resultKey: 'copilotInstructions',
+      fileDescription: 'copilot-instructions.md',
+      contentProcessor: createManagedBlockContentProcessor('.github/copilot-instructions.md'),
+      template: rendersTemplates(pullRequestOptions, 'copilot-instructions-md'),
+      authenticatedLogin,
+      pullRequestOptions
+    },
+    dryRun
+  );
+}
+
+/**
+ * Locations GitHub reads a CODEOWNERS file from
+ */
+const CODEOWNERS_TARGET_PATHS = Object.freeze(['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS']);
+
+/**
+ * Sync CODEOWNERS file to target repository
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @param {string} codeownersPath - Path to local CODEOWNERS file
+ * @param {string} targetPath - Target path in the repository (.github/CODEOWNERS, CODEOWNERS, or docs/CODEOWNERS)
+ * @param {string} prTitle - Title for the pull request
+ * @param {boolean} dryRun - Preview mode without making actual changes
+ * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [templateVars] - Optional template variables for {{variable}} replacement
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
+ * @returns {Promise<Object>} Result object
+ */
+export async function syncCodeowners(
+  octokit,
+  repo,
+  codeownersPath,
+  targetPath,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  templateVars = null,
+  pullRequestOptions
+) {
+  // Validate target path
+  if (!CODEOWNERS_TARGET_PATHS.includes(targetPath)) {
+    return {
+      repository: repo,
+      success: false,
+      error: `Invalid CODEOWNERS target path: ${targetPath}. Must be one of: ${CODEOWNERS_TARGET_PATHS.join(', ')}`,
+      dryRun
+    };
+  }
+
+  return syncFileViaPullRequest(
+    octokit,
+    repo,
+    {
+      sourceFilePath: codeownersPath,
+      targetPath,
+      branchName: 'codeowners-sync',
+      prTitle,
+      prBodyCreate: `This PR adds \`${targetPath}\` to define code ownership.\n\n**Changes:**\n- Added CODEOWNERS file`,
+      prBodyUpdate: `This PR updates \`${targetPath}\` to the latest version.\n\n**Changes:**\n- Updated CODEOWNERS file`,
+      resultKey: 'codeowners',
+      fileDescription: 'CODEOWNERS',
+      contentProcessor: createManagedBlockContentProcessor(targetPath),
+      authenticatedLogin,
+      templateVars,
+      pullRequestOptions
+    },
+    dryRun
+  );
+}
+
+/**
+ * Normalize a `files` config list into file sync entries.
+ * Invalid or duplicate entries are skipped with a warning so the remaining files still sync.
+ * @param {Array<Object>|string} value - List of { source, target, pr-title?, branch?, fragment?, template? } objects, or a YAML string of one
+ * @param {string} context - Where the list came from, for warnings (e.g. "repo 'owner/repo'")
+ * @returns {Array<{source: string, target: string, prTitle?: string, branch?: string, fragment?: Object, template?: boolean}>} Valid entries;
+ *   `fragment` is normalized by parseFragmentConfig, and `template` marks sources rendered as templates
+ */
+export function parseFileSyncEntries(value, context) {
+  let entries = value;
+  if (typeof entries === 'string') {
+    try {
+      entries = yaml.load(entries);
+    } catch (error) {
+      logWarning(`Invalid 'files' configuration for ${context}: ${error.message}. This configuration will be ignored.`);
+      return [];
+    }
+  }
+  if (entries === undefined || entries === null) return [];
+  if (!Array.isArray(entries)) {
+    logWarning(`Invalid 'files' configuration for ${context}; expected a list. This configuration will be ignored.`);
+    return [];
+  }
+
+  const result = [];
+  const seenTargets = new Set();
+  for (const [index, entry] of entries.entries()) {
+    const skip = reason => logWarning(`Skipping 'files' entry ${index + 1} for ${context}: ${reason}`);
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      skip('expected an object with source and target');
+      continue;
+    }
+    const { source, target } = entry;
+    if (typeof source !== 'string' || !source.trim() || typeof target !== 'string' || !target.trim()) {
+      skip('source and target must be non-empty strings');
+      continue;
+    }
+    const normalizedTarget = path.posix.normalize(target.trim().replace(/\\/g, '/'));
+    if (
+      path.posix.isAbsolute(normalizedTarget) ||
+      normalizedTarget === '.' ||
+      normalizedTarget.split('/')[0] === '..'
+    ) {
+      skip(`target '${target}' must be a relative path inside the repository`);
+      continue;
+    }
+    if (seenTargets.has(normalizedTarget)) {
+      skip(`target '${normalizedTarget}' is already synced by an earlier entry`);
+      continue;
+    }
+    if (entry.template !== undefined && typeof entry.template !== 'boolean') {
+      skip('template must be true or false');
+      continue;
+    }
+    let fragment;
+    if (entry.fragment !== undefined && entry.fragment !== false) {
+      if (!getStructuredFileFormat(normalizedTarget)) {
+        skip(`fragment sync only supports .json, .yml and .yaml targets, not '${normalizedTarget}'`);
+        continue;
+      }
+      fragment = parseFragmentConfig(
+        entry.fragment,
+        fieldPath => `path '${fieldPath}' in 'files' entry ${index + 1} for ${context}`
+      );
+      if (!fragment) {
+        skip(`fragment must be true or a mapping with a 'replace' or 'merge-keys' strategy and optional paths`);
+        continue;
+      }
+    }
+    seenTargets.add(normalizedTarget);
+    result.push({
+      source: source.trim(),
+      target: normalizedTarget,
+      ...(typeof entry['pr-title'] === 'string' && entry['pr-title'].trim() && { prTitle: entry['pr-title'].trim() }),
+      ...(typeof entry.branch === 'string' && entry.branch.trim() && { branch: entry.branch.trim() }),
+      ...(fragment && { fragment }),
+      ...(entry.template === true && { template: true })
+    });
+  }
+  return result;
+}
+
+/**
+ * Get the content processor for a `files` entry: fragment entries only enforce their paths,
+ * every other file is synced whole (keeping repository-specific content outside a managed block).
+ * @param {{target: string, fragment?: Object}} entry - Entry from parseFileSyncEntries
+ * @returns {Object|undefined} Content processor for syncFilesViaPullRequest
+ */
+function createFileSyncContentProcessor(entry) {
+  return entry.fragment
+    ? createStructuredFragmentContentProcessor(entry.target, entry.fragment)
+    : createManagedBlockContentProcessor(entry.target);
+}
+
+/**
+ * Get the default sync branch for a generic file target (e.g. 'SECURITY.md' -> 'security-md-sync').
+ * @param {string} targetPath - Target path in the repository
+ * @returns {string} Branch name
+ */
+function getFileSyncBranchName(targetPath) {
+  const slug = targetPath
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug}-sync`;
+}
+
+/**
+ * Sync arbitrary files to a target repository from a `files` config list.
+ * Entries sharing a branch are synced together through one pull request; every other entry
+ * gets its own branch (derived from the target path) and pull request.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @param {Array<{source: string, target: string, prTitle?: string, branch?: string}>} fileEntries - Entries from parseFileSyncEntries
+ * @param {boolean} dryRun - Preview mode without making actual changes
+ * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
+ * @returns {Promise<Array<Object>>} One result object per branch, each with a `files` status and `branchName`
+ */
+export async function syncFiles(octokit, repo, fileEntries, dryRun, authenticatedLogin, pullRequestOptions) {
+  const groups = new Map();
+  for (const entry of fileEntries) {
+    const branchName = entry.branch || getFileSyncBranchName(entry.target);
+    if (!groups.has(branchName)) {
+      groups.set(branchName, []);
+    }
+    groups.get(branchName).push(entry);
+  }
+
+  const results = [];
+  for (const [branchName, entries] of groups) {
+    const single = entries.length === 1;
+    const prTitle =
+      entries.find(entry => entry.prTitle)?.prTitle ||
+      (single ? `chore: sync ${entries[0].target}` : 'chore: sync files');
+    const result = await syncFilesViaPullRequest(
+      octokit,
+      repo,
+      {
+        files: entries.map(entry => ({
+          sourceFilePath: entry.source,
+          targetPath: entry.target,
+          contentProcessor: createFileSyncContentProcessor(entry),
+          template: entry.template === true
+        })),
+        branchName,
+        prTitle,
+        prBodyCreate: single ? `This PR adds \`${entries[0].target}\`.` : undefined,
+        prBodyUpdate: single ? `This PR updates \`${entries[0].target}\` to the latest version.` : undefined,
+        resultKey: 'files',
+        fileDescription: single ? entries[0].target : 'files',
+        authenticatedLogin,
+        pullRequestOptions
+      },
+      dryRun
+    );
+    results.push({ ...result, branchName });
+  }
+  return results;
+}
+
+/**
+ * Normalize a list of repository paths to remove, dropping entries that point outside the repository.
+ * @param {Array<string>} removePaths - Paths relative to the repository root
+ * @returns {Array<string>} Normalized, de-duplicated paths
+ */
+function normalizeRemovePaths(removePaths) {
+  const normalized = new Set();
+  for (const removePath of removePaths) {
+    const target = path.posix.normalize(String(removePath).trim().replace(/\\/g, '/'));
+    if (path.posix.isAbsolute(target) || target === '.' || target.split('/')[0] === '..') {
+      logWarning(`  ⚠️  Ignoring remove-files path '${removePath}': must be a relative path inside the repository`);
+      continue;
+    }
+    normalized.add(target);
+  }
+  return [...normalized];
+}
+
+/**
+ * Remove retired files from a target repository via pull request.
+ * Only paths that exist are deleted; when none exist, any open removal PR is closed as stale.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @param {Array<string>} removePaths - Paths relative to the repository root
+ * @param {string} prTitle - Title for the pull request
+ * @param {boolean} dryRun - Preview mode without making actual changes
+ * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
+ * @returns {Promise<Object>} Result object with a `removedFiles` status
+ */
+export async function syncRemovedFiles(
+  octokit,
+  repo,
+  removePaths,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  pullRequestOptions
+) {
+  const paths = normalizeRemovePaths(removePaths || []);
+  if (paths.length === 0) {
+    return {
+      repository: repo,
+      success: false,
+      error: 'No files specified for removal',
+      dryRun
+    };
+  }
+
+  return syncFilesViaPullRequest(
+    octokit,
+    repo,
+    {
+      files: [],
+      removePaths: paths,
+      branchName: 'remove-files-sync',
+      prTitle,
+      resultKey: 'removedFiles',
+      fileDescription: 'retired files',
+      authenticatedLogin,
+      pullRequestOptions
+    },
+    dryRun
+  );
+}
+
+/**
+ * Sync all configured repository files to a target repository via a single combined pull request.
+ * Each file keeps the same target path and content handling as its individual sync, but all
+ * changes are committed to one branch and the PR body lists every file and why it changed.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @param {Object} fileSyncs - Files to sync (all optional)
+ * @param {string} [fileSyncs.dependabotYml] - Path to local dependabot.yml file (the baseline when auto-detecting)
+ * @param {boolean} [fileSyncs.dependabotMerge] - Merge dependabot.yml into the repository's file instead of replacing it
+ * @param {boolean} [fileSyncs.dependabotAutoDetect] - Generate dependabot.yml from the ecosystems detected in the repository
+ * @param {string} [fileSyncs.gitignore] - Path to local .gitignore file
+ * @param {Array<string>} [fileSyncs.workflowFiles] - Local workflow file paths, directories or globs
+ * @param {boolean} [fileSyncs.deleteManagedWorkflows] - Delete managed workflow files that are no longer in the source
+ * @param {string} [fileSyncs.pullRequestTemplate] - Path to local pull request template file
+ * @param {string} [fileSyncs.copilotInstructionsMd] - Path to local copilot-instructions.md file
+ * @param {Object} [fileSyncs.codeowners] - CODEOWNERS sync ({ path, targetPath, vars })
+ * @param {Object} [fileSyncs.packageJson] - package.json sync ({ path, syncScripts, syncEngines, syncFields })
+ * @param {Array<Object>} [fileSyncs.files] - Generic file entries from parseFileSyncEntries (branch and pr-title are ignored)
+ * @param {Array<string>} [fileSyncs.removeFiles] - Paths to delete from the repository when present
+ * @param {string} prTitle - Title for the pull request
+ * @param {boolean} dryRun - Preview mode without making actual changes
+ * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
+ * @param {Object} [pullRequestOptions] - Labels, assignees, reviewers and draft state for sync PRs
+ * @returns {Promise<Object>} Result object
+ */
+export async function syncCombinedFiles(
+  octokit,
+  repo,
+  fileSyncs,
+  prTitle,
+  dryRun,
+  authenticatedLogin,
+  pullRequestOptions
+) {
+  const files = [];
+
+  if (fileSyncs.dependabotAutoDetect) {
+    let generated;
+    try {
+      generated = await generateDependabotYml(octokit, repo, fileSyncs.dependabotYml);
+    } catch (error) {
+      return {
+        repository: repo,
+        success: false,
+        error: `Failed to detect Dependabot ecosystems: ${error.message}`,
+        dryRun
+      };
+    }
+    if (generated.ecosystems.length > 0) {
+      logInfo(`  🔍 Detected ecosystems: ${generated.ecosystems.join(', ')}`);
+      files.push({
+        sourceFilePath: fileSyncs.dependabotYml || 'detected ecosystems',
+        content: generated.content,
+        targetPath: '.github/dependabot.yml',
+        description: `Dependabot configuration for ${generated.ecosystems.join(', ')}`,
+        contentProcessor: fileSyncs.dependabotMerge ? dependabotMergeContentProcessor : undefined,
+        template: rendersTemplates(pullRequestOptions, 'dependabot-yml')
+      });
+    }
+  } else if (fileSyncs.dependabotYml) {
+    files.push({
+      sourceFilePath: fileSyncs.dependabotYml,
+      targetPath: '.github/dependabot.yml',
+      description: fileSyncs.dependabotMerge ? 'Dependabot configuration (merged)' : 'Dependabot configuration',
+      contentProcessor: fileSyncs.dependabotMerge ? dependabotMergeContentProcessor : undefined,
+      template: rendersTemplates(pullRequestOptions, 'dependabot-yml')
+    });
+  }
+
+  if (fileSyncs.gitignore) {
+    files.push({
+      sourceFilePath: fileSyncs.gitignore,
+      targetPath: '.gitignore',
+      description: 'gitignore rules (repository-specific entries preserved)',
+      contentProcessor: gitignoreContentProcessor
+    });
+  }
+
+  let workflowFiles;
+  try {
+    workflowFiles = getWorkflowFileMappings(fileSyncs.workflowFiles || []);
+  } catch (error) {
+    return {
+      repository: repo,
+      success: false,
+      error: `Failed to list workflow files: ${error.message}`,
+      dryRun
+    };
+  }
+  if (fileSyncs.deleteManagedWorkflows && fileSyncs.workflowFiles?.length > 0 && workflowFiles.length === 0) {
+    return {
+      repository: repo,
+      success: false,
+      error: `No workflow files matched ${fileSyncs.workflowFiles.join(', ')}`,
+      dryRun
+    };
+  }
+  for (const workflowFile of workflowFiles) {
+    files.push({
+      ...workflowFile,
+      description: 'workflow file',
+      template: rendersTemplates(pullRequestOptions, 'workflow-files')
+    });
+  }
+
+  if (fileSyncs.pullRequestTemplate) {
+    files.push({
+      sourceFilePath: fileSyncs.pullRequestTemplate,
+      targetPath: '.github/pull_request_template.md',
+      description: 'pull request template',
+      contentProcessor: createManagedBlockContentProcessor('.github/pull_request_template.md'),
+      template: rendersTemplates(pullRequestOptions, 'pull-request-template')
+    });
+  }
+
+  if (fileSyncs.copilotInstructionsMd) {
+    files.push({
+      sourceFilePath: fileSyncs.copilotInstructionsMd,
+      targetPath: '.github/copilot-instructions.md',
+      description: 'Copilot instructions',
+      contentProcessor: createManagedBlockContentProcessor('.github/copilot-instructions.md'),
+      template: rendersTemplates(pullRequestOptions, 'copilot-instructions-md')
+    });
+  }
+
+  if (fileSyncs.codeowners) {
+    const { path: codeownersPath, targetPath, vars } = fileSyncs.codeowners;
+    if (!CODEOWNERS_TARGET_PATHS.includes(targetPath)) {
+      return {
+        repository: repo,
+        success: false,
+        error: `Invalid CODEOWNERS target path: ${targetPath}. Must be one of: ${CODEOWNERS_TARGET_PATHS.join(', ')}`,
+        dryRun
+      };
+    }
+    files.push({
+      sourceFilePath: codeownersPath,
+      targetPath,
+      description: 'code ownership',
+      contentProcessor: createManagedBlockContentProcessor(targetPath),
+      templateVars: vars
+    });
+  }
+
+  if (fileSyncs.packageJson) {
+    const { path: packageJsonPath, syncScripts, syncEngines, syncFields } = fileSyncs.packageJson;
+    const fieldSpecs = getPackageJsonFieldSpecs(syncScripts, syncEngines, syncFields);
+    if (fieldSpecs.length === 0) {
+      return {
+        repository: repo,
+        success: false,
+        error: 'At least one of syncScripts or syncEngines must be enabled, or syncFields must list a field',
+        dryRun
+      };
+    }
+    files.push({
+      sourceFilePath: packageJsonPath,
+      targetPath: 'package.json',
+      description: `package.json ${fieldSpecs.map(spec => spec.field).join(', ')}`,
+      contentProcessor: createPackageJsonContentProcessor(fieldSpecs)
+    });
+  }
+
+  for (const entry of fileSyncs.files || []) {
+    files.push({
+      sourceFilePath: entry.source,
+      targetPath: entry.target,
+      description: entry.fragment ? 'synced fragment' : 'synced file',
+      contentProcessor: createFileSyncContentProcessor(entry),
+      template: entry.template === true
+    });
+  }
+
+  const removePaths = normalizeRemovePaths(fileSyncs.removeFiles || []);
+
+  if (files.length === 0 && removePaths.length === 0) {
+    return {
+      repository: repo,
+      success: false,
+      error: 'No files specified for combined sync',
+      dryRun
+    };
+  }
+
+  return syncFilesViaPullRequest(
+    octokit,
+    repo,
+    {
+      files,
+      branchName: 'repo-files-sync',
+      prTitle,
+      resultKey: 'combinedFiles',
+      fileDescription: 'repository files',
+      authenticatedLogin,
+      pullRequestOptions,
+      managedDirectories: fileSyncs.deleteManagedWorkflows && workflowFiles.length > 0 ? ['.github/workflows'] : [],
+      removePaths
+    },
+    dryRun
+  );
+}
+
+/**
+ * Read a boolean feature state for export, returning null when it cannot be determined.
+ * @param {Array<string>} warnings - Mutable list of export warnings
+ * @param {string} label - Human-readable feature label
+ * @param {Function} read - Async function returning the current boolean state
+ * @returns {Promise<boolean|null>} Current state, or null if unreadable
+ */
+async function readExportToggle(warnings, label, read) {
+  try {
+    return await read();
+  } catch (error) {
+    warnings.push(`Could not read ${label}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Read the state of a boolean feature exposed via a GET endpoint (as used by handleBooleanEndpointToggle).
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {string} route - GET route
+ * @param {Function} readCurrentValue - Maps the response to a boolean
+ * @param {boolean} [notFoundMeans] - Treat 404 as this value
+ * @returns {Promise<boolean>} Current state
+ */
+async function readBooleanEndpoint(octokit, owner, repoName, route, readCurrentValue, notFoundMeans) {
+  try {
+    const response = await octokit.request(route, {
+      owner,
+      repo: repoName,
+      headers: { 'X-GitHub-Api-Version': '2022-11-28' }
+    });
+    return readCurrentValue(response);
+  } catch (error) {
+    if (error.status === 404 && typeof notFoundMeans === 'boolean') {
+      return notFoundMeans;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Export the current state of a repository in the shape consumed by a sync run.
+ * Collects merge settings, security toggles, topics, rulesets, autolinks and environments.
+ * Sections that cannot be read are skipped with a warning so the rest of the export still succeeds.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {string} repo - Repository in "owner/repo" format
+ * @returns {Promise<Object>} Export result with `settings`, `rulesets`, `autolinks`, `environments` and `warnings`
+ */
+export async function exportRepositoryState(octokit, repo) {
+  const [owner, repoName] = repo.split('/');
 
-      // Update existing environments
-      for (const env of environmentsToUpdate) {
-        await octokit.request(
-          'PUT /repos/{owner}/{repo}/environments/{environment_name}',
-          buildEnvironmentParams(owner, repoName, env)
-        );
-        core.info(`  🌍 Updated environment: ${env.name}`);
-      }
+  if (!owner || !repoName) {
+    return {
+      repository: repo,
+      success: false,
+      error: 'Invalid repository format. Expected "owner/repo"'
+    };
+  }
 
-      // Delete unmanaged environments
-      for (const env of environmentsToDelete) {
-        await octokit.request('DELETE /repos/{owner}/{repo}/environments/{environment_name}', {
-          owner,
-          repo: repoName,
-          environment_name: env.name
-        });
-        core.info(`  🌍 Deleted environment: ${env.name}`);
+  try {
+    const { data: currentRepo } = await octokit.rest.repos.get({ owner, repo: repoName });
+    const warnings = [];
+    const settings = {};
+
+    for (const field of REPOSITORY_SETTING_FIELDS) {
+      const value = currentRepo[field.key];
+      if (value !== undefined && value !== null) {
+        // Templated values are rendered on sync, so literal `{{` is escaped to come back unchanged
+        settings[field.key.replace(/_/g, '-')] =
+          field.templated && typeof value === 'string' ? value.replace(/\{\{/g, '\\{{') : value;
       }
     }
 
-    // In dry-run, skip branch policy/protection rule sync for environments being created
-    // (they don't exist yet, so API calls would 404)
-    const envsToCreateNames = new Set(environmentsToCreate.map(e => e.name));
+    const codeScanning = await readExportToggle(warnings, 'code scanning', async () => {
+      try {
+        const { data } = await octokit.rest.codeScanning.getDefaultSetup({ owner, repo: repoName });
+        return data.state === 'configured';
+      } catch (error) {
+        if (error.status === 404) return false;
+        throw error;
+      }
+    });
 
-    // Sync custom deployment branch policies for environments that use them
-    for (const env of envsWithBranchPatterns) {
-      if (dryRun && envsToCreateNames.has(env.name)) continue;
-      const policyResults = await syncDeploymentBranchPolicies(
+    const immutableReleases = await readExportToggle(warnings, 'immutable releases', () =>
+      readBooleanEndpoint(
         octokit,
         owner,
         repoName,
-        env.name,
-        env.branch_name_patterns,
-        dryRun
-      );
-      branchPolicySubResults.push(...policyResults);
-    }
+        'GET /repos/{owner}/{repo}/immutable-releases',
+        response => response.data.enabled === true,
+        false
+      )
+    );
 
-    // Sync deployment protection rules for environments that define them
-    const protectionRuleSubResults = [];
-    for (const env of envsWithProtectionRules) {
-      if (dryRun && envsToCreateNames.has(env.name)) continue;
-      const ruleResults = await syncDeploymentProtectionRules(
+    const securityAnalysis = currentRepo.security_and_analysis;
+    const secretScanning = securityAnalysis?.secret_scanning
+      ? securityAnalysis.secret_scanning.status === 'enabled'
+      : null;
+    const secretScanningPushProtection = securityAnalysis?.secret_scanning_push_protection
+      ? securityAnalysis.secret_scanning_push_protection.status === 'enabled'
+      : null;
+
+    const privateVulnerabilityReporting = await readExportToggle(warnings, 'private vulnerability reporting', () =>
+      readBooleanEndpoint(
         octokit,
         owner,
         repoName,
-        env.name,
-        env.deployment_protection_rules ?? [],
-        dryRun
-      );
-      protectionRuleSubResults.push(...ruleResults);
-    }
-
-    const hasProtectionChanges = protectionRuleSubResults.some(s => s.status === SubResultStatus.CHANGED);
-    const hasProtectionWarnings = protectionRuleSubResults.some(s => s.status === SubResultStatus.WARNING);
-    const hasBranchPolicyChanges = branchPolicySubResults.some(s => s.status === SubResultStatus.CHANGED);
-    const hasBranchPolicyWarnings = branchPolicySubResults.some(s => s.status === SubResultStatus.WARNING);
+        'GET /repos/{owner}/{repo}/private-vulnerability-reporting',
+        response => response.data.enabled === true
+      )
+    );
+    const dependabotAlerts = await readExportToggle(warnings, 'Dependabot alerts', () =>
+      readBooleanEndpoint(octokit, owner, repoName, 'GET /repos/{owner}/{repo}/vulnerability-alerts', () => true, false)
+    );
+    const dependabotSecurityUpdates = await readExportToggle(warnings, 'Dependabot security updates', () =>
+      readBooleanEndpoint(
+        octokit,
+        owner,
+        repoName,
+        'GET /repos/{owner}/{repo}/automated-security-fixes',
+        response => response.data.enabled === true,
+        false
+      )
+    );
 
-    // If nothing changed across environments, protection rules, or branch policies
-    if (
-      environmentsToCreate.length === 0 &&
-      environmentsToUpdate.length === 0 &&
-      environmentsToDelete.length === 0 &&
-      !hasProtectionChanges &&
-      !hasBranchPolicyChanges
-    ) {
-      return {
-        repository: repo,
-        success: true,
-        environments: 'unchanged',
-        message: `All ${resolvedEnvironments.length} environment(s) are already up to date`,
-        environmentsUnchanged: environmentsUnchanged.length,
-        protectionRuleSubResults,
-        branchPolicySubResults,
-        dryRun
-      };
+    for (const [key, value] of [
+      ['code-scanning', codeScanning],
+      ['immutable-releases', immutableReleases],
+      ['secret-scanning', secretScanning],
+      ['secret-scanning-push-protection', secretScanningPushProtection],
+      ['private-vulnerability-reporting', privateVulnerabilityReporting],
+      ['dependabot-alerts', dependabotAlerts],
+      ['dependabot-security-updates', dependabotSecurityUpdates]
+    ]) {
+      if (value !== null) {
+        settings[key] = value;
+      }
     }
 
-    const message = [];
-    if (environmentsToCreate.length > 0) {
-      message.push(`${dryRun ? 'Would create' : 'Created'} ${environmentsToCreate.length} environment(s)`);
-    }
-    if (environmentsToUpdate.length > 0) {
-      message.push(`${dryRun ? 'Would update' : 'Updated'} ${environmentsToUpdate.length} environment(s)`);
-    }
-    if (environmentsToDelete.length > 0) {
-      message.push(`${dryRun ? 'Would delete' : 'Deleted'} ${environmentsToDelete.length} environment(s)`);
-    }
-    if (hasProtectionChanges) {
-      message.push(`${dryRun ? 'Would update' : 'Updated'} deployment protection rules`);
+    // Topics
+    try {
+      let topics = currentRepo.topics;
+      if (!Array.isArray(topics)) {
+        const { data } = await octokit.rest.repos.getAllTopics({ owner, repo: repoName });
+        topics = data.names || [];
+      }
+      if (topics.length > 0) {
+        settings.topics = [...topics];
+      }
+    } catch (error) {
+      warnings.push(`Could not read topics: ${error.message}`);
     }
-    if (hasProtectionWarnings) {
-      message.push(`Some deployment protection rule updates had warnings`);
+
+    // Rulesets (repository-level only, read-only fields stripped so they round-trip unchanged)
+    let rulesets = [];
+    try {
+      const existingRulesets = await octokit.paginate(octokit.rest.repos.getRepoRulesets, {
+        owner,
+        repo: repoName,
+        per_page: 100,
+        includes_parents: false
+      });
+      for (const existingRuleset of existingRulesets) {
+        const { data } = await octokit.rest.repos.getRepoRuleset({
+          owner,
+          repo: repoName,
+          ruleset_id: existingRuleset.id
+        });
+        rulesets.push(stripRulesetReadonlyFields(data));
+      }
+    } catch (error) {
+      if (error.status !== 404) {
+        warnings.push(`Could not read rulesets: ${error.message}`);
+      }
+      rulesets = [];
     }
-    if (hasBranchPolicyChanges) {
-      message.push(`${dryRun ? 'Would update' : 'Updated'} deployment branch policies`);
+
+    // Autolinks
+    let autolinks = [];
+    try {
+      const { data } = await octokit.rest.repos.listAutolinks({ owner, repo: repoName });
+      autolinks = data.map(autolink => ({
+        key_prefix: autolink.key_prefix,
+        url_template: autolink.url_template,
+        is_alphanumeric: autolink.is_alphanumeric ?? true
+      }));
+    } catch (error) {
+      if (error.status !== 404) {
+        warnings.push(`Could not read autolinks: ${error.message}`);
+      }
     }
-    if (hasBranchPolicyWarnings) {
-      message.push(`Some deployment branch policy updates had warnings`);
+
+    // Environments, including custom branch patterns and deployment gates
+    const environments = [];
+    try {
+      const existingEnvironments = [];
+      let page = 1;
+      const perPage = 100;
+      let hasMore = true;
+      while (hasMore) {
+        const response = await octokit.request('GET /repos/{owner}/{repo}/environments', {
+          owner,
+          repo: repoName,
+          per_page: perPage,
+          page
+        });
+        const envs = response.data.environments ?? [];
+        existingEnvironments.push(...envs);
+        hasMore = envs.length === perPage;
+        page++;
+      }
+
+      for (const env of existingEnvironments) {
+        const exported = normalizeExistingEnvironment(env);
+        const envParams = { owner, repo: repoName, environment_name: env.name };
+
+        if (exported.deployment_branch_policy?.custom_branch_policies === true) {
+          const { data } = await octokit.request(
+            'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment-branch-policies',
+            envParams
+          );
+          exported.branch_name_patterns = (data.branch_policies ?? []).map(policy => policy.name);
+        }
+
+        const { data: rulesData } = await octokit.request(
+          'GET /repos/{owner}/{repo}/environments/{environment_name}/deployment_protection_rules',
+          envParams
+        );
+        const gates = (rulesData.custom_deployment_protection_rules ?? [])
+          .map(rule => rule.app?.slug)
+          .filter(Boolean)
+          .map(app => ({ app }));
+        if (gates.length > 0) {
+          exported.deployment_protection_rules = gates;
+        }
+
+        environments.push(exported);
+      }
+    } catch (error) {
+      if (error.status !== 404) {
+        warnings.push(`Could not read environments: ${error.message}`);
+      }
+      environments.length = 0;
     }
 
     return {
       repository: repo,
       success: true,
-      environments: dryRun ? 'would-update' : 'updated',
-      message: message.join(', '),
-      environmentsCreated: dryRun ? undefined : environmentsToCreate.map(e => e.name),
-      environmentsUpdated: dryRun ? undefined : environmentsToUpdate.map(e => e.name),
-      environmentsDeleted: dryRun ? undefined : environmentsToDelete.map(e => e.name),
-      environmentsWouldCreate: dryRun ? environmentsToCreate.map(e => e.name) : undefined,
-      environmentsWouldUpdate: dryRun ? environmentsToUpdate.map(e => e.name) : undefined,
-      environmentsWouldDelete: dryRun ? environmentsToDelete.map(e => e.name) : undefined,
-      environmentsUnchanged: environmentsUnchanged.length,
-      protectionRuleSubResults,
-      branchPolicySubResults,
-      dryRun
+      settings,
+      rulesets,
+      autolinks,
+      environments,
+      warnings
     };
   } catch (error) {
     return {
       repository: repo,
       success: false,
-      error: `Failed to sync environments: ${error.message}`,
-      dryRun
+      error: `Failed to export repository: ${error.message}`
     };
   }
 }
 
 /**
- * Sync copilot-instructions.md file to target repository
- * @param {Octokit} octokit - Octokit instance
- * @param {string} repo - Repository in "owner/repo" format
- * @param {string} copilotInstructionsPath - Path to local copilot-instructions.md file
- * @param {string} prTitle - Title for the pull request
- * @param {boolean} dryRun - Preview mode without making actual changes
- * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
- * @returns {Promise<Object>} Result object
+ * Convert a name into a safe file name segment.
+ * @param {string} name - Name to convert
+ * @returns {string} Lowercase file name segment
  */
-export async function syncCopilotInstructions(
-  octokit,
-  repo,
-  copilotInstructionsPath,
-  prTitle,
-  dryRun,
-  authenticatedLogin
-) {
-  return syncFileViaPullRequest(
-    octokit,
-    repo,
-    {
-      sourceFilePath: copilotInstructionsPath,
-      targetPath: '.github/copilot-instructions.md',
-      branchName: 'copilot-instructions-md-sync',
-      prTitle,
-      prBodyCreate: `This PR adds \`.github/copilot-instructions.md\` to configure GitHub Copilot.\n\n**Changes:**\n- Added Copilot instructions`,
-      prBodyUpdate: `This PR updates \`.github/copilot-instructions.md\` to the latest version.\n\n**Changes:**\n- Updated Copilot instructions`,
-      resultKey: 'copilotInstructions',
-      fileDescription: 'copilot-instructions.md',
-      authenticatedLogin
-    },
-    dryRun
-  );
+function toFileNameSegment(name) {
+  const segment = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return segment || 'unnamed';
 }
 
 /**
- * Sync CODEOWNERS file to target repository
- * @param {Octokit} octokit - Octokit instance
- * @param {string} repo - Repository in "owner/repo" format
- * @param {string} codeownersPath - Path to local CODEOWNERS file
- * @param {string} targetPath - Target path in the repository (.github/CODEOWNERS, CODEOWNERS, or docs/CODEOWNERS)
- * @param {string} prTitle - Title for the pull request
- * @param {boolean} dryRun - Preview mode without making actual changes
- * @param {string} [authenticatedLogin] - Login of the authenticated user/app for stale PR matching
- * @param {Object} [templateVars] - Optional template variables for {{variable}} replacement
- * @returns {Promise<Object>} Result object
+ * Write exported repository state as a rules-based configuration plus supporting files.
+ * The generated `settings-config.yml` has one rule per repository so applying it produces no
+ * changes. Its file paths are relative to the export directory and it sets no `base-path`, since
+ * where the directory ends up (relative to the workflow's working directory) is only known to the user.
+ * @param {string} exportPath - Directory to write the export to
+ * @param {Array<Object>} exportResults - Results from exportRepositoryState
+ * @returns {{configPath: string, files: Array<string>}} Path of the config file and all written files
+ */
+export function writeExportFiles(exportPath, exportResults) {
+  const files = [];
+  const writeFile = (relativePath, content) => {
+    const fullPath = path.join(exportPath, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content, 'utf8');
+    files.push(fullPath);
+  };
+
+  const exported = exportResults.filter(r => r.success);
+  const rules = [];
+
+  for (const result of exported) {
+    const repoName = result.repository.split('/')[1];
+    const settings = { ...result.settings };
+
+    if (result.rulesets.length > 0) {
+      const usedNames = new Set();
+      settings['rulesets-file'] = result.rulesets.map(ruleset => {
+        let fileName = toFileNameSegment(ruleset.name);
+        for (let i = 2; usedNames.has(fileName); i++) {
+          fileName = `${toFileNameSegment(ruleset.name)}-${i}`;
+        }
+        usedNames.add(fileName);
+        const relativePath = `rulesets/${repoName}/${fileName}.json`;
+        writeFile(relativePath, `${JSON.stringify(ruleset, null, 2)}\n`);
+        return relativePath;
+      });
+    }
+
+    if (result.autolinks.length > 0) {
+      const relativePath = `autolinks/${repoName}.json`;
+      writeFile(relativePath, `${JSON.stringify({ autolinks: result.autolinks }, null, 2)}\n`);
+      settings['autolinks-file'] = relativePath;
+    }
+
+    if (result.environments.length > 0) {
+      const relativePath = `environments/${repoName}.yml`;
+      writeFile(relativePath, yaml.dump({ environments: result.environments }, { lineWidth: -1 }));
+      settings['environments-file'] = relativePath;
+    }
+
+    rules.push({
+      selector: { repos: [result.repository] },
+      settings
+    });
+  }
+
+  const config = {
+    owner: exported.length > 0 ? exported[0].repository.split('/')[0] : '',
+    rules
+  };
+
+  const header =
+    '# Generated by bulk-github-repo-settings-sync-action export mode.\n' +
+    '# Use this file as `repositories-file` to keep repositories in their exported state.\n' +
+    '# File paths are relative to this directory: add `base-path` with its location relative to the\n' +
+    '# working directory of the workflow that uses it (e.g. `base-path: ./repo-settings`).\n';
+  writeFile('settings-config.yml', `${header}${yaml.dump(config, { lineWidth: -1 })}`);
+
+  return { configPath: path.join(exportPath, 'settings-config.yml'), files };
+}
+
+/**
+ * Export the current state of all selected repositories and write the config files.
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Array<Object>} repoList - Repositories to export
+ * @param {Object} options - Export options
+ * @param {string} options.exportPath - Directory to write the export to
+ * @param {number} options.maxConcurrency - Maximum repositories to process in parallel
+ * @param {boolean} options.writeJobSummary - Whether to write a job summary
+ * @param {string} options.jobSummaryHeadingBase - Job summary heading
+ * @returns {Promise<void>}
  */
-export async function syncCodeowners(
+async function runExportMode(
   octokit,
-  repo,
-  codeownersPath,
-  targetPath,
-  prTitle,
-  dryRun,
-  authenticatedLogin,
-  templateVars = null
+  repoList,
+  { exportPath, maxConcurrency, writeJobSummary, jobSummaryHeadingBase }
 ) {
-  // Validate target path
-  const validPaths = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
-  if (!validPaths.includes(targetPath)) {
-    return {
-      repository: repo,
-      success: false,
-      error: `Invalid CODEOWNERS target path: ${targetPath}. Must be one of: ${validPaths.join(', ')}`,
-      dryRun
-    };
-  }
-
-  // Create content transformer if template variables are provided
-  const contentTransformer =
-    templateVars &&
-    typeof templateVars === 'object' &&
-    !Array.isArray(templateVars) &&
-    Object.keys(templateVars).length > 0
-      ? content => replaceTemplateVariables(content, templateVars)
-      : null;
+  logInfo(`Exporting ${repoList.length} repositories to ${exportPath}...`);
+
+  const exportRepository = async repoConfig => {
+    logInfo(`Exporting ${repoConfig.repo}...`);
+    const result = await exportRepositoryState(octokit, repoConfig.repo);
+    if (result.success) {
+      for (const warning of result.warnings) {
+        logWarning(`  ⚠️  ${warning}`);
+      }
+      logInfo(
+        `  📤 Exported ${Object.keys(result.settings).length} setting(s), ${result.rulesets.length} ruleset(s), ${result.autolinks.length} autolink(s), ${result.environments.length} environment(s)`
+      );
+    } else {
+      logWarning(`❌ Failed to export ${repoConfig.repo}: ${result.error}`);
+    }
+    return result;
+  };
 
-  return syncFileViaPullRequest(
-    octokit,
-    repo,
-    {
-      sourceFilePath: codeownersPath,
-      targetPath,
-      branchName: 'codeowners-sync',
-      prTitle,
-      prBodyCreate: `This PR adds \`${targetPath}\` to define code ownership.\n\n**Changes:**\n- Added CODEOWNERS file`,
-      prBodyUpdate: `This PR updates \`${targetPath}\` to the latest version.\n\n**Changes:**\n- Updated CODEOWNERS file`,
-      resultKey: 'codeowners',
-      fileDescription: 'CODEOWNERS',
-      authenticatedLogin,
-      contentTransformer
-    },
-    dryRun
+  const results = await mapWithConcurrencyLimit(repoList, maxConcurrency, repoConfig =>
+    maxConcurrency > 1 ? withBufferedLogs(() => exportRepository(repoConfig)) : exportRepository(repoConfig)
   );
+
+  const { configPath, files } = writeExportFiles(exportPath, results);
+  logInfo(`📝 Wrote ${files.length} file(s); configuration: ${configPath}`);
+
+  const failureCount = results.filter(r => !r.success).length;
+  const warningCount = results.filter(r => r.success && r.warnings.length > 0).length;
+  core.setOutput('export-file', configPath);
+  core.setOutput('updated-repositories', (results.length - failureCount).toString());
+  core.setOutput('failed-repositories', failureCount.toString());
+  core.setOutput('warning-repositories', warningCount.toString());
+  core.setOutput('results', JSON.stringify(results));
+
+  if (writeJobSummary) {
+    try {
+      await core.summary
+        .addHeading(`${jobSummaryHeadingBase} (EXPORT)`)
+        .addRaw(`\n**Total Repositories:** ${repoList.length}`)
+        .addRaw(`\n**Exported:** ${results.length - failureCount}`)
+        .addRaw(`\n**Failed:** ${failureCount}`)
+        .addRaw(`\n**Configuration:** \`${configPath}\`\n\n`)
+        .addTable([
+          [
+            { data: 'Repository', header: true },
+            { data: 'Status', header: true },
+            { data: 'Details', header: true }
+          ],
+          ...results.map(r => {
+            if (!r.success) {
+              return [r.repository, '❌ Failed', r.error];
+            }
+            const details = `${r.rulesets.length} ruleset(s), ${r.autolinks.length} autolink(s), ${r.environments.length} environment(s)`;
+            return r.warnings.length > 0
+              ? [r.repository, '⚠️ Warning', `${details}; ${r.warnings.join('; ')}`]
+              : [r.repository, '📤 Exported', details];
+          })
+        ])
+        .write();
+    } catch {
+      // Fallback for local development
+      logInfo(`📊 ${jobSummaryHeadingBase} (EXPORT)`);
+      logInfo(`Exported: ${results.length - failureCount}`);
+      logInfo(`Failed: ${failureCount}`);
+    }
+  }
+
+  if (failureCount > 0) {
+    const repositoryLabel = failureCount === 1 ? 'repository' : 'repositories';
+    core.setFailed(`${failureCount} ${repositoryLabel} failed to export`);
+  } else {
+    logInfo('✅ Export completed successfully!');
+  }
 }
 
 /**
@@ -4598,6 +7902,27 @@ function hasRepositoryPending(result) {
   return !hasChanged;
 }
 
+/**
+ * Build a machine-readable drift report from repository results.
+ * Repositories with at least one CHANGED (would be changed by a sync run), PENDING
+ * (open sync PR not merged yet) or WARNING (could not be brought in line) sub-result
+ * are included; each drift entry keeps its status so consumers can tell them apart.
+ * @param {Array<Object>} results - Repository update results (from a dry-run)
+ * @returns {Array<{repository: string, drift: Array<{kind: string, status: string, message: string, syncStatus?: string, prNumber?: number, prUrl?: string}>}>} Drift report
+ */
+function buildDriftReport(results) {
+  const driftStatuses = new Set([SubResultStatus.CHANGED, SubResultStatus.PENDING, SubResultStatus.WARNING]);
+  const report = [];
+  for (const result of results) {
+    if (!result.success || !result.subResults) continue;
+    const drift = result.subResults.filter(s => driftStatuses.has(s.status));
+    if (drift.length > 0) {
+      report.push({ repository: result.repository, drift });
+    }
+  }
+  return report;
+}
+
 /**
  * Main action logic
  */
@@ -4614,6 +7939,8 @@ export async function run() {
 
     // Get settings inputs
     const settings = {
+      description: core.getInput('description').trim() || null,
+      homepage: core.getInput('homepage').trim() || null,
       allow_squash_merge: getBooleanInput('allow-squash-merge'),
       squash_merge_commit_title: getEnumInput('squash-merge-commit-title', ['PR_TITLE', 'COMMIT_OR_PR_TITLE']),
       squash_merge_commit_message: getEnumInput('squash-merge-commit-message', ['PR_BODY', 'COMMIT_MESSAGES', 'BLANK']),
@@ -4623,7 +7950,14 @@ export async function run() {
       allow_rebase_merge: getBooleanInput('allow-rebase-merge'),
       allow_auto_merge: getBooleanInput('allow-auto-merge'),
       delete_branch_on_merge: getBooleanInput('delete-branch-on-merge'),
-      allow_update_branch: getBooleanInput('allow-update-branch')
+      allow_update_branch: getBooleanInput('allow-update-branch'),
+      has_issues: getBooleanInput('has-issues'),
+      has_wiki: getBooleanInput('has-wiki'),
+      has_projects: getBooleanInput('has-projects'),
+      has_discussions: getBooleanInput('has-discussions'),
+      is_template: getBooleanInput('is-template'),
+      web_commit_signoff_required: getBooleanInput('web-commit-signoff-required'),
+      allow_forking: getBooleanInput('allow-forking')
     };
 
     // Handle code-scanning with deprecated alias support
@@ -4631,12 +7965,15 @@ export async function run() {
     const codeScanningOld = getBooleanInput('enable-default-code-scanning');
     let enableCodeScanning = codeScanningNew;
     if (codeScanningOld !== null) {
-      core.warning('The "enable-default-code-scanning" input is deprecated. Please use "code-scanning" instead.');
+      logWarning('The "enable-default-code-scanning" input is deprecated. Please use "code-scanning" instead.');
       if (codeScanningNew === null) {
         enableCodeScanning = codeScanningOld;
       }
     }
     const immutableReleases = getBooleanInput('immutable-releases');
+    const descriptionOnlyIfEmpty = getBooleanInput('description-only-if-empty');
+    const homepageOnlyIfEmpty = getBooleanInput('homepage-only-if-empty');
+    const defaultBranch = core.getInput('default-branch').trim() || null;
 
     // Get security settings inputs
     const securitySettings = {
@@ -4647,22 +7984,44 @@ export async function run() {
       dependabotSecurityUpdates: getBooleanInput('dependabot-security-updates')
     };
 
-    const dryRun = getBooleanInput('dry-run');
+    // Get GitHub Actions permissions inputs, keyed by API field
+    const actionsAllowedActions = getEnumInput('actions-allowed-actions', ['ALL', 'LOCAL_ONLY', 'SELECTED']);
+    const actionsDefaultWorkflowPermissions = getEnumInput('actions-workflow-permissions', ['READ', 'WRITE']);
+    const actionsForkPrApproval = getEnumInput('actions-fork-pr-approval', ACTIONS_FORK_PR_APPROVAL_POLICIES);
+    const actionsPermissions = {
+      enabled: getBooleanInput('actions-enabled'),
+      allowed_actions: actionsAllowedActions?.toLowerCase() ?? null,
+      github_owned_allowed: getBooleanInput('actions-github-owned-allowed'),
+      verified_allowed: getBooleanInput('actions-verified-allowed'),
+      patterns_allowed: core.getInput('actions-patterns-allowed')
+        ? parseListInput(core.getInput('actions-patterns-allowed'))
+        : null,
+      default_workflow_permissions: actionsDefaultWorkflowPermissions?.toLowerCase() ?? null,
+      can_approve_pull_request_reviews: getBooleanInput('actions-can-approve-prs'),
+      approval_policy: actionsForkPrApproval?.toLowerCase() ?? null
+    };
+
+    // Check mode reuses the dry-run path of every sync and fails the job on drift
+    const mode = (getEnumInput('mode', ['SYNC', 'CHECK', 'EXPORT']) || 'SYNC').toLowerCase();
+    const checkMode = mode === 'check';
+    const exportMode = mode === 'export';
+    const exportPath = core.getInput('export-path') || './repo-settings-export';
+    const dryRun = checkMode || getBooleanInput('dry-run');
+    const maxConcurrency = getIntegerInput('max-concurrency', 1);
+    const maxRetries = getIntegerInput('max-retries', 3, 0);
     const writeJobSummary = getBooleanInput('write-job-summary') !== false;
     const jobSummaryHeadingBase = core.getInput('summary-heading').trim();
 
     // Parse topics if provided
-    const topicsInput = core.getInput('topics');
-    const topics = topicsInput
-      ? topicsInput
-          .split(',')
-          .map(t => t.trim())
-          .filter(t => t.length > 0)
-      : null;
+    const topics = core.getInput('topics') ? getTopicsListInput('topics') : null;
+    const topicsAdd = getTopicsListInput('topics-add');
+    const topicsRemove = getTopicsListInput('topics-remove');
 
     // Get dependabot.yml settings
     const dependabotYml = core.getInput('dependabot-yml');
     const dependabotPrTitle = core.getInput('dependabot-pr-title') || 'chore: update dependabot.yml';
+    const dependabotStrategy = getEnumInput('dependabot-yml-strategy', ['REPLACE', 'MERGE']) || 'REPLACE';
+    const dependabotAutoDetect = getBooleanInput('dependabot-yml-auto-detect') === true;
 
     // Get .gitignore settings
     const gitignore = core.getInput('gitignore');
@@ -4687,6 +8046,7 @@ export async function run() {
           .filter(f => f.length > 0)
       : null;
     const workflowFilesPrTitle = core.getInput('workflow-files-pr-title') || 'chore: sync workflow configuration';
+    const workflowFilesDeleteManaged = getBooleanInput('workflow-files-delete-managed');
 
     // Get autolinks settings
     const autolinksFile = core.getInput('autolinks-file');
@@ -4718,12 +8078,56 @@ export async function run() {
     const packageJsonFile = core.getInput('package-json-file');
     const syncScripts = getBooleanInput('package-json-sync-scripts');
     const syncEngines = getBooleanInput('package-json-sync-engines');
+    const packageJsonSyncFields = parsePackageJsonSyncFields(
+      core.getInput('package-json-sync-fields'),
+      `the 'package-json-sync-fields' input`
+    );
     const packageJsonPrTitle = core.getInput('package-json-pr-title') || 'chore: update package.json';
 
-    core.info('Starting Bulk GitHub Repository Settings Action...');
+    // Get sync pull request settings (labels, assignees, reviewers and draft state)
+    const pullRequestOptions = {
+      labels: parseListInput(core.getInput('pr-labels')),
+      assignees: parseListInput(core.getInput('pr-assignees')),
+      reviewers: parseListInput(core.getInput('pr-reviewers')),
+      teamReviewers: parseListInput(core.getInput('pr-team-reviewers')),
+      draft: getBooleanInput('pr-draft')
+    };
 
-    if (dryRun) {
-      core.info('🔍 DRY-RUN MODE: No changes will be applied');
+    // Get file sync strategy: open pull requests, or commit directly to a branch
+    const fileSyncStrategy = (getEnumInput('file-sync-strategy', ['PR', 'DIRECT']) || 'PR').toLowerCase();
+    const fileSyncBranch = core.getInput('file-sync-branch') || undefined;
+
+    // Get auto-merge settings per file type (merge method, or null when disabled)
+    const autoMergeInputs = Object.fromEntries(
+      Object.entries(AUTO_MERGE_INPUT_NAMES).map(([key, inputName]) => [
+        key,
+        getEnumInput(inputName, AUTO_MERGE_METHODS)
+      ])
+    );
+
+    // Get retired files to remove
+    const removeFiles = parseListInput(core.getInput('remove-files'));
+    const removeFilesPrTitle = core.getInput('remove-files-pr-title') || 'chore: remove retired files';
+
+    // Get the file inputs rendered as templates and the variables available to them
+    const renderTemplates = parseRenderTemplates(core.getInput('render-templates'), `the 'render-templates' input`);
+    const templateVars = parseTemplateVars(core.getInput('template-vars') || undefined, `the 'template-vars' input`);
+
+    // Get generic file sync entries
+    const fileSyncEntries = parseFileSyncEntries(core.getInput('files') || undefined, `the 'files' input`);
+
+    // Get combined file PR settings
+    const combineFilePrs = getBooleanInput('combine-file-prs') === true;
+    const combinedPrTitle = core.getInput('combined-pr-title') || 'chore: sync repository files';
+
+    logInfo('Starting Bulk GitHub Repository Settings Action...');
+
+    if (exportMode) {
+      logInfo('📤 EXPORT MODE: Writing current repository state to configuration files');
+    } else if (checkMode) {
+      logInfo('🔎 CHECK MODE: Reporting drift without applying changes');
+    } else if (dryRun) {
+      logInfo('🔍 DRY-RUN MODE: No changes will be applied');
     }
 
     if (!githubToken) {
@@ -4732,15 +8136,23 @@ export async function run() {
 
     // Check if any settings are specified
     // Skip this check if repositoriesFile is provided (rules-based configs define settings in file)
+    // or in export mode (which only reads repository state)
     const hasSecuritySettings = Object.values(securitySettings).some(value => value != null);
+    const hasActionsPermissions = Object.values(actionsPermissions).some(value => value != null);
     const hasSettings =
+      exportMode ||
       repositoriesFile ||
       Object.values(settings).some(value => value != null) ||
       enableCodeScanning != null ||
       immutableReleases != null ||
       hasSecuritySettings ||
+      hasActionsPermissions ||
       topics != null ||
+      topicsAdd.length > 0 ||
+      topicsRemove.length > 0 ||
+      defaultBranch ||
       dependabotYml ||
+      dependabotAutoDetect ||
       gitignore ||
       rulesetsFiles.length > 0 ||
       pullRequestTemplate ||
@@ -4749,10 +8161,12 @@ export async function run() {
       globalEnvironments.length > 0 ||
       copilotInstructionsMd ||
       codeowners ||
-      (packageJsonFile && (syncScripts || syncEngines));
+      fileSyncEntries.length > 0 ||
+      removeFiles.length > 0 ||
+      (packageJsonFile && (syncScripts || syncEngines || packageJsonSyncFields.length > 0));
     if (!hasSettings) {
       throw new Error(
-        'At least one repository setting must be specified (or code-scanning must be true, or immutable-releases must be specified, or security settings must be specified, or topics must be provided, or dependabot-yml must be specified, or gitignore must be specified, or rulesets-file must be specified, or pull-request-template must be specified, or workflow-files must be specified, or autolinks-file must be specified, or environments must be specified, or copilot-instructions-md must be specified, or codeowners must be specified, or package-json-file with package-json-sync-scripts or package-json-sync-engines must be specified)'
+        'At least one repository setting must be specified (or code-scanning must be true, or immutable-releases must be specified, or security settings must be specified, or topics (or topics-add or topics-remove) must be provided, or dependabot-yml (or dependabot-yml-auto-detect) must be specified, or gitignore must be specified, or rulesets-file must be specified, or pull-request-template must be specified, or workflow-files must be specified, or autolinks-file must be specified, or environments must be specified, or copilot-instructions-md must be specified, or codeowners must be specified, or files must be specified, or remove-files must be specified, or package-json-file with package-json-sync-scripts, package-json-sync-engines or package-json-sync-fields must be specified)'
       );
     }
 
@@ -4762,14 +8176,18 @@ export async function run() {
       baseUrl: githubApiUrl
     });
 
+    // Retry transient failures and respect rate limits for every request (REST, GraphQL and pagination)
+    const requestRetry = createRequestRetryHook({ maxRetries });
+    octokit.hook.wrap('request', requestRetry.hook);
+
     // Get authenticated user/app login for stale PR author matching
     let authenticatedLogin = '';
     try {
       const { viewer } = await octokit.graphql('{ viewer { login } }');
       authenticatedLogin = viewer.login;
-      core.debug(`Authenticated as: ${authenticatedLogin}`);
+      logDebug(`Authenticated as: ${authenticatedLogin}`);
     } catch (error) {
-      core.debug(`Could not determine authenticated user: ${error.message}`);
+      logDebug(`Could not determine authenticated user: ${error.message}`);
     }
 
     // Parse repository list
@@ -4782,68 +8200,91 @@ export async function run() {
       customPropertyValue
     );
 
-    core.info(`Processing ${repoList.length} repositories...`);
-    core.info(`Settings to apply: ${JSON.stringify(settings, null, 2)}`);
+    if (exportMode) {
+      await runExportMode(octokit, repoList, { exportPath, maxConcurrency, writeJobSummary, jobSummaryHeadingBase });
+      return;
+    }
+
+    logInfo(`Processing ${repoList.length} repositories...`);
+    logInfo(`Settings to apply: ${JSON.stringify(settings, null, 2)}`);
     if (enableCodeScanning) {
-      core.info('CodeQL scanning will be enabled');
+      logInfo('CodeQL scanning will be enabled');
     }
     if (immutableReleases !== null) {
-      core.info(`Immutable releases will be ${immutableReleases ? 'enabled' : 'disabled'}`);
+      logInfo(`Immutable releases will be ${immutableReleases ? 'enabled' : 'disabled'}`);
     }
     if (topics !== null) {
-      core.info(`Topics to set: ${topics.join(', ')}`);
+      logInfo(`Topics to set: ${topics.join(', ')}`);
+    }
+    if (topicsAdd.length > 0) {
+      logInfo(`Topics to add: ${topicsAdd.join(', ')}`);
     }
-    if (dependabotYml) {
-      core.info(`Dependabot.yml will be synced from: ${dependabotYml}`);
+    if (topicsRemove.length > 0) {
+      logInfo(`Topics to remove: ${topicsRemove.join(', ')}`);
+    }
+    if (dependabotAutoDetect) {
+      logInfo(
+        `Dependabot.yml will be generated from detected ecosystems${dependabotYml ? ` with baseline ${dependabotYml}` : ''}`
+      );
+    } else if (dependabotYml) {
+      logInfo(`Dependabot.yml will be synced from: ${dependabotYml}`);
     }
     if (gitignore) {
-      core.info(`.gitignore will be synced from: ${gitignore}`);
+      logInfo(`.gitignore will be synced from: ${gitignore}`);
     }
     if (rulesetsFiles.length > 0) {
-      core.info(`Repository rulesets will be synced from: ${rulesetsFiles.join(', ')}`);
+      logInfo(`Repository rulesets will be synced from: ${rulesetsFiles.join(', ')}`);
     }
     if (pullRequestTemplate) {
-      core.info(`Pull request template will be synced from: ${pullRequestTemplate}`);
+      logInfo(`Pull request template will be synced from: ${pullRequestTemplate}`);
     }
     if (workflowFiles) {
-      core.info(`Workflow files will be synced from: ${workflowFiles.join(', ')}`);
+      logInfo(`Workflow files will be synced from: ${workflowFiles.join(', ')}`);
     }
     if (autolinksFile) {
-      core.info(`Autolinks will be synced from: ${autolinksFile}`);
+      logInfo(`Autolinks will be synced from: ${autolinksFile}`);
     }
     if (globalEnvironments.length > 0) {
-      core.info(`Environments will be synced: ${globalEnvironments.map(e => e.name).join(', ')}`);
+      logInfo(`Environments will be synced: ${globalEnvironments.map(e => e.name).join(', ')}`);
     }
     if (copilotInstructionsMd) {
-      core.info(`Copilot-instructions.md will be synced from: ${copilotInstructionsMd}`);
+      logInfo(`Copilot-instructions.md will be synced from: ${copilotInstructionsMd}`);
     }
     if (codeowners) {
-      core.info(`CODEOWNERS will be synced from: ${codeowners} to ${codeownersTargetPath}`);
+      logInfo(`CODEOWNERS will be synced from: ${codeowners} to ${codeownersTargetPath}`);
+    }
+    if (combineFilePrs) {
+      logInfo(`File syncs will be combined into a single PR per repository: ${combinedPrTitle}`);
     }
     if (securitySettings.secretScanning !== null) {
-      core.info(`Secret scanning will be ${securitySettings.secretScanning ? 'enabled' : 'disabled'}`);
+      logInfo(`Secret scanning will be ${securitySettings.secretScanning ? 'enabled' : 'disabled'}`);
     }
     if (securitySettings.secretScanningPushProtection !== null) {
-      core.info(
+      logInfo(
         `Secret scanning push protection will be ${securitySettings.secretScanningPushProtection ? 'enabled' : 'disabled'}`
       );
     }
     if (securitySettings.privateVulnerabilityReporting !== null) {
-      core.info(
+      logInfo(
         `Private vulnerability reporting will be ${securitySettings.privateVulnerabilityReporting ? 'enabled' : 'disabled'}`
       );
     }
     if (securitySettings.dependabotAlerts !== null) {
-      core.info(`Dependabot alerts will be ${securitySettings.dependabotAlerts ? 'enabled' : 'disabled'}`);
+      logInfo(`Dependabot alerts will be ${securitySettings.dependabotAlerts ? 'enabled' : 'disabled'}`);
     }
     if (securitySettings.dependabotSecurityUpdates !== null) {
-      core.info(
+      logInfo(
         `Dependabot security updates will be ${securitySettings.dependabotSecurityUpdates ? 'enabled' : 'disabled'}`
       );
     }
+    if (hasActionsPermissions) {
+      const managedActionsPermissions = Object.fromEntries(
+        Object.entries(actionsPermissions).filter(([, value]) => value != null)
+      );
+      logInfo(`Actions permissions to apply: ${JSON.stringify(managedActionsPermissions)}`);
+    }
 
     // Update repositories
-    const results = [];
     let successCount = 0;
     let failureCount = 0;
     let changedCount = 0;
@@ -4853,12 +8294,20 @@ export async function run() {
     // Cache for resolved reviewer IDs across repos (avoids duplicate API calls)
     const reviewerCache = new Map();
 
-    for (const repoConfig of repoList) {
+    if (maxConcurrency > 1) {
+      logInfo(`Processing up to ${maxConcurrency} repositories concurrently`);
+    }
+
+    // Counters are updated from each repository's processing; order of completion
+    // does not matter, and results are collected in the original repository order.
+    const processRepository = async repoConfig => {
       const repo = repoConfig.repo;
-      core.info(`Updating ${repo}...`);
+      logInfo(`Updating ${repo}...`);
 
       // Merge global settings with repo-specific overrides
       const repoSettings = {
+        description: coerceStringConfig(repoConfig.description, 'description', repo, settings.description),
+        homepage: coerceStringConfig(repoConfig.homepage, 'homepage', repo, settings.homepage),
         allow_squash_merge: coerceBooleanConfig(
           repoConfig['allow-squash-merge'],
           'allow-squash-merge',
@@ -4922,7 +8371,24 @@ export async function run() {
           'allow-update-branch',
           repo,
           settings.allow_update_branch
-        )
+        ),
+        has_issues: coerceBooleanConfig(repoConfig['has-issues'], 'has-issues', repo, settings.has_issues),
+        has_wiki: coerceBooleanConfig(repoConfig['has-wiki'], 'has-wiki', repo, settings.has_wiki),
+        has_projects: coerceBooleanConfig(repoConfig['has-projects'], 'has-projects', repo, settings.has_projects),
+        has_discussions: coerceBooleanConfig(
+          repoConfig['has-discussions'],
+          'has-discussions',
+          repo,
+          settings.has_discussions
+        ),
+        is_template: coerceBooleanConfig(repoConfig['is-template'], 'is-template', repo, settings.is_template),
+        web_commit_signoff_required: coerceBooleanConfig(
+          repoConfig['web-commit-signoff-required'],
+          'web-commit-signoff-required',
+          repo,
+          settings.web_commit_signoff_required
+        ),
+        allow_forking: coerceBooleanConfig(repoConfig['allow-forking'], 'allow-forking', repo, settings.allow_forking)
       };
 
       // Handle repo-specific code scanning (support both new and deprecated input names)
@@ -4958,10 +8424,28 @@ export async function run() {
         if (Array.isArray(repoConfig.topics)) return repoConfig.topics;
         return null;
       })();
+      const repoTopicsAdd =
+        repoConfig['topics-add'] !== undefined ? parseListInput(repoConfig['topics-add']) : topicsAdd;
+      const repoTopicsRemove =
+        repoConfig['topics-remove'] !== undefined ? parseListInput(repoConfig['topics-remove']) : topicsRemove;
 
       // Handle repo-specific dependabot.yml
       const repoDependabotYml =
         repoConfig['dependabot-yml'] !== undefined ? repoConfig['dependabot-yml'] : dependabotYml;
+      const repoDependabotMerge =
+        coerceEnumConfig(
+          repoConfig['dependabot-yml-strategy'],
+          'dependabot-yml-strategy',
+          repo,
+          ['REPLACE', 'MERGE'],
+          dependabotStrategy
+        ) === 'MERGE';
+      const repoDependabotAutoDetect = coerceBooleanConfig(
+        repoConfig['dependabot-yml-auto-detect'],
+        'dependabot-yml-auto-detect',
+        repo,
+        dependabotAutoDetect
+      );
 
       // Handle repo-specific .gitignore
       const repoGitignore = repoConfig['gitignore'] !== undefined ? repoConfig['gitignore'] : gitignore;
@@ -4994,6 +8478,13 @@ export async function run() {
         if (Array.isArray(repoConfig['workflow-files'])) return repoConfig['workflow-files'];
         return null;
       })();
+      const repoWorkflowFilesDeleteManaged =
+        coerceBooleanConfig(
+          repoConfig['workflow-files-delete-managed'],
+          'workflow-files-delete-managed',
+          repo,
+          workflowFilesDeleteManaged
+        ) === true;
 
       // Handle repo-specific autolinks-file
       const repoAutolinksFile =
@@ -5027,7 +8518,7 @@ export async function run() {
           const repoEnvFile = repoConfig['environments-file'] !== undefined ? repoConfig['environments-file'] : null;
           repoEnvironments = parseEnvironmentsConfig(repoEnvNames, repoEnvFile);
         } catch (error) {
-          core.warning(
+          logWarning(
             `Failed to parse environments config for ${repo}: ${error.message}. Skipping environment sync for this repo.`
           );
           repoEnvironments = null;
@@ -5062,12 +8553,81 @@ export async function run() {
         ) {
           return repoConfig['codeowners-vars'];
         }
-        core.warning(
+        logWarning(
           `Invalid 'codeowners-vars' configuration for repo '${repo}'; expected an object. This configuration will be ignored.`
         );
         return null;
       })();
 
+      // Handle repo-specific package.json settings
+      const repoPackageJsonFile = repoConfig?.['package-json-file'] || packageJsonFile;
+      const repoSyncScripts =
+        repoConfig?.['package-json-sync-scripts'] !== undefined ? repoConfig['package-json-sync-scripts'] : syncScripts;
+      const repoSyncEngines =
+        repoConfig?.['package-json-sync-engines'] !== undefined ? repoConfig['package-json-sync-engines'] : syncEngines;
+      const repoPackageJsonSyncFields =
+        repoConfig?.['package-json-sync-fields'] !== undefined
+          ? parsePackageJsonSyncFields(repoConfig['package-json-sync-fields'], `repo '${repo}'`)
+          : packageJsonSyncFields;
+      const repoSyncPackageJson =
+        repoPackageJsonFile && (repoSyncScripts || repoSyncEngines || repoPackageJsonSyncFields.length > 0);
+
+      // Handle repo-specific sync pull request settings
+      const repoPullRequestOptions = {
+        labels:
+          repoConfig['pr-labels'] !== undefined ? parseListInput(repoConfig['pr-labels']) : pullRequestOptions.labels,
+        assignees:
+          repoConfig['pr-assignees'] !== undefined
+            ? parseListInput(repoConfig['pr-assignees'])
+            : pullRequestOptions.assignees,
+        reviewers:
+          repoConfig['pr-reviewers'] !== undefined
+            ? parseListInput(repoConfig['pr-reviewers'])
+            : pullRequestOptions.reviewers,
+        teamReviewers:
+          repoConfig['pr-team-reviewers'] !== undefined
+            ? parseListInput(repoConfig['pr-team-reviewers'])
+            : pullRequestOptions.teamReviewers,
+        draft: coerceBooleanConfig(repoConfig['pr-draft'], 'pr-draft', repo, pullRequestOptions.draft),
+        strategy: coerceEnumConfig(
+          repoConfig['file-sync-strategy'],
+          'file-sync-strategy',
+          repo,
+          ['PR', 'DIRECT'],
+          fileSyncStrategy.toUpperCase()
+        ).toLowerCase(),
+        directBranch: repoConfig['file-sync-branch'] || fileSyncBranch,
+        renderTemplates:
+          repoConfig['render-templates'] !== undefined
+            ? parseRenderTemplates(repoConfig['render-templates'], `repo '${repo}'`)
+            : renderTemplates,
+        // Repository variables are merged over the global ones
+        templateVars: { ...templateVars, ...parseTemplateVars(repoConfig['template-vars'], `repo '${repo}'`) }
+      };
+
+      // Handle repo-specific auto-merge settings; each file type gets its own PR options
+      const repoAutoMerge = key =>
+        coerceEnumConfig(
+          repoConfig[AUTO_MERGE_INPUT_NAMES[key]],
+          AUTO_MERGE_INPUT_NAMES[key],
+          repo,
+          AUTO_MERGE_METHODS,
+          autoMergeInputs[key]
+        );
+      const prOptionsFor = key => ({ ...repoPullRequestOptions, autoMergeMethod: repoAutoMerge(key) });
+
+      // Handle repo-specific files list (replaces the global list)
+      const repoFileSyncEntries =
+        repoConfig.files !== undefined ? parseFileSyncEntries(repoConfig.files, `repo '${repo}'`) : fileSyncEntries;
+
+      // Handle repo-specific remove-files (replaces the global list)
+      const repoRemoveFiles =
+        repoConfig['remove-files'] !== undefined ? parseListInput(repoConfig['remove-files']) : removeFiles;
+
+      // Handle repo-specific combine-file-prs
+      const repoCombineFilePrs =
+        coerceBooleanConfig(repoConfig['combine-file-prs'], 'combine-file-prs', repo, combineFilePrs) === true;
+
       // Handle repo-specific security settings
       const repoSecuritySettings = {
         secretScanning: coerceBooleanConfig(
@@ -5110,39 +8670,154 @@ export async function run() {
         repoImmutableReleases,
         repoTopics,
         repoSecuritySettings,
-        dryRun
+        dryRun,
+        {
+          templateVars: repoPullRequestOptions.templateVars,
+          topicsAdd: repoTopicsAdd,
+          topicsRemove: repoTopicsRemove,
+          defaultBranch: coerceStringConfig(repoConfig['default-branch'], 'default-branch', repo, defaultBranch),
+          actionsPermissions: getRepoActionsPermissions(repoConfig, repo, actionsPermissions),
+          onlyIfEmpty: [
+            coerceBooleanConfig(
+              repoConfig['description-only-if-empty'],
+              'description-only-if-empty',
+              repo,
+              descriptionOnlyIfEmpty
+            ) && 'description',
+            coerceBooleanConfig(
+              repoConfig['homepage-only-if-empty'],
+              'homepage-only-if-empty',
+              repo,
+              homepageOnlyIfEmpty
+            ) && 'homepage'
+          ].filter(Boolean)
+        }
       );
-      results.push(result);
 
       if (result.archived) {
         successCount++;
-        core.info(`⏭️ Skipping archived repository ${repo}`);
-        continue;
+        logInfo(`⏭️ Skipping archived repository ${repo}`);
+        return result;
       }
 
       // TODO(v3): Remove legacy sync warning properties (e.g., dependabotSyncWarning, gitignoreSyncWarning)
       // and hasWarnings assignments below once consumers use subResults directly.
       // See: https://github.com/joshjohanning/bulk-github-repo-settings-sync-action/pull/120
 
+      // Sync all repository files through a single combined PR if enabled
+      if (repoCombineFilePrs) {
+        const combinedFileSyncs = {
+          dependabotYml: repoDependabotYml || null,
+          dependabotMerge: repoDependabotMerge,
+          dependabotAutoDetect: repoDependabotAutoDetect,
+          gitignore: repoGitignore || null,
+          workflowFiles: repoWorkflowFiles || [],
+          deleteManagedWorkflows: repoWorkflowFilesDeleteManaged,
+          pullRequestTemplate: repoPullRequestTemplate || null,
+          copilotInstructionsMd: repoCopilotInstructionsMd || null,
+          codeowners: repoCodeowners
+            ? { path: repoCodeowners, targetPath: repoCodeownersTargetPath, vars: repoCodeownersVars }
+            : null,
+          packageJson: repoSyncPackageJson
+            ? {
+                path: repoPackageJsonFile,
+                syncScripts: repoSyncScripts,
+                syncEngines: repoSyncEngines,
+                syncFields: repoPackageJsonSyncFields
+              }
+            : null,
+          files: repoFileSyncEntries,
+          removeFiles: repoRemoveFiles
+        };
+        // deleteManagedWorkflows and dependabotMerge are flags, not files to sync
+        const combinedFlags = ['deleteManagedWorkflows', 'dependabotMerge'];
+        const hasCombinedFiles = Object.entries(combinedFileSyncs).some(
+          ([key, value]) => !combinedFlags.includes(key) && (Array.isArray(value) ? value.length > 0 : Boolean(value))
+        );
+
+        if (hasCombinedFiles) {
+          logInfo(`  📦 Checking repository files (combined PR)...`);
+          const combinedResult = await syncCombinedFiles(
+            octokit,
+            repo,
+            combinedFileSyncs,
+            combinedPrTitle,
+            dryRun,
+            authenticatedLogin,
+            prOptionsFor('combined')
+          );
+
+          // Add combined file sync result to the main result
+          result.combinedFileSync = combinedResult;
+
+          if (combinedResult.success) {
+            logInfo(`  📦 ${combinedResult.message}`);
+            if (combinedResult.prUrl) {
+              logInfo(`  🔗 PR URL: ${combinedResult.prUrl}`);
+            }
+            if (combinedResult.combinedFiles && combinedResult.combinedFiles !== 'unchanged') {
+              result.subResults.push(
+                createSubResult(
+                  'combined-file-sync',
+                  statusForSync(combinedResult.combinedFiles),
+                  combinedResult.message,
+                  {
+                    syncStatus: combinedResult.combinedFiles,
+                    prNumber: combinedResult.prNumber,
+                    prUrl: combinedResult.prUrl
+                  }
+                )
+              );
+            }
+            for (const skipped of combinedResult.filesSkipped || []) {
+              result.hasWarnings = true;
+              logWarning(`  ⚠️  Skipped ${skipped.targetPath}: ${skipped.reason}`);
+              result.subResults.push(
+                createSubResult(
+                  'combined-file-sync',
+                  SubResultStatus.WARNING,
+                  `Skipped ${skipped.targetPath}: ${skipped.reason}`
+                )
+              );
+            }
+            pushSyncWarnings(result, 'combined-file-sync', combinedResult);
+          } else {
+            result.hasWarnings = true;
+            result.combinedFileSyncWarning = combinedResult.error;
+            logWarning(`  ⚠️  ${combinedResult.error}`);
+            result.subResults.push(
+              createSubResult('combined-file-sync', SubResultStatus.WARNING, 'Combined file sync produced a warning')
+            );
+          }
+        }
+      }
+
       // Sync dependabot.yml if specified
-      if (repoDependabotYml) {
-        core.info(`  📦 Checking dependabot.yml...`);
+      if (!repoCombineFilePrs && (repoDependabotYml || repoDependabotAutoDetect)) {
+        logInfo(`  📦 Checking dependabot.yml...`);
         const dependabotResult = await syncDependabotYml(
           octokit,
           repo,
           repoDependabotYml,
           dependabotPrTitle,
           dryRun,
-          authenticatedLogin
+          authenticatedLogin,
+          prOptionsFor('dependabot'),
+          repoDependabotMerge,
+          repoDependabotAutoDetect
         );
 
         // Add dependabot result to the main result
         result.dependabotSync = dependabotResult;
 
         if (dependabotResult.success) {
-          core.info(`  📦 ${dependabotResult.message}`);
+          logInfo(`  📦 ${dependabotResult.message}`);
+          const dependabotMergeReport = dependabotResult.mergeReports?.['.github/dependabot.yml'];
+          if (dependabotMergeReport) {
+            logInfo(formatMergeReport(dependabotMergeReport).replace(/^/gm, '    '));
+          }
           if (dependabotResult.prUrl) {
-            core.info(`  🔗 PR URL: ${dependabotResult.prUrl}`);
+            logInfo(`  🔗 PR URL: ${dependabotResult.prUrl}`);
           }
           if (dependabotResult.dependabotYml && dependabotResult.dependabotYml !== 'unchanged') {
             result.subResults.push(
@@ -5158,19 +8833,11 @@ export async function run() {
               )
             );
           }
-          if (dependabotResult.stalePrWarning) {
-            result.hasWarnings = true;
-            result.subResults.push(
-              createSubResult('dependabot-sync', SubResultStatus.WARNING, dependabotResult.stalePrWarning.message, {
-                prNumber: dependabotResult.stalePrWarning.prNumber,
-                prUrl: dependabotResult.stalePrWarning.prUrl
-              })
-            );
-          }
+          pushSyncWarnings(result, 'dependabot-sync', dependabotResult);
         } else {
           result.hasWarnings = true;
           result.dependabotSyncWarning = dependabotResult.error;
-          core.warning(`  ⚠️  ${dependabotResult.error}`);
+          logWarning(`  ⚠️  ${dependabotResult.error}`);
           result.subResults.push(
             createSubResult('dependabot-sync', SubResultStatus.WARNING, 'Dependabot sync produced a warning')
           );
@@ -5178,24 +8845,25 @@ export async function run() {
       }
 
       // Sync .gitignore if specified
-      if (repoGitignore) {
-        core.info(`  📝 Checking .gitignore...`);
+      if (!repoCombineFilePrs && repoGitignore) {
+        logInfo(`  📝 Checking .gitignore...`);
         const gitignoreResult = await syncGitignore(
           octokit,
           repo,
           repoGitignore,
           gitignorePrTitle,
           dryRun,
-          authenticatedLogin
+          authenticatedLogin,
+          prOptionsFor('gitignore')
         );
 
         // Add gitignore result to the main result
         result.gitignoreSync = gitignoreResult;
 
         if (gitignoreResult.success) {
-          core.info(`  📝 ${gitignoreResult.message}`);
+          logInfo(`  📝 ${gitignoreResult.message}`);
           if (gitignoreResult.prUrl) {
-            core.info(`  🔗 PR URL: ${gitignoreResult.prUrl}`);
+            logInfo(`  🔗 PR URL: ${gitignoreResult.prUrl}`);
           }
           if (gitignoreResult.gitignore && gitignoreResult.gitignore !== 'unchanged') {
             result.subResults.push(
@@ -5206,19 +8874,11 @@ export async function run() {
               })
             );
           }
-          if (gitignoreResult.stalePrWarning) {
-            result.hasWarnings = true;
-            result.subResults.push(
-              createSubResult('gitignore-sync', SubResultStatus.WARNING, gitignoreResult.stalePrWarning.message, {
-                prNumber: gitignoreResult.stalePrWarning.prNumber,
-                prUrl: gitignoreResult.stalePrWarning.prUrl
-              })
-            );
-          }
+          pushSyncWarnings(result, 'gitignore-sync', gitignoreResult);
         } else {
           result.hasWarnings = true;
           result.gitignoreSyncWarning = gitignoreResult.error;
-          core.warning(`  ⚠️  ${gitignoreResult.error}`);
+          logWarning(`  ⚠️  ${gitignoreResult.error}`);
           result.subResults.push(
             createSubResult('gitignore-sync', SubResultStatus.WARNING, 'Gitignore sync produced a warning')
           );
@@ -5227,7 +8887,7 @@ export async function run() {
 
       // Sync repository rulesets if specified
       if (repoRulesetsFiles.length > 0) {
-        core.info(`  📋 Checking repository rulesets...`);
+        logInfo(`  📋 Checking repository rulesets...`);
         const rulesetResult = await syncRepositoryRulesets(
           octokit,
           repo,
@@ -5240,7 +8900,7 @@ export async function run() {
         result.rulesetSync = rulesetResult;
 
         if (rulesetResult.success) {
-          core.info(`  📋 ${rulesetResult.message}`);
+          logInfo(`  📋 ${rulesetResult.message}`);
           // Propagate per-operation subResults from rulesets
           if (rulesetResult.subResults) {
             result.subResults.push(...rulesetResult.subResults);
@@ -5248,7 +8908,7 @@ export async function run() {
         } else {
           result.hasWarnings = true;
           result.rulesetSyncWarning = rulesetResult.error;
-          core.warning(`  ⚠️  ${rulesetResult.error}`);
+          logWarning(`  ⚠️  ${rulesetResult.error}`);
           result.subResults.push(
             createSubResult('ruleset-sync', SubResultStatus.WARNING, 'Ruleset sync produced a warning')
           );
@@ -5256,24 +8916,25 @@ export async function run() {
       }
 
       // Sync pull request template if specified
-      if (repoPullRequestTemplate) {
-        core.info(`  📝 Checking pull request template...`);
+      if (!repoCombineFilePrs && repoPullRequestTemplate) {
+        logInfo(`  📝 Checking pull request template...`);
         const templateResult = await syncPullRequestTemplate(
           octokit,
           repo,
           repoPullRequestTemplate,
           pullRequestTemplatePrTitle,
           dryRun,
-          authenticatedLogin
+          authenticatedLogin,
+          prOptionsFor('pullRequestTemplate')
         );
 
         // Add pull request template result to the main result
         result.pullRequestTemplateSync = templateResult;
 
         if (templateResult.success) {
-          core.info(`  📝 ${templateResult.message}`);
+          logInfo(`  📝 ${templateResult.message}`);
           if (templateResult.prUrl) {
-            core.info(`  🔗 PR URL: ${templateResult.prUrl}`);
+            logInfo(`  🔗 PR URL: ${templateResult.prUrl}`);
           }
           if (templateResult.pullRequestTemplate && templateResult.pullRequestTemplate !== 'unchanged') {
             result.subResults.push(
@@ -5289,19 +8950,11 @@ export async function run() {
               )
             );
           }
-          if (templateResult.stalePrWarning) {
-            result.hasWarnings = true;
-            result.subResults.push(
-              createSubResult('pr-template-sync', SubResultStatus.WARNING, templateResult.stalePrWarning.message, {
-                prNumber: templateResult.stalePrWarning.prNumber,
-                prUrl: templateResult.stalePrWarning.prUrl
-              })
-            );
-          }
+          pushSyncWarnings(result, 'pr-template-sync', templateResult);
         } else {
           result.hasWarnings = true;
           result.pullRequestTemplateSyncWarning = templateResult.error;
-          core.warning(`  ⚠️  ${templateResult.error}`);
+          logWarning(`  ⚠️  ${templateResult.error}`);
           result.subResults.push(
             createSubResult('pr-template-sync', SubResultStatus.WARNING, 'PR template sync produced a warning')
           );
@@ -5309,24 +8962,26 @@ export async function run() {
       }
 
       // Sync workflow files if specified
-      if (repoWorkflowFiles && repoWorkflowFiles.length > 0) {
-        core.info(`  🔧 Checking workflow files...`);
+      if (!repoCombineFilePrs && repoWorkflowFiles && repoWorkflowFiles.length > 0) {
+        logInfo(`  🔧 Checking workflow files...`);
         const workflowResult = await syncWorkflowFiles(
           octokit,
           repo,
           repoWorkflowFiles,
           workflowFilesPrTitle,
           dryRun,
-          authenticatedLogin
+          authenticatedLogin,
+          prOptionsFor('workflowFiles'),
+          repoWorkflowFilesDeleteManaged
         );
 
         // Add workflow files result to the main result
         result.workflowFilesSync = workflowResult;
 
         if (workflowResult.success) {
-          core.info(`  🔧 ${workflowResult.message}`);
+          logInfo(`  🔧 ${workflowResult.message}`);
           if (workflowResult.prUrl) {
-            core.info(`  🔗 PR URL: ${workflowResult.prUrl}`);
+            logInfo(`  🔗 PR URL: ${workflowResult.prUrl}`);
           }
           if (workflowResult.workflowFiles && workflowResult.workflowFiles !== 'unchanged') {
             result.subResults.push(
@@ -5342,19 +8997,11 @@ export async function run() {
               )
             );
           }
-          if (workflowResult.stalePrWarning) {
-            result.hasWarnings = true;
-            result.subResults.push(
-              createSubResult('workflow-files-sync', SubResultStatus.WARNING, workflowResult.stalePrWarning.message, {
-                prNumber: workflowResult.stalePrWarning.prNumber,
-                prUrl: workflowResult.stalePrWarning.prUrl
-              })
-            );
-          }
+          pushSyncWarnings(result, 'workflow-files-sync', workflowResult);
         } else {
           result.hasWarnings = true;
           result.workflowFilesSyncWarning = workflowResult.error;
-          core.warning(`  ⚠️  ${workflowResult.error}`);
+          logWarning(`  ⚠️  ${workflowResult.error}`);
           result.subResults.push(
             createSubResult('workflow-files-sync', SubResultStatus.WARNING, 'Workflow files sync produced a warning')
           );
@@ -5363,14 +9010,14 @@ export async function run() {
 
       // Sync autolinks if specified
       if (repoAutolinksFile) {
-        core.info(`  🔗 Checking autolinks...`);
+        logInfo(`  🔗 Checking autolinks...`);
         const autolinksResult = await syncAutolinks(octokit, repo, repoAutolinksFile, dryRun);
 
         // Add autolinks result to the main result
         result.autolinksSync = autolinksResult;
 
         if (autolinksResult.success) {
-          core.info(`  🔗 ${autolinksResult.message}`);
+          logInfo(`  🔗 ${autolinksResult.message}`);
           if (autolinksResult.autolinks && autolinksResult.autolinks !== 'unchanged') {
             result.subResults.push(
               createSubResult('autolinks-sync', SubResultStatus.CHANGED, autolinksResult.message, {
@@ -5381,7 +9028,7 @@ export async function run() {
         } else {
           result.hasWarnings = true;
           result.autolinksSyncWarning = autolinksResult.error;
-          core.warning(`  ⚠️  ${autolinksResult.error}`);
+          logWarning(`  ⚠️  ${autolinksResult.error}`);
           result.subResults.push(
             createSubResult('autolinks-sync', SubResultStatus.WARNING, 'Autolinks sync produced a warning')
           );
@@ -5393,7 +9040,7 @@ export async function run() {
         repoEnvironments &&
         (repoEnvironments.length > 0 || (repoDeleteUnmanagedEnvironments && repoHasExplicitEnvConfig))
       ) {
-        core.info(`  🌍 Checking environments...`);
+        logInfo(`  🌍 Checking environments...`);
         const environmentsResult = await syncEnvironments(
           octokit,
           repo,
@@ -5407,7 +9054,7 @@ export async function run() {
         result.environmentsSync = environmentsResult;
 
         if (environmentsResult.success) {
-          core.info(`  🌍 ${environmentsResult.message}`);
+          logInfo(`  🌍 ${environmentsResult.message}`);
           if (environmentsResult.environments && environmentsResult.environments !== 'unchanged') {
             result.subResults.push(
               createSubResult('environments-sync', SubResultStatus.CHANGED, environmentsResult.message, {
@@ -5432,7 +9079,7 @@ export async function run() {
         } else {
           result.hasWarnings = true;
           result.environmentsSyncWarning = environmentsResult.error;
-          core.warning(`  ⚠️  ${environmentsResult.error}`);
+          logWarning(`  ⚠️  ${environmentsResult.error}`);
           result.subResults.push(
             createSubResult('environments-sync', SubResultStatus.WARNING, 'Environments sync produced a warning')
           );
@@ -5440,24 +9087,25 @@ export async function run() {
       }
 
       // Sync copilot-instructions.md if specified
-      if (repoCopilotInstructionsMd) {
-        core.info(`  🤖 Checking copilot-instructions.md...`);
+      if (!repoCombineFilePrs && repoCopilotInstructionsMd) {
+        logInfo(`  🤖 Checking copilot-instructions.md...`);
         const copilotResult = await syncCopilotInstructions(
           octokit,
           repo,
           repoCopilotInstructionsMd,
           copilotInstructionsPrTitle,
           dryRun,
-          authenticatedLogin
+          authenticatedLogin,
+          prOptionsFor('copilotInstructions')
         );
 
         // Add copilot instructions result to the main result
         result.copilotInstructionsSync = copilotResult;
 
         if (copilotResult.success) {
-          core.info(`  🤖 ${copilotResult.message}`);
+          logInfo(`  🤖 ${copilotResult.message}`);
           if (copilotResult.prUrl) {
-            core.info(`  🔗 PR URL: ${copilotResult.prUrl}`);
+            logInfo(`  🔗 PR URL: ${copilotResult.prUrl}`);
           }
           if (copilotResult.copilotInstructions && copilotResult.copilotInstructions !== 'unchanged') {
             result.subResults.push(
@@ -5473,24 +9121,11 @@ export async function run() {
               )
             );
           }
-          if (copilotResult.stalePrWarning) {
-            result.hasWarnings = true;
-            result.subResults.push(
-              createSubResult(
-                'copilot-instructions-sync',
-                SubResultStatus.WARNING,
-                copilotResult.stalePrWarning.message,
-                {
-                  prNumber: copilotResult.stalePrWarning.prNumber,
-                  prUrl: copilotResult.stalePrWarning.prUrl
-                }
-              )
-            );
-          }
+          pushSyncWarnings(result, 'copilot-instructions-sync', copilotResult);
         } else {
           result.hasWarnings = true;
           result.copilotInstructionsSyncWarning = copilotResult.error;
-          core.warning(`  ⚠️  ${copilotResult.error}`);
+          logWarning(`  ⚠️  ${copilotResult.error}`);
           result.subResults.push(
             createSubResult(
               'copilot-instructions-sync',
@@ -5502,11 +9137,11 @@ export async function run() {
       }
 
       // Sync CODEOWNERS if specified
-      if (repoCodeowners) {
-        core.info(`  👥 Checking CODEOWNERS...`);
+      if (!repoCombineFilePrs && repoCodeowners) {
+        logInfo(`  👥 Checking CODEOWNERS...`);
         if (repoCodeownersVars) {
           const varNames = Object.keys(repoCodeownersVars).join(', ');
-          core.info(`  📝 Using template variables: ${varNames}`);
+          logInfo(`  📝 Using template variables: ${varNames}`);
         }
         const codeownersResult = await syncCodeowners(
           octokit,
@@ -5516,16 +9151,17 @@ export async function run() {
           codeownersPrTitle,
           dryRun,
           authenticatedLogin,
-          repoCodeownersVars
+          repoCodeownersVars,
+          prOptionsFor('codeowners')
         );
 
         // Add codeowners result to the main result
         result.codeownersSync = codeownersResult;
 
         if (codeownersResult.success) {
-          core.info(`  👥 ${codeownersResult.message}`);
+          logInfo(`  👥 ${codeownersResult.message}`);
           if (codeownersResult.prUrl) {
-            core.info(`  🔗 PR URL: ${codeownersResult.prUrl}`);
+            logInfo(`  🔗 PR URL: ${codeownersResult.prUrl}`);
           }
           if (codeownersResult.codeowners && codeownersResult.codeowners !== 'unchanged') {
             result.subResults.push(
@@ -5536,19 +9172,11 @@ export async function run() {
               })
             );
           }
-          if (codeownersResult.stalePrWarning) {
-            result.hasWarnings = true;
-            result.subResults.push(
-              createSubResult('codeowners-sync', SubResultStatus.WARNING, codeownersResult.stalePrWarning.message, {
-                prNumber: codeownersResult.stalePrWarning.prNumber,
-                prUrl: codeownersResult.stalePrWarning.prUrl
-              })
-            );
-          }
+          pushSyncWarnings(result, 'codeowners-sync', codeownersResult);
         } else {
           result.hasWarnings = true;
           result.codeownersSyncWarning = codeownersResult.error;
-          core.warning(`  ⚠️  ${codeownersResult.error}`);
+          logWarning(`  ⚠️  ${codeownersResult.error}`);
           result.subResults.push(
             createSubResult('codeowners-sync', SubResultStatus.WARNING, 'CODEOWNERS sync produced a warning')
           );
@@ -5556,14 +9184,8 @@ export async function run() {
       }
 
       // Sync package.json if specified
-      const repoPackageJsonFile = repoConfig?.['package-json-file'] || packageJsonFile;
-      const repoSyncScripts =
-        repoConfig?.['package-json-sync-scripts'] !== undefined ? repoConfig['package-json-sync-scripts'] : syncScripts;
-      const repoSyncEngines =
-        repoConfig?.['package-json-sync-engines'] !== undefined ? repoConfig['package-json-sync-engines'] : syncEngines;
-
-      if (repoPackageJsonFile && (repoSyncScripts || repoSyncEngines)) {
-        core.info(`  📦 Checking package.json...`);
+      if (!repoCombineFilePrs && repoSyncPackageJson) {
+        logInfo(`  📦 Checking package.json...`);
         const packageJsonResult = await syncPackageJson(
           octokit,
           repo,
@@ -5572,20 +9194,22 @@ export async function run() {
           repoSyncEngines,
           packageJsonPrTitle,
           dryRun,
-          authenticatedLogin
+          authenticatedLogin,
+          prOptionsFor('packageJson'),
+          repoPackageJsonSyncFields
         );
 
         // Add package.json result to the main result
         result.packageJsonSync = packageJsonResult;
 
         if (packageJsonResult.success) {
-          core.info(`  📦 ${packageJsonResult.message}`);
+          logInfo(`  📦 ${packageJsonResult.message}`);
           if (packageJsonResult.prUrl) {
-            core.info(`  🔗 PR URL: ${packageJsonResult.prUrl}`);
+            logInfo(`  🔗 PR URL: ${packageJsonResult.prUrl}`);
           }
           if (packageJsonResult.changes && packageJsonResult.changes.length > 0) {
             for (const change of packageJsonResult.changes) {
-              core.info(`     - ${dryRun ? 'Would update' : 'Updated'} ${change.field}`);
+              logInfo(`     - ${dryRun ? 'Would update' : 'Updated'} ${change.field} (${change.strategy})`);
             }
           }
           if (packageJsonResult.packageJson && packageJsonResult.packageJson !== 'unchanged') {
@@ -5602,21 +9226,96 @@ export async function run() {
               )
             );
           }
-          if (packageJsonResult.stalePrWarning) {
-            result.hasWarnings = true;
+          pushSyncWarnings(result, 'package-json-sync', packageJsonResult);
+        } else {
+          result.hasWarnings = true;
+          result.packageJsonSyncWarning = packageJsonResult.error;
+          logWarning(`  ⚠️  ${packageJsonResult.error}`);
+          result.subResults.push(
+            createSubResult('package-json-sync', SubResultStatus.WARNING, 'Package.json sync produced a warning')
+          );
+        }
+      }
+
+      // Sync generic files if specified
+      if (!repoCombineFilePrs && repoFileSyncEntries.length > 0) {
+        logInfo(`  📄 Checking ${repoFileSyncEntries.length} file(s)...`);
+        const fileResults = await syncFiles(
+          octokit,
+          repo,
+          repoFileSyncEntries,
+          dryRun,
+          authenticatedLogin,
+          prOptionsFor('files')
+        );
+
+        // Add file sync results (one per branch) to the main result
+        result.fileSync = fileResults;
+
+        for (const fileResult of fileResults) {
+          if (!fileResult.success) {
+            logWarning(`  ⚠️  ${fileResult.error}`);
+            result.subResults.push(
+              createSubResult('file-sync', SubResultStatus.WARNING, `File sync produced a warning: ${fileResult.error}`)
+            );
+            continue;
+          }
+          logInfo(`  📄 ${fileResult.message}`);
+          if (fileResult.prUrl) {
+            logInfo(`  🔗 PR URL: ${fileResult.prUrl}`);
+          }
+          if (fileResult.files && fileResult.files !== 'unchanged') {
+            result.subResults.push(
+              createSubResult('file-sync', statusForSync(fileResult.files), fileResult.message, {
+                syncStatus: fileResult.files,
+                prNumber: fileResult.prNumber,
+                prUrl: fileResult.prUrl
+              })
+            );
+          }
+          pushSyncWarnings(result, 'file-sync', fileResult);
+        }
+      }
+
+      // Remove retired files if specified
+      if (!repoCombineFilePrs && repoRemoveFiles.length > 0) {
+        logInfo(`  🗑️  Checking ${repoRemoveFiles.length} file(s) to remove...`);
+        const removeResult = await syncRemovedFiles(
+          octokit,
+          repo,
+          repoRemoveFiles,
+          removeFilesPrTitle,
+          dryRun,
+          authenticatedLogin,
+          prOptionsFor('removeFiles')
+        );
+
+        // Add remove files result to the main result
+        result.removeFilesSync = removeResult;
+
+        if (removeResult.success) {
+          logInfo(`  🗑️  ${removeResult.message}`);
+          if (removeResult.prUrl) {
+            logInfo(`  🔗 PR URL: ${removeResult.prUrl}`);
+          }
+          if (removeResult.removedFiles && removeResult.removedFiles !== 'unchanged') {
             result.subResults.push(
-              createSubResult('package-json-sync', SubResultStatus.WARNING, packageJsonResult.stalePrWarning.message, {
-                prNumber: packageJsonResult.stalePrWarning.prNumber,
-                prUrl: packageJsonResult.stalePrWarning.prUrl
+              createSubResult('remove-files-sync', statusForSync(removeResult.removedFiles), removeResult.message, {
+                syncStatus: removeResult.removedFiles,
+                prNumber: removeResult.prNumber,
+                prUrl: removeResult.prUrl
               })
             );
           }
+          pushSyncWarnings(result, 'remove-files-sync', removeResult);
         } else {
-          result.hasWarnings = true;
-          result.packageJsonSyncWarning = packageJsonResult.error;
-          core.warning(`  ⚠️  ${packageJsonResult.error}`);
+          logWarning(`  ⚠️  ${removeResult.error}`);
           result.subResults.push(
-            createSubResult('package-json-sync', SubResultStatus.WARNING, 'Package.json sync produced a warning')
+            createSubResult(
+              'remove-files-sync',
+              SubResultStatus.WARNING,
+              `File removal produced a warning: ${removeResult.error}`
+            )
           );
         }
       }
@@ -5639,28 +9338,28 @@ export async function run() {
         }
         if (dryRun) {
           if (repoHasChanges) {
-            core.info(`🔍 Would update ${repo}`);
+            logInfo(`🔍 Would update ${repo}`);
           } else if (repoHasPending) {
-            core.info(`🔄 Pending sync PR(s) for ${repo}`);
+            logInfo(`🔄 Pending sync PR(s) for ${repo}`);
           } else {
-            core.info(`✅ No changes needed in ${repo}`);
+            logInfo(`✅ No changes needed in ${repo}`);
           }
         } else {
           if (repoHasChanges) {
-            core.info(`✅ Successfully updated ${repo}`);
+            logInfo(`✅ Successfully updated ${repo}`);
           } else if (repoHasPending) {
-            core.info(`🔄 Pending sync PR(s) for ${repo}`);
+            logInfo(`🔄 Pending sync PR(s) for ${repo}`);
           } else {
-            core.info(`✅ No changes needed in ${repo}`);
+            logInfo(`✅ No changes needed in ${repo}`);
           }
         }
 
         // Log repository setting changes
         if (result.changes && result.changes.length > 0) {
-          core.info(`  📝 Settings changes:`);
+          logInfo(`  📝 Settings changes:`);
           for (const change of result.changes) {
             const settingName = change.setting.replace(/_/g, '-');
-            core.info(`     ${settingName}: ${change.from} → ${change.to}`);
+            logInfo(`     ${settingName}: ${change.from} → ${change.to}`);
           }
         }
 
@@ -5669,149 +9368,214 @@ export async function run() {
           if (result.topicsChange.added.length > 0) {
             const addedTopics = result.topicsChange.added.join(', ');
             if (dryRun) {
-              core.info(`  🏷️  Would add topics: ${addedTopics}`);
+              logInfo(`  🏷️  Would add topics: ${addedTopics}`);
             } else {
-              core.info(`  🏷️  Topics added: ${addedTopics}`);
+              logInfo(`  🏷️  Topics added: ${addedTopics}`);
             }
           }
           if (result.topicsChange.removed.length > 0) {
             const removedTopics = result.topicsChange.removed.join(', ');
             if (dryRun) {
-              core.info(`  🏷️  Would remove topics: ${removedTopics}`);
+              logInfo(`  🏷️  Would remove topics: ${removedTopics}`);
             } else {
-              core.info(`  🏷️  Topics removed: ${removedTopics}`);
+              logInfo(`  🏷️  Topics removed: ${removedTopics}`);
             }
           }
         } else if (result.topicsUnchanged) {
-          core.info(`  🏷️  Topics unchanged: ${result.topics.join(', ')}`);
+          logInfo(`  🏷️  Topics unchanged: ${result.topics.join(', ')}`);
         }
 
         if (result.topicsWarning) {
-          core.warning(`  ⚠️ ${result.topicsWarning}`);
+          logWarning(`  ⚠️ ${result.topicsWarning}`);
+        }
+
+        // Log default branch changes
+        if (result.defaultBranchChange) {
+          const { from, to, action } = result.defaultBranchChange;
+          if (dryRun) {
+            logInfo(`  🌿 Would ${action} default branch: ${from} → ${to}`);
+          } else {
+            logInfo(`  🌿 Default branch ${action === 'rename' ? 'renamed' : 'switched'}: ${from} → ${to}`);
+          }
+        } else if (result.defaultBranchUnchanged) {
+          logInfo(`  🌿 Default branch unchanged: ${result.currentDefaultBranch}`);
+        }
+
+        if (result.defaultBranchWarning) {
+          logWarning(`  ⚠️ ${result.defaultBranchWarning}`);
         }
 
         // Log code scanning changes
         if (result.codeScanningChange) {
           const enabling = result.codeScanningChange.to === 'configured';
           if (dryRun) {
-            core.info(
+            logInfo(
               `  📊 Would ${enabling ? 'enable' : 'disable'} CodeQL scanning: ${result.codeScanningChange.from} → ${result.codeScanningChange.to}`
             );
           } else {
-            core.info(
+            logInfo(
               `  📊 CodeQL scanning ${enabling ? 'enabled' : 'disabled'}: ${result.codeScanningChange.from} → ${result.codeScanningChange.to}`
             );
           }
         } else if (result.codeScanningUnchanged) {
-          core.info(`  📊 CodeQL scanning unchanged: ${result.currentCodeScanning}`);
+          logInfo(`  📊 CodeQL scanning unchanged: ${result.currentCodeScanning}`);
         }
 
         if (result.codeScanningWarning) {
-          core.warning(`  ⚠️ ${result.codeScanningWarning}`);
+          logWarning(`  ⚠️ ${result.codeScanningWarning}`);
         }
 
         // Log immutable releases changes
         if (result.immutableReleasesChange) {
           if (dryRun) {
-            core.info(
+            logInfo(
               `  🔒 Would ${result.immutableReleasesChange.to ? 'enable' : 'disable'} immutable releases: ${result.immutableReleasesChange.from} → ${result.immutableReleasesChange.to}`
             );
           } else {
-            core.info(
+            logInfo(
               `  🔒 Immutable releases ${result.immutableReleasesChange.to ? 'enabled' : 'disabled'}: ${result.immutableReleasesChange.from} → ${result.immutableReleasesChange.to}`
             );
           }
         } else if (result.immutableReleasesUnchanged) {
-          core.info(`  🔒 Immutable releases unchanged: ${result.currentImmutableReleases ? 'enabled' : 'disabled'}`);
+          logInfo(`  🔒 Immutable releases unchanged: ${result.currentImmutableReleases ? 'enabled' : 'disabled'}`);
         }
 
         if (result.immutableReleasesWarning) {
-          core.warning(`  ⚠️ ${result.immutableReleasesWarning}`);
+          logWarning(`  ⚠️ ${result.immutableReleasesWarning}`);
         }
 
         // Log secret scanning changes
         if (result.secretScanningChange) {
           if (dryRun) {
-            core.info(
+            logInfo(
               `  🔍 Would ${result.secretScanningChange.to ? 'enable' : 'disable'} secret scanning: ${result.secretScanningChange.from} → ${result.secretScanningChange.to}`
             );
           } else {
-            core.info(
+            logInfo(
               `  🔍 Secret scanning ${result.secretScanningChange.to ? 'enabled' : 'disabled'}: ${result.secretScanningChange.from} → ${result.secretScanningChange.to}`
             );
           }
         } else if (result.secretScanningUnchanged) {
-          core.info(`  🔍 Secret scanning unchanged: ${result.currentSecretScanning ? 'enabled' : 'disabled'}`);
+          logInfo(`  🔍 Secret scanning unchanged: ${result.currentSecretScanning ? 'enabled' : 'disabled'}`);
         }
 
         if (result.secretScanningWarning) {
-          core.warning(`  ⚠️ ${result.secretScanningWarning}`);
+          logWarning(`  ⚠️ ${result.secretScanningWarning}`);
         }
 
         // Log secret scanning push protection changes
         if (result.secretScanningPushProtectionChange) {
           if (dryRun) {
-            core.info(
+            logInfo(
               `  🛡️ Would ${result.secretScanningPushProtectionChange.to ? 'enable' : 'disable'} secret scanning push protection: ${result.secretScanningPushProtectionChange.from} → ${result.secretScanningPushProtectionChange.to}`
             );
           } else {
-            core.info(
+            logInfo(
               `  🛡️ Secret scanning push protection ${result.secretScanningPushProtectionChange.to ? 'enabled' : 'disabled'}: ${result.secretScanningPushProtectionChange.from} → ${result.secretScanningPushProtectionChange.to}`
             );
           }
         } else if (result.secretScanningPushProtectionUnchanged) {
-          core.info(
+          logInfo(
             `  🛡️ Secret scanning push protection unchanged: ${result.currentSecretScanningPushProtection ? 'enabled' : 'disabled'}`
           );
         }
 
         if (result.secretScanningPushProtectionWarning) {
-          core.warning(`  ⚠️ ${result.secretScanningPushProtectionWarning}`);
+          logWarning(`  ⚠️ ${result.secretScanningPushProtectionWarning}`);
         }
 
         // Log Dependabot alerts changes
         if (result.dependabotAlertsChange) {
           if (dryRun) {
-            core.info(
+            logInfo(
               `  🤖 Would ${result.dependabotAlertsChange.to ? 'enable' : 'disable'} Dependabot alerts: ${result.dependabotAlertsChange.from} → ${result.dependabotAlertsChange.to}`
             );
           } else {
-            core.info(
+            logInfo(
               `  🤖 Dependabot alerts ${result.dependabotAlertsChange.to ? 'enabled' : 'disabled'}: ${result.dependabotAlertsChange.from} → ${result.dependabotAlertsChange.to}`
             );
           }
         } else if (result.dependabotAlertsUnchanged) {
-          core.info(`  🤖 Dependabot alerts unchanged: ${result.currentDependabotAlerts ? 'enabled' : 'disabled'}`);
+          logInfo(`  🤖 Dependabot alerts unchanged: ${result.currentDependabotAlerts ? 'enabled' : 'disabled'}`);
         }
 
         if (result.dependabotAlertsWarning) {
-          core.warning(`  ⚠️ ${result.dependabotAlertsWarning}`);
+          logWarning(`  ⚠️ ${result.dependabotAlertsWarning}`);
         }
 
         // Log Dependabot security updates changes
         if (result.dependabotSecurityUpdatesChange) {
           if (dryRun) {
-            core.info(
+            logInfo(
               `  🔄 Would ${result.dependabotSecurityUpdatesChange.to ? 'enable' : 'disable'} Dependabot security updates: ${result.dependabotSecurityUpdatesChange.from} → ${result.dependabotSecurityUpdatesChange.to}`
             );
           } else {
-            core.info(
+            logInfo(
               `  🔄 Dependabot security updates ${result.dependabotSecurityUpdatesChange.to ? 'enabled' : 'disabled'}: ${result.dependabotSecurityUpdatesChange.from} → ${result.dependabotSecurityUpdatesChange.to}`
             );
           }
         } else if (result.dependabotSecurityUpdatesUnchanged) {
-          core.info(
+          logInfo(
             `  🔄 Dependabot security updates unchanged: ${result.currentDependabotSecurityUpdates ? 'enabled' : 'disabled'}`
           );
         }
 
         if (result.dependabotSecurityUpdatesWarning) {
-          core.warning(`  ⚠️ ${result.dependabotSecurityUpdatesWarning}`);
+          logWarning(`  ⚠️ ${result.dependabotSecurityUpdatesWarning}`);
+        }
+
+        // Log GitHub Actions permissions changes
+        for (const { featureId, label } of ACTIONS_PERMISSION_ENDPOINTS) {
+          const featureStem = getFeatureResultStem(featureId);
+          const changes = result[`${featureStem}Changes`];
+          if (changes) {
+            logInfo(`  ⚙️ ${dryRun ? 'Would update' : 'Updated'} ${label}:`);
+            for (const change of changes) {
+              logInfo(
+                `     ${change.setting.replace(/_/g, '-')}: ${formatSettingValue(change.from)} → ${formatSettingValue(change.to)}`
+              );
+            }
+          } else if (result[`${featureStem}Unchanged`]) {
+            logInfo(`  ⚙️ ${capitalizeLabel(label)} unchanged`);
+          }
+
+          if (result[`${featureStem}Warning`]) {
+            logWarning(`  ⚠️ ${result[`${featureStem}Warning`]}`);
+          }
         }
       } else {
         failureCount++;
-        core.warning(`❌ Failed to update ${repo}: ${result.error}`);
+        logWarning(`❌ Failed to update ${repo}: ${result.error}`);
+      }
+
+      return result;
+    };
+
+    // A repository whose configuration throws is reported as failed instead of aborting the run
+    // while other workers are still making API calls
+    const processRepositorySafely = async repoConfig => {
+      try {
+        return await processRepository(repoConfig);
+      } catch (error) {
+        failureCount++;
+        logWarning(`❌ Failed to update ${repoConfig.repo}: ${error.message}`);
+        return { repository: repoConfig.repo, success: false, error: error.message, dryRun };
       }
+    };
+
+    const results = await mapWithConcurrencyLimit(repoList, maxConcurrency, repoConfig =>
+      maxConcurrency > 1
+        ? withBufferedLogs(() => processRepositorySafely(repoConfig))
+        : processRepositorySafely(repoConfig)
+    );
+
+    const { retries: apiRetries, waitMs: apiWaitMs, rateLimitPauses } = requestRetry.stats;
+    const apiActivitySummary =
+      apiRetries > 0 || apiWaitMs > 0
+        ? `${apiRetries} ${apiRetries === 1 ? 'retry' : 'retries'}, ${(apiWaitMs / 1000).toFixed(1)}s waiting (${rateLimitPauses} rate limit ${rateLimitPauses === 1 ? 'pause' : 'pauses'})`
+        : null;
+    if (apiActivitySummary) {
+      logInfo(`🔁 GitHub API: ${apiActivitySummary}`);
     }
 
     // Set outputs
@@ -5824,6 +9588,11 @@ export async function run() {
     core.setOutput('warning-repositories', warningCount.toString());
     core.setOutput('results', JSON.stringify(results));
 
+    const driftReport = checkMode ? buildDriftReport(results) : [];
+    if (checkMode) {
+      core.setOutput('drift-report', JSON.stringify(driftReport));
+    }
+
     // Create summary
     if (writeJobSummary) {
       const summaryTable = [
@@ -5889,24 +9658,38 @@ export async function run() {
           .addRaw(`\n**Pending:** ${pendingCount}`)
           .addRaw(`\n**Unchanged:** ${unchangedCount}`)
           .addRaw(`\n**Warnings:** ${warningCount}`)
-          .addRaw(`\n**Failed:** ${failureCount}\n\n`)
-          .addTable(summaryTable);
-        await summaryBuilder.write();
+          .addRaw(`\n**Failed:** ${failureCount}\n\n`);
+
+        if (checkMode) {
+          summaryBuilder = summaryBuilder.addRaw(`**Drifted:** ${driftReport.length}\n\n`);
+        }
+
+        if (apiActivitySummary) {
+          summaryBuilder = summaryBuilder.addRaw(`**GitHub API:** ${apiActivitySummary}\n\n`);
+        }
+
+        await summaryBuilder.addTable(summaryTable).write();
       } catch {
         // Fallback for local development
         const heading = dryRun ? `🔍 DRY-RUN: ${jobSummaryHeadingBase}` : `📊 ${jobSummaryHeadingBase}`;
-        core.info(heading);
-        core.info(`Total Repositories: ${repoList.length}`);
-        core.info(`Changed: ${changedCount}`);
-        core.info(`Pending: ${pendingCount}`);
-        core.info(`Unchanged: ${unchangedCount}`);
-        core.info(`Warnings: ${warningCount}`);
-        core.info(`Failed: ${failureCount}`);
+        logInfo(heading);
+        logInfo(`Total Repositories: ${repoList.length}`);
+        logInfo(`Changed: ${changedCount}`);
+        logInfo(`Pending: ${pendingCount}`);
+        logInfo(`Unchanged: ${unchangedCount}`);
+        logInfo(`Warnings: ${warningCount}`);
+        logInfo(`Failed: ${failureCount}`);
+        if (checkMode) {
+          logInfo(`Drifted: ${driftReport.length}`);
+        }
+        if (apiActivitySummary) {
+          logInfo(`GitHub API: ${apiActivitySummary}`);
+        }
         for (const result of results) {
           if (!result.success) {
-            core.info(`  ${result.repository}: ❌ ${result.error}`);
+            logInfo(`  ${result.repository}: ❌ ${result.error}`);
           } else if (result.hasWarnings) {
-            core.info(`  ${result.repository}: ⚠️ Warning`);
+            logInfo(`  ${result.repository}: ⚠️ Warning`);
           } else {
             const hasChanges = hasRepositoryChanges(result);
             const isPending = !hasChanges && hasRepositoryPending(result);
@@ -5922,19 +9705,22 @@ export async function run() {
               icon = '➖';
               details = 'No changes needed';
             }
-            core.info(`  ${result.repository}: ${icon} ${details}`);
+            logInfo(`  ${result.repository}: ${icon} ${details}`);
           }
         }
       }
     } else {
-      core.info('Job summary writing is disabled (write-job-summary: false)');
+      logInfo('Job summary writing is disabled (write-job-summary: false)');
     }
 
     if (failureCount > 0) {
       const repositoryLabel = failureCount === 1 ? 'repository' : 'repositories';
       core.setFailed(`${failureCount} ${repositoryLabel} failed to update`);
+    } else if (driftReport.length > 0) {
+      const repositoryLabel = driftReport.length === 1 ? 'repository' : 'repositories';
+      core.setFailed(`Drift detected in ${driftReport.length} ${repositoryLabel}`);
     } else {
-      core.info('✅ Action completed successfully!');
+      logInfo('✅ Action completed successfully!');
     }
   } catch (error) {
     core.setFailed(`Action failed with error: ${error.message}`);